@@ -0,0 +1,28 @@
+-- ============================================================================
+-- 001 - USER SESSIONS (Refresh Tokens & Server-Side Revocation)
+-- ============================================================================
+-- One row per login. Access tokens carry the session_id as `sid` and are
+-- rejected by authMiddleware once the session is revoked or expired.
+-- Refresh tokens are opaque "<session_id>.<secret>" strings; only the
+-- SHA-256 hash of the current secret is stored and it rotates on every use.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  session_id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subject_id          TEXT NOT NULL,
+  subject_role        VARCHAR(50) NOT NULL,
+  subject_email       VARCHAR(255),
+  college_id          UUID REFERENCES colleges(college_id),
+  refresh_token_hash  CHAR(64) NOT NULL,
+  ip_address          VARCHAR(64),
+  user_agent          TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at        TIMESTAMPTZ,
+  expires_at          TIMESTAMPTZ NOT NULL,
+  revoked_at          TIMESTAMPTZ,
+  revoked_reason      VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_subject
+  ON user_sessions (subject_id)
+  WHERE revoked_at IS NULL;
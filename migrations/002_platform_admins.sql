@@ -0,0 +1,22 @@
+-- ============================================================================
+-- 002 - PLATFORM ADMINS (Database-Backed System Administrators)
+-- ============================================================================
+-- Replaces the single SYSADMIN_EMAIL / SYSADMIN_PASSWORD env credential.
+-- The first row is bootstrapped from those env vars on server start when
+-- the table is empty; after that the env vars are ignored.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS platform_admins (
+  platform_admin_id  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  admin_name         VARCHAR(100) NOT NULL,
+  admin_email        VARCHAR(255) NOT NULL,
+  admin_password     TEXT NOT NULL,
+  admin_status       VARCHAR(20) NOT NULL DEFAULT 'active',
+  created_by         UUID REFERENCES platform_admins(platform_admin_id),
+  last_login_at      TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_platform_admins_email
+  ON platform_admins (LOWER(admin_email));
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- 003 - ACCOUNT TOKENS (Single-Use Emailed Tokens)
+-- ============================================================================
+-- Short-lived, single-use tokens delivered by email (password reset, ...).
+-- Only the SHA-256 hash of the token is stored. A token is spent once
+-- consumed_at is set; issuing a new token for the same purpose consumes
+-- any outstanding ones.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  token_id        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_purpose   VARCHAR(50) NOT NULL,
+  account_type    VARCHAR(20) NOT NULL,
+  account_id      UUID NOT NULL,
+  college_id      UUID NOT NULL REFERENCES colleges(college_id),
+  token_hash      CHAR(64) NOT NULL,
+  requested_ip    VARCHAR(64),
+  expires_at      TIMESTAMPTZ NOT NULL,
+  consumed_at     TIMESTAMPTZ,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_tokens_hash
+  ON account_tokens (token_hash);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_account
+  ON account_tokens (account_id, token_purpose)
+  WHERE consumed_at IS NULL;
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- 004 - USER MFA (TOTP Two-Factor Authentication)
+-- ============================================================================
+-- Optional TOTP second factor for college users (admins and teachers).
+-- A user_mfa row with enabled_at IS NULL is a pending enrollment that
+-- becomes active once the first code is verified. The TOTP secret is stored
+-- AES-256-GCM encrypted; last_used_step blocks replay of an accepted code.
+-- Recovery codes are single-use and stored as SHA-256 hashes.
+-- colleges.admin_mfa_required makes MFA mandatory for the admin role.
+-- ============================================================================
+
+ALTER TABLE colleges
+  ADD COLUMN IF NOT EXISTS admin_mfa_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id           UUID PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+  totp_secret       TEXT NOT NULL,
+  last_used_step    BIGINT,
+  enabled_at        TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+  recovery_code_id  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id           UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  code_hash         CHAR(64) NOT NULL,
+  used_at           TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_mfa_recovery_codes_user
+  ON user_mfa_recovery_codes (user_id)
+  WHERE used_at IS NULL;
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- 005 - LOGIN SECURITY (Per-Account Lockout & Login History)
+-- ============================================================================
+-- account_lockouts: consecutive failed logins per account (users and
+-- students). Once failed_attempts reaches the threshold the account is
+-- locked until locked_until, with the lock doubling on each further
+-- failure. A successful login or an admin unlock removes the row.
+-- login_history: one row per login attempt (success or failure) with IP
+-- and user agent. account_id is NULL when the email matched no account.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS account_lockouts (
+  account_type      VARCHAR(20) NOT NULL,
+  account_id        UUID NOT NULL,
+  college_id        UUID NOT NULL REFERENCES colleges(college_id),
+  failed_attempts   INTEGER NOT NULL DEFAULT 0,
+  last_failed_at    TIMESTAMPTZ,
+  locked_until      TIMESTAMPTZ,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (account_type, account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_lockouts_college
+  ON account_lockouts (college_id, locked_until);
+
+CREATE TABLE IF NOT EXISTS login_history (
+  login_id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_type      VARCHAR(20) NOT NULL,
+  account_id        UUID,
+  college_id        UUID REFERENCES colleges(college_id),
+  email_attempted   VARCHAR(255) NOT NULL,
+  succeeded         BOOLEAN NOT NULL,
+  failure_reason    VARCHAR(50),
+  is_new_ip         BOOLEAN NOT NULL DEFAULT FALSE,
+  ip_address        VARCHAR(64),
+  user_agent        TEXT,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_college
+  ON login_history (college_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_account
+  ON login_history (account_id, created_at DESC);
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- 006 - COLLEGE ROLES (Fine-Grained Permissions)
+-- ============================================================================
+-- Permissions are named strings (e.g. 'students.update'). Built-in roles get
+-- their defaults from DEFAULT_ROLE_PERMISSIONS in src/config/constants.js.
+-- college_roles holds, per college:
+-- - custom roles (e.g. 'placement_coordinator') with their permissions
+-- - overrides of built-in role permissions (teacher only - admin is fixed)
+-- role_level places custom roles in ROLE_HIERARCHY (between student and
+-- admin) - users can only assign or manage roles at or below their level.
+-- users.user_role stores the role_key of a built-in or custom role.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS college_roles (
+  college_id        UUID NOT NULL REFERENCES colleges(college_id),
+  role_key          VARCHAR(50) NOT NULL,
+  role_name         VARCHAR(100) NOT NULL,
+  role_level        INTEGER NOT NULL,
+  permissions       TEXT[] NOT NULL DEFAULT '{}',
+  created_by        UUID,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ,
+  PRIMARY KEY (college_id, role_key)
+);
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- 007 - IMPERSONATION (Sysadmin Acting as a College User)
+-- ============================================================================
+-- Impersonation sessions are regular user_sessions rows for the target user
+-- with impersonator_id set. They expire after a few minutes, cannot be
+-- refreshed and can be revoked like any other session.
+-- impersonation_actions: one row per write request (POST/PUT/PATCH/DELETE)
+-- made with an impersonation token.
+-- ============================================================================
+
+ALTER TABLE user_sessions
+  ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES platform_admins(platform_admin_id);
+
+ALTER TABLE user_sessions
+  ADD COLUMN IF NOT EXISTS impersonation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_impersonator
+  ON user_sessions (impersonator_id)
+  WHERE impersonator_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS impersonation_actions (
+  action_id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id        UUID NOT NULL REFERENCES user_sessions(session_id),
+  impersonator_id   UUID NOT NULL REFERENCES platform_admins(platform_admin_id),
+  target_user_id    UUID NOT NULL,
+  college_id        UUID REFERENCES colleges(college_id),
+  http_method       VARCHAR(10) NOT NULL,
+  request_path      TEXT NOT NULL,
+  status_code       INTEGER,
+  ip_address        VARCHAR(64),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_impersonation_actions_session
+  ON impersonation_actions (session_id, created_at);
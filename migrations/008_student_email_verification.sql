@@ -0,0 +1,16 @@
+-- ============================================================================
+-- 008 - STUDENT EMAIL VERIFICATION & EMAIL DOMAIN ALLOW-LIST
+-- ============================================================================
+-- Public self-registration creates students with status
+-- 'pending_verification'. They become 'active' once the emailed link
+-- (account_tokens, purpose 'email_verification') is used; login is refused
+-- until then. email_verified_at records when that happened.
+-- colleges.allowed_email_domains: when non-empty, student emails must
+-- belong to one of these domains (or a subdomain of one).
+-- ============================================================================
+
+ALTER TABLE colleges
+  ADD COLUMN IF NOT EXISTS allowed_email_domains TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- 009 - USER INVITATIONS (Teacher/Admin Onboarding)
+-- ============================================================================
+-- Admins invite college users by name, email and role instead of choosing
+-- a password for them. The invitee sets their own password with the
+-- emailed token; the users row is only created on acceptance.
+-- token_hash: sha256 of the emailed token (rotated on resend).
+-- invited_by: acting user or sysadmin ID.
+-- One open (not accepted, not revoked) invitation per email and college.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+  invitation_id     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id        UUID NOT NULL REFERENCES colleges(college_id),
+  invitee_name      VARCHAR(100) NOT NULL,
+  invitee_email     VARCHAR(255) NOT NULL,
+  invitee_role      VARCHAR(50) NOT NULL,
+  token_hash        CHAR(64) NOT NULL UNIQUE,
+  invited_by        UUID NOT NULL,
+  send_count        INTEGER NOT NULL DEFAULT 1,
+  last_sent_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at        TIMESTAMPTZ NOT NULL,
+  accepted_at       TIMESTAMPTZ,
+  accepted_user_id  UUID REFERENCES users(user_id),
+  revoked_at        TIMESTAMPTZ,
+  revoked_by        UUID,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_invitations_open_email
+  ON user_invitations (college_id, LOWER(invitee_email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_college
+  ON user_invitations (college_id, created_at DESC);
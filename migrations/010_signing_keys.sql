@@ -0,0 +1,25 @@
+-- ============================================================================
+-- 010 - JWT SIGNING KEYS (RS256 / ES256 with Rotation)
+-- ============================================================================
+-- Access tokens are signed with the newest key whose activates_at has
+-- passed; the key id is sent in the JWT `kid` header.
+-- Rotation inserts the next key with activates_at a few minutes ahead (it
+-- is published in /.well-known/jwks.json before it signs anything) and
+-- retires the current one at that moment. A retired key keeps verifying
+-- until expires_at, so tokens it signed stay valid until they expire.
+-- private_key is encrypted with SECRETS_ENCRYPTION_KEY (cryptoHelper).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS signing_keys (
+  kid            VARCHAR(64) PRIMARY KEY,
+  algorithm      VARCHAR(10) NOT NULL,
+  public_key     TEXT NOT NULL,
+  private_key    TEXT NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  activates_at   TIMESTAMPTZ NOT NULL,
+  retired_at     TIMESTAMPTZ,
+  expires_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_signing_keys_activates
+  ON signing_keys (activates_at DESC);
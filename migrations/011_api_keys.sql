@@ -0,0 +1,30 @@
+-- ============================================================================
+-- 011 - API KEYS (Machine-to-Machine Integrations)
+-- ============================================================================
+-- Per-college keys for integrations such as a nightly ERP sync, sent in
+-- the X-API-Key header instead of logging in as a human admin.
+-- key_hash: sha256 of the full key (shown once at creation).
+-- key_prefix: first characters of the key, to recognise it in listings.
+-- scopes: e.g. {students:write, users:read} (see API_KEYS.SCOPES).
+-- allowed_ips: IPs / CIDR ranges the key may be used from ('{}' = any).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id      UUID NOT NULL REFERENCES colleges(college_id),
+  key_name        VARCHAR(100) NOT NULL,
+  key_prefix      VARCHAR(20) NOT NULL,
+  key_hash        CHAR(64) NOT NULL UNIQUE,
+  scopes          TEXT[] NOT NULL DEFAULT '{}',
+  allowed_ips     TEXT[] NOT NULL DEFAULT '{}',
+  expires_at      TIMESTAMPTZ,
+  last_used_at    TIMESTAMPTZ,
+  last_used_ip    VARCHAR(64),
+  created_by      UUID NOT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at      TIMESTAMPTZ,
+  revoked_by      UUID
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_college
+  ON api_keys (college_id, created_at DESC);
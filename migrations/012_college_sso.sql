@@ -0,0 +1,47 @@
+-- ============================================================================
+-- 012 - COLLEGE SINGLE SIGN-ON (OpenID Connect)
+-- ============================================================================
+-- colleges.sso_config: OIDC provider of the college (issuer, client id,
+-- encrypted client secret, claim mappings, provisioning options).
+-- NULL = SSO not configured.
+-- sso_login_states: one row per started login (authorization code flow).
+-- Only the hash of `state` is stored; nonce and PKCE verifier are checked
+-- on the callback and the row is consumed once.
+-- sso_identities: links the provider's `sub` to a users / students row so
+-- later logins do not depend on the email staying the same.
+-- ============================================================================
+
+ALTER TABLE colleges
+  ADD COLUMN IF NOT EXISTS sso_config JSONB;
+
+CREATE TABLE IF NOT EXISTS sso_login_states (
+  state_id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id        UUID NOT NULL REFERENCES colleges(college_id),
+  account_type      VARCHAR(20) NOT NULL,
+  state_hash        CHAR(64) NOT NULL UNIQUE,
+  nonce             VARCHAR(100) NOT NULL,
+  code_verifier     TEXT NOT NULL,
+  redirect_uri      TEXT NOT NULL,
+  requested_ip      VARCHAR(64),
+  expires_at        TIMESTAMPTZ NOT NULL,
+  consumed_at       TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sso_login_states_expires
+  ON sso_login_states (expires_at);
+
+CREATE TABLE IF NOT EXISTS sso_identities (
+  college_id        UUID NOT NULL REFERENCES colleges(college_id),
+  account_type      VARCHAR(20) NOT NULL,
+  issuer            TEXT NOT NULL,
+  subject           VARCHAR(255) NOT NULL,
+  account_id        UUID NOT NULL,
+  email             VARCHAR(255),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at     TIMESTAMPTZ,
+  PRIMARY KEY (college_id, account_type, issuer, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sso_identities_account
+  ON sso_identities (account_type, account_id);
@@ -0,0 +1,49 @@
+-- ============================================================================
+-- 013 - AUDIT EVENTS (Append-Only Audit Log)
+-- ============================================================================
+-- One row per state-changing operation (college create/update/features,
+-- user create/update/delete, student profile update), written inside the
+-- same transaction as the change itself.
+-- changes: { field: { from, to } } - only fields that changed; secrets
+-- are never included.
+-- college_id is the college the entity belongs to (queried per college).
+-- Rows cannot be updated or deleted (trigger below).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  event_id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id        UUID REFERENCES colleges(college_id),
+  actor_id          UUID,
+  actor_role        VARCHAR(50),
+  actor_email       VARCHAR(255),
+  impersonator_id   UUID,
+  entity_type       VARCHAR(50) NOT NULL,
+  entity_id         UUID NOT NULL,
+  action            VARCHAR(50) NOT NULL,
+  changes           JSONB NOT NULL DEFAULT '{}',
+  ip_address        VARCHAR(64),
+  request_id        VARCHAR(100),
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_college
+  ON audit_events (college_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity
+  ON audit_events (entity_type, entity_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor
+  ON audit_events (actor_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_events_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_events_append_only ON audit_events;
+
+CREATE TRIGGER trg_audit_events_append_only
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
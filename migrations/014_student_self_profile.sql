@@ -0,0 +1,14 @@
+-- ============================================================================
+-- 014 - STUDENT SELF-SERVICE PROFILE
+-- ============================================================================
+-- Fields a student maintains themselves (PATCH /students/me).
+-- Department, year and status stay admin-controlled.
+-- skills / preferred_locations: free-text lists, duplicates removed by the API.
+-- ============================================================================
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS student_phone VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS linkedin_url VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS github_url VARCHAR(500),
+  ADD COLUMN IF NOT EXISTS skills TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS preferred_locations TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- 015 - STUDENT ACADEMIC PROFILE & VERIFICATION
+-- ============================================================================
+-- Academic record used for placement eligibility. Students may self-report
+-- these values (PATCH /students/me); the college can edit them too
+-- (PUT /students/:studentId/profile). roll_number is college-assigned only.
+-- historic_backlogs: every backlog ever (cleared + active).
+-- academic_verification: per-field registrar verification,
+--   { "cgpa": { "verified_by": "<user_id>", "verified_at": "<timestamp>" } }
+--   A field is verified only while its key is present; changing the value
+--   removes the key.
+-- ============================================================================
+
+ALTER TABLE students
+  ADD COLUMN IF NOT EXISTS roll_number VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS gender VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+  ADD COLUMN IF NOT EXISTS graduation_year INT,
+  ADD COLUMN IF NOT EXISTS cgpa NUMERIC(4, 2),
+  ADD COLUMN IF NOT EXISTS tenth_percentage NUMERIC(5, 2),
+  ADD COLUMN IF NOT EXISTS twelfth_percentage NUMERIC(5, 2),
+  ADD COLUMN IF NOT EXISTS diploma_percentage NUMERIC(5, 2),
+  ADD COLUMN IF NOT EXISTS active_backlogs INT,
+  ADD COLUMN IF NOT EXISTS historic_backlogs INT,
+  ADD COLUMN IF NOT EXISTS academic_verification JSONB NOT NULL DEFAULT '{}';
+
+-- Roll numbers are unique within a college
+CREATE UNIQUE INDEX IF NOT EXISTS idx_students_college_roll_number
+  ON students (college_id, roll_number)
+  WHERE roll_number IS NOT NULL;
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- 016 - STUDENT ROSTER IMPORTS (CSV / XLSX)
+-- ============================================================================
+-- POST /students/import parses and validates a roster (dry run) and keeps
+-- the valid rows here until the admin confirms. Confirming creates the
+-- students and clears valid_rows, keeping only the outcome counts.
+-- row_errors: [{ row, student_email, errors: [...] }] (capped).
+-- Pending imports expire after STUDENT_IMPORT.TTL_MINUTES.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS student_imports (
+  import_id       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id      UUID NOT NULL REFERENCES colleges(college_id),
+  created_by      UUID NOT NULL,
+  file_name       VARCHAR(255),
+  file_format     VARCHAR(10) NOT NULL,
+  column_mapping  JSONB NOT NULL DEFAULT '{}',
+  total_rows      INT NOT NULL,
+  valid_rows      JSONB NOT NULL DEFAULT '[]',
+  invalid_count   INT NOT NULL DEFAULT 0,
+  row_errors      JSONB NOT NULL DEFAULT '[]',
+  import_status   VARCHAR(20) NOT NULL DEFAULT 'pending',
+  password_mode   VARCHAR(20),
+  created_count   INT,
+  failed_count    INT,
+  committed_by    UUID,
+  committed_at    TIMESTAMPTZ,
+  expires_at      TIMESTAMPTZ NOT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_imports_college
+  ON student_imports (college_id, created_at DESC);
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- 017 - JOBS (Postgres-Backed Background Job Queue)
+-- ============================================================================
+-- Long-running operations (e.g. POST /students/bulk with async: true) are
+-- queued here and run by the in-process worker (services/jobService.js).
+-- Workers claim queued jobs with FOR UPDATE SKIP LOCKED, so any number of
+-- API instances can share the queue.
+-- job_status: queued -> running -> succeeded | failed | cancelled
+--   (a failed attempt goes back to queued until max_attempts is reached)
+-- payload is encrypted (it may contain passwords) and cleared once the job
+-- has finished; result holds the handler's return value.
+-- heartbeat_at is refreshed while a job runs; running jobs whose heartbeat
+-- stops are requeued (or failed) by the next worker.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS jobs (
+  job_id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id           UUID NOT NULL REFERENCES colleges(college_id),
+  job_type             VARCHAR(50) NOT NULL,
+  job_status           VARCHAR(20) NOT NULL DEFAULT 'queued',
+  payload              TEXT,
+  result               JSONB,
+  last_error           TEXT,
+  progress_done        INT NOT NULL DEFAULT 0,
+  progress_total       INT,
+  attempts             INT NOT NULL DEFAULT 0,
+  max_attempts         INT NOT NULL DEFAULT 3,
+  run_after            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cancel_requested_at  TIMESTAMPTZ,
+  locked_by            VARCHAR(100),
+  heartbeat_at         TIMESTAMPTZ,
+  created_by           UUID,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at           TIMESTAMPTZ,
+  finished_at          TIMESTAMPTZ,
+  updated_at           TIMESTAMPTZ
+);
+
+-- Claim query: next runnable job
+CREATE INDEX IF NOT EXISTS idx_jobs_queued
+  ON jobs (run_after, created_at)
+  WHERE job_status = 'queued';
+
+-- Per-college concurrency and stale-job checks
+CREATE INDEX IF NOT EXISTS idx_jobs_running
+  ON jobs (college_id)
+  WHERE job_status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_college
+  ON jobs (college_id, created_at DESC);
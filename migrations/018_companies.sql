@@ -0,0 +1,58 @@
+-- ============================================================================
+-- 018 - COMPANIES (Recruiting Companies and Recruiter Contacts)
+-- ============================================================================
+-- Per-college registry of the companies students are placed with.
+-- company_domain is the company's bare host name ("infosys.com"), taken
+-- from website when not given; it is lower-case without "www.".
+-- Deleting a company only sets company_status = 'inactive'. Name and domain
+-- are unique among the active companies of a college (case-insensitive
+-- name), so a deactivated company does not block re-adding it.
+-- company_contacts: recruiters of a company, at most one primary contact.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS companies (
+  company_id      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id      UUID NOT NULL REFERENCES colleges(college_id),
+  company_name    VARCHAR(200) NOT NULL,
+  company_domain  VARCHAR(253),
+  industry        VARCHAR(100),
+  website         VARCHAR(500),
+  hq_location     VARCHAR(200),
+  company_tier    VARCHAR(20),
+  notes           TEXT,
+  company_status  VARCHAR(20) NOT NULL DEFAULT 'active',
+  created_by      UUID,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_college_name
+  ON companies (college_id, LOWER(company_name))
+  WHERE company_status = 'active';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_college_domain
+  ON companies (college_id, company_domain)
+  WHERE company_status = 'active' AND company_domain IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_companies_college
+  ON companies (college_id, company_status, company_name);
+
+CREATE TABLE IF NOT EXISTS company_contacts (
+  contact_id      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id      UUID NOT NULL REFERENCES companies(company_id),
+  college_id      UUID NOT NULL REFERENCES colleges(college_id),
+  contact_name    VARCHAR(100) NOT NULL,
+  contact_email   VARCHAR(255) NOT NULL,
+  contact_phone   VARCHAR(20),
+  designation     VARCHAR(100),
+  is_primary      BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_contacts_email
+  ON company_contacts (company_id, LOWER(contact_email));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_company_contacts_primary
+  ON company_contacts (company_id)
+  WHERE is_primary;
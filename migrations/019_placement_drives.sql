@@ -0,0 +1,38 @@
+-- ============================================================================
+-- 019 - PLACEMENT DRIVES (Job Postings)
+-- ============================================================================
+-- A drive is one role a company recruits for (full-time, internship or PPO).
+-- Lifecycle: draft -> published -> closed -> completed (closed drives can be
+-- published again). Students only see published drives of their college.
+-- compensation: { currency, ctc, base_salary, variable_pay, joining_bonus,
+--   other_benefits, stipend_per_month, notes } - annual amounts except the
+--   monthly stipend.
+-- bond: { duration_months, penalty_amount, details } or NULL (no bond).
+-- Only draft drives can be deleted (hard delete - never visible to students).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drives (
+  drive_id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id            UUID NOT NULL REFERENCES colleges(college_id),
+  company_id            UUID NOT NULL REFERENCES companies(company_id),
+  role_title            VARCHAR(150) NOT NULL,
+  job_type              VARCHAR(20) NOT NULL,
+  description           TEXT,
+  compensation          JSONB NOT NULL DEFAULT '{}',
+  locations             TEXT[] NOT NULL DEFAULT '{}',
+  bond                  JSONB,
+  application_deadline  TIMESTAMPTZ,
+  drive_status          VARCHAR(20) NOT NULL DEFAULT 'draft',
+  published_at          TIMESTAMPTZ,
+  closed_at             TIMESTAMPTZ,
+  completed_at          TIMESTAMPTZ,
+  created_by            UUID,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_drives_college_status
+  ON drives (college_id, drive_status, application_deadline);
+
+CREATE INDEX IF NOT EXISTS idx_drives_company
+  ON drives (company_id);
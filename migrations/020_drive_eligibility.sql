@@ -0,0 +1,18 @@
+-- ============================================================================
+-- 020 - DRIVE ELIGIBILITY CRITERIA
+-- ============================================================================
+-- Declarative rules a student's academic record must meet for a drive.
+-- Every key is optional; {} makes every active student eligible:
+--   { "min_cgpa": 7.0, "max_active_backlogs": 0, "max_historic_backlogs": 2,
+--     "departments": ["CSE", "IT"], "years": [4], "graduation_years": [2027],
+--     "genders": ["female"], "min_tenth_percentage": 60,
+--     "min_twelfth_percentage": 60, "min_diploma_percentage": 60,
+--     "accept_diploma_for_twelfth": true, "require_verified": true }
+-- accept_diploma_for_twelfth: diploma students are held to the 12th minimum
+--   with their diploma percentage.
+-- require_verified: academic values used by a rule must be registrar
+--   verified (students.academic_verification).
+-- ============================================================================
+
+ALTER TABLE drives
+  ADD COLUMN IF NOT EXISTS eligibility_criteria JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- 021 - DRIVE APPLICATIONS & STAGE PIPELINE
+-- ============================================================================
+-- Students apply to published drives of their college (one application per
+-- drive). application_stages is the drive's ordered pipeline, always
+-- starting with 'applied'; after it come the outcomes every drive shares:
+-- selected / rejected (staff) and withdrawn (student). Outcomes are final.
+-- application_stage_history records every transition with the actor
+-- (user or student ID and role) - the first row is the application itself.
+-- ============================================================================
+
+ALTER TABLE drives
+  ADD COLUMN IF NOT EXISTS application_stages TEXT[] NOT NULL
+    DEFAULT ARRAY['applied', 'shortlisted', 'test', 'interview_1'];
+
+CREATE TABLE IF NOT EXISTS applications (
+  application_id        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id            UUID NOT NULL REFERENCES colleges(college_id),
+  drive_id              UUID NOT NULL REFERENCES drives(drive_id),
+  student_id            UUID NOT NULL REFERENCES students(student_id),
+  current_stage         VARCHAR(40) NOT NULL DEFAULT 'applied',
+  applied_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_applications_drive_student
+  ON applications (drive_id, student_id);
+
+CREATE INDEX IF NOT EXISTS idx_applications_drive_stage
+  ON applications (drive_id, current_stage);
+
+CREATE INDEX IF NOT EXISTS idx_applications_student
+  ON applications (student_id);
+
+CREATE TABLE IF NOT EXISTS application_stage_history (
+  history_id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id        UUID NOT NULL REFERENCES applications(application_id) ON DELETE CASCADE,
+  college_id            UUID NOT NULL REFERENCES colleges(college_id),
+  from_stage            VARCHAR(40),
+  to_stage              VARCHAR(40) NOT NULL,
+  changed_by            UUID,
+  changed_by_role       VARCHAR(50),
+  note                  TEXT,
+  changed_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_history_application
+  ON application_stage_history (application_id, changed_at);
@@ -0,0 +1,77 @@
+-- ============================================================================
+-- 022 - INTERVIEW & TEST SCHEDULING
+-- ============================================================================
+-- drive_rounds: one scheduled round per drive stage (e.g. aptitude_test,
+--   interview_1) with its mode and default venue / online link.
+-- round_slots: time slots of a round with a capacity, an optional panel and
+--   a venue / link overriding the round's.
+-- slot_allocations: a student's application placed in a slot - at most one
+--   scheduled slot per round. Cancelled rows are kept for reference.
+-- Clash detection: a student's scheduled slots never overlap, across every
+-- drive of the college (checked by the service).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS drive_rounds (
+  round_id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id            UUID NOT NULL REFERENCES colleges(college_id),
+  drive_id              UUID NOT NULL REFERENCES drives(drive_id),
+  stage                 VARCHAR(40) NOT NULL,
+  round_name            VARCHAR(100) NOT NULL,
+  round_type            VARCHAR(30) NOT NULL,
+  mode                  VARCHAR(20) NOT NULL,
+  venue                 VARCHAR(200),
+  meeting_link          TEXT,
+  instructions          TEXT,
+  created_by            UUID,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drive_rounds_drive_stage
+  ON drive_rounds (drive_id, stage);
+
+CREATE TABLE IF NOT EXISTS round_slots (
+  slot_id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  round_id              UUID NOT NULL REFERENCES drive_rounds(round_id) ON DELETE CASCADE,
+  college_id            UUID NOT NULL REFERENCES colleges(college_id),
+  starts_at             TIMESTAMPTZ NOT NULL,
+  ends_at               TIMESTAMPTZ NOT NULL,
+  capacity              INT NOT NULL,
+  panel_name            VARCHAR(100),
+  panel_members         TEXT[] NOT NULL DEFAULT '{}',
+  venue                 VARCHAR(200),
+  meeting_link          TEXT,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_round_slots_time CHECK (ends_at > starts_at),
+  CONSTRAINT chk_round_slots_capacity CHECK (capacity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_round_slots_round
+  ON round_slots (round_id, starts_at);
+
+CREATE TABLE IF NOT EXISTS slot_allocations (
+  allocation_id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id            UUID NOT NULL REFERENCES colleges(college_id),
+  round_id              UUID NOT NULL REFERENCES drive_rounds(round_id) ON DELETE CASCADE,
+  slot_id               UUID NOT NULL REFERENCES round_slots(slot_id) ON DELETE CASCADE,
+  application_id        UUID NOT NULL REFERENCES applications(application_id),
+  student_id            UUID NOT NULL REFERENCES students(student_id),
+  allocation_status     VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+  allocated_by          UUID,
+  allocated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  rescheduled_at        TIMESTAMPTZ,
+  cancelled_at          TIMESTAMPTZ,
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One scheduled slot per application and round
+CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_allocations_round_application
+  ON slot_allocations (round_id, application_id)
+  WHERE allocation_status = 'scheduled';
+
+CREATE INDEX IF NOT EXISTS idx_slot_allocations_slot
+  ON slot_allocations (slot_id, allocation_status);
+
+CREATE INDEX IF NOT EXISTS idx_slot_allocations_student
+  ON slot_allocations (student_id, allocation_status);
@@ -0,0 +1,11 @@
+-- ============================================================================
+-- 023 - JOB RETRY GUARD
+-- ============================================================================
+-- retryable is cleared by a handler before it commits its first change
+-- (e.g. a non-atomic students.bulk_register batch). A failed or stale job
+-- that is no longer retryable is failed instead of requeued, so committed
+-- work is never repeated with the same payload.
+-- ============================================================================
+
+ALTER TABLE jobs
+  ADD COLUMN IF NOT EXISTS retryable BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * MOCK OIDC ISSUER - Local OpenID Connect Provider for SSO Testing
+ * ============================================================================
+ * Minimal authorization-code provider (discovery, authorize, token, JWKS)
+ * so college SSO can be tried without Google Workspace / Azure AD.
+ * Not for production use - every authorization request is approved.
+ *
+ * Usage: npm run mock:oidc
+ *   MOCK_OIDC_PORT           (default 4010)
+ *   MOCK_OIDC_CLIENT_ID      (default pcrm-local)
+ *   MOCK_OIDC_CLIENT_SECRET  (default pcrm-local-secret)
+ *   MOCK_OIDC_EMAIL          signed-in user when no login_hint is sent
+ *   MOCK_OIDC_NAME           display name of that user
+ *
+ * Start the API with SSO_ALLOW_HTTP_ISSUERS=http://localhost:4010 (issuers
+ * must use HTTPS otherwise) and configure the college with that issuer and
+ * the client id / secret above (PUT /api/v1/sso/config). /authorize also accepts
+ * `email`, `name`, `department` and `year` query parameters to sign in
+ * as someone else.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+/**
+ * Create mock issuer app
+ *
+ * @param {Object} options - { issuer, clientId, clientSecret, email, name }
+ * @returns {Object} Express app
+ */
+function createMockIssuer(options) {
+  const app = express();
+  const codes = new Map();
+  const kid = crypto.randomBytes(8).toString('hex');
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: options.issuer,
+      authorization_endpoint: `${options.issuer}/authorize`,
+      token_endpoint: `${options.issuer}/token`,
+      jwks_uri: `${options.issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'email', 'profile']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+    });
+  });
+
+  // Auto-approves: redirects straight back with a code
+  app.get('/authorize', (req, res) => {
+    const { query } = req;
+
+    if (query.client_id !== options.clientId || query.response_type !== 'code' ||
+        !query.redirect_uri || !query.code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const email = query.email || query.login_hint || options.email;
+    const code = crypto.randomBytes(16).toString('base64url');
+
+    codes.set(code, {
+      redirect_uri: query.redirect_uri,
+      code_challenge: query.code_challenge,
+      nonce: query.nonce,
+      expires_at: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+        email,
+        email_verified: true,
+        name: query.name || options.name || email.split('@')[0],
+        ...(query.department && { department: query.department }),
+        ...(query.year && { year: query.year })
+      }
+    });
+
+    const redirect = new URL(query.redirect_uri);
+    redirect.searchParams.set('code', code);
+    if (query.state) {
+      redirect.searchParams.set('state', query.state);
+    }
+
+    return res.redirect(302, redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+
+    if (basic) {
+      const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':');
+      clientId = decodeURIComponent(id);
+      clientSecret = decodeURIComponent(secret);
+    }
+
+    if (clientId !== options.clientId || clientSecret !== options.clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256')
+      .update(String(req.body.code_verifier || ''))
+      .digest('base64url');
+
+    if (!grant || grant.expires_at < Date.now() ||
+        grant.redirect_uri !== req.body.redirect_uri ||
+        grant.code_challenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: options.issuer,
+        audience: options.clientId,
+        expiresIn: ID_TOKEN_TTL_SECONDS
+      }
+    );
+
+    return res.json({
+      access_token: crypto.randomBytes(16).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: ID_TOKEN_TTL_SECONDS,
+      id_token: idToken
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT || '4010', 10);
+  const issuer = `http://localhost:${port}`;
+
+  createMockIssuer({
+    issuer,
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'pcrm-local',
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || 'pcrm-local-secret',
+    email: process.env.MOCK_OIDC_EMAIL || 'teacher@example.edu',
+    name: process.env.MOCK_OIDC_NAME
+  }).listen(port, () => {
+    console.log(`Mock OIDC issuer running at ${issuer}`);
+  });
+}
+
+module.exports = { createMockIssuer };
@@ -298,6 +298,106 @@ module.exports = {
           401: { description: 'Unauthorized' }
         }
       }
+    },
+
+    '/api/sysadmins': {
+      post: {
+        tags: ['SystemAdmin'],
+        summary: 'Create a new sysadmin (SysAdmin only)',
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['admin_name', 'admin_email', 'admin_password'],
+                properties: {
+                  admin_name: { type: 'string', example: 'string' },
+                  admin_email: { type: 'string', format: 'email', example: 'string' },
+                  admin_password: { type: 'string', example: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: { description: 'Platform admin created successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden – SysAdmin only' },
+          409: { description: 'Email already exists' },
+          500: { description: 'Server error' }
+        }
+      },
+
+      get: {
+        tags: ['SystemAdmin'],
+        summary: 'List sysadmins (SysAdmin only)',
+        security: [{ BearerAuth: [] }],
+        responses: {
+          200: { description: 'Platform admins retrieved' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden – SysAdmin only' }
+        }
+      }
+    },
+
+    '/api/sysadmins/{adminId}': {
+      get: {
+        tags: ['SystemAdmin'],
+        summary: 'Get sysadmin by ID (SysAdmin only)',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'adminId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Platform admin retrieved' },
+          404: { description: 'Platform admin not found' }
+        }
+      },
+
+      put: {
+        tags: ['SystemAdmin'],
+        summary: 'Update sysadmin name, password or status (SysAdmin only)',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'adminId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  admin_name: { type: 'string', example: 'string' },
+                  admin_password: { type: 'string', example: 'string' },
+                  admin_status: { type: 'string', example: 'active' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Platform admin updated successfully' },
+          404: { description: 'Platform admin not found' },
+          409: { description: 'Cannot deactivate self or last active sysadmin' }
+        }
+      },
+
+      delete: {
+        tags: ['SystemAdmin'],
+        summary: 'Deactivate sysadmin (SysAdmin only)',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'adminId', in: 'path', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Platform admin deactivated successfully' },
+          404: { description: 'Platform admin not found' },
+          409: { description: 'Cannot deactivate self or last active sysadmin' }
+        }
+      }
     }
   }
 };
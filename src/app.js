@@ -3,7 +3,7 @@
  * APP.JS - Express Application Setup
  * ============================================================================
  * Single Database Architecture
- * - No multi-tenant resolver middleware
+ * - Tenant (college) resolved from subdomain on every API request
  * - Simple, straightforward middleware chain
  * - Only 2 rate limiters: authLimiter (login), apiLimiter (general)
  * ============================================================================
@@ -16,9 +16,12 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 
 
+const requestId = require('./middleware/requestId');
 const requestLogger = require('./middleware/requestLogger');
+const { resolveTenant } = require('./middleware/tenantMiddleware');
 const { apiLimiter } = require('./config/rateLimiter');
 const routes = require('./routes');
+const authController = require('./controllers/authController');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -36,6 +39,7 @@ app.use(express.urlencoded({ extended: true }));
 // LOGGING & RATE LIMITING
 // ============================================================================
 
+app.use(requestId);
 app.use(requestLogger);
 app.use(apiLimiter);
 
@@ -56,11 +60,17 @@ app.use(
   })
 );
 
+// ============================================================================
+// JWKS (token verification keys for integrations)
+// ============================================================================
+
+app.get('/.well-known/jwks.json', authController.getJwks);
+
 // ============================================================================
 // API ROUTES
 // ============================================================================
 
-app.use('/api', routes);
+app.use('/api', resolveTenant, routes);
 
 // ============================================================================
 // ERROR HANDLER (Must be last)
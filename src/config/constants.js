@@ -29,7 +29,197 @@ const AUTH = {
   EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   SUBDOMAIN_REGEX: /^[a-z0-9-]+$/,
   SUBDOMAIN_MIN_LENGTH: 2,
-  SUBDOMAIN_MAX_LENGTH: 50
+  SUBDOMAIN_MAX_LENGTH: 50,
+  OPAQUE_TOKEN_BYTES: 48,
+  PASSWORD_RESET_TTL_MINUTES: 30,
+  EMAIL_VERIFICATION_TTL_MINUTES: 24 * 60,
+  EMAIL_VERIFICATION_RESEND_SECONDS: 60, // minimum gap between verification emails
+  INVITATION_TTL_MINUTES: 72 * 60,
+  ACCOUNT_SETUP_TTL_MINUTES: 7 * 24 * 60, // setup links for imported accounts
+  LOCKOUT_THRESHOLD: 5, // consecutive failures before the first lock
+  LOCKOUT_BASE_MINUTES: 1, // doubles with every further failure
+  LOCKOUT_MAX_MINUTES: 60
+};
+
+const LOGIN_FAILURE_REASONS = {
+  UNKNOWN_ACCOUNT: 'unknown_account',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  ACCOUNT_INACTIVE: 'account_inactive',
+  COLLEGE_INACTIVE: 'college_inactive',
+  ACCOUNT_LOCKED: 'account_locked',
+  EMAIL_NOT_VERIFIED: 'email_not_verified',
+  SSO_ACCOUNT_NOT_FOUND: 'sso_account_not_found'
+};
+
+// ============================================================================
+// ACCOUNT TYPES & ONE-TIME TOKEN PURPOSES
+// ============================================================================
+const ACCOUNT_TYPES = {
+  USER: 'user',
+  STUDENT: 'student'
+};
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+// ============================================================================
+// SESSION CONSTANTS
+// ============================================================================
+const SESSION = {
+  REFRESH_TOKEN_SEPARATOR: '.',
+  REVOKE_REASONS: {
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+    SUBJECT_INACTIVE: 'subject_inactive',
+    PASSWORD_RESET: 'password_reset',
+    IMPERSONATION_ENDED: 'impersonation_ended'
+  }
+};
+
+// ============================================================================
+// JWT SIGNING KEYS (asymmetric, rotated, published as JWKS)
+// ============================================================================
+const JWT_KEYS = {
+  ALGORITHMS: ['RS256', 'ES256'],
+  DEFAULT_ALGORITHM: 'RS256',
+  RSA_MODULUS_LENGTH: 2048,
+  EC_CURVE: 'P-256',
+  KID_BYTES: 12,
+  DEFAULT_ROTATION_DAYS: 30,
+  // Scheduler: reload keys from the database and rotate when due
+  RELOAD_INTERVAL_MS: 5 * 60 * 1000,
+  // New key is published this long before it signs, so every instance
+  // (reloading every RELOAD_INTERVAL_MS) and JWKS consumers know it first
+  PUBLISH_AHEAD_MINUTES: 10,
+  // Replaced key keeps verifying at least this long (impersonation tokens
+  // live up to 60 minutes); raised to JWT_EXPIRES_IN when that is longer
+  VERIFY_GRACE_MINUTES: 60,
+  JWKS_MAX_AGE_SECONDS: 300,
+  ROTATION_LOCK_ID: 741852963
+};
+
+// ============================================================================
+// SINGLE SIGN-ON (OpenID Connect, authorization code flow + PKCE)
+// ============================================================================
+const SSO = {
+  SCOPES: ['openid', 'email', 'profile'],
+  // Claim names used when a college does not map its own
+  DEFAULT_CLAIMS: {
+    email: 'email',
+    name: 'name'
+  },
+  // Portal page the provider redirects to (posts code + state to the API)
+  CALLBACK_PATH: '/sso/callback',
+  STATE_TTL_MINUTES: 10,
+  // Discovery document and provider JWKS are cached per issuer
+  METADATA_CACHE_MS: 10 * 60 * 1000,
+  HTTP_TIMEOUT_MS: 5000,
+  CLOCK_TOLERANCE_SECONDS: 60,
+  ID_TOKEN_ALGORITHMS: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384']
+};
+
+// ============================================================================
+// AUDIT LOG (append-only audit_events)
+// ============================================================================
+const AUDIT = {
+  ENTITY_TYPES: {
+    COLLEGE: 'college',
+    USER: 'user',
+    STUDENT: 'student',
+    STUDENT_IMPORT: 'student_import',
+    COMPANY: 'company',
+    COMPANY_CONTACT: 'company_contact',
+    DRIVE: 'drive',
+    ROUND: 'drive_round',
+    SLOT: 'round_slot',
+    ALLOCATION: 'slot_allocation'
+  },
+  ACTIONS: {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    UPDATE_FEATURES: 'update_features',
+    VERIFY: 'verify',
+    IMPORT: 'import',
+    STATUS_CHANGE: 'status_change'
+  },
+  // Never copied into before/after diffs
+  REDACTED_FIELDS: ['user_password', 'student_password', 'admin_password', 'temporary_password'],
+  // Diff bookkeeping columns that change on every write
+  IGNORED_FIELDS: ['updated_at']
+};
+
+// ============================================================================
+// REQUEST ID (X-Request-Id, echoed on every response)
+// ============================================================================
+const REQUEST_ID = {
+  HEADER: 'X-Request-Id',
+  // Incoming ids that do not match are replaced with a generated UUID
+  PATTERN: /^[A-Za-z0-9._:-]{8,100}$/
+};
+
+// ============================================================================
+// BACKGROUND JOBS (jobs table, claimed with FOR UPDATE SKIP LOCKED)
+// ============================================================================
+const JOBS = {
+  STATUS: {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+  },
+  TYPES: {
+    STUDENTS_BULK_REGISTER: 'students.bulk_register'
+  },
+  POLL_INTERVAL_MS: 2000,
+  // Jobs one worker process runs at the same time
+  WORKER_CONCURRENCY: 2,
+  // Running jobs per college across all workers (others wait in the queue)
+  MAX_RUNNING_PER_COLLEGE: 1,
+  DEFAULT_MAX_ATTEMPTS: 3,
+  // Retry delay, doubled after every failed attempt
+  RETRY_BASE_SECONDS: 30,
+  HEARTBEAT_INTERVAL_MS: 10 * 1000,
+  // Running job without heartbeat for this long = its worker died
+  STALE_AFTER_MS: 2 * 60 * 1000,
+  CANCELLED_ERROR: 'Job cancelled',
+  // Job was requeued and claimed by another worker while this one ran it
+  LEASE_LOST_ERROR: 'Job lease lost'
+};
+
+// ============================================================================
+// USER INVITATIONS (derived from accepted_at / revoked_at / expires_at)
+// ============================================================================
+const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired'
+};
+
+// ============================================================================
+// IMPERSONATION (sysadmin acting as a college user)
+// ============================================================================
+const IMPERSONATION = {
+  DEFAULT_MINUTES: 15,
+  MAX_MINUTES: 60,
+  RESPONSE_HEADER: 'X-Impersonated-By',
+  // Requests with these methods are recorded in impersonation_actions
+  WRITE_METHODS: ['POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+// ============================================================================
+// COLLEGE FEATURES (colleges.enabled_features keys)
+// ============================================================================
+const FEATURES = {
+  CORE: 'core',
+  // Placement drives / job postings (/drives)
+  PLACEMENT_DRIVES: 'placement_drives'
 };
 
 // ============================================================================
@@ -51,6 +241,124 @@ const ROLE_HIERARCHY = {
 
 const VALID_ROLES = Object.values(ROLES);
 
+// ============================================================================
+// PERMISSIONS (fine-grained access control)
+// ============================================================================
+const PERMISSIONS = {
+  COLLEGES_CREATE: 'colleges.create',
+  COLLEGES_READ: 'colleges.read',
+  COLLEGES_UPDATE: 'colleges.update',
+  USERS_CREATE: 'users.create',
+  USERS_READ: 'users.read',
+  USERS_UPDATE: 'users.update',
+  USERS_DELETE: 'users.delete',
+  STUDENTS_CREATE: 'students.create',
+  STUDENTS_READ: 'students.read',
+  STUDENTS_UPDATE: 'students.update',
+  STUDENTS_VERIFY: 'students.verify',
+  ROLES_MANAGE: 'roles.manage',
+  API_KEYS_MANAGE: 'api_keys.manage',
+  SSO_MANAGE: 'sso.manage',
+  AUDIT_READ: 'audit.read',
+  JOBS_MANAGE: 'jobs.manage',
+  COMPANIES_CREATE: 'companies.create',
+  COMPANIES_READ: 'companies.read',
+  COMPANIES_UPDATE: 'companies.update',
+  COMPANIES_DELETE: 'companies.delete',
+  DRIVES_CREATE: 'drives.create',
+  DRIVES_READ: 'drives.read',
+  DRIVES_UPDATE: 'drives.update',
+  DRIVES_DELETE: 'drives.delete',
+  DRIVES_PUBLISH: 'drives.publish',
+  APPLICATIONS_READ: 'applications.read',
+  APPLICATIONS_UPDATE: 'applications.update',
+  SCHEDULES_READ: 'schedules.read',
+  SCHEDULES_MANAGE: 'schedules.manage'
+};
+
+// Platform-wide permissions - held by sysadmins only, never by college roles
+const PLATFORM_PERMISSIONS = [
+  PERMISSIONS.COLLEGES_CREATE,
+  PERMISSIONS.COLLEGES_READ,
+  PERMISSIONS.COLLEGES_UPDATE
+];
+
+// Sysadmin permissions - platform-wide only; audit.read spans all colleges
+// (college-scoped work is done by impersonating a college user)
+const SYSADMIN_PERMISSIONS = [
+  ...PLATFORM_PERMISSIONS,
+  PERMISSIONS.AUDIT_READ
+];
+
+// Permissions a college can map to its roles
+const COLLEGE_PERMISSIONS = Object.values(PERMISSIONS)
+  .filter((permission) => !PLATFORM_PERMISSIONS.includes(permission));
+
+// Built-in role defaults (a college may override teacher, admin is fixed)
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: COLLEGE_PERMISSIONS,
+  [ROLES.TEACHER]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.STUDENTS_READ,
+    PERMISSIONS.STUDENTS_UPDATE,
+    PERMISSIONS.DRIVES_READ,
+    PERMISSIONS.DRIVES_CREATE,
+    PERMISSIONS.DRIVES_UPDATE,
+    PERMISSIONS.APPLICATIONS_READ,
+    PERMISSIONS.APPLICATIONS_UPDATE,
+    PERMISSIONS.SCHEDULES_READ,
+    PERMISSIONS.SCHEDULES_MANAGE
+  ],
+  [ROLES.STUDENT]: []
+};
+
+const RBAC = {
+  // Built-in values accepted in users.user_role
+  BUILT_IN_USER_ROLES: [ROLES.ADMIN, ROLES.TEACHER, ROLES.STUDENT, 'other'],
+  // Built-in roles whose permissions a college may override
+  CONFIGURABLE_BUILT_IN_ROLES: [ROLES.TEACHER],
+  ROLE_KEY_REGEX: /^[a-z][a-z0-9_]{2,49}$/,
+  MIN_CUSTOM_LEVEL: ROLE_HIERARCHY[ROLES.STUDENT] + 1,
+  MAX_CUSTOM_LEVEL: ROLE_HIERARCHY[ROLES.ADMIN] - 1,
+  DEFAULT_CUSTOM_LEVEL: ROLE_HIERARCHY[ROLES.TEACHER],
+  CACHE_TTL_MS: 60 * 1000
+};
+
+// ============================================================================
+// API KEYS (machine-to-machine integrations, `X-API-Key` header)
+// ============================================================================
+const API_KEYS = {
+  HEADER: 'x-api-key',
+  PREFIX: 'pcrm_',
+  // Shown in listings to identify a key (PREFIX + first characters)
+  DISPLAY_PREFIX_LENGTH: 12,
+  // req.user.role / user_role of requests authenticated by API key
+  ROLE: 'api_key',
+  // Scope -> permissions it grants (see requirePermission)
+  SCOPES: {
+    'users:read': [PERMISSIONS.USERS_READ],
+    'students:read': [PERMISSIONS.STUDENTS_READ],
+    'students:write': [PERMISSIONS.STUDENTS_CREATE, PERMISSIONS.STUDENTS_UPDATE]
+  },
+  MAX_PER_COLLEGE: 20,
+  MAX_ALLOWED_IPS: 20
+};
+
+// ============================================================================
+// MULTI-FACTOR AUTHENTICATION (TOTP)
+// ============================================================================
+const MFA = {
+  TOTP_ISSUER: 'Placement CRM',
+  TOTP_SECRET_BYTES: 20,
+  TOTP_DIGITS: 6,
+  TOTP_PERIOD_SECONDS: 30,
+  TOTP_WINDOW: 1,
+  RECOVERY_CODE_COUNT: 10,
+  RECOVERY_CODE_BYTES: 5,
+  PENDING_TOKEN_PURPOSE: 'mfa_pending',
+  ELIGIBLE_ROLES: [ROLES.ADMIN, ROLES.TEACHER]
+};
+
 // ============================================================================
 // STATUS CONSTANTS
 // ============================================================================
@@ -59,19 +367,295 @@ const STATUS = {
   INACTIVE: 'inactive'
 };
 
+// Self-registered students stay pending until their email is verified
+const STUDENT_STATUS = {
+  ...STATUS,
+  PENDING_VERIFICATION: 'pending_verification'
+};
+
+// Student directory (GET /students) sorting and search
+const STUDENT_DIRECTORY = {
+  SORT_FIELDS: [
+    'student_name',
+    'student_email',
+    'student_department',
+    'student_year',
+    'student_status',
+    'created_at'
+  ],
+  DEFAULT_SORT_BY: 'created_at',
+  DEFAULT_SORT_ORDER: 'desc',
+  SEARCH_MAX_LENGTH: 100
+};
+
+// Bulk registration (POST /students/bulk, confirmed roster imports)
+const BULK_REGISTRATION = {
+  MAX_STUDENTS: 5000,
+  // Rows per multi-row INSERT
+  INSERT_BATCH_SIZE: 500,
+  // Parallel bcrypt hashes - the libuv thread pool has 4 threads by default
+  HASH_CONCURRENCY: 4,
+  ROW_STATUS: {
+    CREATED: 'created',
+    FAILED: 'failed',
+    // Valid row rolled back because another row failed (atomic mode) or
+    // never reached because the run stopped early (e.g. job cancelled)
+    NOT_CREATED: 'not_created'
+  }
+};
+
+// Roster import (POST /students/import) - CSV / XLSX, dry run then confirm
+const STUDENT_IMPORT = {
+  FILE_FIELD: 'file',
+  MAX_FILE_BYTES: 5 * 1024 * 1024,
+  MAX_ROWS: BULK_REGISTRATION.MAX_STUDENTS,
+  FORMATS: {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx'
+  },
+  // Student fields a column can be mapped to (bulkRegisterStudentsSchema rules)
+  FIELDS: ['student_name', 'student_email', 'student_department', 'student_year'],
+  PASSWORD_MODES: {
+    // Random initial password, returned once in the confirm response
+    RANDOM: 'random',
+    // Emailed link to choose a password (AUTH.ACCOUNT_SETUP_TTL_MINUTES)
+    INVITE: 'invite'
+  },
+  STATUS: {
+    PENDING: 'pending',
+    COMMITTED: 'committed'
+  },
+  // Time to confirm a dry run before it must be uploaded again
+  TTL_MINUTES: 60,
+  GENERATED_PASSWORD_LENGTH: 14,
+  // Row errors returned per dry run (the counts cover every row)
+  MAX_REPORTED_ERRORS: 500
+};
+
+// Academic record (placement eligibility); students may self-report these
+const ACADEMIC_FIELDS = [
+  'gender',
+  'date_of_birth',
+  'graduation_year',
+  'cgpa',
+  'tenth_percentage',
+  'twelfth_percentage',
+  'diploma_percentage',
+  'active_backlogs',
+  'historic_backlogs'
+];
+
+// Student profile (GET/PATCH /students/me, PUT /students/:studentId/profile)
+const STUDENT_PROFILE = {
+  // Only these columns can be changed by the student themselves
+  SELF_EDITABLE_FIELDS: [
+    'student_phone',
+    'linkedin_url',
+    'github_url',
+    'skills',
+    'preferred_locations',
+    ...ACADEMIC_FIELDS
+  ],
+  // Columns the college can change (students.update)
+  ADMIN_EDITABLE_FIELDS: [
+    'student_name',
+    'student_department',
+    'student_year',
+    'student_status',
+    'roll_number',
+    ...ACADEMIC_FIELDS
+  ],
+  ACADEMIC_FIELDS,
+  // Fields the registrar can mark as verified (students.verify)
+  VERIFIABLE_FIELDS: ['roll_number', ...ACADEMIC_FIELDS.filter((field) => field !== 'gender')],
+  GENDERS: ['male', 'female', 'other', 'undisclosed'],
+  CGPA_MAX: 10,
+  MIN_GRADUATION_YEAR: 2000,
+  // Graduation years accepted up to this many years ahead
+  GRADUATION_YEAR_LOOKAHEAD: 6,
+  ROLL_NUMBER_MAX_LENGTH: 50,
+  PHONE_REGEX: /^\+?[0-9][0-9 -]{6,18}[0-9]$/,
+  LINKEDIN_HOSTS: ['linkedin.com', 'www.linkedin.com'],
+  GITHUB_HOSTS: ['github.com', 'www.github.com'],
+  MAX_SKILLS: 50,
+  MAX_PREFERRED_LOCATIONS: 10,
+  LIST_ITEM_MAX_LENGTH: 50
+};
+
+// ============================================================================
+// COMPANIES (recruiting companies and their recruiter contacts)
+// ============================================================================
+const COMPANIES = {
+  // Columns the college can set on a company (companies.create / update)
+  EDITABLE_FIELDS: [
+    'company_name',
+    'company_domain',
+    'industry',
+    'website',
+    'hq_location',
+    'company_tier',
+    'notes',
+    'company_status'
+  ],
+  CONTACT_FIELDS: ['contact_name', 'contact_email', 'contact_phone', 'designation', 'is_primary'],
+  TIERS: ['super_dream', 'dream', 'regular'],
+  SORT_FIELDS: ['company_name', 'industry', 'company_tier', 'created_at', 'updated_at'],
+  DEFAULT_SORT_BY: 'company_name',
+  DEFAULT_SORT_ORDER: 'asc',
+  SEARCH_MAX_LENGTH: 100,
+  NOTES_MAX_LENGTH: 2000,
+  MAX_CONTACTS: 20,
+  // Bare host name, no scheme or path (e.g. "infosys.com")
+  DOMAIN_REGEX: /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/
+};
+
+// ============================================================================
+// PLACEMENT DRIVES (job postings of a company, feature "placement_drives")
+// ============================================================================
+const DRIVES = {
+  STATUS: {
+    DRAFT: 'draft',
+    PUBLISHED: 'published',
+    CLOSED: 'closed',
+    COMPLETED: 'completed'
+  },
+  // Allowed moves of POST /drives/:driveId/status (closed -> published reopens)
+  TRANSITIONS: {
+    draft: ['published'],
+    published: ['closed'],
+    closed: ['published', 'completed'],
+    completed: []
+  },
+  // Statuses in which the posting itself can still be edited
+  EDITABLE_STATUSES: ['draft', 'published'],
+  JOB_TYPES: {
+    FULL_TIME: 'full_time',
+    INTERNSHIP: 'internship',
+    PPO: 'ppo'
+  },
+  // Columns set through POST / PUT /drives (company_id and job_type only while draft)
+  EDITABLE_FIELDS: [
+    'company_id',
+    'role_title',
+    'job_type',
+    'description',
+    'compensation',
+    'locations',
+    'bond',
+    'application_deadline',
+    'eligibility_criteria',
+    'application_stages'
+  ],
+  DRAFT_ONLY_FIELDS: ['company_id', 'job_type'],
+  SORT_FIELDS: ['application_deadline', 'role_title', 'published_at', 'created_at'],
+  DEFAULT_SORT_BY: 'created_at',
+  DEFAULT_SORT_ORDER: 'desc',
+  SEARCH_MAX_LENGTH: 100,
+  ROLE_TITLE_MAX_LENGTH: 150,
+  DESCRIPTION_MAX_LENGTH: 10000,
+  MAX_LOCATIONS: 20,
+  DEFAULT_CURRENCY: 'INR',
+  MAX_BOND_MONTHS: 120
+};
+
+// Drive eligibility criteria (drives.eligibility_criteria)
+// Every rule is optional - {} makes every active student eligible
+const ELIGIBILITY = {
+  RULES: [
+    'min_cgpa',
+    'max_active_backlogs',
+    'max_historic_backlogs',
+    'departments',
+    'years',
+    'graduation_years',
+    'genders',
+    'min_tenth_percentage',
+    'min_twelfth_percentage',
+    'min_diploma_percentage',
+    'accept_diploma_for_twelfth',
+    'require_verified'
+  ],
+  RESULTS: {
+    ELIGIBLE: 'eligible',
+    INELIGIBLE: 'ineligible'
+  },
+  // Student columns the rules are evaluated against
+  STUDENT_FIELDS: [
+    'student_department',
+    'student_year',
+    'gender',
+    'graduation_year',
+    'cgpa',
+    'tenth_percentage',
+    'twelfth_percentage',
+    'diploma_percentage',
+    'active_backlogs',
+    'historic_backlogs',
+    'academic_verification'
+  ],
+  MAX_DEPARTMENTS: 50
+};
+
+// Drive applications - each drive has its own ordered stage list
+// (drives.application_stages) followed by outcomes shared by every drive
+const APPLICATIONS = {
+  FIRST_STAGE: 'applied',
+  DEFAULT_STAGES: ['applied', 'shortlisted', 'test', 'interview_1'],
+  // Final - an application in one of these never moves again
+  OUTCOMES: {
+    SELECTED: 'selected',
+    REJECTED: 'rejected',
+    WITHDRAWN: 'withdrawn'
+  },
+  // Drive statuses in which staff can move applications
+  ACTIVE_DRIVE_STATUSES: ['published', 'closed'],
+  STAGE_REGEX: /^[a-z][a-z0-9_]{1,39}$/,
+  MAX_STAGES: 15,
+  NOTE_MAX_LENGTH: 500,
+  BULK_MAX: 500,
+  SEARCH_MAX_LENGTH: 100
+};
+
+// Interview / test scheduling - one round per drive stage, time slots with
+// capacity, students allocated to one slot per round
+const SCHEDULING = {
+  ROUND_TYPES: ['test', 'group_discussion', 'interview', 'other'],
+  MODES: {
+    IN_PERSON: 'in_person',
+    ONLINE: 'online'
+  },
+  ALLOCATION_STATUS: {
+    SCHEDULED: 'scheduled',
+    CANCELLED: 'cancelled'
+  },
+  // Columns set through POST / PUT /schedules/rounds (stage is fixed)
+  ROUND_FIELDS: ['round_name', 'round_type', 'mode', 'venue', 'meeting_link', 'instructions'],
+  // Columns set through POST /schedules/rounds/:roundId/slots and PUT /schedules/slots/:slotId
+  SLOT_FIELDS: ['starts_at', 'ends_at', 'capacity', 'panel_name', 'panel_members', 'venue', 'meeting_link'],
+  MAX_SLOTS_PER_REQUEST: 200,
+  MAX_SLOT_CAPACITY: 500,
+  MAX_SLOT_MINUTES: 720,
+  MAX_PANEL_MEMBERS: 10,
+  ROUND_NAME_MAX_LENGTH: 100,
+  VENUE_MAX_LENGTH: 200,
+  INSTRUCTIONS_MAX_LENGTH: 2000
+};
+
 // ============================================================================
 // HTTP STATUS CODES
 // ============================================================================
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
   TOO_MANY_REQUESTS: 429,
-  INTERNAL_SERVER_ERROR: 500
+  INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502
 };
 
 // ============================================================================
@@ -83,6 +667,30 @@ const ERROR_MESSAGES = {
   INVALID_AUTH_HEADER: 'Invalid Authorization header format',
   INVALID_TOKEN: 'Invalid or expired token',
   INVALID_CREDENTIALS: 'Invalid email or password',
+  INVALID_REFRESH_TOKEN: 'Invalid or expired refresh token',
+  SESSION_REVOKED: 'Session has been revoked or has expired',
+  INVALID_RESET_TOKEN: 'Invalid or expired password reset token',
+  INVALID_VERIFICATION_TOKEN: 'Invalid or expired email verification link',
+  EMAIL_NOT_VERIFIED: 'Email address not verified - use the link sent to your inbox or request a new one',
+  EMAIL_DOMAIN_NOT_ALLOWED: 'Email domain is not allowed for this college',
+  INVALID_INVITATION_TOKEN: 'Invalid or expired invitation',
+  INVALID_API_KEY: 'Invalid, expired or revoked API key',
+  API_KEY_IP_NOT_ALLOWED: 'API key is not allowed from this IP address',
+  INVALID_MFA_TOKEN: 'Invalid or expired MFA login token',
+  SSO_NOT_CONFIGURED: 'Single sign-on is not enabled for this college',
+  INVALID_SSO_STATE: 'Invalid or expired single sign-on request - start again',
+  SSO_LOGIN_FAILED: 'Single sign-on failed - the identity provider response was rejected',
+  SSO_ACCOUNT_NOT_FOUND: 'No account in this college matches your single sign-on identity',
+  SSO_PROVIDER_UNAVAILABLE: 'Identity provider could not be reached or returned invalid metadata',
+  ACCOUNT_LOCKED: 'Account temporarily locked after repeated failed logins - try again later',
+  TENANT_MISMATCH: 'Token is not valid for this college',
+  COLLEGE_MISMATCH: 'college_id does not match the college subdomain',
+  INVALID_MFA_CODE: 'Invalid verification code',
+  MFA_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+  MFA_NOT_ENABLED: 'Two-factor authentication is not enabled',
+  MFA_ENROLLMENT_NOT_STARTED: 'Start two-factor enrollment before verifying a code',
+  MFA_REQUIRED_BY_COLLEGE: 'Two-factor authentication is required for admins of this college',
+  MFA_NOT_AVAILABLE: 'Two-factor authentication is only available for college admins and teachers',
   UNAUTHORIZED: 'Unauthorized access',
   FORBIDDEN: 'Forbidden - insufficient permissions',
 
@@ -97,13 +705,58 @@ const ERROR_MESSAGES = {
   // Resource conflicts
   EMAIL_ALREADY_EXISTS: 'Email already exists in system',
   SUBDOMAIN_ALREADY_EXISTS: 'College subdomain already exists',
+  ROLL_NUMBER_ALREADY_EXISTS: 'Roll number already exists in this college',
   COLLEGE_NOT_FOUND: 'College not found',
   USER_NOT_FOUND: 'User not found',
   STUDENT_NOT_FOUND: 'Student not found',
+  JOB_NOT_FOUND: 'Job not found',
+  STUDENT_IMPORT_NOT_FOUND: 'Import not found or expired - upload the file again',
+  PLATFORM_ADMIN_NOT_FOUND: 'Platform admin not found',
+  LOCKOUT_NOT_FOUND: 'Account is not locked',
+  ROLE_NOT_FOUND: 'Role not found',
+  IMPERSONATION_NOT_FOUND: 'Active impersonation session not found',
+  API_KEY_NOT_FOUND: 'API key not found',
+  AUDIT_EVENT_NOT_FOUND: 'Audit event not found',
+  COMPANY_NOT_FOUND: 'Company not found',
+  COMPANY_CONTACT_NOT_FOUND: 'Company contact not found',
+  DRIVE_NOT_FOUND: 'Drive not found',
+  APPLICATION_NOT_FOUND: 'Application not found',
+  ROUND_NOT_FOUND: 'Round not found',
+  SLOT_NOT_FOUND: 'Slot not found',
+  ALLOCATION_NOT_FOUND: 'Allocation not found',
+  INVITATION_NOT_FOUND: 'Invitation not found',
+  INVITATION_ALREADY_PENDING: 'An invitation for this email is already pending',
+  INVITATION_NOT_PENDING: 'Invitation has already been accepted or revoked',
 
   // Permissions
   ONLY_SYSADMIN: 'Only system administrator can perform this action',
   ONLY_ADMIN: 'Only college admin can perform this action',
+  CANNOT_DEACTIVATE_SELF: 'Cannot deactivate your own account',
+  LAST_PLATFORM_ADMIN: 'Cannot deactivate the last active platform admin',
+  ROLE_NOT_EDITABLE: 'This role cannot be modified',
+  ROLE_IN_USE: 'Role is assigned to users - reassign them first',
+  ROLE_ESCALATION: 'Cannot grant a role or permission above your own',
+  API_KEY_SCOPE_ESCALATION: 'Cannot grant an API key scope you do not hold',
+  CANNOT_VERIFY_EMPTY_FIELD: 'Cannot verify a field that has no value',
+  BULK_REGISTRATION_ROLLED_BACK: 'No students registered - some rows failed (atomic)',
+  JOB_ALREADY_FINISHED: 'Job has already finished',
+  COMPANY_INACTIVE: 'Company is inactive - reactivate it before changing its contacts',
+  COMPANY_CONTACT_LIMIT_REACHED: 'Contact limit reached for this company - remove unused contacts first',
+  FEATURE_NOT_ENABLED: 'This feature is not enabled for your college',
+  DRIVE_NOT_EDITABLE: 'Drive is closed or completed and can no longer be edited',
+  DRIVE_NOT_DELETABLE: 'Only draft drives can be deleted - close the drive instead',
+  APPLICATIONS_CLOSED: 'Applications are closed for this drive',
+  ALREADY_APPLIED: 'You have already applied to this drive',
+  BULK_STAGE_MOVE_ROLLED_BACK: 'No applications moved - some applications could not move (atomic)',
+  IMPORT_FILE_REQUIRED: 'Upload a .csv or .xlsx file in the "file" field',
+  IMPORT_FILE_TYPE: 'Only .csv and .xlsx files can be imported',
+  IMPORT_FILE_TOO_LARGE: 'Import file is too large',
+  IMPORT_HAS_INVALID_ROWS: 'Import has invalid rows - fix the file or confirm with skip_invalid',
+  IMPORT_ALREADY_COMMITTED: 'Import has already been confirmed',
+  IMPORT_HAS_NO_VALID_ROWS: 'Import has no valid rows to create',
+  API_KEY_LIMIT_REACHED: 'API key limit reached for this college - revoke unused keys first',
+  INVALID_ROLE_KEY: 'Role key must be 3-50 lowercase letters, digits or underscores',
+  NOT_ALLOWED_WHILE_IMPERSONATING: 'This action is not allowed while impersonating',
 
   // Database
   DATABASE_ERROR: 'Database operation failed',
@@ -120,11 +773,68 @@ const ERROR_MESSAGES = {
 const SUCCESS_MESSAGES = {
   LOGIN_SUCCESSFUL: 'Login successful',
   LOGOUT_SUCCESSFUL: 'Logout successful',
+  LOGOUT_ALL_SUCCESSFUL: 'Logged out from all sessions',
+  TOKEN_REFRESHED: 'Token refreshed successfully',
+  PASSWORD_RESET_REQUESTED: 'If the account exists, a password reset link has been sent',
+  VERIFICATION_EMAIL_SENT: 'If the account is awaiting verification, a new link has been sent',
+  EMAIL_VERIFIED: 'Email verified - you can now log in',
+  PASSWORD_RESET_SUCCESSFUL: 'Password reset successfully',
+  MFA_REQUIRED: 'Two-factor verification required',
+  MFA_ENROLLMENT_STARTED: 'Scan the QR code with your authenticator app, then verify a code',
+  MFA_ENABLED: 'Two-factor authentication enabled',
+  MFA_DISABLED: 'Two-factor authentication disabled',
+  MFA_RECOVERY_CODES_REGENERATED: 'Recovery codes regenerated',
+  ACCOUNT_UNLOCKED: 'Account unlocked successfully',
+  ROLE_SAVED: 'Role saved successfully',
+  ROLE_DELETED: 'Role deleted successfully',
+  API_KEY_CREATED: 'API key created - copy it now, it will not be shown again',
+  API_KEY_REVOKED: 'API key revoked successfully',
+  SSO_CONFIG_SAVED: 'Single sign-on configuration saved',
+  SSO_CONFIG_REMOVED: 'Single sign-on disabled',
+  IMPERSONATION_STARTED: 'Impersonation session started',
+  IMPERSONATION_ENDED: 'Impersonation session ended',
   USER_CREATED: 'User created successfully',
+  INVITATION_SENT: 'Invitation sent successfully',
+  INVITATION_RESENT: 'Invitation resent successfully',
+  INVITATION_REVOKED: 'Invitation revoked successfully',
+  INVITATION_ACCEPTED: 'Invitation accepted - you can now log in',
   USER_UPDATED: 'User updated successfully',
   STUDENT_REGISTERED: 'Student registered successfully',
+  STUDENT_REGISTERED_PENDING: 'Registration received - check your email to verify your account',
+  STUDENT_PROFILE_UPDATED: 'Profile updated successfully',
+  ACADEMIC_VERIFICATION_UPDATED: 'Academic verification updated',
+  JOB_QUEUED: 'Job queued - poll the job for progress and results',
+  JOB_CANCELLED: 'Job cancelled',
+  JOB_CANCEL_REQUESTED: 'Cancellation requested - the job stops at its next checkpoint',
+  STUDENT_IMPORT_VALIDATED: 'Import file validated - confirm to create the students',
+  STUDENT_IMPORT_COMMITTED: 'Import completed',
+  COMPANY_CREATED: 'Company created successfully',
+  COMPANY_UPDATED: 'Company updated successfully',
+  COMPANY_DELETED: 'Company deactivated successfully',
+  COMPANY_CONTACT_ADDED: 'Contact added successfully',
+  COMPANY_CONTACT_UPDATED: 'Contact updated successfully',
+  COMPANY_CONTACT_REMOVED: 'Contact removed successfully',
+  DRIVE_CREATED: 'Drive created as draft',
+  DRIVE_UPDATED: 'Drive updated successfully',
+  DRIVE_DELETED: 'Drive deleted successfully',
+  DRIVE_STATUS_UPDATED: 'Drive status updated',
+  APPLICATION_SUBMITTED: 'Application submitted successfully',
+  APPLICATION_WITHDRAWN: 'Application withdrawn',
+  APPLICATION_STAGE_UPDATED: 'Application stage updated',
+  ROUND_CREATED: 'Round created successfully',
+  ROUND_UPDATED: 'Round updated successfully',
+  ROUND_DELETED: 'Round deleted successfully',
+  SLOTS_CREATED: 'Slots created successfully',
+  SLOT_UPDATED: 'Slot updated successfully',
+  SLOT_DELETED: 'Slot deleted successfully',
+  STUDENT_SCHEDULED: 'Student scheduled successfully',
+  ALLOCATION_RESCHEDULED: 'Student rescheduled successfully',
+  ALLOCATION_CANCELLED: 'Allocation cancelled',
   COLLEGE_CREATED: 'College created successfully',
-  COLLEGE_UPDATED: 'College updated successfully'
+  COLLEGE_UPDATED: 'College updated successfully',
+  PLATFORM_ADMIN_CREATED: 'Platform admin created successfully',
+  PLATFORM_ADMIN_UPDATED: 'Platform admin updated successfully',
+  PLATFORM_ADMIN_DELETED: 'Platform admin deactivated successfully'
 };
 
 // ============================================================================
@@ -135,7 +845,8 @@ const LOG = {
   API_END_PREFIX: '[API_END]',
   API_ERROR_PREFIX: '[API_ERROR]',
   TRANSACTION_PREFIX: '[TRANSACTION]',
-  SECURITY_PREFIX: '[SECURITY]'
+  SECURITY_PREFIX: '[SECURITY]',
+  MAIL_PREFIX: '[MAIL]'
 };
 
 const LOG_LEVELS = {
@@ -155,7 +866,9 @@ const VALIDATION = {
   NAME_MAX_LENGTH: 100,
   EMAIL_MAX_LENGTH: 255,
   PASSWORD_MIN_LENGTH: 8,
-  PASSWORD_MAX_LENGTH: 128
+  PASSWORD_MAX_LENGTH: 128,
+  MAX_EMAIL_DOMAINS: 20,
+  URL_MAX_LENGTH: 500
 };
 
 // ============================================================================
@@ -177,6 +890,27 @@ const APP = {
   DEFAULT_HOST_DOMAIN: 'pcrm.in'
 };
 
+// ============================================================================
+// TENANT RESOLUTION (college subdomain)
+// ============================================================================
+const TENANT = {
+  SUBDOMAIN_HEADER: 'x-college-subdomain',
+  RESERVED_SUBDOMAINS: ['www', 'api'],
+  CACHE_TTL_MS: 60 * 1000,
+  // Cached colleges per process (oldest dropped first)
+  CACHE_MAX_ENTRIES: 1000
+};
+
+// ============================================================================
+// MAIL CONFIGURATION
+// ============================================================================
+const MAIL = {
+  TRANSPORTS: {
+    CONSOLE: 'console',
+    FILE: 'file'
+  }
+};
+
 // ============================================================================
 // RATE LIMITING CONFIGURATION
 // ============================================================================
@@ -196,10 +930,40 @@ const RATE_LIMIT = {
 module.exports = {
   DB,
   AUTH,
+  LOGIN_FAILURE_REASONS,
+  SESSION,
+  JWT_KEYS,
+  IMPERSONATION,
+  INVITATION_STATUS,
+  MFA,
+  ACCOUNT_TYPES,
+  TOKEN_PURPOSES,
   ROLES,
   ROLE_HIERARCHY,
   VALID_ROLES,
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  SYSADMIN_PERMISSIONS,
+  COLLEGE_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  RBAC,
+  API_KEYS,
+  SSO,
+  AUDIT,
+  REQUEST_ID,
   STATUS,
+  STUDENT_STATUS,
+  STUDENT_DIRECTORY,
+  STUDENT_PROFILE,
+  BULK_REGISTRATION,
+  STUDENT_IMPORT,
+  COMPANIES,
+  DRIVES,
+  ELIGIBILITY,
+  APPLICATIONS,
+  SCHEDULING,
+  FEATURES,
+  JOBS,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -208,5 +972,7 @@ module.exports = {
   VALIDATION,
   DB_ERROR_CODES,
   APP,
+  TENANT,
+  MAIL,
   RATE_LIMIT
 };
\ No newline at end of file
@@ -12,11 +12,18 @@
  * ============================================================================
  */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const config = require('./env');
 const logger = require('./logger');
 const { DB, LOG } = require('./constants');
 
+// Every NUMERIC value (CGPA, percentages - NUMERIC(5, 2) at most, so no
+// precision is lost) as a number; services and utils/eligibilityHelper read
+// them directly. DATE columns (date of birth) as 'YYYY-MM-DD' strings
+// instead of server-timezone Date objects
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
 // ============================================================================
 // MAIN CONNECTION POOL (All Colleges & Data)
 // ============================================================================
@@ -19,14 +19,74 @@ dotenv.config({
     : path.resolve(process.cwd(), '.env')
 });
 
+const DURATION_UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parse a token lifetime such as '15m', '12h' or '900' (seconds)
+ * Rejected at startup so a typo cannot issue tokens with a wrong lifetime
+ *
+ * @param {string} name - Environment variable name (for the error)
+ * @param {string} value - Raw value
+ * @returns {number} Lifetime in seconds
+ * @throws {Error} If the value is not a positive duration
+ */
+function parseDurationSeconds(name, value) {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  const seconds = match
+    ? parseInt(match[1], 10) * DURATION_UNIT_SECONDS[match[2] || 's']
+    : 0;
+
+  if (!seconds) {
+    throw new Error(`${name} must be a positive duration like 15m, 12h or 900 (seconds), got "${value}"`);
+  }
+
+  return seconds;
+}
+
+/**
+ * Parse plain-http SSO issuers allowed for local testing (mock OIDC issuer)
+ * Rejected in production, where every issuer must use HTTPS
+ *
+ * @param {string} value - Comma-separated issuer URLs
+ * @returns {Array<string>} Issuer URLs
+ * @throws {Error} If set while NODE_ENV=production
+ */
+function parseHttpIssuers(value) {
+  const issuers = String(value || '')
+    .split(',')
+    .map((issuer) => issuer.trim())
+    .filter(Boolean);
+
+  if (issuers.length && process.env.NODE_ENV === 'production') {
+    throw new Error('SSO_ALLOW_HTTP_ISSUERS must not be set in production');
+  }
+
+  return issuers;
+}
+
 module.exports = {
   port: process.env.PORT || 4000,
   nodeEnv: process.env.NODE_ENV || 'development',
   sysadminEmail: process.env.SYSADMIN_EMAIL,
   sysadminPassword: process.env.SYSADMIN_PASSWORD,
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  // Access token lifetime in seconds; signing key verify grace is derived from it
+  jwtExpiresIn: parseDurationSeconds('JWT_EXPIRES_IN', process.env.JWT_EXPIRES_IN || '15m'),
+  jwtAlgorithm: process.env.JWT_ALGORITHM || 'RS256',
+  jwtKeyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30', 10),
+  mfaTokenExpiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '5m',
+  secretsEncryptionKey: process.env.SECRETS_ENCRYPTION_KEY,
+  refreshTokenExpiresDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10),
   databaseUrl: process.env.DATABASE_URL,
+  appBaseUrl: process.env.APP_BASE_URL,
+  tenantHostDomain: process.env.TENANT_HOST_DOMAIN,
+  // e.g. http://localhost:4010 for npm run mock:oidc - all other issuers need HTTPS
+  ssoAllowHttpIssuers: parseHttpIssuers(process.env.SSO_ALLOW_HTTP_ISSUERS),
+  mailTransport: process.env.MAIL_TRANSPORT || 'console',
+  mailFrom: process.env.MAIL_FROM || 'no-reply@pcrm.in',
+  mailOutputDir: process.env.MAIL_OUTPUT_DIR || 'logs/mail',
   rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
-  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || '100', 10)
+  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX || '100', 10),
+  // Set JOB_WORKER=false on API-only instances (jobs then run on other instances)
+  jobWorkerEnabled: process.env.JOB_WORKER !== 'false'
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * API KEY CONTROLLER - Machine-to-Machine Integrations
+ * ============================================================================
+ * Single Database Architecture
+ * - Create scoped API key (api_keys.manage) - key returned once
+ * - List API keys of the college (api_keys.manage)
+ * - Revoke API key (api_keys.manage)
+ */
+
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS
+} = require('../config/constants');
+
+/**
+ * POST /api/v1/api-keys
+ * Create API key with scopes, optional IP allow-list and expiry
+ */
+async function createApiKey(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/api-keys`, {
+    user_id: req.user?.id,
+    user_role: req.user?.role,
+    college_id: req.user?.college_id,
+    ip: req.ip
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.API_KEYS_MANAGE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized API key creation attempt`,
+        {
+          user_id: req.user?.id,
+          user_role: req.user?.role,
+          college_id: req.user?.college_id
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const apiKey = await apiKeyService.create(
+      req.user.college_id,
+      req.validated,
+      { id: req.user.id, role: req.user.user_role, permissions: req.user.permissions }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/api-keys`,
+      {
+        key_id: apiKey.key_id,
+        scopes: apiKey.scopes,
+        college_id: req.user.college_id,
+        created_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, apiKey, SUCCESS_MESSAGES.API_KEY_CREATED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/api-keys`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Access denied')) {
+      return error(res, ERROR_MESSAGES.API_KEY_SCOPE_ESCALATION, HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (err.message.includes('limit reached')) {
+      return error(res, ERROR_MESSAGES.API_KEY_LIMIT_REACHED, HTTP_STATUS.CONFLICT);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/api-keys
+ * List API keys of the college (key material is never returned)
+ */
+async function listApiKeys(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.API_KEYS_MANAGE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const keys = await apiKeyService.list(req.user.college_id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/api-keys`,
+      {
+        total: keys.length,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, keys, 'API keys retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/api-keys`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * DELETE /api/v1/api-keys/:keyId
+ * Revoke API key
+ */
+async function revokeApiKey(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/api-keys/:keyId`, {
+    user_id: req.user?.id,
+    key_id: req.params.keyId,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.API_KEYS_MANAGE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    await apiKeyService.revoke(req.user.college_id, req.params.keyId, req.user.id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/api-keys/:keyId`,
+      {
+        key_id: req.params.keyId,
+        revoked_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.API_KEY_REVOKED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/api-keys/:keyId`,
+      {
+        error: err.message,
+        key_id: req.params.keyId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.API_KEY_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
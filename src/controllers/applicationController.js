@@ -0,0 +1,502 @@
+/**
+ * ============================================================================
+ * APPLICATION CONTROLLER - Drive Applications & Stage Pipeline
+ * ============================================================================
+ * Single Database Architecture
+ * - Apply to a published drive, list / get / withdraw own applications
+ *   (authenticated student)
+ * - List / get applications with stage history (applications.read)
+ * - Move one application or a selection of a drive's applications to
+ *   another stage (applications.update)
+ * All routes require the college feature "placement_drives"
+ */
+
+const applicationService = require('../services/applicationService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS
+} = require('../config/constants');
+
+/**
+ * Response for application service errors
+ *
+ * @private
+ */
+function applicationError(res, err) {
+  if (err.message.includes('Application not found')) {
+    return error(res, ERROR_MESSAGES.APPLICATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Drive not found')) {
+    return error(res, ERROR_MESSAGES.DRIVE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Applications are closed')) {
+    return error(res, ERROR_MESSAGES.APPLICATIONS_CLOSED, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('Already applied')) {
+    return error(res, ERROR_MESSAGES.ALREADY_APPLIED, HTTP_STATUS.CONFLICT);
+  }
+
+  // Message lists every failed eligibility rule
+  if (err.message.includes('Not eligible')) {
+    return error(res, err.message, HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (err.message.includes('Unknown stage')) {
+    return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (
+    err.message.includes('is already') ||
+    err.message.includes('Cannot move back') ||
+    err.message.includes('cannot move')
+  ) {
+    return error(res, err.message, HTTP_STATUS.CONFLICT);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * @private
+ */
+function forbidden(req, res, action) {
+  logger.warn(
+    `${LOG.SECURITY_PREFIX} Unauthorized application ${action} attempt`,
+    {
+      user_id: req.user?.id,
+      user_role: req.user?.role,
+      college_id: req.user?.college_id
+    }
+  );
+  return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+}
+
+/**
+ * POST /api/v1/applications
+ * Apply to a published drive (student)
+ */
+async function applyToDrive(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/applications`, {
+    student_id: req.user?.id,
+    college_id: req.user?.college_id,
+    drive_id: req.validated?.drive_id,
+    ip: req.ip
+  });
+
+  try {
+    const application = await applicationService.apply(
+      req.validated.drive_id,
+      req.user.id,
+      req.user.college_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/applications`,
+      {
+        application_id: application.application_id,
+        drive_id: application.drive_id,
+        student_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, application, SUCCESS_MESSAGES.APPLICATION_SUBMITTED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/applications`,
+      {
+        error: err.message,
+        student_id: req.user?.id,
+        drive_id: req.validated?.drive_id,
+        duration_ms: duration
+      }
+    );
+
+    return applicationError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/applications/me
+ * Own applications (student)
+ */
+async function listMyApplications(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const applications = await applicationService.listMine(req.user.id, req.user.college_id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/applications/me`,
+      {
+        student_id: req.user.id,
+        total: applications.length,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, applications, 'Applications retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/applications/me`,
+      {
+        error: err.message,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/applications/me/:applicationId
+ * Own application with stage history (student)
+ */
+async function getMyApplication(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const application = await applicationService.getMine(
+      req.params.applicationId,
+      req.user.id,
+      req.user.college_id
+    );
+
+    return success(res, application, 'Application retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/applications/me/:applicationId`,
+      {
+        error: err.message,
+        application_id: req.params.applicationId,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return applicationError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/applications/me/:applicationId/withdraw
+ * Withdraw own application (student)
+ */
+async function withdrawApplication(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/applications/me/:applicationId/withdraw`, {
+    application_id: req.params.applicationId,
+    student_id: req.user?.id,
+    ip: req.ip
+  });
+
+  try {
+    const application = await applicationService.withdraw(
+      req.params.applicationId,
+      req.user.id,
+      req.user.college_id,
+      req.validated?.note || null,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/applications/me/:applicationId/withdraw`,
+      {
+        application_id: application.application_id,
+        student_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, application, SUCCESS_MESSAGES.APPLICATION_WITHDRAWN, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/applications/me/:applicationId/withdraw`,
+      {
+        error: err.message,
+        application_id: req.params.applicationId,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return applicationError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/applications
+ * List applications in college
+ */
+async function listApplications(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/applications`, {
+    requested_by: req.user?.id,
+    college_id: req.user?.college_id,
+    drive_id: req.validated?.drive_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.APPLICATIONS_READ)) {
+      return forbidden(req, res, 'list');
+    }
+
+    const result = await applicationService.list(req.user.college_id, req.validated || {});
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/applications`,
+      {
+        total: result.pagination.total,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Applications retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/applications`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/applications/:applicationId
+ * Get application with stage history
+ */
+async function getApplication(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/applications/:applicationId`, {
+    application_id: req.params.applicationId,
+    requested_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.APPLICATIONS_READ)) {
+      return forbidden(req, res, 'access');
+    }
+
+    const application = await applicationService.getById(
+      req.params.applicationId,
+      req.user.college_id
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/applications/:applicationId`,
+      {
+        application_id: application.application_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, application, 'Application retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/applications/:applicationId`,
+      {
+        error: err.message,
+        application_id: req.params.applicationId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return applicationError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/applications/:applicationId/stage
+ * Move application to another stage
+ */
+async function moveApplicationStage(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/applications/:applicationId/stage`, {
+    application_id: req.params.applicationId,
+    to_stage: req.validated?.to_stage,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.APPLICATIONS_UPDATE)) {
+      return forbidden(req, res, 'stage change');
+    }
+
+    const application = await applicationService.moveStage(
+      req.params.applicationId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/applications/:applicationId/stage`,
+      {
+        application_id: application.application_id,
+        current_stage: application.current_stage,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, application, SUCCESS_MESSAGES.APPLICATION_STAGE_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/applications/:applicationId/stage`,
+      {
+        error: err.message,
+        application_id: req.params.applicationId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return applicationError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/applications/bulk-stage
+ * Move a selection of a drive's applications to one stage
+ */
+async function bulkMoveApplicationStage(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/applications/bulk-stage`, {
+    drive_id: req.validated?.drive_id,
+    to_stage: req.validated?.to_stage,
+    total_applications: req.validated?.application_ids?.length,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.APPLICATIONS_UPDATE)) {
+      return forbidden(req, res, 'bulk stage change');
+    }
+
+    const result = await applicationService.moveStages(
+      req.validated.drive_id,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/applications/bulk-stage`,
+      {
+        drive_id: req.validated.drive_id,
+        atomic: result.atomic,
+        moved: result.moved_count,
+        failed: result.failed_count,
+        duration_ms: duration
+      }
+    );
+
+    // All-or-nothing: failed explains which applications blocked the rest
+    if (result.atomic && result.failed_count) {
+      return error(
+        res,
+        ERROR_MESSAGES.BULK_STAGE_MOVE_ROLLED_BACK,
+        HTTP_STATUS.BAD_REQUEST,
+        result
+      );
+    }
+
+    return success(
+      res,
+      result,
+      `${result.moved_count} applications moved to ${result.to_stage}, ${result.failed_count} failed`,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/applications/bulk-stage`,
+      {
+        error: err.message,
+        drive_id: req.validated?.drive_id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return applicationError(res, err);
+  }
+}
+
+module.exports = {
+  applyToDrive,
+  listMyApplications,
+  getMyApplication,
+  withdrawApplication,
+  listApplications,
+  getApplication,
+  moveApplicationStage,
+  bulkMoveApplicationStage
+};
@@ -0,0 +1,120 @@
+/**
+ * ============================================================================
+ * AUDIT CONTROLLER - Audit Log
+ * ============================================================================
+ * Single Database Architecture
+ * - List audit events (filters + pagination)
+ * - Get single audit event
+ * - Sysadmins see every college; everyone else only their own college
+ */
+
+const auditService = require('../services/auditService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  PERMISSIONS,
+  ROLES
+} = require('../config/constants');
+
+/**
+ * College scope of the request
+ * Sysadmins may pick any college (or none = all), others are pinned to theirs
+ *
+ * @private
+ */
+function scopeCollegeId(req, requestedCollegeId) {
+  if (req.user.role === ROLES.SYSADMIN) {
+    return requestedCollegeId || null;
+  }
+
+  return req.user.college_id;
+}
+
+/**
+ * GET /api/v1/audit
+ * List audit events
+ */
+async function listAuditEvents(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.AUDIT_READ)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized audit log access attempt`,
+        { user_id: req.user?.id, user_role: req.user?.role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const filters = req.validated || {};
+
+    const result = await auditService.list({
+      ...filters,
+      college_id: scopeCollegeId(req, filters.college_id)
+    });
+
+    return success(res, result.data, 'Audit events retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/audit`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/audit/:eventId
+ * Get single audit event
+ */
+async function getAuditEvent(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.AUDIT_READ)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const event = await auditService.getById(
+      req.params.eventId,
+      scopeCollegeId(req, null)
+    );
+
+    return success(res, event, 'Audit event retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/audit/:eventId`,
+      {
+        error: err.message,
+        event_id: req.params.eventId,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.AUDIT_EVENT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  listAuditEvents,
+  getAuditEvent
+};
@@ -4,12 +4,18 @@
  * ============================================================================
  * Single Database Architecture
  * - System admin login
- * - College user login
+ * - College user login (with optional TOTP second step)
  * - Token verification
- * - Logout endpoint
+ * - Token refresh (refresh token rotation)
+ * - Logout (current session) and logout everywhere
+ * - Forgot / reset password (college users and students)
+ * - JWKS (public token verification keys)
  */
 
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const signingKeyService = require('../services/signingKeyService');
 const logger = require('../config/logger');
 const { success, error } = require('../utils/responseHelper');
 const {
@@ -18,7 +24,7 @@ const {
   SUCCESS_MESSAGES,
   LOG,
   HTTP_STATUS,
-  AUTH
+  JWT_KEYS
 } = require('../config/constants');
 
 /**
@@ -34,24 +40,26 @@ async function login(req, res) {
 
   try {
     const { email, password } = req.validated;
+    const context = { ip: req.ip, user_agent: req.get('user-agent') };
 
     // ====================================================================
     // Step 1: Check system admin credentials
     // ====================================================================
     logger.debug(`${LOG.TRANSACTION_PREFIX} Checking system admin credentials`);
 
-    const isAdmin = await authService.verifySystemAdminCredentials(email, password);
+    const sysadmin = await authService.verifySystemAdminCredentials(email, password);
 
-    if (isAdmin) {
+    if (sysadmin) {
       logger.debug(`${LOG.TRANSACTION_PREFIX} System admin verified`);
 
-      const adminToken = authService.generateAdminToken(email);
+      const adminSession = await authService.generateAdminToken(sysadmin, context);
 
       const duration = Date.now() - startTime;
 
       logger.info(
         `${LOG.API_END_PREFIX} POST /api/v1/auth/login`,
         {
+          user_id: sysadmin.platform_admin_id,
           email: email,
           role: ROLES.SYSADMIN,
           ip: req.ip,
@@ -62,9 +70,13 @@ async function login(req, res) {
       return success(
         res,
         {
-          token: adminToken,
+          token: adminSession.token,
+          refresh_token: adminSession.refresh_token,
+          expires_in: adminSession.expires_in,
           role: ROLES.SYSADMIN,
-          email: email,
+          email: sysadmin.admin_email,
+          user_id: sysadmin.platform_admin_id,
+          name: sysadmin.admin_name,
           type: 'sysadmin'
         },
         SUCCESS_MESSAGES.LOGIN_SUCCESSFUL,
@@ -77,7 +89,40 @@ async function login(req, res) {
     // ====================================================================
     logger.debug(`${LOG.TRANSACTION_PREFIX} Authenticating college user`);
 
-    const authResult = await authService.authenticateCollegeUser(email, password);
+    const authResult = await authService.authenticateCollegeUser(
+      email,
+      password,
+      req.tenant?.college_id || null,
+      context
+    );
+
+    if (authResult.mfa_required) {
+      const duration = Date.now() - startTime;
+
+      logger.info(
+        `${LOG.API_END_PREFIX} POST /api/v1/auth/login`,
+        {
+          user_id: authResult.user.user_id,
+          mfa_required: true,
+          enrollment_required: authResult.enrollment_required,
+          ip: req.ip,
+          duration_ms: duration
+        }
+      );
+
+      return success(
+        res,
+        {
+          mfa_required: true,
+          mfa_token: authResult.mfa_token,
+          enrollment_required: authResult.enrollment_required,
+          email: authResult.user.user_email,
+          type: 'college_user'
+        },
+        SUCCESS_MESSAGES.MFA_REQUIRED,
+        HTTP_STATUS.OK
+      );
+    }
 
     const duration = Date.now() - startTime;
 
@@ -97,6 +142,8 @@ async function login(req, res) {
       res,
       {
         token: authResult.token,
+        refresh_token: authResult.refresh_token,
+        expires_in: authResult.expires_in,
         role: authResult.user.user_role,
         email: authResult.user.user_email,
         college_id: authResult.user.college_id,
@@ -125,6 +172,10 @@ async function login(req, res) {
       return error(res, 'Invalid email or password', HTTP_STATUS.UNAUTHORIZED);
     }
 
+    if (err.message.includes('Account locked')) {
+      return error(res, ERROR_MESSAGES.ACCOUNT_LOCKED, HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
     if (err.message.includes('Access denied')) {
       return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
     }
@@ -133,9 +184,205 @@ async function login(req, res) {
   }
 }
 
+/**
+ * POST /api/v1/auth/login/mfa
+ * Second login step - exchange mfa_token + code for a session
+ * During mandatory enrollment the code activates MFA and recovery codes are returned once
+ */
+async function loginMfa(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/login/mfa`, {
+    ip: req.ip
+  });
+
+  try {
+    const { mfa_token, code } = req.validated;
+    const context = { ip: req.ip, user_agent: req.get('user-agent') };
+
+    const authResult = await authService.completeMfaLogin(mfa_token, code, context);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/login/mfa`,
+      {
+        user_id: authResult.user.user_id,
+        role: authResult.user.user_role,
+        college_id: authResult.user.college_id,
+        mfa_enrolled: Boolean(authResult.recovery_codes),
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    const data = {
+      token: authResult.token,
+      refresh_token: authResult.refresh_token,
+      expires_in: authResult.expires_in,
+      role: authResult.user.user_role,
+      email: authResult.user.user_email,
+      college_id: authResult.user.college_id,
+      type: 'college_user'
+    };
+
+    if (authResult.recovery_codes) {
+      data.recovery_codes = authResult.recovery_codes;
+    }
+
+    return success(res, data, SUCCESS_MESSAGES.LOGIN_SUCCESSFUL, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/login/mfa`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid MFA token')) {
+      return error(res, ERROR_MESSAGES.INVALID_MFA_TOKEN, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (err.message.includes('Invalid verification code')) {
+      return error(res, ERROR_MESSAGES.INVALID_MFA_CODE, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (err.message.includes('enrollment not started')) {
+      return error(res, ERROR_MESSAGES.MFA_ENROLLMENT_NOT_STARTED, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('Account locked')) {
+      return error(res, ERROR_MESSAGES.ACCOUNT_LOCKED, HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/login/mfa/enroll
+ * Mandatory enrollment during login (college requires MFA for admins)
+ */
+async function loginMfaEnroll(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/login/mfa/enroll`, {
+    ip: req.ip
+  });
+
+  try {
+    const enrollment = await authService.startMfaLoginEnrollment(req.validated.mfa_token);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/login/mfa/enroll`,
+      {
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      enrollment,
+      SUCCESS_MESSAGES.MFA_ENROLLMENT_STARTED,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/login/mfa/enroll`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid MFA token')) {
+      return error(res, ERROR_MESSAGES.INVALID_MFA_TOKEN, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (err.message.includes('already enabled')) {
+      return error(res, ERROR_MESSAGES.MFA_ALREADY_ENABLED, HTTP_STATUS.CONFLICT);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/refresh
+ * Exchange refresh token for a new access/refresh token pair
+ */
+async function refresh(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/refresh`, {
+    ip: req.ip
+  });
+
+  try {
+    const { refresh_token } = req.validated;
+
+    const tokens = await sessionService.refresh(refresh_token, {
+      ip: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/refresh`,
+      {
+        session_id: tokens.session_id,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      {
+        token: tokens.token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in
+      },
+      SUCCESS_MESSAGES.TOKEN_REFRESHED,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/refresh`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid refresh token')) {
+      return error(res, ERROR_MESSAGES.INVALID_REFRESH_TOKEN, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 /**
  * POST /api/v1/auth/logout
- * Logout user (stateless JWT - optional endpoint)
+ * Logout user (revokes current session)
  */
 async function logout(req, res) {
   const startTime = Date.now();
@@ -147,6 +394,8 @@ async function logout(req, res) {
   });
 
   try {
+    await sessionService.revoke(req.user.sid);
+
     const duration = Date.now() - startTime;
 
     logger.info(
@@ -180,6 +429,159 @@ async function logout(req, res) {
   }
 }
 
+/**
+ * POST /api/v1/auth/logout-all
+ * Logout from every device (revokes all sessions of current user)
+ */
+async function logoutAll(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/logout-all`, {
+    user_id: req.user?.id,
+    user_role: req.user?.role,
+    ip: req.ip
+  });
+
+  try {
+    const revokedCount = await sessionService.revokeAllForSession(req.user.sid);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/logout-all`,
+      {
+        user_id: req.user?.id,
+        revoked_count: revokedCount,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      { revoked_sessions: revokedCount },
+      SUCCESS_MESSAGES.LOGOUT_ALL_SUCCESSFUL,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/logout-all`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/password/forgot
+ * Request password reset link
+ * Response is identical whether or not the account exists
+ */
+async function forgotPassword(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/password/forgot`, {
+    account_type: req.validated?.account_type,
+    ip: req.ip
+  });
+
+  try {
+    await passwordResetService.requestReset(req.validated, { ip: req.ip });
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/password/forgot`,
+      {
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      {},
+      SUCCESS_MESSAGES.PASSWORD_RESET_REQUESTED,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/password/forgot`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/password/reset
+ * Set new password using reset token (revokes all sessions)
+ */
+async function resetPassword(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/password/reset`, {
+    ip: req.ip
+  });
+
+  try {
+    const { token, new_password } = req.validated;
+
+    const result = await passwordResetService.resetPassword(token, new_password);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/password/reset`,
+      {
+        account_type: result.account_type,
+        account_id: result.account_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      {},
+      SUCCESS_MESSAGES.PASSWORD_RESET_SUCCESSFUL,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/password/reset`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid reset token')) {
+      return error(res, ERROR_MESSAGES.INVALID_RESET_TOKEN, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 /**
  * GET /api/v1/auth/verify
  * Verify current token validity
@@ -212,7 +614,7 @@ async function verifyToken(req, res) {
         role: user.role,
         email: user.email,
         college_id: user.college_id || null,
-        type: user.id === AUTH.SYSTEM_ADMIN_ID ? 'sysadmin' : 'college_user'
+        type: user.role === ROLES.SYSADMIN ? 'sysadmin' : 'college_user'
       },
       'Token is valid',
       HTTP_STATUS.OK
@@ -233,8 +635,34 @@ async function verifyToken(req, res) {
   }
 }
 
+/**
+ * GET /.well-known/jwks.json
+ * Public keys that verify our access tokens (plain JWKS, no envelope)
+ */
+function getJwks(req, res) {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWT_KEYS.JWKS_MAX_AGE_SECONDS}`);
+    return res.status(HTTP_STATUS.OK).json(signingKeyService.getJwks());
+
+  } catch (err) {
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /.well-known/jwks.json`,
+      { error: err.message }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 module.exports = {
   login,
+  loginMfa,
+  loginMfaEnroll,
+  refresh,
   logout,
-  verifyToken
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyToken,
+  getJwks
 };
\ No newline at end of file
@@ -12,12 +12,13 @@
 const collegeService = require('../services/collegeService');
 const logger = require('../config/logger');
 const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
 const {
   LOG,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  ROLES
+  PERMISSIONS
 } = require('../config/constants');
 
 /**
@@ -36,7 +37,7 @@ async function createCollege(req, res) {
 
   try {
     // Authorization: Only sysadmin can create colleges
-    if (req.user?.role !== ROLES.SYSADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COLLEGES_CREATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized college creation attempt`,
         {
@@ -62,7 +63,7 @@ async function createCollege(req, res) {
       admin_name,
       admin_email,
       admin_password
-    });
+    }, getAuditContext(req));
 
     const duration = Date.now() - startTime;
 
@@ -123,7 +124,7 @@ async function listColleges(req, res) {
 
   try {
     // Authorization: Only sysadmin can list colleges
-    if (req.user?.role !== ROLES.SYSADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COLLEGES_READ)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized college list attempt`,
         { user_id: req.user?.id }
@@ -179,7 +180,7 @@ async function getCollege(req, res) {
 
   try {
     // Authorization: Only sysadmin can view college details
-    if (req.user?.role !== ROLES.SYSADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COLLEGES_READ)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized college access attempt`,
         {
@@ -239,7 +240,7 @@ async function updateCollege(req, res) {
 
   try {
     // Authorization: Only sysadmin can update colleges
-    if (req.user?.role !== ROLES.SYSADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COLLEGES_UPDATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized college update attempt`,
         {
@@ -252,7 +253,8 @@ async function updateCollege(req, res) {
 
     const updatedCollege = await collegeService.update(
       req.params.collegeId,
-      req.validated
+      req.validated,
+      getAuditContext(req)
     );
 
     const duration = Date.now() - startTime;
@@ -309,7 +311,7 @@ async function updateCollegeFeatures(req, res) {
 
   try {
     // Authorization: Only sysadmin can update features
-    if (req.user?.role !== ROLES.SYSADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COLLEGES_UPDATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized feature update attempt`,
         {
@@ -333,7 +335,8 @@ async function updateCollegeFeatures(req, res) {
 
     const updatedCollege = await collegeService.updateFeatures(
       req.params.collegeId,
-      enabled_features
+      enabled_features,
+      getAuditContext(req)
     );
 
     const duration = Date.now() - startTime;
@@ -0,0 +1,527 @@
+/**
+ * ============================================================================
+ * COMPANY CONTROLLER - Recruiting Companies and Recruiter Contacts
+ * ============================================================================
+ * Single Database Architecture
+ * - Create company (companies.create)
+ * - List / search companies (companies.read)
+ * - Get company with contacts (companies.read)
+ * - Update company (companies.update)
+ * - Delete company (soft delete - companies.delete)
+ * - Add / update / remove contacts (companies.update)
+ */
+
+const companyService = require('../services/companyService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS
+} = require('../config/constants');
+
+/**
+ * Response for company / contact service errors
+ *
+ * @private
+ */
+function companyError(res, err) {
+  if (err.message.includes('contact not found')) {
+    return error(res, ERROR_MESSAGES.COMPANY_CONTACT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('not found')) {
+    return error(res, ERROR_MESSAGES.COMPANY_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('already exists')) {
+    return error(res, err.message, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('inactive')) {
+    return error(res, ERROR_MESSAGES.COMPANY_INACTIVE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (err.message.includes('limit reached')) {
+    return error(res, ERROR_MESSAGES.COMPANY_CONTACT_LIMIT_REACHED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * @private
+ */
+function forbidden(req, res, action) {
+  logger.warn(
+    `${LOG.SECURITY_PREFIX} Unauthorized company ${action} attempt`,
+    {
+      user_id: req.user?.id,
+      user_role: req.user?.role,
+      college_id: req.user?.college_id
+    }
+  );
+  return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+}
+
+/**
+ * POST /api/v1/companies
+ * Create company with optional recruiter contacts
+ */
+async function createCompany(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/companies`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    ip: req.ip
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_CREATE)) {
+      return forbidden(req, res, 'creation');
+    }
+
+    const company = await companyService.create({
+      ...req.validated,
+      college_id: req.user.college_id,
+      created_by: req.user.id
+    }, getAuditContext(req));
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/companies`,
+      {
+        company_id: company.company_id,
+        college_id: req.user.college_id,
+        created_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, company, SUCCESS_MESSAGES.COMPANY_CREATED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/companies`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/companies
+ * List companies in college (filters, search, sorting, pagination)
+ */
+async function listCompanies(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/companies`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    query_params: req.query
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_READ)) {
+      return forbidden(req, res, 'list');
+    }
+
+    const result = await companyService.list(
+      req.user.college_id,
+      req.validated || {}
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/companies`,
+      {
+        total: result.pagination.total,
+        page: result.pagination.page,
+        limit: result.pagination.limit,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Companies retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/companies`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/companies/:companyId
+ * Get company with its recruiter contacts
+ */
+async function getCompany(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/companies/:companyId`, {
+    company_id: req.params.companyId,
+    requested_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_READ)) {
+      return forbidden(req, res, 'access');
+    }
+
+    const company = await companyService.getById(
+      req.params.companyId,
+      req.user.college_id
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/companies/:companyId`,
+      {
+        company_id: company.company_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, company, 'Company retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/companies/:companyId`,
+      {
+        error: err.message,
+        company_id: req.params.companyId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+/**
+ * PUT /api/v1/companies/:companyId
+ * Update company (company_status: active reactivates it)
+ */
+async function updateCompany(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/companies/:companyId`, {
+    company_id: req.params.companyId,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id,
+    updated_fields: Object.keys(req.validated)
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_UPDATE)) {
+      return forbidden(req, res, 'update');
+    }
+
+    const company = await companyService.update(
+      req.params.companyId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/companies/:companyId`,
+      {
+        company_id: company.company_id,
+        college_id: req.user.college_id,
+        updated_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, company, SUCCESS_MESSAGES.COMPANY_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/companies/:companyId`,
+      {
+        error: err.message,
+        company_id: req.params.companyId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/companies/:companyId
+ * Soft delete company (set status to inactive)
+ */
+async function deleteCompany(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/companies/:companyId`, {
+    company_id: req.params.companyId,
+    deleted_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_DELETE)) {
+      return forbidden(req, res, 'deletion');
+    }
+
+    await companyService.delete(
+      req.params.companyId,
+      req.user.college_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/companies/:companyId`,
+      {
+        company_id: req.params.companyId,
+        college_id: req.user.college_id,
+        deleted_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.COMPANY_DELETED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/companies/:companyId`,
+      {
+        error: err.message,
+        company_id: req.params.companyId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/companies/:companyId/contacts
+ * Add recruiter contact
+ */
+async function addContact(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/companies/:companyId/contacts`, {
+    company_id: req.params.companyId,
+    user_id: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_UPDATE)) {
+      return forbidden(req, res, 'contact creation');
+    }
+
+    const contact = await companyService.addContact(
+      req.params.companyId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/companies/:companyId/contacts`,
+      {
+        contact_id: contact.contact_id,
+        company_id: req.params.companyId,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, contact, SUCCESS_MESSAGES.COMPANY_CONTACT_ADDED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/companies/:companyId/contacts`,
+      {
+        error: err.message,
+        company_id: req.params.companyId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+/**
+ * PUT /api/v1/companies/:companyId/contacts/:contactId
+ * Update recruiter contact
+ */
+async function updateContact(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/companies/:companyId/contacts/:contactId`, {
+    company_id: req.params.companyId,
+    contact_id: req.params.contactId,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id,
+    updated_fields: Object.keys(req.validated)
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_UPDATE)) {
+      return forbidden(req, res, 'contact update');
+    }
+
+    const contact = await companyService.updateContact(
+      req.params.companyId,
+      req.params.contactId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/companies/:companyId/contacts/:contactId`,
+      {
+        contact_id: contact.contact_id,
+        company_id: req.params.companyId,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, contact, SUCCESS_MESSAGES.COMPANY_CONTACT_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/companies/:companyId/contacts/:contactId`,
+      {
+        error: err.message,
+        company_id: req.params.companyId,
+        contact_id: req.params.contactId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/companies/:companyId/contacts/:contactId
+ * Remove recruiter contact
+ */
+async function removeContact(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/companies/:companyId/contacts/:contactId`, {
+    company_id: req.params.companyId,
+    contact_id: req.params.contactId,
+    deleted_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.COMPANIES_UPDATE)) {
+      return forbidden(req, res, 'contact removal');
+    }
+
+    await companyService.removeContact(
+      req.params.companyId,
+      req.params.contactId,
+      req.user.college_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/companies/:companyId/contacts/:contactId`,
+      {
+        contact_id: req.params.contactId,
+        company_id: req.params.companyId,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.COMPANY_CONTACT_REMOVED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/companies/:companyId/contacts/:contactId`,
+      {
+        error: err.message,
+        company_id: req.params.companyId,
+        contact_id: req.params.contactId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return companyError(res, err);
+  }
+}
+
+module.exports = {
+  createCompany,
+  listCompanies,
+  getCompany,
+  updateCompany,
+  deleteCompany,
+  addContact,
+  updateContact,
+  removeContact
+};
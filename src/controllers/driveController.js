@@ -0,0 +1,543 @@
+/**
+ * ============================================================================
+ * DRIVE CONTROLLER - Placement Drives / Job Postings
+ * ============================================================================
+ * Single Database Architecture
+ * - Create drive as draft (drives.create)
+ * - List / get drives of the college (drives.read)
+ * - Update drive (drives.update)
+ * - Publish / close / complete drive (drives.publish)
+ * - Delete draft drive (drives.delete)
+ * - Eligibility preview with reasons per student (drives.read)
+ * - Published drives of the student's college (authenticated student)
+ * All routes require the college feature "placement_drives"
+ */
+
+const driveService = require('../services/driveService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS
+} = require('../config/constants');
+
+/**
+ * Response for drive service errors
+ *
+ * @private
+ */
+function driveError(res, err) {
+  if (err.message.includes('Drive not found')) {
+    return error(res, ERROR_MESSAGES.DRIVE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  // Company referenced in the request body
+  if (err.message.includes('Company not found') || err.message.includes('inactive')) {
+    return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (err.message.includes('Invalid change') || err.message.includes('incomplete')) {
+    return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (err.message.includes('no longer be edited')) {
+    return error(res, ERROR_MESSAGES.DRIVE_NOT_EDITABLE, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('not a draft')) {
+    return error(res, ERROR_MESSAGES.DRIVE_NOT_DELETABLE, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('cannot move')) {
+    return error(res, err.message, HTTP_STATUS.CONFLICT);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * @private
+ */
+function forbidden(req, res, action) {
+  logger.warn(
+    `${LOG.SECURITY_PREFIX} Unauthorized drive ${action} attempt`,
+    {
+      user_id: req.user?.id,
+      user_role: req.user?.role,
+      college_id: req.user?.college_id
+    }
+  );
+  return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+}
+
+/**
+ * POST /api/v1/drives
+ * Create drive (draft)
+ */
+async function createDrive(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/drives`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    company_id: req.validated?.company_id,
+    ip: req.ip
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_CREATE)) {
+      return forbidden(req, res, 'creation');
+    }
+
+    const drive = await driveService.create({
+      ...req.validated,
+      college_id: req.user.college_id,
+      created_by: req.user.id
+    }, getAuditContext(req));
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/drives`,
+      {
+        drive_id: drive.drive_id,
+        college_id: req.user.college_id,
+        created_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, drive, SUCCESS_MESSAGES.DRIVE_CREATED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/drives`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/drives
+ * List drives in college (every status)
+ */
+async function listDrives(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/drives`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    query_params: req.query
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_READ)) {
+      return forbidden(req, res, 'list');
+    }
+
+    const result = await driveService.list(req.user.college_id, req.validated || {});
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/drives`,
+      {
+        total: result.pagination.total,
+        page: result.pagination.page,
+        limit: result.pagination.limit,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Drives retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/drives`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/drives/:driveId
+ * Get single drive
+ */
+async function getDrive(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/drives/:driveId`, {
+    drive_id: req.params.driveId,
+    requested_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_READ)) {
+      return forbidden(req, res, 'access');
+    }
+
+    const drive = await driveService.getById(req.params.driveId, req.user.college_id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/drives/:driveId`,
+      {
+        drive_id: drive.drive_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, drive, 'Drive retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/drives/:driveId`,
+      {
+        error: err.message,
+        drive_id: req.params.driveId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+/**
+ * PUT /api/v1/drives/:driveId
+ * Update drive (draft or published)
+ */
+async function updateDrive(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/drives/:driveId`, {
+    drive_id: req.params.driveId,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id,
+    updated_fields: Object.keys(req.validated)
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_UPDATE)) {
+      return forbidden(req, res, 'update');
+    }
+
+    const drive = await driveService.update(
+      req.params.driveId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/drives/:driveId`,
+      {
+        drive_id: drive.drive_id,
+        college_id: req.user.college_id,
+        updated_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, drive, SUCCESS_MESSAGES.DRIVE_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/drives/:driveId`,
+      {
+        error: err.message,
+        drive_id: req.params.driveId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/drives/:driveId/status
+ * Publish, close or complete drive
+ */
+async function updateDriveStatus(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/drives/:driveId/status`, {
+    drive_id: req.params.driveId,
+    drive_status: req.validated?.drive_status,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_PUBLISH)) {
+      return forbidden(req, res, 'status change');
+    }
+
+    const drive = await driveService.setStatus(
+      req.params.driveId,
+      req.user.college_id,
+      req.validated.drive_status,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/drives/:driveId/status`,
+      {
+        drive_id: drive.drive_id,
+        drive_status: drive.drive_status,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, drive, SUCCESS_MESSAGES.DRIVE_STATUS_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/drives/:driveId/status`,
+      {
+        error: err.message,
+        drive_id: req.params.driveId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/drives/:driveId
+ * Delete draft drive
+ */
+async function deleteDrive(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/drives/:driveId`, {
+    drive_id: req.params.driveId,
+    deleted_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_DELETE)) {
+      return forbidden(req, res, 'deletion');
+    }
+
+    await driveService.delete(
+      req.params.driveId,
+      req.user.college_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/drives/:driveId`,
+      {
+        drive_id: req.params.driveId,
+        college_id: req.user.college_id,
+        deleted_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.DRIVE_DELETED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/drives/:driveId`,
+      {
+        error: err.message,
+        drive_id: req.params.driveId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/drives/:driveId/eligibility
+ * Eligible / ineligible students for the drive's criteria (any status,
+ * so drafts can be checked before publishing)
+ */
+async function previewDriveEligibility(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/drives/:driveId/eligibility`, {
+    drive_id: req.params.driveId,
+    requested_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.DRIVES_READ)) {
+      return forbidden(req, res, 'eligibility preview');
+    }
+
+    const result = await driveService.previewEligibility(
+      req.params.driveId,
+      req.user.college_id,
+      req.validated || {}
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/drives/:driveId/eligibility`,
+      {
+        drive_id: req.params.driveId,
+        college_id: req.user.college_id,
+        total_students: result.data.total_students,
+        eligible_count: result.data.eligible_count,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Eligibility preview retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/drives/:driveId/eligibility`,
+      {
+        error: err.message,
+        drive_id: req.params.driveId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/drives/published
+ * Published drives of the student's college
+ */
+async function listPublishedDrives(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const result = await driveService.listPublished(req.user.college_id, req.validated || {});
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/drives/published`,
+      {
+        student_id: req.user.id,
+        total: result.pagination.total,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Drives retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/drives/published`,
+      {
+        error: err.message,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/drives/published/:driveId
+ * Single published drive (student view)
+ */
+async function getPublishedDrive(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const drive = await driveService.getPublishedById(
+      req.params.driveId,
+      req.user.college_id,
+      req.user.id
+    );
+
+    return success(res, drive, 'Drive retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/drives/published/:driveId`,
+      {
+        error: err.message,
+        drive_id: req.params.driveId,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return driveError(res, err);
+  }
+}
+
+module.exports = {
+  createDrive,
+  listDrives,
+  getDrive,
+  updateDrive,
+  updateDriveStatus,
+  deleteDrive,
+  previewDriveEligibility,
+  listPublishedDrives,
+  getPublishedDrive
+};
@@ -0,0 +1,222 @@
+/**
+ * ============================================================================
+ * IMPERSONATION CONTROLLER - Sysadmin Support Sessions
+ * ============================================================================
+ * Single Database Architecture
+ * - Start impersonating a college user (sysadmin only)
+ * - List live impersonation sessions
+ * - List writes recorded for a session
+ * - End (revoke) impersonation session
+ */
+
+const impersonationService = require('../services/impersonationService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ROLES
+} = require('../config/constants');
+
+/**
+ * POST /api/v1/auth/impersonate/:userId
+ * Issue impersonation token for a college user
+ */
+async function startImpersonation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/impersonate/:userId`, {
+    user_id: req.user?.id,
+    target_user_id: req.params.userId,
+    ip: req.ip
+  });
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN || req.user.impersonator) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized impersonation attempt`,
+        {
+          user_id: req.user?.id,
+          user_role: req.user?.role,
+          target_user_id: req.params.userId
+        }
+      );
+      return error(res, ERROR_MESSAGES.ONLY_SYSADMIN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const result = await impersonationService.start(
+      { id: req.user.id, email: req.user.email },
+      req.params.userId,
+      req.validated,
+      { ip: req.ip, user_agent: req.get('user-agent') }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/impersonate/:userId`,
+      {
+        user_id: req.user.id,
+        target_user_id: result.user.user_id,
+        session_id: result.session_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result, SUCCESS_MESSAGES.IMPERSONATION_STARTED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/impersonate/:userId`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        target_user_id: req.params.userId,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.USER_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('inactive')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/auth/impersonations
+ * List live impersonation sessions
+ */
+async function listImpersonations(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      return error(res, ERROR_MESSAGES.ONLY_SYSADMIN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const sessions = await impersonationService.listActive();
+
+    return success(res, sessions, 'Impersonation sessions retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/auth/impersonations`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/auth/impersonations/:sessionId/actions
+ * List writes made during an impersonation session
+ */
+async function listImpersonationActions(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      return error(res, ERROR_MESSAGES.ONLY_SYSADMIN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const actions = await impersonationService.listActions(req.params.sessionId);
+
+    return success(res, actions, 'Impersonation actions retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/auth/impersonations/:sessionId/actions`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        session_id: req.params.sessionId,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.IMPERSONATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * DELETE /api/v1/auth/impersonations/:sessionId
+ * End live impersonation session
+ */
+async function endImpersonation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/auth/impersonations/:sessionId`, {
+    user_id: req.user?.id,
+    session_id: req.params.sessionId
+  });
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      return error(res, ERROR_MESSAGES.ONLY_SYSADMIN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    await impersonationService.end(req.params.sessionId, req.user.id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/auth/impersonations/:sessionId`,
+      {
+        user_id: req.user.id,
+        session_id: req.params.sessionId,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.IMPERSONATION_ENDED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/auth/impersonations/:sessionId`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        session_id: req.params.sessionId,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.IMPERSONATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  startImpersonation,
+  listImpersonations,
+  listImpersonationActions,
+  endImpersonation
+};
@@ -0,0 +1,345 @@
+/**
+ * ============================================================================
+ * INVITATION CONTROLLER - Teacher/Admin Onboarding
+ * ============================================================================
+ * Single Database Architecture
+ * - Invite college user (users.create)
+ * - List invitations of the college (users.create)
+ * - Resend / revoke pending invitation (users.create)
+ * - Accept invitation and set password (public - invite token)
+ */
+
+const invitationService = require('../services/invitationService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS
+} = require('../config/constants');
+
+/**
+ * POST /api/v1/invitations
+ * Invite college user by name, email and role
+ */
+async function createInvitation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/invitations`, {
+    user_id: req.user?.id,
+    user_role: req.user?.role,
+    college_id: req.user?.college_id,
+    ip: req.ip
+  });
+
+  try {
+    // Authorization check
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_CREATE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized invitation attempt`,
+        {
+          user_id: req.user?.id,
+          user_role: req.user?.role,
+          college_id: req.user?.college_id
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const invitation = await invitationService.create(
+      req.user.college_id,
+      req.validated,
+      { id: req.user.id, role: req.user.user_role, email: req.user.email }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/invitations`,
+      {
+        invitation_id: invitation.invitation_id,
+        invitee_role: invitation.invitee_role,
+        college_id: req.user.college_id,
+        invited_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, invitation, SUCCESS_MESSAGES.INVITATION_SENT, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/invitations`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('already exists')) {
+      return error(res, err.message, HTTP_STATUS.CONFLICT);
+    }
+
+    if (err.message.includes('already pending')) {
+      return error(res, ERROR_MESSAGES.INVITATION_ALREADY_PENDING, HTTP_STATUS.CONFLICT);
+    }
+
+    if (err.message.includes('Invalid role') || err.message.includes('inactive')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('Access denied')) {
+      return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/invitations
+ * List invitations of the college (default: pending)
+ */
+async function listInvitations(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_CREATE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const result = await invitationService.list(req.user.college_id, req.validated);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/invitations`,
+      {
+        total: result.pagination.total,
+        status: req.validated?.status,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Invitations retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/invitations`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/invitations/:invitationId/resend
+ * Resend invitation with a new link
+ */
+async function resendInvitation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/invitations/:invitationId/resend`, {
+    user_id: req.user?.id,
+    invitation_id: req.params.invitationId,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_CREATE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const invitation = await invitationService.resend(
+      req.user.college_id,
+      req.params.invitationId,
+      { id: req.user.id, role: req.user.user_role, email: req.user.email }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/invitations/:invitationId/resend`,
+      {
+        invitation_id: invitation.invitation_id,
+        send_count: invitation.send_count,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, invitation, SUCCESS_MESSAGES.INVITATION_RESENT, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/invitations/:invitationId/resend`,
+      {
+        error: err.message,
+        invitation_id: req.params.invitationId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.INVITATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('not pending')) {
+      return error(res, ERROR_MESSAGES.INVITATION_NOT_PENDING, HTTP_STATUS.CONFLICT);
+    }
+
+    if (err.message.includes('Invalid role')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('Access denied')) {
+      return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * DELETE /api/v1/invitations/:invitationId
+ * Revoke pending invitation
+ */
+async function revokeInvitation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/invitations/:invitationId`, {
+    user_id: req.user?.id,
+    invitation_id: req.params.invitationId,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_CREATE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    await invitationService.revoke(
+      req.user.college_id,
+      req.params.invitationId,
+      { id: req.user.id, role: req.user.user_role }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/invitations/:invitationId`,
+      {
+        invitation_id: req.params.invitationId,
+        revoked_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.INVITATION_REVOKED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/invitations/:invitationId`,
+      {
+        error: err.message,
+        invitation_id: req.params.invitationId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.INVITATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('not pending')) {
+      return error(res, ERROR_MESSAGES.INVITATION_NOT_PENDING, HTTP_STATUS.CONFLICT);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/invitations/:token/accept
+ * Accept invitation and set password (public)
+ */
+async function acceptInvitation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/invitations/:token/accept`, {
+    ip: req.ip
+  });
+
+  try {
+    const user = await invitationService.accept(
+      req.params.token,
+      req.validated.user_password
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/invitations/:token/accept`,
+      {
+        user_id: user.user_id,
+        college_id: user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, user, SUCCESS_MESSAGES.INVITATION_ACCEPTED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/invitations/:token/accept`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid invitation token')) {
+      return error(res, ERROR_MESSAGES.INVALID_INVITATION_TOKEN, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('already exists')) {
+      return error(res, err.message, HTTP_STATUS.CONFLICT);
+    }
+
+    if (err.message.includes('Invalid role') || err.message.includes('inactive')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * JOB CONTROLLER - Background Jobs
+ * ============================================================================
+ * Single Database Architecture
+ * - Get job status, progress and result
+ * - Cancel queued / running job
+ * - Users see the jobs they started; jobs.manage sees every job of the
+ *   college; sysadmins see all jobs
+ */
+
+const jobService = require('../services/jobService');
+const permissionService = require('../services/permissionService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS,
+  ROLES,
+  JOBS
+} = require('../config/constants');
+
+/**
+ * Jobs visible to the requester
+ *
+ * @private
+ */
+async function resolveScope(req) {
+  if (req.user.role === ROLES.SYSADMIN) {
+    return { college_id: null, created_by: null };
+  }
+
+  const permissions = req.user.permissions ||
+    await permissionService.getPermissions(req.user.college_id, req.user.user_role);
+
+  return {
+    college_id: req.user.college_id,
+    created_by: permissions.includes(PERMISSIONS.JOBS_MANAGE) ? null : req.user.id
+  };
+}
+
+/**
+ * GET /api/v1/jobs/:jobId
+ * Get job status, progress and result
+ */
+async function getJob(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const job = await jobService.getById(req.params.jobId, await resolveScope(req));
+
+    return success(res, job, 'Job retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/jobs/:jobId`,
+      {
+        error: err.message,
+        job_id: req.params.jobId,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.JOB_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/jobs/:jobId/cancel
+ * Cancel job (queued: at once, running: at its next checkpoint)
+ */
+async function cancelJob(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/jobs/:jobId/cancel`, {
+    job_id: req.params.jobId,
+    user_id: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    const job = await jobService.cancel(
+      req.params.jobId,
+      await resolveScope(req),
+      { id: req.user.id, role: req.user.user_role || req.user.role }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/jobs/:jobId/cancel`,
+      {
+        job_id: req.params.jobId,
+        job_status: job.job_status,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      job,
+      job.job_status === JOBS.STATUS.CANCELLED
+        ? SUCCESS_MESSAGES.JOB_CANCELLED
+        : SUCCESS_MESSAGES.JOB_CANCEL_REQUESTED,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/jobs/:jobId/cancel`,
+      {
+        error: err.message,
+        job_id: req.params.jobId,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.JOB_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('already finished')) {
+      return error(res, ERROR_MESSAGES.JOB_ALREADY_FINISHED, HTTP_STATUS.CONFLICT);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  getJob,
+  cancelJob
+};
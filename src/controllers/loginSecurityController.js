@@ -0,0 +1,166 @@
+/**
+ * ============================================================================
+ * LOGIN SECURITY CONTROLLER - Login History & Account Lockouts
+ * ============================================================================
+ * Single Database Architecture
+ * - List login history of the admin's college (filters + pagination)
+ * - List currently locked accounts
+ * - Unlock account (user or student)
+ */
+
+const loginSecurityService = require('../services/loginSecurityService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ROLES
+} = require('../config/constants');
+
+/**
+ * GET /api/v1/login-security/history
+ * List login attempts in admin's college
+ */
+async function listLoginHistory(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (req.user?.role !== ROLES.ADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized login history access attempt`,
+        { user_id: req.user?.id, user_role: req.user?.role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const result = await loginSecurityService.listHistory(
+      req.user.college_id,
+      req.validated || {}
+    );
+
+    return success(res, result.data, 'Login history retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/login-security/history`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/login-security/lockouts
+ * List currently locked accounts in admin's college
+ */
+async function listLockouts(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (req.user?.role !== ROLES.ADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized lockout list attempt`,
+        { user_id: req.user?.id, user_role: req.user?.role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const lockouts = await loginSecurityService.listLockouts(req.user.college_id);
+
+    return success(res, lockouts, 'Locked accounts retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/login-security/lockouts`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/login-security/unlock
+ * Unlock user or student account in admin's college
+ */
+async function unlockAccount(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/login-security/unlock`, {
+    user_id: req.user?.id,
+    account_type: req.validated?.account_type,
+    account_id: req.validated?.account_id
+  });
+
+  try {
+    if (req.user?.role !== ROLES.ADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized account unlock attempt`,
+        { user_id: req.user?.id, user_role: req.user?.role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const { account_type, account_id } = req.validated;
+
+    await loginSecurityService.unlock(
+      account_type,
+      account_id,
+      req.user.college_id,
+      req.user.id
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/login-security/unlock`,
+      {
+        account_type,
+        account_id,
+        unlocked_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.ACCOUNT_UNLOCKED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/login-security/unlock`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.LOCKOUT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  listLoginHistory,
+  listLockouts,
+  unlockAccount
+};
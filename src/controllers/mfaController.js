@@ -0,0 +1,289 @@
+/**
+ * ============================================================================
+ * MFA CONTROLLER - TOTP Self-Service (Admins & Teachers)
+ * ============================================================================
+ * Single Database Architecture
+ * - Get MFA status
+ * - Start enrollment (secret + otpauth URI for QR code)
+ * - Verify first code (enables MFA, returns recovery codes once)
+ * - Disable MFA (not allowed when college makes it mandatory)
+ * - Regenerate recovery codes
+ */
+
+const mfaService = require('../services/mfaService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  MFA
+} = require('../config/constants');
+
+/**
+ * Map service errors shared by MFA endpoints to HTTP responses
+ */
+function handleMfaError(res, err) {
+  if (err.message.includes('Invalid verification code')) {
+    return error(res, ERROR_MESSAGES.INVALID_MFA_CODE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (err.message.includes('already enabled')) {
+    return error(res, ERROR_MESSAGES.MFA_ALREADY_ENABLED, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('not enabled')) {
+    return error(res, ERROR_MESSAGES.MFA_NOT_ENABLED, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('enrollment not started')) {
+    return error(res, ERROR_MESSAGES.MFA_ENROLLMENT_NOT_STARTED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (err.message.includes('required by college')) {
+    return error(res, ERROR_MESSAGES.MFA_REQUIRED_BY_COLLEGE, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('not available')) {
+    return error(res, ERROR_MESSAGES.MFA_NOT_AVAILABLE, HTTP_STATUS.FORBIDDEN);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * GET /api/v1/auth/mfa
+ * Get MFA status of current user
+ */
+async function getMfaStatus(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!MFA.ELIGIBLE_ROLES.includes(req.user?.role)) {
+      return error(res, ERROR_MESSAGES.MFA_NOT_AVAILABLE, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const status = await mfaService.getStatus(req.user.id);
+
+    return success(res, status, 'MFA status retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/auth/mfa`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/mfa/enroll
+ * Start enrollment - returns secret and otpauth:// URI
+ */
+async function enrollMfa(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/mfa/enroll`, {
+    user_id: req.user?.id,
+    ip: req.ip
+  });
+
+  try {
+    const enrollment = await mfaService.startEnrollment({
+      id: req.user.id,
+      email: req.user.email,
+      role: req.user.role
+    });
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/mfa/enroll`,
+      {
+        user_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, enrollment, SUCCESS_MESSAGES.MFA_ENROLLMENT_STARTED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/mfa/enroll`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return handleMfaError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/auth/mfa/verify
+ * Verify first code - enables MFA and returns recovery codes (shown once)
+ */
+async function verifyMfa(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/mfa/verify`, {
+    user_id: req.user?.id,
+    ip: req.ip
+  });
+
+  try {
+    const recoveryCodes = await mfaService.activate(req.user.id, req.validated.code);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/mfa/verify`,
+      {
+        user_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      { recovery_codes: recoveryCodes },
+      SUCCESS_MESSAGES.MFA_ENABLED,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/mfa/verify`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return handleMfaError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/auth/mfa/disable
+ * Disable MFA (requires a current TOTP or recovery code)
+ */
+async function disableMfa(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/mfa/disable`, {
+    user_id: req.user?.id,
+    ip: req.ip
+  });
+
+  try {
+    await mfaService.disable(
+      {
+        id: req.user.id,
+        role: req.user.role,
+        college_id: req.user.college_id
+      },
+      req.validated.code
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/mfa/disable`,
+      {
+        user_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.MFA_DISABLED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/mfa/disable`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return handleMfaError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/auth/mfa/recovery-codes
+ * Replace recovery codes (requires a current TOTP or recovery code)
+ */
+async function regenerateRecoveryCodes(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/mfa/recovery-codes`, {
+    user_id: req.user?.id,
+    ip: req.ip
+  });
+
+  try {
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(
+      req.user.id,
+      req.validated.code
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/mfa/recovery-codes`,
+      {
+        user_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      { recovery_codes: recoveryCodes },
+      SUCCESS_MESSAGES.MFA_RECOVERY_CODES_REGENERATED,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/mfa/recovery-codes`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return handleMfaError(res, err);
+  }
+}
+
+module.exports = {
+  getMfaStatus,
+  enrollMfa,
+  verifyMfa,
+  disableMfa,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,288 @@
+/**
+ * ============================================================================
+ * PLATFORM ADMIN CONTROLLER - Sysadmin Account Management
+ * ============================================================================
+ * Single Database Architecture
+ * - Create sysadmin (sysadmin only)
+ * - List sysadmins
+ * - Get sysadmin by ID
+ * - Update sysadmin (name, password, status)
+ * - Deactivate sysadmin (soft delete)
+ */
+
+const platformAdminService = require('../services/platformAdminService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  ROLES
+} = require('../config/constants');
+
+/**
+ * Map service errors shared by update/delete to HTTP responses
+ */
+function handleWriteError(res, err) {
+  if (err.message.includes('not found')) {
+    return error(res, ERROR_MESSAGES.PLATFORM_ADMIN_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Cannot deactivate')) {
+    return error(res, err.message, HTTP_STATUS.CONFLICT);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * POST /api/v1/sysadmins
+ * Create new sysadmin
+ */
+async function createPlatformAdmin(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/sysadmins`, {
+    user_id: req.user?.id,
+    ip: req.ip
+  });
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized sysadmin creation attempt`,
+        { user_id: req.user?.id, user_role: req.user?.role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const admin = await platformAdminService.create(req.validated, req.user.id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/sysadmins`,
+      {
+        platform_admin_id: admin.platform_admin_id,
+        created_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, admin, SUCCESS_MESSAGES.PLATFORM_ADMIN_CREATED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/sysadmins`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('already exists')) {
+      return error(res, ERROR_MESSAGES.EMAIL_ALREADY_EXISTS, HTTP_STATUS.CONFLICT);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/sysadmins
+ * List sysadmins with pagination
+ */
+async function listPlatformAdmins(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized sysadmin list attempt`,
+        { user_id: req.user?.id }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const page = req.validated?.page || 1;
+    const limit = req.validated?.limit || 20;
+
+    const result = await platformAdminService.list(page, limit);
+
+    return success(res, result.data, 'Platform admins retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/sysadmins`,
+      {
+        error: err.message,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/sysadmins/:adminId
+ * Get single sysadmin
+ */
+async function getPlatformAdmin(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized sysadmin access attempt`,
+        { user_id: req.user?.id, target_admin: req.params.adminId }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const admin = await platformAdminService.getById(req.params.adminId);
+
+    return success(res, admin, 'Platform admin retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/sysadmins/:adminId`,
+      {
+        error: err.message,
+        target_admin: req.params.adminId,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.PLATFORM_ADMIN_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * PUT /api/v1/sysadmins/:adminId
+ * Update sysadmin (name, password, status)
+ */
+async function updatePlatformAdmin(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/sysadmins/:adminId`, {
+    target_admin: req.params.adminId,
+    updated_by: req.user?.id,
+    updated_fields: Object.keys(req.validated)
+  });
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized sysadmin update attempt`,
+        { user_id: req.user?.id, target_admin: req.params.adminId }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const admin = await platformAdminService.update(
+      req.params.adminId,
+      req.validated,
+      req.user.id
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/sysadmins/:adminId`,
+      {
+        platform_admin_id: admin.platform_admin_id,
+        updated_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, admin, SUCCESS_MESSAGES.PLATFORM_ADMIN_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/sysadmins/:adminId`,
+      {
+        error: err.message,
+        target_admin: req.params.adminId,
+        duration_ms: duration
+      }
+    );
+
+    return handleWriteError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/sysadmins/:adminId
+ * Deactivate sysadmin (soft delete)
+ */
+async function deletePlatformAdmin(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/sysadmins/:adminId`, {
+    target_admin: req.params.adminId,
+    deleted_by: req.user?.id
+  });
+
+  try {
+    if (req.user?.role !== ROLES.SYSADMIN) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized sysadmin deletion attempt`,
+        { user_id: req.user?.id, target_admin: req.params.adminId }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    await platformAdminService.delete(req.params.adminId, req.user.id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/sysadmins/:adminId`,
+      {
+        platform_admin_id: req.params.adminId,
+        deleted_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.PLATFORM_ADMIN_DELETED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/sysadmins/:adminId`,
+      {
+        error: err.message,
+        target_admin: req.params.adminId,
+        duration_ms: duration
+      }
+    );
+
+    return handleWriteError(res, err);
+  }
+}
+
+module.exports = {
+  createPlatformAdmin,
+  listPlatformAdmins,
+  getPlatformAdmin,
+  updatePlatformAdmin,
+  deletePlatformAdmin
+};
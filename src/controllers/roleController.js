@@ -0,0 +1,228 @@
+/**
+ * ============================================================================
+ * ROLE CONTROLLER - College Roles & Permissions
+ * ============================================================================
+ * Single Database Architecture
+ * - List assignable permissions
+ * - List roles of the college (built-in + custom) with permissions
+ * - Create/update custom role or override teacher permissions
+ * - Delete custom role / reset teacher to defaults
+ */
+
+const permissionService = require('../services/permissionService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS,
+  RBAC
+} = require('../config/constants');
+
+/**
+ * Map role service errors to HTTP responses
+ */
+function handleRoleError(res, err) {
+  if (err.message.includes('not found')) {
+    return error(res, ERROR_MESSAGES.ROLE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('cannot be modified')) {
+    return error(res, ERROR_MESSAGES.ROLE_NOT_EDITABLE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (err.message.includes('in use')) {
+    return error(res, ERROR_MESSAGES.ROLE_IN_USE, HTTP_STATUS.CONFLICT);
+  }
+
+  if (err.message.includes('Access denied')) {
+    return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * GET /api/v1/roles/permissions
+ * List permissions a college can map to roles
+ */
+async function listPermissions(req, res) {
+  if (!req.user?.permissions?.includes(PERMISSIONS.ROLES_MANAGE)) {
+    return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+  }
+
+  return success(
+    res,
+    permissionService.listAssignablePermissions(),
+    'Permissions retrieved',
+    HTTP_STATUS.OK
+  );
+}
+
+/**
+ * GET /api/v1/roles
+ * List built-in and custom roles of the college
+ */
+async function listRoles(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.ROLES_MANAGE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized role list attempt`,
+        { user_id: req.user?.id, user_role: req.user?.user_role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const roles = await permissionService.listRoles(req.user.college_id);
+
+    return success(res, roles, 'Roles retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/roles`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * PUT /api/v1/roles/:roleKey
+ * Create/update custom role or override teacher permissions
+ */
+async function saveRole(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/roles/:roleKey`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    role_key: req.params.roleKey
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.ROLES_MANAGE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized role update attempt`,
+        { user_id: req.user?.id, user_role: req.user?.user_role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (!RBAC.ROLE_KEY_REGEX.test(req.params.roleKey)) {
+      return error(res, ERROR_MESSAGES.INVALID_ROLE_KEY, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const role = await permissionService.saveRole(
+      req.user.college_id,
+      req.params.roleKey,
+      req.validated,
+      { id: req.user.id, role: req.user.user_role }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/roles/:roleKey`,
+      {
+        role_key: role.role_key,
+        college_id: req.user.college_id,
+        saved_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, role, SUCCESS_MESSAGES.ROLE_SAVED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/roles/:roleKey`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        role_key: req.params.roleKey,
+        duration_ms: duration
+      }
+    );
+
+    return handleRoleError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/roles/:roleKey
+ * Delete custom role (must be unassigned) or reset teacher to defaults
+ */
+async function deleteRole(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/roles/:roleKey`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    role_key: req.params.roleKey
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.ROLES_MANAGE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized role deletion attempt`,
+        { user_id: req.user?.id, user_role: req.user?.user_role }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    await permissionService.deleteRole(
+      req.user.college_id,
+      req.params.roleKey,
+      { id: req.user.id, role: req.user.user_role }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/roles/:roleKey`,
+      {
+        role_key: req.params.roleKey,
+        college_id: req.user.college_id,
+        deleted_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.ROLE_DELETED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/roles/:roleKey`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        role_key: req.params.roleKey,
+        duration_ms: duration
+      }
+    );
+
+    return handleRoleError(res, err);
+  }
+}
+
+module.exports = {
+  listPermissions,
+  listRoles,
+  saveRole,
+  deleteRole
+};
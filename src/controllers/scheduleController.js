@@ -0,0 +1,778 @@
+/**
+ * ============================================================================
+ * SCHEDULE CONTROLLER - Interview / Test Rounds, Slots & Allocation
+ * ============================================================================
+ * Single Database Architecture
+ * - Own schedule (authenticated student)
+ * - List / get rounds with their slots and students (schedules.read)
+ * - Create / update / delete rounds and slots, allocate students
+ *   automatically or manually, reschedule and cancel (schedules.manage)
+ * All routes require the college feature "placement_drives"
+ */
+
+const scheduleService = require('../services/scheduleService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS
+} = require('../config/constants');
+
+/**
+ * Response for schedule service errors
+ *
+ * @private
+ */
+function scheduleError(res, err) {
+  if (err.message.includes('Round not found')) {
+    return error(res, ERROR_MESSAGES.ROUND_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Slot not found')) {
+    return error(res, ERROR_MESSAGES.SLOT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Allocation not found')) {
+    return error(res, ERROR_MESSAGES.ALLOCATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Drive not found')) {
+    return error(res, ERROR_MESSAGES.DRIVE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Application not found')) {
+    return error(res, ERROR_MESSAGES.APPLICATION_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (err.message.includes('Unknown stage') || err.message.includes('Invalid slot')) {
+    return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Message names the clashing drive / round
+  if (
+    err.message.includes('Clash') ||
+    err.message.includes('Stage mismatch') ||
+    err.message.includes('already exists') ||
+    err.message.includes('is already') ||
+    err.message.includes('is full') ||
+    err.message.includes('has already started') ||
+    err.message.includes('scheduled students') ||
+    err.message.includes('is completed') ||
+    err.message.includes('cannot be scheduled')
+  ) {
+    return error(res, err.message, HTTP_STATUS.CONFLICT);
+  }
+
+  return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+}
+
+/**
+ * @private
+ */
+function forbidden(req, res, action) {
+  logger.warn(
+    `${LOG.SECURITY_PREFIX} Unauthorized schedule ${action} attempt`,
+    {
+      user_id: req.user?.id,
+      user_role: req.user?.role,
+      college_id: req.user?.college_id
+    }
+  );
+  return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+}
+
+/**
+ * GET /api/v1/schedules/me
+ * Own schedule (student)
+ */
+async function getMySchedule(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const schedule = await scheduleService.listMine(
+      req.user.id,
+      req.user.college_id,
+      req.validated || {}
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/schedules/me`,
+      {
+        student_id: req.user.id,
+        total: schedule.length,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, schedule, 'Schedule retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/schedules/me`,
+      {
+        error: err.message,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/schedules/rounds
+ * Create round for a drive stage
+ */
+async function createRound(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/schedules/rounds`, {
+    created_by: req.user?.id,
+    college_id: req.user?.college_id,
+    drive_id: req.validated?.drive_id,
+    stage: req.validated?.stage
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'round creation');
+    }
+
+    const round = await scheduleService.createRound({
+      ...req.validated,
+      college_id: req.user.college_id,
+      created_by: req.user.id
+    }, getAuditContext(req));
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/schedules/rounds`,
+      {
+        round_id: round.round_id,
+        drive_id: round.drive_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, round, SUCCESS_MESSAGES.ROUND_CREATED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/schedules/rounds`,
+      {
+        error: err.message,
+        drive_id: req.validated?.drive_id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * GET /api/v1/schedules/rounds?drive_id=
+ * Rounds of a drive
+ */
+async function listRounds(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_READ)) {
+      return forbidden(req, res, 'list');
+    }
+
+    const rounds = await scheduleService.listRounds(req.user.college_id, req.validated.drive_id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/schedules/rounds`,
+      {
+        drive_id: req.validated.drive_id,
+        total: rounds.length,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, rounds, 'Rounds retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/schedules/rounds`,
+      {
+        error: err.message,
+        drive_id: req.validated?.drive_id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/schedules/rounds/:roundId
+ * Round timetable with slots, scheduled and unscheduled students
+ */
+async function getRound(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_READ)) {
+      return forbidden(req, res, 'access');
+    }
+
+    const round = await scheduleService.getRound(req.params.roundId, req.user.college_id);
+
+    return success(res, round, 'Round retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/schedules/rounds/:roundId`,
+      {
+        error: err.message,
+        round_id: req.params.roundId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * PUT /api/v1/schedules/rounds/:roundId
+ * Update round details
+ */
+async function updateRound(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/schedules/rounds/:roundId`, {
+    round_id: req.params.roundId,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'round update');
+    }
+
+    const round = await scheduleService.updateRound(
+      req.params.roundId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/schedules/rounds/:roundId`,
+      {
+        round_id: round.round_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, round, SUCCESS_MESSAGES.ROUND_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/schedules/rounds/:roundId`,
+      {
+        error: err.message,
+        round_id: req.params.roundId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/schedules/rounds/:roundId
+ * Delete round and its slots
+ */
+async function deleteRound(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/schedules/rounds/:roundId`, {
+    round_id: req.params.roundId,
+    deleted_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'round deletion');
+    }
+
+    await scheduleService.deleteRound(req.params.roundId, req.user.college_id, getAuditContext(req));
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/schedules/rounds/:roundId`,
+      {
+        round_id: req.params.roundId,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, null, SUCCESS_MESSAGES.ROUND_DELETED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/schedules/rounds/:roundId`,
+      {
+        error: err.message,
+        round_id: req.params.roundId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/schedules/rounds/:roundId/slots
+ * Add time slots to a round
+ */
+async function addSlots(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/schedules/rounds/:roundId/slots`, {
+    round_id: req.params.roundId,
+    total_slots: req.validated?.slots?.length,
+    created_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'slot creation');
+    }
+
+    const slots = await scheduleService.addSlots(
+      req.params.roundId,
+      req.user.college_id,
+      req.validated.slots,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/schedules/rounds/:roundId/slots`,
+      {
+        round_id: req.params.roundId,
+        created_count: slots.length,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, slots, SUCCESS_MESSAGES.SLOTS_CREATED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/schedules/rounds/:roundId/slots`,
+      {
+        error: err.message,
+        round_id: req.params.roundId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/schedules/rounds/:roundId/allocate
+ * Allocate unscheduled applicants of the round's stage to slots
+ */
+async function autoAllocate(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/schedules/rounds/:roundId/allocate`, {
+    round_id: req.params.roundId,
+    dry_run: req.validated?.dry_run,
+    allocated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'allocation');
+    }
+
+    const result = await scheduleService.autoAllocate(
+      req.params.roundId,
+      req.user.college_id,
+      req.validated || {},
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/schedules/rounds/:roundId/allocate`,
+      {
+        round_id: req.params.roundId,
+        dry_run: result.dry_run,
+        allocated: result.allocated_count,
+        unallocated: result.unallocated_count,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      result,
+      `${result.allocated_count} students ${result.dry_run ? 'would be ' : ''}scheduled, ${result.unallocated_count} unallocated`,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/schedules/rounds/:roundId/allocate`,
+      {
+        error: err.message,
+        round_id: req.params.roundId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * PUT /api/v1/schedules/slots/:slotId
+ * Update slot
+ */
+async function updateSlot(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/schedules/slots/:slotId`, {
+    slot_id: req.params.slotId,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'slot update');
+    }
+
+    const slot = await scheduleService.updateSlot(
+      req.params.slotId,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/schedules/slots/:slotId`,
+      {
+        slot_id: slot.slot_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, slot, SUCCESS_MESSAGES.SLOT_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/schedules/slots/:slotId`,
+      {
+        error: err.message,
+        slot_id: req.params.slotId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/schedules/slots/:slotId
+ * Delete slot
+ */
+async function deleteSlot(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/schedules/slots/:slotId`, {
+    slot_id: req.params.slotId,
+    deleted_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'slot deletion');
+    }
+
+    await scheduleService.deleteSlot(req.params.slotId, req.user.college_id, getAuditContext(req));
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/schedules/slots/:slotId`,
+      {
+        slot_id: req.params.slotId,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, null, SUCCESS_MESSAGES.SLOT_DELETED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/schedules/slots/:slotId`,
+      {
+        error: err.message,
+        slot_id: req.params.slotId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * POST /api/v1/schedules/slots/:slotId/allocations
+ * Place one application in a slot
+ */
+async function allocateSlot(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/schedules/slots/:slotId/allocations`, {
+    slot_id: req.params.slotId,
+    application_id: req.validated?.application_id,
+    allocated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'allocation');
+    }
+
+    const allocation = await scheduleService.allocate(
+      req.params.slotId,
+      req.user.college_id,
+      req.validated.application_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/schedules/slots/:slotId/allocations`,
+      {
+        allocation_id: allocation.allocation_id,
+        slot_id: req.params.slotId,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, allocation, SUCCESS_MESSAGES.STUDENT_SCHEDULED, HTTP_STATUS.CREATED);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/schedules/slots/:slotId/allocations`,
+      {
+        error: err.message,
+        slot_id: req.params.slotId,
+        application_id: req.validated?.application_id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * PUT /api/v1/schedules/allocations/:allocationId
+ * Move a student to another slot of the same round
+ */
+async function rescheduleAllocation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/schedules/allocations/:allocationId`, {
+    allocation_id: req.params.allocationId,
+    slot_id: req.validated?.slot_id,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'reschedule');
+    }
+
+    const allocation = await scheduleService.reschedule(
+      req.params.allocationId,
+      req.user.college_id,
+      req.validated.slot_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/schedules/allocations/:allocationId`,
+      {
+        allocation_id: allocation.allocation_id,
+        slot_id: allocation.slot_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, allocation, SUCCESS_MESSAGES.ALLOCATION_RESCHEDULED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/schedules/allocations/:allocationId`,
+      {
+        error: err.message,
+        allocation_id: req.params.allocationId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+/**
+ * DELETE /api/v1/schedules/allocations/:allocationId
+ * Cancel a student's slot
+ */
+async function cancelAllocation(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/schedules/allocations/:allocationId`, {
+    allocation_id: req.params.allocationId,
+    cancelled_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SCHEDULES_MANAGE)) {
+      return forbidden(req, res, 'cancellation');
+    }
+
+    const allocation = await scheduleService.cancelAllocation(
+      req.params.allocationId,
+      req.user.college_id,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/schedules/allocations/:allocationId`,
+      {
+        allocation_id: allocation.allocation_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, allocation, SUCCESS_MESSAGES.ALLOCATION_CANCELLED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/schedules/allocations/:allocationId`,
+      {
+        error: err.message,
+        allocation_id: req.params.allocationId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return scheduleError(res, err);
+  }
+}
+
+module.exports = {
+  getMySchedule,
+  createRound,
+  listRounds,
+  getRound,
+  updateRound,
+  deleteRound,
+  addSlots,
+  autoAllocate,
+  updateSlot,
+  deleteSlot,
+  allocateSlot,
+  rescheduleAllocation,
+  cancelAllocation
+};
@@ -0,0 +1,394 @@
+/**
+ * ============================================================================
+ * SSO CONTROLLER - OpenID Connect Single Sign-On
+ * ============================================================================
+ * Single Database Architecture
+ * - Get / save / remove college SSO configuration (sso.manage)
+ * - Start SSO login - returns the provider authorization URL (public)
+ * - Complete SSO login with code + state - returns our tokens (public)
+ */
+
+const ssoService = require('../services/ssoService');
+const logger = require('../config/logger');
+const { success, error } = require('../utils/responseHelper');
+const {
+  LOG,
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  PERMISSIONS,
+  ACCOUNT_TYPES,
+  ROLES
+} = require('../config/constants');
+
+/**
+ * GET /api/v1/sso/config
+ * SSO configuration of the college (client secret is never returned)
+ */
+async function getSsoConfig(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SSO_MANAGE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const ssoConfig = await ssoService.getConfig(req.user.college_id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/sso/config`,
+      {
+        configured: Boolean(ssoConfig),
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (!ssoConfig) {
+      return error(res, ERROR_MESSAGES.SSO_NOT_CONFIGURED, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return success(res, ssoConfig, 'SSO configuration retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/sso/config`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * PUT /api/v1/sso/config
+ * Create or replace SSO configuration (provider discovery is checked)
+ */
+async function saveSsoConfig(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/sso/config`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    issuer: req.validated?.issuer
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SSO_MANAGE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized SSO configuration attempt`,
+        {
+          user_id: req.user?.id,
+          user_role: req.user?.role,
+          college_id: req.user?.college_id
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const ssoConfig = await ssoService.saveConfig(
+      req.user.college_id,
+      req.validated,
+      { id: req.user.id, role: req.user.user_role }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/sso/config`,
+      {
+        college_id: req.user.college_id,
+        issuer: ssoConfig.issuer,
+        enabled: ssoConfig.enabled,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, ssoConfig, SUCCESS_MESSAGES.SSO_CONFIG_SAVED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/sso/config`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('provider unavailable')) {
+      return error(res, ERROR_MESSAGES.SSO_PROVIDER_UNAVAILABLE, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('Invalid issuer') ||
+        err.message.includes('secret is required') ||
+        err.message.includes('Invalid role')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('Access denied')) {
+      return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.COLLEGE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * DELETE /api/v1/sso/config
+ * Remove SSO configuration (password login keeps working)
+ */
+async function deleteSsoConfig(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} DELETE /api/v1/sso/config`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.SSO_MANAGE)) {
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    await ssoService.removeConfig(req.user.college_id, req.user.id);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} DELETE /api/v1/sso/config`,
+      {
+        college_id: req.user.college_id,
+        removed_by: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.SSO_CONFIG_REMOVED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} DELETE /api/v1/sso/config`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.SSO_NOT_CONFIGURED, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/sso/start
+ * Start SSO login - client redirects the browser to authorization_url
+ */
+async function startSsoLogin(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/sso/start`, {
+    college_id: req.validated?.college_id,
+    account_type: req.validated?.account_type,
+    ip: req.ip
+  });
+
+  try {
+    const result = await ssoService.startLogin(req.validated, { ip: req.ip });
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/sso/start`,
+      {
+        college_id: req.validated.college_id,
+        account_type: req.validated.account_type,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result, 'SSO login started', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/sso/start`,
+      {
+        error: err.message,
+        college_id: req.validated?.college_id,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not configured')) {
+      return error(res, ERROR_MESSAGES.SSO_NOT_CONFIGURED, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('provider unavailable')) {
+      return error(res, ERROR_MESSAGES.SSO_PROVIDER_UNAVAILABLE, HTTP_STATUS.BAD_GATEWAY);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/auth/sso/callback
+ * Complete SSO login with code + state from the provider redirect
+ */
+async function completeSsoLogin(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/auth/sso/callback`, {
+    ip: req.ip
+  });
+
+  try {
+    const result = await ssoService.completeLogin(req.validated, {
+      ip: req.ip,
+      user_agent: req.get('user-agent')
+    });
+
+    const duration = Date.now() - startTime;
+
+    if (result.account_type === ACCOUNT_TYPES.STUDENT) {
+      logger.info(
+        `${LOG.API_END_PREFIX} POST /api/v1/auth/sso/callback`,
+        {
+          student_id: result.student.student_id,
+          college_id: result.student.college_id,
+          ip: req.ip,
+          duration_ms: duration
+        }
+      );
+
+      return success(
+        res,
+        {
+          token: result.token,
+          refresh_token: result.refresh_token,
+          expires_in: result.expires_in,
+          role: ROLES.STUDENT,
+          student_email: result.student.student_email,
+          student_name: result.student.student_name,
+          type: 'student'
+        },
+        SUCCESS_MESSAGES.LOGIN_SUCCESSFUL,
+        HTTP_STATUS.OK
+      );
+    }
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/auth/sso/callback`,
+      {
+        user_id: result.user.user_id,
+        college_id: result.user.college_id,
+        mfa_required: Boolean(result.mfa_required),
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (result.mfa_required) {
+      return success(
+        res,
+        {
+          mfa_required: true,
+          mfa_token: result.mfa_token,
+          enrollment_required: result.enrollment_required,
+          email: result.user.user_email,
+          type: 'college_user'
+        },
+        SUCCESS_MESSAGES.MFA_REQUIRED,
+        HTTP_STATUS.OK
+      );
+    }
+
+    return success(
+      res,
+      {
+        token: result.token,
+        refresh_token: result.refresh_token,
+        expires_in: result.expires_in,
+        role: result.user.user_role,
+        email: result.user.user_email,
+        college_id: result.user.college_id,
+        type: 'college_user'
+      },
+      SUCCESS_MESSAGES.LOGIN_SUCCESSFUL,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/auth/sso/callback`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid SSO state')) {
+      return error(res, ERROR_MESSAGES.INVALID_SSO_STATE, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('not configured')) {
+      return error(res, ERROR_MESSAGES.SSO_NOT_CONFIGURED, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('provider unavailable')) {
+      return error(res, ERROR_MESSAGES.SSO_PROVIDER_UNAVAILABLE, HTTP_STATUS.BAD_GATEWAY);
+    }
+
+    if (err.message.includes('Invalid ID token') || err.message.includes('token exchange failed')) {
+      return error(res, ERROR_MESSAGES.SSO_LOGIN_FAILED, HTTP_STATUS.UNAUTHORIZED);
+    }
+
+    if (err.message.includes('SSO account not found') || err.message.includes('already exists')) {
+      return error(res, ERROR_MESSAGES.SSO_ACCOUNT_NOT_FOUND, HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (err.message.includes('inactive') || err.message.includes('not active')) {
+      return error(res, ERROR_MESSAGES.SSO_ACCOUNT_NOT_FOUND, HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (err.message.includes('Account locked')) {
+      return error(res, ERROR_MESSAGES.ACCOUNT_LOCKED, HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+module.exports = {
+  getSsoConfig,
+  saveSsoConfig,
+  deleteSsoConfig,
+  startSsoLogin,
+  completeSsoLogin
+};
@@ -3,24 +3,35 @@
  * STUDENT CONTROLLER - Student Management (UPDATED)
  * ============================================================================
  * Single Database Architecture
- * - Register single student
- * - Bulk register students (admin only)
+ * - Register single student (pending until email is verified)
+ * - Verify email / resend verification link
+ * - Bulk register students (admin only; optionally as a background job)
+ * - Import students from CSV / XLSX (dry run, then confirm)
  * - Student login
  * - Student logout
  * - Update student password (authenticated student)
+ * - Get / update own profile (authenticated student)
+ * - List / get students of the college (students.read)
  * - Update student profile (admin/teacher)
+ * - Verify academic record fields (students.verify)
  * - Status checks: college active, student active
  */
 
 const studentService = require('../services/studentService');
+const studentImportService = require('../services/studentImportService');
+const jobService = require('../services/jobService');
+const sessionService = require('../services/sessionService');
+const emailVerificationService = require('../services/emailVerificationService');
 const logger = require('../config/logger');
 const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
 const {
   LOG,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  ROLES
+  PERMISSIONS,
+  JOBS
 } = require('../config/constants');
 
 /**
@@ -53,6 +64,9 @@ async function registerStudent(req, res) {
       student_password,
       student_department,
       student_year
+    }, {
+      require_verification: true,
+      context: { ip: req.ip }
     });
 
     const duration = Date.now() - startTime;
@@ -72,9 +86,10 @@ async function registerStudent(req, res) {
       {
         student_id: newStudent.student_id,
         student_name: newStudent.student_name,
-        student_email: newStudent.student_email
+        student_email: newStudent.student_email,
+        student_status: newStudent.student_status
       },
-      SUCCESS_MESSAGES.STUDENT_REGISTERED,
+      SUCCESS_MESSAGES.STUDENT_REGISTERED_PENDING,
       HTTP_STATUS.CREATED
     );
 
@@ -98,6 +113,10 @@ async function registerStudent(req, res) {
       );
     }
 
+    if (err.message.includes('domain not allowed')) {
+      return error(res, ERROR_MESSAGES.EMAIL_DOMAIN_NOT_ALLOWED, HTTP_STATUS.BAD_REQUEST);
+    }
+
     if (err.message.includes('not found') || err.message.includes('inactive')) {
       return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
     }
@@ -130,7 +149,7 @@ async function bulkRegisterStudents(req, res) {
 
   try {
     // Authorization check
-    if (req.user?.role !== ROLES.ADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_CREATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized bulk registration attempt`,
         {
@@ -141,13 +160,45 @@ async function bulkRegisterStudents(req, res) {
       return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
     }
 
-    const { students } = req.validated;
+    const { students, atomic } = req.validated;
     const college_id = req.user.college_id;
 
+    if (req.validated.async) {
+      const job = await jobService.enqueue({
+        college_id,
+        job_type: JOBS.TYPES.STUDENTS_BULK_REGISTER,
+        payload: { students, atomic },
+        created_by: req.user.id
+      });
+
+      logger.info(
+        `${LOG.API_END_PREFIX} POST /api/v1/students/bulk`,
+        {
+          total: students.length,
+          atomic,
+          job_id: job.job_id,
+          college_id,
+          duration_ms: Date.now() - startTime
+        }
+      );
+
+      return success(
+        res,
+        {
+          job_id: job.job_id,
+          job_type: job.job_type,
+          job_status: job.job_status
+        },
+        SUCCESS_MESSAGES.JOB_QUEUED,
+        HTTP_STATUS.ACCEPTED
+      );
+    }
+
     // Call service
     const results = await studentService.bulkRegisterStudents(
       students,
-      college_id
+      college_id,
+      { atomic }
     );
 
     const duration = Date.now() - startTime;
@@ -156,6 +207,7 @@ async function bulkRegisterStudents(req, res) {
       `${LOG.API_END_PREFIX} POST /api/v1/students/bulk`,
       {
         total: students.length,
+        atomic,
         success: results.success.length,
         failed: results.failed.length,
         college_id: college_id,
@@ -163,6 +215,16 @@ async function bulkRegisterStudents(req, res) {
       }
     );
 
+    // All-or-nothing: per-row results explain which rows blocked the rest
+    if (atomic && results.failed.length) {
+      return error(
+        res,
+        ERROR_MESSAGES.BULK_REGISTRATION_ROLLED_BACK,
+        HTTP_STATUS.BAD_REQUEST,
+        results
+      );
+    }
+
     return success(
       res,
       results,
@@ -183,6 +245,10 @@ async function bulkRegisterStudents(req, res) {
       }
     );
 
+    if (err.message.includes('not found') || err.message.includes('inactive')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
     return error(
       res,
       ERROR_MESSAGES.SERVER_ERROR,
@@ -191,6 +257,166 @@ async function bulkRegisterStudents(req, res) {
   }
 }
 
+/**
+ * POST /api/v1/students/import
+ * Validate CSV / XLSX roster (dry run) - nothing is created yet
+ */
+async function importStudents(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/students/import`, {
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    file_name: req.file?.originalname,
+    file_size: req.file?.size
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_CREATE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized student import attempt`,
+        {
+          user_id: req.user?.id,
+          user_role: req.user?.role
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const result = await studentImportService.preview(
+      req.user.college_id,
+      req.file,
+      req.validated.mapping,
+      { id: req.user.id, role: req.user.user_role }
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/students/import`,
+      {
+        import_id: result.import_id,
+        total_rows: result.total_rows,
+        valid_count: result.valid_count,
+        invalid_count: result.invalid_count,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result, SUCCESS_MESSAGES.STUDENT_IMPORT_VALIDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/students/import`,
+      {
+        error: err.message,
+        user_id: req.user?.id,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.startsWith('Import file') ||
+        err.message.includes('not found') ||
+        err.message.includes('inactive')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/students/import/:importId/confirm
+ * Create the students of a validated import
+ * (random passwords are returned once; invite mode emails setup links)
+ */
+async function confirmStudentImport(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/students/import/:importId/confirm`, {
+    import_id: req.params.importId,
+    user_id: req.user?.id,
+    college_id: req.user?.college_id,
+    password_mode: req.validated?.password_mode
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_CREATE)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized student import confirmation attempt`,
+        {
+          user_id: req.user?.id,
+          import_id: req.params.importId
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const result = await studentImportService.confirm(
+      req.params.importId,
+      req.user.college_id,
+      req.validated,
+      { id: req.user.id, role: req.user.user_role },
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/students/import/:importId/confirm`,
+      {
+        import_id: req.params.importId,
+        created_count: result.created_count,
+        failed_count: result.failed_count,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(
+      res,
+      result,
+      `${SUCCESS_MESSAGES.STUDENT_IMPORT_COMMITTED}: ${result.created_count} students registered, ${result.failed_count} failed`,
+      HTTP_STATUS.OK
+    );
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/students/import/:importId/confirm`,
+      {
+        error: err.message,
+        import_id: req.params.importId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Import not found')) {
+      return error(res, ERROR_MESSAGES.STUDENT_IMPORT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('already been confirmed')) {
+      return error(res, ERROR_MESSAGES.IMPORT_ALREADY_COMMITTED, HTTP_STATUS.CONFLICT);
+    }
+
+    if (err.message.includes('invalid rows')) {
+      return error(res, ERROR_MESSAGES.IMPORT_HAS_INVALID_ROWS, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (err.message.includes('no valid rows')) {
+      return error(res, ERROR_MESSAGES.IMPORT_HAS_NO_VALID_ROWS, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 /**
  * POST /api/v1/students/login
  * Student login
@@ -210,7 +436,8 @@ async function loginStudent(req, res) {
     const authResult = await studentService.authenticateStudent(
       student_email,
       student_password,
-      college_id
+      college_id,
+      { ip: req.ip, user_agent: req.get('user-agent') }
     );
 
     const duration = Date.now() - startTime;
@@ -229,6 +456,8 @@ async function loginStudent(req, res) {
       res,
       {
         token: authResult.token,
+        refresh_token: authResult.refresh_token,
+        expires_in: authResult.expires_in,
         role: 'student',
         student_email: authResult.student.student_email,
         student_name: authResult.student.student_name
@@ -249,6 +478,10 @@ async function loginStudent(req, res) {
       }
     );
 
+    if (err.message.includes('not verified')) {
+      return error(res, ERROR_MESSAGES.EMAIL_NOT_VERIFIED, HTTP_STATUS.FORBIDDEN);
+    }
+
     if (
       err.message.includes('Invalid credentials') ||
       err.message.includes('not found') ||
@@ -261,6 +494,10 @@ async function loginStudent(req, res) {
       );
     }
 
+    if (err.message.includes('Account locked')) {
+      return error(res, ERROR_MESSAGES.ACCOUNT_LOCKED, HTTP_STATUS.TOO_MANY_REQUESTS);
+    }
+
     if (err.message.includes('Access denied')) {
       return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
     }
@@ -273,9 +510,100 @@ async function loginStudent(req, res) {
   }
 }
 
+/**
+ * POST /api/v1/students/verify-email
+ * Verify email using token from the verification link
+ */
+async function verifyEmail(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/students/verify-email`, {
+    ip: req.ip
+  });
+
+  try {
+    const result = await emailVerificationService.verify(req.validated.token);
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/students/verify-email`,
+      {
+        student_id: result.student_id,
+        college_id: result.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.EMAIL_VERIFIED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/students/verify-email`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('Invalid verification token')) {
+      return error(res, ERROR_MESSAGES.INVALID_VERIFICATION_TOKEN, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * POST /api/v1/students/verify-email/resend
+ * Resend verification link
+ * Response is identical whether or not the account exists
+ */
+async function resendVerification(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} POST /api/v1/students/verify-email/resend`, {
+    college_id: req.validated?.college_id,
+    ip: req.ip
+  });
+
+  try {
+    await emailVerificationService.resend(req.validated, { ip: req.ip });
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} POST /api/v1/students/verify-email/resend`,
+      {
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, {}, SUCCESS_MESSAGES.VERIFICATION_EMAIL_SENT, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} POST /api/v1/students/verify-email/resend`,
+      {
+        error: err.message,
+        ip: req.ip,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 /**
  * POST /api/v1/students/logout
- * Logout student (stateless JWT - optional endpoint)
+ * Logout student (revokes current session)
  */
 async function logoutStudent(req, res) {
   const startTime = Date.now();
@@ -286,6 +614,8 @@ async function logoutStudent(req, res) {
   });
 
   try {
+    await sessionService.revoke(req.user.sid);
+
     const duration = Date.now() - startTime;
 
     logger.info(
@@ -387,6 +717,221 @@ async function updatePassword(req, res) {
   }
 }
 
+/**
+ * GET /api/v1/students/me
+ * Get own record (authenticated student)
+ */
+async function getMyProfile(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const student = await studentService.getById(req.user.id, req.user.college_id);
+
+    return success(res, student, 'Profile retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/students/me`,
+      {
+        error: err.message,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.STUDENT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * PATCH /api/v1/students/me
+ * Update own self-service fields (authenticated student)
+ */
+async function updateMyProfile(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PATCH /api/v1/students/me`, {
+    student_id: req.user?.id,
+    fields: Object.keys(req.validated || {}),
+    ip: req.ip
+  });
+
+  try {
+    const student = await studentService.updateSelfProfile(
+      req.user.id,
+      req.user.college_id,
+      req.validated,
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PATCH /api/v1/students/me`,
+      {
+        student_id: req.user.id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, student, SUCCESS_MESSAGES.STUDENT_PROFILE_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PATCH /api/v1/students/me`,
+      {
+        error: err.message,
+        student_id: req.user?.id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.STUDENT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('cannot exceed')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/students
+ * List students in college (filters, search, sorting, pagination)
+ */
+async function listStudents(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/students`, {
+    user_id: req.user?.id,
+    user_role: req.user?.role,
+    college_id: req.user?.college_id,
+    query_params: req.query
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_READ)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized student list attempt`,
+        {
+          user_id: req.user?.id,
+          user_role: req.user?.role
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const result = await studentService.list(
+      req.user.college_id,
+      req.validated || {}
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/students`,
+      {
+        total: result.pagination.total,
+        page: result.pagination.page,
+        limit: result.pagination.limit,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, result.data, 'Students retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/students`,
+      {
+        error: err.message,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
+/**
+ * GET /api/v1/students/:studentId
+ * Get single student by ID
+ */
+async function getStudent(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} GET /api/v1/students/:studentId`, {
+    student_id: req.params.studentId,
+    requested_by: req.user?.id,
+    college_id: req.user?.college_id
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_READ)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized student access attempt`,
+        {
+          user_id: req.user?.id,
+          target_student: req.params.studentId
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const student = await studentService.getById(
+      req.params.studentId,
+      req.user.college_id
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} GET /api/v1/students/:studentId`,
+      {
+        student_id: student.student_id,
+        college_id: req.user.college_id,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, student, 'Student retrieved', HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} GET /api/v1/students/:studentId`,
+      {
+        error: err.message,
+        target_student: req.params.studentId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.STUDENT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 /**
  * PUT /api/v1/students/:studentId/profile
  * Update student profile (admin/teacher)
@@ -404,7 +949,7 @@ async function updateProfile(req, res) {
 
   try {
     // Authorization check
-    if (![ROLES.ADMIN, ROLES.TEACHER].includes(req.user?.role)) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_UPDATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized profile update attempt`,
         {
@@ -418,7 +963,8 @@ async function updateProfile(req, res) {
     const updatedStudent = await studentService.updateProfile(
       req.params.studentId,
       req.user.college_id,
-      req.validated
+      req.validated,
+      getAuditContext(req)
     );
 
     const duration = Date.now() - startTime;
@@ -461,6 +1007,14 @@ async function updateProfile(req, res) {
       return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
     }
 
+    if (err.message.includes('already exists')) {
+      return error(res, ERROR_MESSAGES.ROLL_NUMBER_ALREADY_EXISTS, HTTP_STATUS.CONFLICT);
+    }
+
+    if (err.message.includes('cannot exceed')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
     return error(
       res,
       ERROR_MESSAGES.SERVER_ERROR,
@@ -469,11 +1023,97 @@ async function updateProfile(req, res) {
   }
 }
 
+/**
+ * PUT /api/v1/students/:studentId/academic-verification
+ * Verify / unverify academic record fields (registrar)
+ */
+async function updateAcademicVerification(req, res) {
+  const startTime = Date.now();
+
+  logger.info(`${LOG.API_START_PREFIX} PUT /api/v1/students/:studentId/academic-verification`, {
+    student_id: req.params.studentId,
+    updated_by: req.user?.id,
+    college_id: req.user?.college_id,
+    fields: req.validated?.fields,
+    verified: req.validated?.verified
+  });
+
+  try {
+    if (!req.user?.permissions?.includes(PERMISSIONS.STUDENTS_VERIFY)) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Unauthorized academic verification attempt`,
+        {
+          user_id: req.user?.id,
+          target_student: req.params.studentId
+        }
+      );
+      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+    }
+
+    const { fields, verified } = req.validated;
+
+    const student = await studentService.setAcademicVerification(
+      req.params.studentId,
+      req.user.college_id,
+      fields,
+      verified,
+      { id: req.user.id, role: req.user.user_role },
+      getAuditContext(req)
+    );
+
+    const duration = Date.now() - startTime;
+
+    logger.info(
+      `${LOG.API_END_PREFIX} PUT /api/v1/students/:studentId/academic-verification`,
+      {
+        student_id: req.params.studentId,
+        fields,
+        verified,
+        duration_ms: duration
+      }
+    );
+
+    return success(res, student, SUCCESS_MESSAGES.ACADEMIC_VERIFICATION_UPDATED, HTTP_STATUS.OK);
+
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    logger.error(
+      `${LOG.API_ERROR_PREFIX} PUT /api/v1/students/:studentId/academic-verification`,
+      {
+        error: err.message,
+        target_student: req.params.studentId,
+        college_id: req.user?.college_id,
+        duration_ms: duration
+      }
+    );
+
+    if (err.message.includes('not found')) {
+      return error(res, ERROR_MESSAGES.STUDENT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (err.message.includes('Cannot verify empty field')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
+
 module.exports = {
   registerStudent,
   bulkRegisterStudents,
+  importStudents,
+  confirmStudentImport,
   loginStudent,
+  verifyEmail,
+  resendVerification,
   logoutStudent,
   updatePassword,
-  updateProfile
+  getMyProfile,
+  updateMyProfile,
+  listStudents,
+  getStudent,
+  updateProfile,
+  updateAcademicVerification
 };
\ No newline at end of file
@@ -3,22 +3,23 @@
  * USER CONTROLLER - User Management (SIMPLIFIED)
  * ============================================================================
  * Single Database Architecture
- * - Create user (admin only)
- * - List users (admin/teacher)
- * - Get user by ID
- * - Update user (admin only)
- * - Delete user (soft delete - admin only)
+ * - Create user (users.create)
+ * - List users (users.read)
+ * - Get user by ID (users.read)
+ * - Update user (users.update)
+ * - Delete user (soft delete - users.delete)
  */
 
 const userService = require('../services/userService');
 const logger = require('../config/logger');
 const { success, error } = require('../utils/responseHelper');
+const { getAuditContext } = require('../utils/requestContext');
 const {
   LOG,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  ROLES
+  PERMISSIONS
 } = require('../config/constants');
 
 /**
@@ -37,7 +38,7 @@ async function createUser(req, res) {
 
   try {
     // Authorization check
-    if (req.user?.role !== ROLES.ADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_CREATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized user creation attempt`,
         {
@@ -63,7 +64,7 @@ async function createUser(req, res) {
       user_email,
       user_password,
       user_role
-    });
+    }, { id: req.user.id, role: req.user.user_role }, getAuditContext(req));
 
     const duration = Date.now() - startTime;
 
@@ -107,6 +108,10 @@ async function createUser(req, res) {
       return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
     }
 
+    if (err.message.includes('Access denied')) {
+      return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
+    }
+
     return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
   }
 }
@@ -127,7 +132,7 @@ async function listUsers(req, res) {
 
   try {
     // Authorization check
-    if (![ROLES.ADMIN, ROLES.TEACHER].includes(req.user?.role)) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_READ)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized user list attempt`,
         {
@@ -198,7 +203,7 @@ async function getUser(req, res) {
 
   try {
     // Authorization check
-    if (![ROLES.ADMIN, ROLES.TEACHER].includes(req.user?.role)) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_READ)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized user access attempt`,
         {
@@ -264,7 +269,7 @@ async function updateUser(req, res) {
 
   try {
     // Authorization check
-    if (req.user?.role !== ROLES.ADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_UPDATE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized user update attempt`,
         {
@@ -278,7 +283,9 @@ async function updateUser(req, res) {
     const updatedUser = await userService.update(
       req.params.userId,
       req.user.college_id,
-      req.validated
+      req.validated,
+      { id: req.user.id, role: req.user.user_role },
+      getAuditContext(req)
     );
 
     const duration = Date.now() - startTime;
@@ -312,8 +319,12 @@ async function updateUser(req, res) {
       return error(res, ERROR_MESSAGES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
     }
 
+    if (err.message.includes('Invalid role')) {
+      return error(res, err.message, HTTP_STATUS.BAD_REQUEST);
+    }
+
     if (err.message.includes('Access denied')) {
-      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+      return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
     }
 
     return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
@@ -335,7 +346,7 @@ async function deleteUser(req, res) {
 
   try {
     // Authorization check
-    if (req.user?.role !== ROLES.ADMIN) {
+    if (!req.user?.permissions?.includes(PERMISSIONS.USERS_DELETE)) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Unauthorized user deletion attempt`,
         {
@@ -348,7 +359,9 @@ async function deleteUser(req, res) {
 
     await userService.delete(
       req.params.userId,
-      req.user.college_id
+      req.user.college_id,
+      { id: req.user.id, role: req.user.user_role },
+      getAuditContext(req)
     );
 
     const duration = Date.now() - startTime;
@@ -383,7 +396,7 @@ async function deleteUser(req, res) {
     }
 
     if (err.message.includes('Access denied')) {
-      return error(res, ERROR_MESSAGES.FORBIDDEN, HTTP_STATUS.FORBIDDEN);
+      return error(res, ERROR_MESSAGES.ROLE_ESCALATION, HTTP_STATUS.FORBIDDEN);
     }
 
     return error(res, ERROR_MESSAGES.SERVER_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
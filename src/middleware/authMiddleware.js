@@ -2,18 +2,25 @@
  * ============================================================================
  * AUTH MIDDLEWARE - Authentication & Authorization (SIMPLIFIED)
  * ============================================================================
- * Handles JWT validation and role-based access control
+ * Handles JWT validation, role-based and permission-based access control
+ * and college feature gating (enabled_features)
  * Single database - no multi-tenant pool logic
  * 
  * Supports 4 user types:
- * 1. SYSADMIN - System administrator (NOT in database - from .env)
+ * 1. SYSADMIN (platform_admins table) - System administrator
  * 2. ADMIN (users table) - College administrator
  * 3. TEACHER (users table) - College teacher
  * 4. STUDENT (students table) - College student
+ * plus custom college roles (users table, e.g. placement_coordinator)
+ * and college API keys (api_keys table, `X-API-Key` header)
  * ============================================================================
  */
 
 const jwtHelper = require('../utils/jwtHelper');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const impersonationService = require('../services/impersonationService');
+const apiKeyService = require('../services/apiKeyService');
 const logger = require('../config/logger');
 const { getMainPool } = require('../config/db');
 const {
@@ -21,13 +28,15 @@ const {
   ERROR_MESSAGES,
   HTTP_STATUS,
   LOG,
-  STATUS
+  STATUS,
+  IMPERSONATION,
+  API_KEYS
 } = require('../config/constants');
 
 /**
  * Query user based on role
  * 
- * SYSADMIN: No database query (verified during login)
+ * SYSADMIN: Query platform_admins table
  * ADMIN, TEACHER: Query users table
  * STUDENT: Query students table
  * 
@@ -39,20 +48,27 @@ const {
 async function queryUserByRole(mainPool, userId, role) {
   try {
     // ====================================================================
-    // SYSADMIN: No database lookup (verified during login from .env)
+    // SYSADMIN: Query from platform_admins table
     // ====================================================================
     if (role === ROLES.SYSADMIN) {
-      logger.debug(
-        `${LOG.TRANSACTION_PREFIX} Sysadmin token verified`,
-        { user_id: userId }
-      );
-      return {
-        id: userId,
-        user_status: STATUS.ACTIVE,
-        college_id: null,
-        user_role: ROLES.SYSADMIN,
-        college_status: STATUS.ACTIVE
-      };
+      const adminQuery = `
+        SELECT
+          platform_admin_id as id,
+          admin_status as user_status,
+          NULL as college_id,
+          $1 as user_role,
+          $2 as college_status
+        FROM platform_admins
+        WHERE platform_admin_id = $3
+        LIMIT 1
+      `;
+
+      const { rows } = await mainPool.query(adminQuery, [
+        ROLES.SYSADMIN,
+        STATUS.ACTIVE,
+        userId
+      ]);
+      return rows.length > 0 ? rows[0] : null;
     }
 
     // ====================================================================
@@ -62,7 +78,7 @@ async function queryUserByRole(mainPool, userId, role) {
       const studentQuery = `
         SELECT 
           s.student_id as id,
-          s.student_status,
+          s.student_status as user_status,
           s.college_id,
           $1 as user_role,
           c.college_status
@@ -80,7 +96,7 @@ async function queryUserByRole(mainPool, userId, role) {
     }
 
     // ====================================================================
-    // ADMIN, TEACHER: Query from users table
+    // ADMIN, TEACHER, custom roles: Query from users table
     // ====================================================================
     const userQuery = `
       SELECT 
@@ -106,19 +122,88 @@ async function queryUserByRole(mainPool, userId, role) {
   }
 }
 
+/**
+ * Authenticate request by `X-API-Key` header
+ *
+ * req.user gets the key's college and the permissions of its scopes;
+ * role/user_role are API_KEYS.ROLE so role-gated routes stay closed
+ */
+async function authenticateApiKey(req, res, next) {
+  const { key, reason, key_id: rejectedKeyId } = await apiKeyService.authenticate(
+    req.headers[API_KEYS.HEADER],
+    req.ip
+  );
+
+  if (!key) {
+    logger.warn(
+      `${LOG.SECURITY_PREFIX} API key rejected`,
+      { reason, key_id: rejectedKeyId, ip: req.ip, path: req.path }
+    );
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: reason === 'ip_not_allowed'
+        ? ERROR_MESSAGES.API_KEY_IP_NOT_ALLOWED
+        : ERROR_MESSAGES.INVALID_API_KEY
+    });
+  }
+
+  // Keys belong to one college - same subdomain binding as user tokens
+  if (req.tenant && key.college_id !== req.tenant.college_id) {
+    logger.warn(
+      `${LOG.SECURITY_PREFIX} API key used on another college's subdomain`,
+      {
+        key_id: key.key_id,
+        college_id: key.college_id,
+        tenant_college_id: req.tenant.college_id,
+        ip: req.ip
+      }
+    );
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: ERROR_MESSAGES.TENANT_MISMATCH
+    });
+  }
+
+  req.user = {
+    id: key.key_id,
+    role: API_KEYS.ROLE,
+    user_role: API_KEYS.ROLE,
+    email: null,
+    college_id: key.college_id,
+    api_key: {
+      key_id: key.key_id,
+      key_name: key.key_name,
+      scopes: key.scopes
+    },
+    permissions: apiKeyService.scopesToPermissions(key.scopes)
+  };
+
+  logger.debug(
+    `${LOG.TRANSACTION_PREFIX} API key authenticated`,
+    { key_id: key.key_id, college_id: key.college_id, scopes: key.scopes }
+  );
+
+  return next();
+}
+
 /**
  * Authentication Middleware
  * 
  * Flow:
+ * 0. No Authorization header but `X-API-Key` present → API key auth
  * 1. Extract & parse JWT token from Authorization header
  * 2. Verify JWT signature and expiration
- * 3. Query correct table based on role:
- *    - SYSADMIN → No query (verified at login from .env)
+ * 3. Verify session (`sid` claim) is not revoked or expired
+ * 4. Query correct table based on role:
+ *    - SYSADMIN → platform_admins table
  *    - STUDENT → students table
- *    - ADMIN/TEACHER → users table
- * 4. Verify user is active
- * 5. Verify college is active (if not sysadmin)
- * 6. Attach user to request
+ *    - ADMIN/TEACHER/custom roles → users table
+ * 5. Verify user is active
+ * 6. Verify college is active (if not sysadmin)
+ * 7. Verify college matches the tenant resolved from the host (if any)
+ * 8. Verify impersonating sysadmin is still active (impersonation tokens)
+ * 9. Attach user to request (req.user.impersonator when impersonating)
+ *    and record write requests made under impersonation
  */
 async function authMiddleware(req, res, next) {
   try {
@@ -127,6 +212,10 @@ async function authMiddleware(req, res, next) {
     // ====================================================================
     const authHeader = req.headers['authorization'];
 
+    if (!authHeader && req.headers[API_KEYS.HEADER]) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     if (!authHeader) {
       logger.warn(
         `${LOG.SECURITY_PREFIX} Missing authorization header`,
@@ -186,7 +275,27 @@ async function authMiddleware(req, res, next) {
     }
 
     // ====================================================================
-    // Step 4: Validate user in correct table based on role
+    // Step 4: Verify session has not been revoked (logout)
+    // ====================================================================
+    const sessionActive = await sessionService.isActive(payload.sid);
+
+    if (!sessionActive) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Token session revoked or expired`,
+        {
+          user_id: payload.id,
+          session_id: payload.sid,
+          ip: req.ip
+        }
+      );
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.SESSION_REVOKED
+      });
+    }
+
+    // ====================================================================
+    // Step 5: Validate user in correct table based on role
     // ====================================================================
     const mainPool = getMainPool();
 
@@ -247,7 +356,51 @@ async function authMiddleware(req, res, next) {
     }
 
     // ====================================================================
-    // Step 5: Attach user to request
+    // Step 6: Token must belong to the college of this subdomain
+    // (sysadmin tokens are platform-wide)
+    // ====================================================================
+    if (req.tenant &&
+        payload.role !== ROLES.SYSADMIN &&
+        dbUser.college_id !== req.tenant.college_id) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Token used on another college's subdomain`,
+        {
+          user_id: payload.id,
+          college_id: dbUser.college_id,
+          tenant_college_id: req.tenant.college_id,
+          ip: req.ip
+        }
+      );
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.TENANT_MISMATCH
+      });
+    }
+
+    // ====================================================================
+    // Step 7: Impersonating sysadmin must still be active
+    // ====================================================================
+    if (payload.impersonator) {
+      const impersonator = await queryUserByRole(mainPool, payload.impersonator.id, ROLES.SYSADMIN);
+
+      if (!impersonator || impersonator.user_status !== STATUS.ACTIVE) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} Impersonation token of inactive sysadmin`,
+          {
+            user_id: payload.id,
+            impersonator_id: payload.impersonator.id,
+            ip: req.ip
+          }
+        );
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.INVALID_TOKEN
+        });
+      }
+    }
+
+    // ====================================================================
+    // Step 8: Attach user to request
     // ====================================================================
     req.user = {
       ...payload,
@@ -255,6 +408,28 @@ async function authMiddleware(req, res, next) {
       user_role: dbUser.user_role || payload.role
     };
 
+    if (req.user.impersonator) {
+      res.set(IMPERSONATION.RESPONSE_HEADER, req.user.impersonator.id);
+
+      if (IMPERSONATION.WRITE_METHODS.includes(req.method)) {
+        logger.info(`${LOG.SECURITY_PREFIX} Write request under impersonation`, {
+          user_id: req.user.id,
+          impersonator_id: req.user.impersonator.id,
+          method: req.method,
+          path: req.originalUrl
+        });
+
+        res.on('finish', () => {
+          impersonationService.recordAction(req.user, {
+            method: req.method,
+            path: req.originalUrl,
+            status_code: res.statusCode,
+            ip: req.ip
+          });
+        });
+      }
+    }
+
     logger.debug(
       `${LOG.TRANSACTION_PREFIX} User authenticated successfully`,
       {
@@ -334,7 +509,161 @@ function requireRole(...allowedRoles) {
   };
 }
 
+/**
+ * Permission-Based Access Control Middleware
+ *
+ * Validates user's role grants ALL required permissions in their college
+ * (see permissionService). Attaches req.user.permissions for controllers.
+ */
+function requirePermission(...requiredPermissions) {
+  return async (req, res, next) => {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} requirePermission: No authenticated user`,
+          { ip: req.ip, path: req.path }
+        );
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.UNAUTHORIZED
+        });
+      }
+
+      if (!user.permissions) {
+        user.permissions = await permissionService.getPermissions(
+          user.college_id,
+          user.user_role
+        );
+      }
+
+      const missing = requiredPermissions.filter(
+        (permission) => !user.permissions.includes(permission)
+      );
+
+      if (missing.length) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} Insufficient permissions`,
+          {
+            user_id: user.id,
+            user_role: user.user_role,
+            missing_permissions: missing,
+            path: req.path,
+            ip: req.ip
+          }
+        );
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.FORBIDDEN
+        });
+      }
+
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Permission validation passed`,
+        { user_id: user.id, permissions: requiredPermissions }
+      );
+
+      return next();
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Unexpected error in requirePermission`,
+        { error: err.message }
+      );
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  };
+}
+
+/**
+ * College Feature Middleware
+ *
+ * Validates the user's college has the feature in enabled_features
+ * (sysadmin-managed, see PUT /colleges/:collegeId/features)
+ */
+function requireFeature(feature) {
+  return async (req, res, next) => {
+    try {
+      const user = req.user;
+
+      if (!user) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} requireFeature: No authenticated user`,
+          { ip: req.ip, path: req.path }
+        );
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.UNAUTHORIZED
+        });
+      }
+
+      const { rows } = await getMainPool().query(
+        'SELECT enabled_features FROM colleges WHERE college_id = $1 LIMIT 1',
+        [user.college_id]
+      );
+
+      if (!rows.length || !(rows[0].enabled_features || []).includes(feature)) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} Feature not enabled for college`,
+          {
+            user_id: user.id,
+            college_id: user.college_id,
+            feature,
+            path: req.path
+          }
+        );
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          success: false,
+          message: ERROR_MESSAGES.FEATURE_NOT_ENABLED
+        });
+      }
+
+      return next();
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Unexpected error in requireFeature`,
+        { error: err.message }
+      );
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: ERROR_MESSAGES.SERVER_ERROR
+      });
+    }
+  };
+}
+
+/**
+ * Block endpoint for impersonation tokens
+ *
+ * Used on account self-service (MFA, logout everywhere) that a sysadmin
+ * must not change on the user's behalf
+ */
+function denyImpersonation(req, res, next) {
+  if (req.user?.impersonator) {
+    logger.warn(
+      `${LOG.SECURITY_PREFIX} Action blocked under impersonation`,
+      {
+        user_id: req.user.id,
+        impersonator_id: req.user.impersonator.id,
+        path: req.path
+      }
+    );
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: ERROR_MESSAGES.NOT_ALLOWED_WHILE_IMPERSONATING
+    });
+  }
+
+  return next();
+}
+
 module.exports = {
   authMiddleware,
-  requireRole
+  requireRole,
+  requirePermission,
+  requireFeature,
+  denyImpersonation
 };
\ No newline at end of file
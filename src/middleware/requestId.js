@@ -0,0 +1,24 @@
+/**
+ * ============================================================================
+ * REQUEST ID MIDDLEWARE
+ * ============================================================================
+ * Assigns req.id from the X-Request-Id header (when well-formed) or a new
+ * UUID, and echoes it on the response so clients, logs and audit_events
+ * can be correlated
+ */
+
+const crypto = require('crypto');
+const { REQUEST_ID } = require('../config/constants');
+
+function requestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID.HEADER);
+
+  req.id = incoming && REQUEST_ID.PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.set(REQUEST_ID.HEADER, req.id);
+  return next();
+}
+
+module.exports = requestId;
@@ -2,20 +2,21 @@
  * ============================================================================
  * REQUEST LOGGER MIDDLEWARE
  * ============================================================================
- * Logs HTTP requests with method, URL, status, and duration
+ * Logs HTTP requests with method, URL, status, duration and request ID
  */
 
 const morgan = require('morgan');
 const logger = require('../config/logger');
 
 morgan.token('body', (req) => JSON.stringify(req.body || {}));
+morgan.token('id', (req) => req.id);
 
 const stream = {
   write: (message) => logger.info(message.trim())
 };
 
 const requestLogger = morgan(
-  ':method :url :status - :response-time ms',
+  ':method :url :status - :response-time ms [:id]',
   { stream }
 );
 
@@ -0,0 +1,103 @@
+/**
+ * ============================================================================
+ * TENANT MIDDLEWARE - Resolve College from Subdomain
+ * ============================================================================
+ * Maps the request to a college:
+ * 1. Host header: mit.pcrm.in → college_subdomain "mit"
+ * 2. Otherwise X-College-Subdomain header (API clients, local development)
+ *
+ * Sets req.tenant = { college_id, college_name, college_subdomain, college_status }
+ * or null when the request is not made on a college subdomain
+ * ============================================================================
+ */
+
+const tenantService = require('../services/tenantService');
+const logger = require('../config/logger');
+const {
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  LOG,
+  TENANT
+} = require('../config/constants');
+
+/**
+ * Tenant Resolution Middleware
+ *
+ * Unknown subdomains are rejected with 404 so requests never fall back
+ * to "no tenant" by accident
+ */
+async function resolveTenant(req, res, next) {
+  try {
+    const subdomain = tenantService.subdomainFromHost(req.hostname) ||
+      req.get(TENANT.SUBDOMAIN_HEADER);
+
+    if (!subdomain) {
+      req.tenant = null;
+      return next();
+    }
+
+    const college = await tenantService.resolve(subdomain);
+
+    if (!college) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} Request for unknown college subdomain`,
+        { subdomain, ip: req.ip, path: req.path }
+      );
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: ERROR_MESSAGES.COLLEGE_NOT_FOUND
+      });
+    }
+
+    req.tenant = college;
+    return next();
+
+  } catch (err) {
+    logger.error(
+      `${LOG.TRANSACTION_PREFIX} Unexpected error in tenant middleware`,
+      { error: err.message, ip: req.ip }
+    );
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: ERROR_MESSAGES.SERVER_ERROR
+    });
+  }
+}
+
+/**
+ * Fill body.college_id from the resolved tenant
+ *
+ * Lets public endpoints (student login/register, forgot password) omit
+ * college_id on a college subdomain. A conflicting college_id is rejected.
+ * Must run before validate().
+ */
+function bindTenantCollege(req, res, next) {
+  if (!req.tenant) {
+    return next();
+  }
+
+  req.body = req.body || {};
+
+  if (req.body.college_id && req.body.college_id !== req.tenant.college_id) {
+    logger.warn(
+      `${LOG.SECURITY_PREFIX} college_id does not match college subdomain`,
+      {
+        college_id: req.body.college_id,
+        tenant_college_id: req.tenant.college_id,
+        ip: req.ip
+      }
+    );
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: ERROR_MESSAGES.COLLEGE_MISMATCH
+    });
+  }
+
+  req.body.college_id = req.tenant.college_id;
+  return next();
+}
+
+module.exports = {
+  resolveTenant,
+  bindTenantCollege
+};
@@ -0,0 +1,77 @@
+/**
+ * ============================================================================
+ * UPLOAD MIDDLEWARE - Roster File Uploads (multipart/form-data)
+ * ============================================================================
+ * Accepts a single .csv / .xlsx file in STUDENT_IMPORT.FILE_FIELD, kept in
+ * memory (never written to disk) and capped at STUDENT_IMPORT.MAX_FILE_BYTES.
+ * Sets req.file = { originalname, buffer, size, ... } and the other form
+ * fields on req.body; req.file.format is 'csv' or 'xlsx'.
+ * ============================================================================
+ */
+
+const path = require('path');
+const multer = require('multer');
+const logger = require('../config/logger');
+const {
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  LOG,
+  STUDENT_IMPORT
+} = require('../config/constants');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: STUDENT_IMPORT.MAX_FILE_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const format = STUDENT_IMPORT.FORMATS[path.extname(file.originalname || '').toLowerCase()];
+
+    if (!format) {
+      return callback(new Error(ERROR_MESSAGES.IMPORT_FILE_TYPE));
+    }
+
+    file.format = format;
+    return callback(null, true);
+  }
+}).single(STUDENT_IMPORT.FILE_FIELD);
+
+/**
+ * Roster upload middleware
+ *
+ * Rejects missing, oversized or non-spreadsheet files with 400
+ */
+function uploadSpreadsheet(req, res, next) {
+  upload(req, res, (err) => {
+    let message = null;
+
+    if (err instanceof multer.MulterError) {
+      message = err.code === 'LIMIT_FILE_SIZE'
+        ? ERROR_MESSAGES.IMPORT_FILE_TOO_LARGE
+        : ERROR_MESSAGES.IMPORT_FILE_REQUIRED;
+    } else if (err) {
+      message = err.message === ERROR_MESSAGES.IMPORT_FILE_TYPE
+        ? ERROR_MESSAGES.IMPORT_FILE_TYPE
+        : ERROR_MESSAGES.IMPORT_FILE_REQUIRED;
+    } else if (!req.file) {
+      message = ERROR_MESSAGES.IMPORT_FILE_REQUIRED;
+    }
+
+    if (message) {
+      logger.warn(`${LOG.API_ERROR_PREFIX} Roster upload rejected`, {
+        path: req.path,
+        user_id: req.user?.id,
+        reason: err?.code || err?.message || 'missing file'
+      });
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message
+      });
+    }
+
+    return next();
+  });
+}
+
+module.exports = { uploadSpreadsheet };
@@ -5,6 +5,7 @@
  * Validates request data using Joi schemas
  * 
  * Usage: validate(createUserSchema)
+ *        validate(listSchema, 'query')
  * Validates req.body by default
  * On success: Attaches validated data to req.validated
  * On error: Returns 400 with validation details
@@ -18,12 +19,13 @@ const { LOG } = require('../config/constants');
  * Validation middleware factory
  * 
  * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Request property to validate: 'body' or 'query' (optional)
  * @returns {Function} Express middleware
  */
-function validate(schema) {
+function validate(schema, source = 'body') {
   return (req, res, next) => {
     try {
-      const data = req.body;
+      const data = req[source];
 
       const { error, value } = schema.validate(data, {
         abortEarly: false,
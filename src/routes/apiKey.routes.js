@@ -0,0 +1,58 @@
+/**
+ * ============================================================================
+ * API KEY ROUTES - Machine-to-Machine Integrations
+ * ============================================================================
+ * Single Database Architecture
+ * - POST /api-keys - Create scoped API key, returned once (api_keys.manage)
+ * - GET /api-keys - List API keys of the college (api_keys.manage)
+ * - DELETE /api-keys/:keyId - Revoke API key (api_keys.manage)
+ * Integrations call the API with the `X-API-Key` header
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const apiKeyController = require('../controllers/apiKeyController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const { createApiKeySchema } = require('../validators/apiKeyValidator');
+
+const { PERMISSIONS } = require('../config/constants');
+
+// All routes require a college user allowed to manage API keys
+router.use(authMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+/**
+ * POST /api/v1/api-keys
+ * Create API key (plain key is only in this response)
+ */
+router.post(
+  '/',
+  apiLimiter,
+  validate(createApiKeySchema),
+  apiKeyController.createApiKey
+);
+
+/**
+ * GET /api/v1/api-keys
+ * List API keys of the college
+ */
+router.get(
+  '/',
+  apiLimiter,
+  apiKeyController.listApiKeys
+);
+
+/**
+ * DELETE /api/v1/api-keys/:keyId
+ * Revoke API key
+ */
+router.delete(
+  '/:keyId',
+  apiLimiter,
+  apiKeyController.revokeApiKey
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+/**
+ * ============================================================================
+ * APPLICATION ROUTES - Drive Applications & Stage Pipeline API
+ * ============================================================================
+ * Single Database Architecture
+ * Every route requires the college feature "placement_drives"
+ * - POST /applications - Apply to a published drive (student)
+ * - GET /applications/me - Own applications (student)
+ * - GET /applications/me/:applicationId - Own application with history (student)
+ * - POST /applications/me/:applicationId/withdraw - Withdraw (student)
+ * - POST /applications/bulk-stage - Move selected applications (applications.update)
+ * - GET /applications - List applications (applications.read)
+ * - GET /applications/:applicationId - Application with history (applications.read)
+ * - POST /applications/:applicationId/stage - Move application (applications.update)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const applicationController = require('../controllers/applicationController');
+const {
+  authMiddleware,
+  requireRole,
+  requirePermission,
+  requireFeature
+} = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const {
+  applySchema,
+  withdrawApplicationSchema,
+  moveStageSchema,
+  bulkMoveStageSchema,
+  listApplicationsSchema
+} = require('../validators/applicationValidator');
+
+const { PERMISSIONS, ROLES, FEATURES } = require('../config/constants');
+
+// All routes require authentication and the placement drives feature
+router.use(authMiddleware, requireFeature(FEATURES.PLACEMENT_DRIVES));
+
+/**
+ * POST /api/v1/applications
+ * Apply to a published drive (authenticated student)
+ */
+router.post(
+  '/',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  validate(applySchema),
+  applicationController.applyToDrive
+);
+
+/**
+ * GET /api/v1/applications/me
+ * Own applications (authenticated student)
+ * Registered before /:applicationId so "me" is not taken as an ID
+ */
+router.get(
+  '/me',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  applicationController.listMyApplications
+);
+
+/**
+ * GET /api/v1/applications/me/:applicationId
+ * Own application with stage history (authenticated student)
+ */
+router.get(
+  '/me/:applicationId',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  applicationController.getMyApplication
+);
+
+/**
+ * POST /api/v1/applications/me/:applicationId/withdraw
+ * Withdraw own application (authenticated student)
+ */
+router.post(
+  '/me/:applicationId/withdraw',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  validate(withdrawApplicationSchema),
+  applicationController.withdrawApplication
+);
+
+/**
+ * POST /api/v1/applications/bulk-stage
+ * Move a selection of a drive's applications to one stage (applications.update)
+ */
+router.post(
+  '/bulk-stage',
+  requirePermission(PERMISSIONS.APPLICATIONS_UPDATE),
+  apiLimiter,
+  validate(bulkMoveStageSchema),
+  applicationController.bulkMoveApplicationStage
+);
+
+/**
+ * GET /api/v1/applications
+ * List applications in college (applications.read)
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.APPLICATIONS_READ),
+  apiLimiter,
+  validate(listApplicationsSchema, 'query'),
+  applicationController.listApplications
+);
+
+/**
+ * GET /api/v1/applications/:applicationId
+ * Application with stage history (applications.read)
+ */
+router.get(
+  '/:applicationId',
+  requirePermission(PERMISSIONS.APPLICATIONS_READ),
+  apiLimiter,
+  applicationController.getApplication
+);
+
+/**
+ * POST /api/v1/applications/:applicationId/stage
+ * Move application to another stage (applications.update)
+ */
+router.post(
+  '/:applicationId/stage',
+  requirePermission(PERMISSIONS.APPLICATIONS_UPDATE),
+  apiLimiter,
+  validate(moveStageSchema),
+  applicationController.moveApplicationStage
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * ============================================================================
+ * AUDIT ROUTES - Append-Only Audit Log
+ * ============================================================================
+ * Single Database Architecture
+ * - GET /audit - List audit events (audit.read)
+ * - GET /audit/:eventId - Get single audit event (audit.read)
+ * Sysadmins see all colleges, admins only their own college
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const auditController = require('../controllers/auditController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const { listAuditEventsSchema } = require('../validators/auditValidator');
+
+const { PERMISSIONS } = require('../config/constants');
+
+// All routes require permission to read the audit log
+router.use(authMiddleware, requirePermission(PERMISSIONS.AUDIT_READ));
+
+/**
+ * GET /api/v1/audit
+ * List audit events (filters: college_id (sysadmin), actor_id, entity_type,
+ * entity_id, action, request_id, from, to)
+ */
+router.get(
+  '/',
+  apiLimiter,
+  validate(listAuditEventsSchema, 'query'),
+  auditController.listAuditEvents
+);
+
+/**
+ * GET /api/v1/audit/:eventId
+ * Get single audit event
+ */
+router.get(
+  '/:eventId',
+  apiLimiter,
+  auditController.getAuditEvent
+);
+
+module.exports = router;
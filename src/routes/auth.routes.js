@@ -2,19 +2,59 @@
  * ============================================================================
  * AUTH ROUTES - Authentication API
  * ============================================================================
- * - POST /login  - System admin and college user login
- * - POST /logout - Logout endpoint
- * - GET /verify  - Verify token validity
+ * - POST /login               - System admin and college user login
+ * - POST /login/mfa           - Second login step (TOTP or recovery code)
+ * - POST /login/mfa/enroll    - Mandatory MFA enrollment during login
+ * - POST /refresh             - Rotate refresh token, issue new access token
+ * - POST /logout              - Revoke current session
+ * - POST /logout-all          - Revoke all sessions of current user
+ * - POST /password/forgot     - Email password reset link
+ * - POST /password/reset      - Set new password using reset token
+ * - POST /invitations/:token/accept - Accept invitation, set password
+ * - POST /sso/start           - Start college SSO login (provider URL)
+ * - POST /sso/callback        - Finish SSO login with code + state
+ * - GET /verify               - Verify token validity
+ * - GET /mfa                  - MFA status (admin/teacher)
+ * - POST /mfa/enroll          - Start TOTP enrollment
+ * - POST /mfa/verify          - Verify first code, enable MFA
+ * - POST /mfa/disable         - Disable MFA
+ * - POST /mfa/recovery-codes  - Regenerate recovery codes
+ * - POST /impersonate/:userId - Impersonate college user (sysadmin)
+ * - GET /impersonations       - Live impersonation sessions (sysadmin)
+ * - GET /impersonations/:sessionId/actions - Writes made in a session (sysadmin)
+ * - DELETE /impersonations/:sessionId      - End impersonation (sysadmin)
+ * MFA and logout-all are blocked for impersonation tokens
  */
 
 const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const mfaController = require('../controllers/mfaController');
+const impersonationController = require('../controllers/impersonationController');
+const invitationController = require('../controllers/invitationController');
+const ssoController = require('../controllers/ssoController');
+const {
+  authMiddleware,
+  requireRole,
+  denyImpersonation
+} = require('../middleware/authMiddleware');
 const validate = require('../middleware/validateRequest');
-const { authLimiter } = require('../config/rateLimiter');
-const { loginSchema } = require('../validators/authValidator');
+const { bindTenantCollege } = require('../middleware/tenantMiddleware');
+const { authLimiter, apiLimiter } = require('../config/rateLimiter');
+const {
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  mfaCodeSchema,
+  mfaLoginSchema,
+  mfaTokenSchema,
+  impersonateSchema
+} = require('../validators/authValidator');
+const { acceptInvitationSchema } = require('../validators/invitationValidator');
+const { startSsoLoginSchema, ssoCallbackSchema } = require('../validators/ssoValidator');
+const { ROLES } = require('../config/constants');
 
 router.post(
   '/login',
@@ -23,6 +63,27 @@ router.post(
   authController.login
 );
 
+router.post(
+  '/login/mfa',
+  authLimiter,
+  validate(mfaLoginSchema),
+  authController.loginMfa
+);
+
+router.post(
+  '/login/mfa/enroll',
+  authLimiter,
+  validate(mfaTokenSchema),
+  authController.loginMfaEnroll
+);
+
+router.post(
+  '/refresh',
+  apiLimiter,
+  validate(refreshTokenSchema),
+  authController.refresh
+);
+
 router.post(
   '/logout',
   authMiddleware,
@@ -30,10 +91,139 @@ router.post(
   authController.logout
 );
 
+router.post(
+  '/logout-all',
+  authMiddleware,
+  denyImpersonation,
+  apiLimiter,
+  authController.logoutAll
+);
+
+router.post(
+  '/password/forgot',
+  authLimiter,
+  bindTenantCollege,
+  validate(forgotPasswordSchema),
+  authController.forgotPassword
+);
+
+router.post(
+  '/password/reset',
+  authLimiter,
+  validate(resetPasswordSchema),
+  authController.resetPassword
+);
+
+router.post(
+  '/invitations/:token/accept',
+  authLimiter,
+  validate(acceptInvitationSchema),
+  invitationController.acceptInvitation
+);
+
+router.post(
+  '/sso/start',
+  authLimiter,
+  bindTenantCollege,
+  validate(startSsoLoginSchema),
+  ssoController.startSsoLogin
+);
+
+router.post(
+  '/sso/callback',
+  authLimiter,
+  validate(ssoCallbackSchema),
+  ssoController.completeSsoLogin
+);
+
 router.get(
   '/verify',
   authMiddleware,
   authController.verifyToken
 );
 
+// ============================================================================
+// MFA self-service (college admins and teachers)
+// ============================================================================
+router.get(
+  '/mfa',
+  authMiddleware,
+  denyImpersonation,
+  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  mfaController.getMfaStatus
+);
+
+router.post(
+  '/mfa/enroll',
+  authMiddleware,
+  denyImpersonation,
+  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  apiLimiter,
+  mfaController.enrollMfa
+);
+
+router.post(
+  '/mfa/verify',
+  authMiddleware,
+  denyImpersonation,
+  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  authLimiter,
+  validate(mfaCodeSchema),
+  mfaController.verifyMfa
+);
+
+router.post(
+  '/mfa/disable',
+  authMiddleware,
+  denyImpersonation,
+  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  authLimiter,
+  validate(mfaCodeSchema),
+  mfaController.disableMfa
+);
+
+router.post(
+  '/mfa/recovery-codes',
+  authMiddleware,
+  denyImpersonation,
+  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  authLimiter,
+  validate(mfaCodeSchema),
+  mfaController.regenerateRecoveryCodes
+);
+
+// ============================================================================
+// Impersonation (sysadmin support sessions)
+// ============================================================================
+router.post(
+  '/impersonate/:userId',
+  authMiddleware,
+  requireRole(ROLES.SYSADMIN),
+  apiLimiter,
+  validate(impersonateSchema),
+  impersonationController.startImpersonation
+);
+
+router.get(
+  '/impersonations',
+  authMiddleware,
+  requireRole(ROLES.SYSADMIN),
+  impersonationController.listImpersonations
+);
+
+router.get(
+  '/impersonations/:sessionId/actions',
+  authMiddleware,
+  requireRole(ROLES.SYSADMIN),
+  impersonationController.listImpersonationActions
+);
+
+router.delete(
+  '/impersonations/:sessionId',
+  authMiddleware,
+  requireRole(ROLES.SYSADMIN),
+  apiLimiter,
+  impersonationController.endImpersonation
+);
+
 module.exports = router;
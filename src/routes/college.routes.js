@@ -8,13 +8,14 @@
  * - GET /colleges/:collegeId - Get single college (sysadmin only)
  * - PUT /colleges/:collegeId - Update college (sysadmin only)
  * - PUT /colleges/:collegeId/features - Update college features (sysadmin only)
+ * colleges.* permissions are platform-wide - only sysadmins hold them
  */
 
 const express = require('express');
 const router = express.Router();
 
 const collegeController = require('../controllers/collegeController');
-const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
 const validate = require('../middleware/validateRequest');
 const { apiLimiter } = require('../config/rateLimiter');
 const {
@@ -23,7 +24,7 @@ const {
   updateCollegeFeaturesSchema,
   listCollegeSchema
 } = require('../validators/collegeValidators');
-const { ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/constants');
 
 // ============================================================================
 // POST /api/v1/colleges
@@ -33,7 +34,7 @@ const { ROLES } = require('../config/constants');
 router.post(
   '/',
   authMiddleware,
-  requireRole(ROLES.SYSADMIN),
+  requirePermission(PERMISSIONS.COLLEGES_CREATE),
   apiLimiter,
   validate(createCollegeSchema),
   collegeController.createCollege
@@ -46,7 +47,7 @@ router.post(
 router.get(
   '/',
   authMiddleware,
-  requireRole(ROLES.SYSADMIN),
+  requirePermission(PERMISSIONS.COLLEGES_READ),
   apiLimiter,
   validate(listCollegeSchema),
   collegeController.listColleges
@@ -59,7 +60,7 @@ router.get(
 router.get(
   '/:collegeId',
   authMiddleware,
-  requireRole(ROLES.SYSADMIN),
+  requirePermission(PERMISSIONS.COLLEGES_READ),
   collegeController.getCollege
 );
 
@@ -70,7 +71,7 @@ router.get(
 router.put(
   '/:collegeId',
   authMiddleware,
-  requireRole(ROLES.SYSADMIN),
+  requirePermission(PERMISSIONS.COLLEGES_UPDATE),
   apiLimiter,
   validate(updateCollegeSchema),
   collegeController.updateCollege
@@ -84,7 +85,7 @@ router.put(
 router.put(
   '/:collegeId/features',
   authMiddleware,
-  requireRole(ROLES.SYSADMIN),
+  requirePermission(PERMISSIONS.COLLEGES_UPDATE),
   apiLimiter,
   validate(updateCollegeFeaturesSchema),
   collegeController.updateCollegeFeatures
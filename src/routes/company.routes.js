@@ -0,0 +1,130 @@
+/**
+ * ============================================================================
+ * COMPANY ROUTES - Recruiting Companies API
+ * ============================================================================
+ * Single Database Architecture
+ * - POST /companies - Create company (companies.create)
+ * - GET /companies - List / search companies (companies.read)
+ * - GET /companies/:companyId - Get company with contacts (companies.read)
+ * - PUT /companies/:companyId - Update company (companies.update)
+ * - DELETE /companies/:companyId - Delete company (companies.delete)
+ * - POST /companies/:companyId/contacts - Add contact (companies.update)
+ * - PUT /companies/:companyId/contacts/:contactId - Update contact (companies.update)
+ * - DELETE /companies/:companyId/contacts/:contactId - Remove contact (companies.update)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const companyController = require('../controllers/companyController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const {
+  createCompanySchema,
+  updateCompanySchema,
+  listCompaniesSchema,
+  createContactSchema,
+  updateContactSchema
+} = require('../validators/companyValidator');
+
+const { PERMISSIONS } = require('../config/constants');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * POST /api/v1/companies
+ * Create company (companies.create)
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.COMPANIES_CREATE),
+  apiLimiter,
+  validate(createCompanySchema),
+  companyController.createCompany
+);
+
+/**
+ * GET /api/v1/companies
+ * List companies in college (companies.read)
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.COMPANIES_READ),
+  apiLimiter,
+  validate(listCompaniesSchema, 'query'),
+  companyController.listCompanies
+);
+
+/**
+ * GET /api/v1/companies/:companyId
+ * Get company with contacts (companies.read)
+ */
+router.get(
+  '/:companyId',
+  requirePermission(PERMISSIONS.COMPANIES_READ),
+  apiLimiter,
+  companyController.getCompany
+);
+
+/**
+ * PUT /api/v1/companies/:companyId
+ * Update company (companies.update)
+ */
+router.put(
+  '/:companyId',
+  requirePermission(PERMISSIONS.COMPANIES_UPDATE),
+  apiLimiter,
+  validate(updateCompanySchema),
+  companyController.updateCompany
+);
+
+/**
+ * DELETE /api/v1/companies/:companyId
+ * Soft delete company (companies.delete)
+ */
+router.delete(
+  '/:companyId',
+  requirePermission(PERMISSIONS.COMPANIES_DELETE),
+  apiLimiter,
+  companyController.deleteCompany
+);
+
+/**
+ * POST /api/v1/companies/:companyId/contacts
+ * Add recruiter contact (companies.update)
+ */
+router.post(
+  '/:companyId/contacts',
+  requirePermission(PERMISSIONS.COMPANIES_UPDATE),
+  apiLimiter,
+  validate(createContactSchema),
+  companyController.addContact
+);
+
+/**
+ * PUT /api/v1/companies/:companyId/contacts/:contactId
+ * Update recruiter contact (companies.update)
+ */
+router.put(
+  '/:companyId/contacts/:contactId',
+  requirePermission(PERMISSIONS.COMPANIES_UPDATE),
+  apiLimiter,
+  validate(updateContactSchema),
+  companyController.updateContact
+);
+
+/**
+ * DELETE /api/v1/companies/:companyId/contacts/:contactId
+ * Remove recruiter contact (companies.update)
+ */
+router.delete(
+  '/:companyId/contacts/:contactId',
+  requirePermission(PERMISSIONS.COMPANIES_UPDATE),
+  apiLimiter,
+  companyController.removeContact
+);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * DRIVE ROUTES - Placement Drives / Job Postings API
+ * ============================================================================
+ * Single Database Architecture
+ * Every route requires the college feature "placement_drives"
+ * - GET /drives/published - Published drives of own college (student)
+ * - GET /drives/published/:driveId - Published drive (student)
+ * - POST /drives - Create drive as draft (drives.create)
+ * - GET /drives - List drives (drives.read)
+ * - GET /drives/:driveId - Get drive (drives.read)
+ * - GET /drives/:driveId/eligibility - Eligibility preview (drives.read)
+ * - PUT /drives/:driveId - Update drive (drives.update)
+ * - POST /drives/:driveId/status - Publish / close / complete (drives.publish)
+ * - DELETE /drives/:driveId - Delete draft drive (drives.delete)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const driveController = require('../controllers/driveController');
+const {
+  authMiddleware,
+  requireRole,
+  requirePermission,
+  requireFeature
+} = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const {
+  createDriveSchema,
+  updateDriveSchema,
+  driveStatusSchema,
+  listDrivesSchema,
+  listPublishedDrivesSchema,
+  eligibilityPreviewSchema
+} = require('../validators/driveValidator');
+
+const { PERMISSIONS, ROLES, FEATURES } = require('../config/constants');
+
+// All routes require authentication and the placement drives feature
+router.use(authMiddleware, requireFeature(FEATURES.PLACEMENT_DRIVES));
+
+/**
+ * GET /api/v1/drives/published
+ * Published drives of own college (authenticated student)
+ * Registered before /:driveId so "published" is not taken as an ID
+ */
+router.get(
+  '/published',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  validate(listPublishedDrivesSchema, 'query'),
+  driveController.listPublishedDrives
+);
+
+/**
+ * GET /api/v1/drives/published/:driveId
+ * Published drive (authenticated student)
+ */
+router.get(
+  '/published/:driveId',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  driveController.getPublishedDrive
+);
+
+/**
+ * POST /api/v1/drives
+ * Create drive as draft (drives.create)
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.DRIVES_CREATE),
+  apiLimiter,
+  validate(createDriveSchema),
+  driveController.createDrive
+);
+
+/**
+ * GET /api/v1/drives
+ * List drives in college (drives.read)
+ */
+router.get(
+  '/',
+  requirePermission(PERMISSIONS.DRIVES_READ),
+  apiLimiter,
+  validate(listDrivesSchema, 'query'),
+  driveController.listDrives
+);
+
+/**
+ * GET /api/v1/drives/:driveId
+ * Get drive (drives.read)
+ */
+router.get(
+  '/:driveId',
+  requirePermission(PERMISSIONS.DRIVES_READ),
+  apiLimiter,
+  driveController.getDrive
+);
+
+/**
+ * GET /api/v1/drives/:driveId/eligibility
+ * Eligible / ineligible students with reasons (drives.read)
+ */
+router.get(
+  '/:driveId/eligibility',
+  requirePermission(PERMISSIONS.DRIVES_READ),
+  apiLimiter,
+  validate(eligibilityPreviewSchema, 'query'),
+  driveController.previewDriveEligibility
+);
+
+/**
+ * PUT /api/v1/drives/:driveId
+ * Update drive (drives.update)
+ */
+router.put(
+  '/:driveId',
+  requirePermission(PERMISSIONS.DRIVES_UPDATE),
+  apiLimiter,
+  validate(updateDriveSchema),
+  driveController.updateDrive
+);
+
+/**
+ * POST /api/v1/drives/:driveId/status
+ * Publish / close / complete drive (drives.publish)
+ */
+router.post(
+  '/:driveId/status',
+  requirePermission(PERMISSIONS.DRIVES_PUBLISH),
+  apiLimiter,
+  validate(driveStatusSchema),
+  driveController.updateDriveStatus
+);
+
+/**
+ * DELETE /api/v1/drives/:driveId
+ * Delete draft drive (drives.delete)
+ */
+router.delete(
+  '/:driveId',
+  requirePermission(PERMISSIONS.DRIVES_DELETE),
+  apiLimiter,
+  driveController.deleteDrive
+);
+
+module.exports = router;
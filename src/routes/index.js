@@ -4,7 +4,7 @@
  * ============================================================================
  * Single Database Architecture
  * - No multi-tenant/tenant routes
- * - Only college, auth, students, users routes
+ * - Only college, auth, students, users, invitations, sysadmins, login-security, roles, api-keys, sso, audit, jobs, companies, drives, applications, schedules routes
  */
 
 const express = require('express');
@@ -12,6 +12,18 @@ const authRoutes = require('./auth.routes');
 const collegeRoutes = require('./college.routes');
 const studentRoutes = require('./student.routes');
 const userRoutes = require('./user.routes');
+const invitationRoutes = require('./invitation.routes');
+const platformAdminRoutes = require('./platformAdmin.routes');
+const loginSecurityRoutes = require('./loginSecurity.routes');
+const roleRoutes = require('./role.routes');
+const apiKeyRoutes = require('./apiKey.routes');
+const ssoRoutes = require('./sso.routes');
+const auditRoutes = require('./audit.routes');
+const jobRoutes = require('./job.routes');
+const companyRoutes = require('./company.routes');
+const driveRoutes = require('./drive.routes');
+const applicationRoutes = require('./application.routes');
+const scheduleRoutes = require('./schedule.routes');
 
 const router = express.Router();
 
@@ -19,5 +31,17 @@ router.use('/auth', authRoutes);
 router.use('/colleges', collegeRoutes);
 router.use('/students', studentRoutes);
 router.use('/users', userRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/sysadmins', platformAdminRoutes);
+router.use('/login-security', loginSecurityRoutes);
+router.use('/roles', roleRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/sso', ssoRoutes);
+router.use('/audit', auditRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/companies', companyRoutes);
+router.use('/drives', driveRoutes);
+router.use('/applications', applicationRoutes);
+router.use('/schedules', scheduleRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * ============================================================================
+ * INVITATION ROUTES - Teacher/Admin Onboarding
+ * ============================================================================
+ * Single Database Architecture
+ * - POST /invitations - Invite college user (users.create)
+ * - GET /invitations - List invitations, default pending (users.create)
+ * - POST /invitations/:invitationId/resend - Resend with new link (users.create)
+ * - DELETE /invitations/:invitationId - Revoke invitation (users.create)
+ * Acceptance is public: POST /auth/invitations/:token/accept
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const invitationController = require('../controllers/invitationController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const {
+  createInvitationSchema,
+  listInvitationSchema
+} = require('../validators/invitationValidator');
+
+const { PERMISSIONS } = require('../config/constants');
+
+// All routes require a college user allowed to create users
+router.use(authMiddleware, requirePermission(PERMISSIONS.USERS_CREATE));
+
+/**
+ * POST /api/v1/invitations
+ * Invite user by name, email and role (invitee sets password)
+ */
+router.post(
+  '/',
+  apiLimiter,
+  validate(createInvitationSchema),
+  invitationController.createInvitation
+);
+
+/**
+ * GET /api/v1/invitations
+ * List invitations of the college
+ */
+router.get(
+  '/',
+  apiLimiter,
+  validate(listInvitationSchema, 'query'),
+  invitationController.listInvitations
+);
+
+/**
+ * POST /api/v1/invitations/:invitationId/resend
+ * Resend invitation (previous link stops working)
+ */
+router.post(
+  '/:invitationId/resend',
+  apiLimiter,
+  invitationController.resendInvitation
+);
+
+/**
+ * DELETE /api/v1/invitations/:invitationId
+ * Revoke pending invitation
+ */
+router.delete(
+  '/:invitationId',
+  apiLimiter,
+  invitationController.revokeInvitation
+);
+
+module.exports = router;
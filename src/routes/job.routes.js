@@ -0,0 +1,39 @@
+/**
+ * ============================================================================
+ * JOB ROUTES - Background Jobs
+ * ============================================================================
+ * Single Database Architecture
+ * - GET /jobs/:jobId - Job status, progress and result (own jobs, or jobs.manage)
+ * - POST /jobs/:jobId/cancel - Cancel queued / running job (own jobs, or jobs.manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const jobController = require('../controllers/jobController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../config/rateLimiter');
+
+router.use(authMiddleware);
+
+/**
+ * GET /api/v1/jobs/:jobId
+ * Poll job (job_status, progress_done / progress_total, result, last_error)
+ */
+router.get(
+  '/:jobId',
+  apiLimiter,
+  jobController.getJob
+);
+
+/**
+ * POST /api/v1/jobs/:jobId/cancel
+ * Cancel job
+ */
+router.post(
+  '/:jobId/cancel',
+  apiLimiter,
+  jobController.cancelJob
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * ============================================================================
+ * LOGIN SECURITY ROUTES - Login History & Account Lockouts
+ * ============================================================================
+ * Single Database Architecture
+ * - GET /login-security/history - Login attempts in college (admin only)
+ * - GET /login-security/lockouts - Currently locked accounts (admin only)
+ * - POST /login-security/unlock - Unlock user or student (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const loginSecurityController = require('../controllers/loginSecurityController');
+const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const {
+  listLoginHistorySchema,
+  unlockAccountSchema
+} = require('../validators/loginSecurityValidator');
+
+const { ROLES } = require('../config/constants');
+
+// All routes require an authenticated college admin
+router.use(authMiddleware, requireRole(ROLES.ADMIN));
+
+/**
+ * GET /api/v1/login-security/history
+ * List login attempts (filters: account_type, account_id, succeeded)
+ */
+router.get(
+  '/history',
+  apiLimiter,
+  validate(listLoginHistorySchema, 'query'),
+  loginSecurityController.listLoginHistory
+);
+
+/**
+ * GET /api/v1/login-security/lockouts
+ * List currently locked accounts
+ */
+router.get(
+  '/lockouts',
+  apiLimiter,
+  loginSecurityController.listLockouts
+);
+
+/**
+ * POST /api/v1/login-security/unlock
+ * Unlock account and clear its failure counter
+ */
+router.post(
+  '/unlock',
+  apiLimiter,
+  validate(unlockAccountSchema),
+  loginSecurityController.unlockAccount
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * ============================================================================
+ * PLATFORM ADMIN ROUTES - Sysadmin Account Management
+ * ============================================================================
+ * Single Database Architecture
+ * - POST /sysadmins - Create sysadmin (sysadmin only)
+ * - GET /sysadmins - List sysadmins (sysadmin only)
+ * - GET /sysadmins/:adminId - Get sysadmin (sysadmin only)
+ * - PUT /sysadmins/:adminId - Update sysadmin (sysadmin only)
+ * - DELETE /sysadmins/:adminId - Deactivate sysadmin (sysadmin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const platformAdminController = require('../controllers/platformAdminController');
+const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+const {
+  createPlatformAdminSchema,
+  updatePlatformAdminSchema,
+  listPlatformAdminsSchema
+} = require('../validators/platformAdminValidator');
+const { ROLES } = require('../config/constants');
+
+// All routes require an authenticated sysadmin
+router.use(authMiddleware, requireRole(ROLES.SYSADMIN));
+
+router.post(
+  '/',
+  apiLimiter,
+  validate(createPlatformAdminSchema),
+  platformAdminController.createPlatformAdmin
+);
+
+router.get(
+  '/',
+  validate(listPlatformAdminsSchema),
+  platformAdminController.listPlatformAdmins
+);
+
+router.get(
+  '/:adminId',
+  platformAdminController.getPlatformAdmin
+);
+
+router.put(
+  '/:adminId',
+  apiLimiter,
+  validate(updatePlatformAdminSchema),
+  platformAdminController.updatePlatformAdmin
+);
+
+router.delete(
+  '/:adminId',
+  apiLimiter,
+  platformAdminController.deletePlatformAdmin
+);
+
+module.exports = router;
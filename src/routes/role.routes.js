@@ -0,0 +1,68 @@
+/**
+ * ============================================================================
+ * ROLE ROUTES - College Roles & Permissions
+ * ============================================================================
+ * Single Database Architecture
+ * - GET /roles/permissions - Assignable permissions (roles.manage)
+ * - GET /roles - Built-in and custom roles of the college (roles.manage)
+ * - PUT /roles/:roleKey - Create/update custom role or teacher override (roles.manage)
+ * - DELETE /roles/:roleKey - Delete custom role / reset teacher (roles.manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const roleController = require('../controllers/roleController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const { saveRoleSchema } = require('../validators/roleValidator');
+
+const { PERMISSIONS } = require('../config/constants');
+
+// All routes require a college user allowed to manage roles
+router.use(authMiddleware, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+/**
+ * GET /api/v1/roles/permissions
+ * List permissions that can be mapped to college roles
+ */
+router.get(
+  '/permissions',
+  apiLimiter,
+  roleController.listPermissions
+);
+
+/**
+ * GET /api/v1/roles
+ * List roles with effective permissions
+ */
+router.get(
+  '/',
+  apiLimiter,
+  roleController.listRoles
+);
+
+/**
+ * PUT /api/v1/roles/:roleKey
+ * Create/update custom role (e.g. placement_coordinator) or override teacher
+ */
+router.put(
+  '/:roleKey',
+  apiLimiter,
+  validate(saveRoleSchema),
+  roleController.saveRole
+);
+
+/**
+ * DELETE /api/v1/roles/:roleKey
+ * Delete custom role or reset teacher to default permissions
+ */
+router.delete(
+  '/:roleKey',
+  apiLimiter,
+  roleController.deleteRole
+);
+
+module.exports = router;
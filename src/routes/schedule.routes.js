@@ -0,0 +1,204 @@
+/**
+ * ============================================================================
+ * SCHEDULE ROUTES - Interview / Test Scheduling API
+ * ============================================================================
+ * Single Database Architecture
+ * Every route requires the college feature "placement_drives"
+ * - GET /schedules/me - Own schedule (student)
+ * - POST /schedules/rounds - Create round for a drive stage (schedules.manage)
+ * - GET /schedules/rounds?drive_id= - Rounds of a drive (schedules.read)
+ * - GET /schedules/rounds/:roundId - Round timetable (schedules.read)
+ * - PUT /schedules/rounds/:roundId - Update round (schedules.manage)
+ * - DELETE /schedules/rounds/:roundId - Delete round (schedules.manage)
+ * - POST /schedules/rounds/:roundId/slots - Add slots (schedules.manage)
+ * - POST /schedules/rounds/:roundId/allocate - Automatic allocation (schedules.manage)
+ * - PUT /schedules/slots/:slotId - Update slot (schedules.manage)
+ * - DELETE /schedules/slots/:slotId - Delete slot (schedules.manage)
+ * - POST /schedules/slots/:slotId/allocations - Schedule one application (schedules.manage)
+ * - PUT /schedules/allocations/:allocationId - Reschedule (schedules.manage)
+ * - DELETE /schedules/allocations/:allocationId - Cancel (schedules.manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const scheduleController = require('../controllers/scheduleController');
+const {
+  authMiddleware,
+  requireRole,
+  requirePermission,
+  requireFeature
+} = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const {
+  createRoundSchema,
+  updateRoundSchema,
+  listRoundsSchema,
+  createSlotsSchema,
+  updateSlotSchema,
+  autoAllocateSchema,
+  allocateSchema,
+  rescheduleSchema,
+  myScheduleSchema
+} = require('../validators/scheduleValidator');
+
+const { PERMISSIONS, ROLES, FEATURES } = require('../config/constants');
+
+// All routes require authentication and the placement drives feature
+router.use(authMiddleware, requireFeature(FEATURES.PLACEMENT_DRIVES));
+
+/**
+ * GET /api/v1/schedules/me
+ * Own scheduled rounds, soonest first (authenticated student)
+ */
+router.get(
+  '/me',
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  validate(myScheduleSchema, 'query'),
+  scheduleController.getMySchedule
+);
+
+/**
+ * POST /api/v1/schedules/rounds
+ * Create round for a drive stage (schedules.manage)
+ */
+router.post(
+  '/rounds',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(createRoundSchema),
+  scheduleController.createRound
+);
+
+/**
+ * GET /api/v1/schedules/rounds?drive_id=
+ * Rounds of a drive (schedules.read)
+ */
+router.get(
+  '/rounds',
+  requirePermission(PERMISSIONS.SCHEDULES_READ),
+  apiLimiter,
+  validate(listRoundsSchema, 'query'),
+  scheduleController.listRounds
+);
+
+/**
+ * GET /api/v1/schedules/rounds/:roundId
+ * Round with slots, scheduled and unscheduled students (schedules.read)
+ */
+router.get(
+  '/rounds/:roundId',
+  requirePermission(PERMISSIONS.SCHEDULES_READ),
+  apiLimiter,
+  scheduleController.getRound
+);
+
+/**
+ * PUT /api/v1/schedules/rounds/:roundId
+ * Update round (schedules.manage)
+ */
+router.put(
+  '/rounds/:roundId',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(updateRoundSchema),
+  scheduleController.updateRound
+);
+
+/**
+ * DELETE /api/v1/schedules/rounds/:roundId
+ * Delete round without scheduled students (schedules.manage)
+ */
+router.delete(
+  '/rounds/:roundId',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  scheduleController.deleteRound
+);
+
+/**
+ * POST /api/v1/schedules/rounds/:roundId/slots
+ * Add time slots (schedules.manage)
+ */
+router.post(
+  '/rounds/:roundId/slots',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(createSlotsSchema),
+  scheduleController.addSlots
+);
+
+/**
+ * POST /api/v1/schedules/rounds/:roundId/allocate
+ * Allocate the round stage's applicants to slots (schedules.manage)
+ */
+router.post(
+  '/rounds/:roundId/allocate',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(autoAllocateSchema),
+  scheduleController.autoAllocate
+);
+
+/**
+ * PUT /api/v1/schedules/slots/:slotId
+ * Update slot (schedules.manage)
+ */
+router.put(
+  '/slots/:slotId',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(updateSlotSchema),
+  scheduleController.updateSlot
+);
+
+/**
+ * DELETE /api/v1/schedules/slots/:slotId
+ * Delete slot without scheduled students (schedules.manage)
+ */
+router.delete(
+  '/slots/:slotId',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  scheduleController.deleteSlot
+);
+
+/**
+ * POST /api/v1/schedules/slots/:slotId/allocations
+ * Schedule one application in a slot (schedules.manage)
+ */
+router.post(
+  '/slots/:slotId/allocations',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(allocateSchema),
+  scheduleController.allocateSlot
+);
+
+/**
+ * PUT /api/v1/schedules/allocations/:allocationId
+ * Move to another slot of the round (schedules.manage)
+ */
+router.put(
+  '/allocations/:allocationId',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  validate(rescheduleSchema),
+  scheduleController.rescheduleAllocation
+);
+
+/**
+ * DELETE /api/v1/schedules/allocations/:allocationId
+ * Cancel a student's slot (schedules.manage)
+ */
+router.delete(
+  '/allocations/:allocationId',
+  requirePermission(PERMISSIONS.SCHEDULES_MANAGE),
+  apiLimiter,
+  scheduleController.cancelAllocation
+);
+
+module.exports = router;
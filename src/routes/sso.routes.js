@@ -0,0 +1,58 @@
+/**
+ * ============================================================================
+ * SSO ROUTES - College Single Sign-On Configuration
+ * ============================================================================
+ * Single Database Architecture
+ * - GET /sso/config - OIDC provider of the college (sso.manage)
+ * - PUT /sso/config - Create or replace OIDC provider (sso.manage)
+ * - DELETE /sso/config - Disable SSO (sso.manage)
+ * Login itself is public: POST /auth/sso/start, POST /auth/sso/callback
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const ssoController = require('../controllers/ssoController');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateRequest');
+const { apiLimiter } = require('../config/rateLimiter');
+
+const { saveSsoConfigSchema } = require('../validators/ssoValidator');
+
+const { PERMISSIONS } = require('../config/constants');
+
+// All routes require a college user allowed to manage SSO
+router.use(authMiddleware, requirePermission(PERMISSIONS.SSO_MANAGE));
+
+/**
+ * GET /api/v1/sso/config
+ * SSO configuration (client secret is never returned)
+ */
+router.get(
+  '/config',
+  apiLimiter,
+  ssoController.getSsoConfig
+);
+
+/**
+ * PUT /api/v1/sso/config
+ * Create or replace SSO configuration
+ */
+router.put(
+  '/config',
+  apiLimiter,
+  validate(saveSsoConfigSchema),
+  ssoController.saveSsoConfig
+);
+
+/**
+ * DELETE /api/v1/sso/config
+ * Disable SSO
+ */
+router.delete(
+  '/config',
+  apiLimiter,
+  ssoController.deleteSsoConfig
+);
+
+module.exports = router;
@@ -3,67 +3,141 @@
  * STUDENT ROUTES - Student Management API (UPDATED)
  * ============================================================================
  * Single Database Architecture
- * - POST /students/register - Register single student (public)
- * - POST /students/bulk - Bulk register students (admin only)
+ * - POST /students/register - Register single student (public, pending email verification)
+ * - POST /students/verify-email - Verify email with link token (public)
+ * - POST /students/verify-email/resend - Resend verification link (public)
+ * - POST /students/bulk - Bulk register students (students.create)
+ * - POST /students/import - Validate CSV / XLSX roster, dry run (students.create)
+ * - POST /students/import/:importId/confirm - Create the imported students (students.create)
  * - POST /students/login - Student login (public)
  * - POST /students/logout - Student logout (authenticated)
  * - PUT /students/password - Update password (authenticated student)
- * - PUT /students/:studentId/profile - Update profile (admin/teacher)
+ * - GET /students/me - Own record (authenticated student)
+ * - PATCH /students/me - Update phone, links, skills, locations (authenticated student)
+ * - GET /students - List students of the college (students.read)
+ * - GET /students/:studentId - Get student (students.read)
+ * - PUT /students/:studentId/profile - Update profile incl. academic record (students.update)
+ * - PUT /students/:studentId/academic-verification - Verify academic fields (students.verify)
  */
 
 const express = require('express');
 const router = express.Router();
 
 const studentController = require('../controllers/studentController');
-const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const { authMiddleware, requireRole, requirePermission } = require('../middleware/authMiddleware');
 const validate = require('../middleware/validateRequest');
+const { bindTenantCollege } = require('../middleware/tenantMiddleware');
+const { uploadSpreadsheet } = require('../middleware/uploadMiddleware');
 const { apiLimiter, authLimiter } = require('../config/rateLimiter');
 
 const {
   registerStudentSchema,
   bulkRegisterStudentsSchema,
+  importStudentsSchema,
+  confirmStudentImportSchema,
   loginStudentSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
   updatePasswordSchema,
-  updateProfileSchema
+  updateProfileSchema,
+  listStudentsSchema,
+  updateMyProfileSchema,
+  academicVerificationSchema
 } = require('../validators/studentValidator');
 
-const { ROLES } = require('../config/constants');
+const { PERMISSIONS, ROLES } = require('../config/constants');
 
 /**
  * POST /api/v1/students/register
  * Register single student (public - no authentication required)
+ * college_id comes from the college subdomain when present
  */
 router.post(
   '/register',
   authLimiter,
+  bindTenantCollege,
   validate(registerStudentSchema),
   studentController.registerStudent
 );
 
 /**
  * POST /api/v1/students/bulk
- * Bulk register students (admin only)
+ * Bulk register students (students.create)
  */
 router.post(
   '/bulk',
   authMiddleware,
-  requireRole(ROLES.ADMIN),
+  requirePermission(PERMISSIONS.STUDENTS_CREATE),
   apiLimiter,
   validate(bulkRegisterStudentsSchema),
   studentController.bulkRegisterStudents
 );
 
+/**
+ * POST /api/v1/students/import
+ * Validate roster file (multipart: file, optional mapping JSON) (students.create)
+ * Returns per-row errors and an import_id; nothing is created yet
+ */
+router.post(
+  '/import',
+  authMiddleware,
+  requirePermission(PERMISSIONS.STUDENTS_CREATE),
+  apiLimiter,
+  uploadSpreadsheet,
+  validate(importStudentsSchema),
+  studentController.importStudents
+);
+
+/**
+ * POST /api/v1/students/import/:importId/confirm
+ * Create the valid rows of an import (students.create)
+ */
+router.post(
+  '/import/:importId/confirm',
+  authMiddleware,
+  requirePermission(PERMISSIONS.STUDENTS_CREATE),
+  apiLimiter,
+  validate(confirmStudentImportSchema),
+  studentController.confirmStudentImport
+);
+
 /**
  * POST /api/v1/students/login
  * Student login (public - no authentication required)
+ * college_id comes from the college subdomain when present
  */
 router.post(
   '/login',
   authLimiter,
+  bindTenantCollege,
   validate(loginStudentSchema),
   studentController.loginStudent
 );
 
+/**
+ * POST /api/v1/students/verify-email
+ * Verify email and activate student (public - token from emailed link)
+ */
+router.post(
+  '/verify-email',
+  authLimiter,
+  validate(verifyEmailSchema),
+  studentController.verifyEmail
+);
+
+/**
+ * POST /api/v1/students/verify-email/resend
+ * Resend verification link (public)
+ * college_id comes from the college subdomain when present
+ */
+router.post(
+  '/verify-email/resend',
+  authLimiter,
+  bindTenantCollege,
+  validate(resendVerificationSchema),
+  studentController.resendVerification
+);
+
 /**
  * POST /api/v1/students/logout
  * Student logout (authenticated)
@@ -87,17 +161,83 @@ router.put(
   studentController.updatePassword
 );
 
+/**
+ * GET /api/v1/students/me
+ * Get own record (authenticated student)
+ * Registered before /:studentId so "me" is not taken as an ID
+ */
+router.get(
+  '/me',
+  authMiddleware,
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  studentController.getMyProfile
+);
+
+/**
+ * PATCH /api/v1/students/me
+ * Update own self-service fields (authenticated student)
+ * Department, year and status stay admin-controlled
+ */
+router.patch(
+  '/me',
+  authMiddleware,
+  requireRole(ROLES.STUDENT),
+  apiLimiter,
+  validate(updateMyProfileSchema),
+  studentController.updateMyProfile
+);
+
+/**
+ * GET /api/v1/students
+ * List students in college (filters: department, year, status, search;
+ * sort_by, sort_order) (students.read)
+ */
+router.get(
+  '/',
+  authMiddleware,
+  requirePermission(PERMISSIONS.STUDENTS_READ),
+  apiLimiter,
+  validate(listStudentsSchema, 'query'),
+  studentController.listStudents
+);
+
+/**
+ * GET /api/v1/students/:studentId
+ * Get single student (students.read)
+ */
+router.get(
+  '/:studentId',
+  authMiddleware,
+  requirePermission(PERMISSIONS.STUDENTS_READ),
+  apiLimiter,
+  studentController.getStudent
+);
+
 /**
  * PUT /api/v1/students/:studentId/profile
- * Update student profile (admin/teacher)
+ * Update student profile (students.update)
  */
 router.put(
   '/:studentId/profile',
   authMiddleware,
-  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  requirePermission(PERMISSIONS.STUDENTS_UPDATE),
   apiLimiter,
   validate(updateProfileSchema),
   studentController.updateProfile
 );
 
+/**
+ * PUT /api/v1/students/:studentId/academic-verification
+ * Mark academic fields verified / unverified (students.verify)
+ */
+router.put(
+  '/:studentId/academic-verification',
+  authMiddleware,
+  requirePermission(PERMISSIONS.STUDENTS_VERIFY),
+  apiLimiter,
+  validate(academicVerificationSchema),
+  studentController.updateAcademicVerification
+);
+
 module.exports = router;
\ No newline at end of file
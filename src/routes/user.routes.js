@@ -3,18 +3,18 @@
  * USER ROUTES - User Management API
  * ============================================================================
  * Single Database Architecture
- * - POST /users - Create user (admin only)
- * - GET /users - List users (admin/teacher)
- * - GET /users/:userId - Get user
- * - PUT /users/:userId - Update user (admin only)
- * - DELETE /users/:userId - Delete user (admin only)
+ * - POST /users - Create user (users.create)
+ * - GET /users - List users (users.read)
+ * - GET /users/:userId - Get user (users.read)
+ * - PUT /users/:userId - Update user (users.update)
+ * - DELETE /users/:userId - Delete user (users.delete)
  */
 
 const express = require('express');
 const router = express.Router();
 
 const userController = require('../controllers/userController');
-const { authMiddleware, requireRole } = require('../middleware/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middleware/authMiddleware');
 const validate = require('../middleware/validateRequest');
 const { apiLimiter } = require('../config/rateLimiter');
 
@@ -24,18 +24,18 @@ const {
   listUserSchema
 } = require('../validators/userValidator');
 
-const { ROLES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/constants');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 /**
  * POST /api/v1/users
- * Create new user (admin only)
+ * Create new user (users.create)
  */
 router.post(
   '/',
-  requireRole(ROLES.ADMIN),
+  requirePermission(PERMISSIONS.USERS_CREATE),
   apiLimiter,
   validate(createUserSchema),
   userController.createUser
@@ -43,11 +43,11 @@ router.post(
 
 /**
  * GET /api/v1/users
- * List users in college (admin/teacher)
+ * List users in college (users.read)
  */
 router.get(
   '/',
-  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  requirePermission(PERMISSIONS.USERS_READ),
   apiLimiter,
   validate(listUserSchema),
   userController.listUsers
@@ -55,22 +55,22 @@ router.get(
 
 /**
  * GET /api/v1/users/:userId
- * Get single user (admin/teacher)
+ * Get single user (users.read)
  */
 router.get(
   '/:userId',
-  requireRole(ROLES.ADMIN, ROLES.TEACHER),
+  requirePermission(PERMISSIONS.USERS_READ),
   apiLimiter,
   userController.getUser
 );
 
 /**
  * PUT /api/v1/users/:userId
- * Update user (admin only)
+ * Update user (users.update)
  */
 router.put(
   '/:userId',
-  requireRole(ROLES.ADMIN),
+  requirePermission(PERMISSIONS.USERS_UPDATE),
   apiLimiter,
   validate(updateUserSchema),
   userController.updateUser
@@ -78,11 +78,11 @@ router.put(
 
 /**
  * DELETE /api/v1/users/:userId
- * Soft delete user (admin only)
+ * Soft delete user (users.delete)
  */
 router.delete(
   '/:userId',
-  requireRole(ROLES.ADMIN),
+  requirePermission(PERMISSIONS.USERS_DELETE),
   apiLimiter,
   userController.deleteUser
 );
@@ -2,7 +2,8 @@
  * ============================================================================
  * SERVER.JS - Application Entry Point
  * ============================================================================
- * Starts HTTP server and handles graceful shutdown
+ * Loads JWT signing keys, bootstraps first sysadmin, starts the background
+ * job worker and HTTP server, and handles graceful shutdown
  * ============================================================================
  */
 
@@ -11,6 +12,10 @@ const app = require('./app');
 const config = require('./config/env');
 const logger = require('./config/logger');
 const { closeAllPools } = require('./config/db');
+const platformAdminService = require('./services/platformAdminService');
+const signingKeyService = require('./services/signingKeyService');
+const jobService = require('./services/jobService');
+const { registerJobHandlers } = require('./services/jobHandlers');
 
 const server = http.createServer(app);
 
@@ -20,6 +25,8 @@ const server = http.createServer(app);
 
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  signingKeyService.stopScheduler();
+  jobService.stopWorker();
 
   server.close(async () => {
     try {
@@ -35,6 +42,8 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  signingKeyService.stopScheduler();
+  jobService.stopWorker();
 
   server.close(async () => {
     try {
@@ -52,10 +61,35 @@ process.on('SIGINT', async () => {
 // START SERVER
 // ============================================================================
 
-server.listen(config.port, () => {
-  logger.info('Server started', {
-    port: config.port,
-    environment: config.nodeEnv,
-    timestamp: new Date().toISOString()
+async function start() {
+  // Tokens cannot be issued or verified without signing keys
+  try {
+    await signingKeyService.init();
+    signingKeyService.startScheduler();
+  } catch (err) {
+    logger.error('JWT signing key initialization failed', { error: err.message });
+    process.exit(1);
+  }
+
+  try {
+    await platformAdminService.bootstrapFromEnv();
+  } catch (err) {
+    logger.error('Platform admin bootstrap failed', { error: err.message });
+  }
+
+  registerJobHandlers();
+
+  if (config.jobWorkerEnabled) {
+    jobService.startWorker();
+  }
+
+  server.listen(config.port, () => {
+    logger.info('Server started', {
+      port: config.port,
+      environment: config.nodeEnv,
+      timestamp: new Date().toISOString()
+    });
   });
-});
\ No newline at end of file
+}
+
+start();
\ No newline at end of file
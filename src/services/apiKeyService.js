@@ -0,0 +1,293 @@
+/**
+ * ============================================================================
+ * API KEY SERVICE - Machine-to-Machine Integrations
+ * ============================================================================
+ * Single Database Architecture
+ * - Per-college keys with explicit scopes (API_KEYS.SCOPES)
+ * - Only the SHA-256 hash is stored; the key is shown once at creation
+ * - Optional expiry and IP / CIDR allow-list
+ * - Acting user can only grant scopes whose permissions they hold
+ * - authMiddleware authenticates the X-API-Key header through authenticate()
+ */
+
+const net = require('net');
+const { getMainPool } = require('../config/db');
+const tokenHelper = require('../utils/tokenHelper');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  API_KEYS
+} = require('../config/constants');
+
+class ApiKeyService {
+  /**
+   * Create API key
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} data - { key_name, scopes, allowed_ips, expires_at }
+   * @param {Object} actor - Acting user { id, role, permissions }
+   * @returns {Promise<Object>} Key record plus plain `api_key` (only time it is returned)
+   * @throws {Error} If scope escalation attempted or college limit reached
+   */
+  async create(collegeId, data, actor) {
+    const scopes = [...new Set(data.scopes)];
+    const granted = this.scopesToPermissions(scopes);
+    const missing = granted.filter((permission) => !actor.permissions.includes(permission));
+
+    if (missing.length) {
+      logger.warn(`${LOG.SECURITY_PREFIX} API key scope escalation attempt`, {
+        college_id: collegeId,
+        actor_id: actor.id,
+        scopes,
+        missing_permissions: missing
+      });
+      throw new Error('Access denied - scope escalation');
+    }
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+    const apiKey = `${API_KEYS.PREFIX}${tokenHelper.generateToken()}`;
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      const countResult = await client.query(
+        `SELECT COUNT(*) AS total FROM api_keys
+         WHERE college_id = $1
+         AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+        [collegeId]
+      );
+
+      if (parseInt(countResult.rows[0].total) >= API_KEYS.MAX_PER_COLLEGE) {
+        await client.query('ROLLBACK');
+        throw new Error('API key limit reached');
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO api_keys (
+           college_id,
+           key_name,
+           key_prefix,
+           key_hash,
+           scopes,
+           allowed_ips,
+           expires_at,
+           created_by,
+           created_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+         RETURNING key_id, college_id, key_name, key_prefix, scopes, allowed_ips, expires_at, created_by, created_at`,
+        [
+          collegeId,
+          data.key_name,
+          apiKey.slice(0, API_KEYS.DISPLAY_PREFIX_LENGTH),
+          tokenHelper.hashToken(apiKey),
+          scopes,
+          data.allowed_ips || [],
+          data.expires_at || null,
+          actor.id
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.SECURITY_PREFIX} API key created`, {
+        key_id: rows[0].key_id,
+        college_id: collegeId,
+        scopes,
+        created_by: actor.id
+      });
+
+      return { ...rows[0], api_key: apiKey };
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} API key creation failed`, {
+        error: err.message,
+        college_id: collegeId
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List API keys of a college (never returns key material)
+   *
+   * @param {string} collegeId - College ID
+   * @returns {Promise<Array>} Keys, newest first
+   */
+  async list(collegeId) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT
+         key_id,
+         key_name,
+         key_prefix,
+         scopes,
+         allowed_ips,
+         expires_at,
+         last_used_at,
+         last_used_ip,
+         created_by,
+         created_at,
+         revoked_at,
+         revoked_by
+       FROM api_keys
+       WHERE college_id = $1
+       ORDER BY created_at DESC`,
+      [collegeId]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Revoke API key (takes effect on the next request)
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} keyId - API key ID
+   * @param {string} actorId - Acting user ID
+   * @throws {Error} If no live key exists in the college
+   */
+  async revoke(collegeId, keyId, actorId) {
+    const mainPool = getMainPool();
+
+    const { rowCount } = await mainPool.query(
+      `UPDATE api_keys
+       SET revoked_at = NOW(), revoked_by = $3
+       WHERE key_id = $1
+       AND college_id = $2
+       AND revoked_at IS NULL`,
+      [keyId, collegeId, actorId]
+    );
+
+    if (!rowCount) {
+      throw new Error('API key not found');
+    }
+
+    logger.warn(`${LOG.SECURITY_PREFIX} API key revoked`, {
+      key_id: keyId,
+      college_id: collegeId,
+      revoked_by: actorId
+    });
+  }
+
+  /**
+   * Resolve X-API-Key header value
+   *
+   * @param {string} apiKey - Plain API key
+   * @param {string} ip - Request IP
+   * @returns {Promise<Object>} { key, reason } - key is null when rejected
+   */
+  async authenticate(apiKey, ip) {
+    if (!apiKey || !String(apiKey).startsWith(API_KEYS.PREFIX)) {
+      return { key: null, reason: 'malformed' };
+    }
+
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT
+         k.key_id,
+         k.key_name,
+         k.college_id,
+         k.scopes,
+         k.allowed_ips,
+         k.revoked_at,
+         k.expires_at IS NOT NULL AND k.expires_at <= NOW() AS is_expired,
+         c.college_status
+       FROM api_keys k
+       JOIN colleges c ON c.college_id = k.college_id
+       WHERE k.key_hash = $1
+       LIMIT 1`,
+      [tokenHelper.hashToken(apiKey)]
+    );
+
+    const key = rows[0];
+
+    if (!key || key.revoked_at || key.is_expired) {
+      return { key: null, reason: key ? 'revoked_or_expired' : 'unknown' };
+    }
+
+    if (key.college_status !== STATUS.ACTIVE) {
+      return { key: null, reason: 'college_inactive' };
+    }
+
+    if (!this.isIpAllowed(ip, key.allowed_ips)) {
+      return { key: null, reason: 'ip_not_allowed', key_id: key.key_id };
+    }
+
+    // Usage bookkeeping must not fail or slow down the request
+    mainPool.query(
+      'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2 WHERE key_id = $1',
+      [key.key_id, ip || null]
+    ).catch((err) => {
+      logger.error(`${LOG.TRANSACTION_PREFIX} API key usage update failed`, {
+        error: err.message,
+        key_id: key.key_id
+      });
+    });
+
+    return { key, reason: null };
+  }
+
+  /**
+   * Permissions granted by a set of scopes
+   *
+   * @param {string[]} scopes - API key scopes
+   * @returns {string[]} Permission names
+   */
+  scopesToPermissions(scopes) {
+    return [...new Set(scopes.flatMap((scope) => API_KEYS.SCOPES[scope] || []))];
+  }
+
+  /**
+   * Check request IP against allow-list (empty list = any IP)
+   *
+   * @private
+   */
+  isIpAllowed(ip, allowedIps) {
+    if (!allowedIps || !allowedIps.length) {
+      return true;
+    }
+
+    if (!ip) {
+      return false;
+    }
+
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    const blockList = new net.BlockList();
+
+    for (const entry of allowedIps) {
+      const [range, prefix] = entry.split('/');
+      const rangeFamily = net.isIPv6(range) ? 'ipv6' : 'ipv4';
+
+      if (prefix) {
+        blockList.addSubnet(range, parseInt(prefix, 10), rangeFamily);
+      } else {
+        blockList.addAddress(range, rangeFamily);
+      }
+    }
+
+    return blockList.check(address, family);
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,997 @@
+/**
+ * ============================================================================
+ * APPLICATION SERVICE - Drive Applications & Stage Pipeline
+ * ============================================================================
+ * Single Database Architecture
+ * - Apply (student): published drive, before the deadline, eligibility
+ *   criteria met; one application per drive
+ * - Withdraw (student) while the application is still in the pipeline
+ * - Move applications through the drive's stages (drives.application_stages),
+ *   one at a time or in bulk; outcomes (selected / rejected / withdrawn)
+ *   are final
+ * - Every transition is written to application_stage_history with its actor
+ * - Reaching an outcome cancels the application's upcoming interview / test
+ *   slots (slot_allocations)
+ *
+ * Transition rules (staff):
+ * - Forward to any later stage of the drive (stages can be skipped)
+ * - To selected or rejected from any stage
+ * - Never backwards, never out of an outcome, only while the drive is
+ *   published or closed
+ */
+
+const { getMainPool } = require('../config/db');
+const logger = require('../config/logger');
+const { evaluateEligibility } = require('../utils/eligibilityHelper');
+const {
+  LOG,
+  DRIVES,
+  ELIGIBILITY,
+  APPLICATIONS,
+  SCHEDULING,
+  DB_ERROR_CODES
+} = require('../config/constants');
+
+const OUTCOMES = Object.values(APPLICATIONS.OUTCOMES);
+
+// Outcomes staff can move an application to (withdrawn is the student's)
+const STAFF_OUTCOMES = [APPLICATIONS.OUTCOMES.SELECTED, APPLICATIONS.OUTCOMES.REJECTED];
+
+// Staff view
+const APPLICATION_COLUMNS = `
+  a.application_id,
+  a.college_id,
+  a.drive_id,
+  d.role_title,
+  c.company_name,
+  a.student_id,
+  s.student_name,
+  s.student_email,
+  s.roll_number,
+  s.student_department,
+  s.student_year,
+  a.current_stage,
+  a.applied_at,
+  a.updated_at
+`;
+
+// Student view - own applications
+const STUDENT_APPLICATION_COLUMNS = `
+  a.application_id,
+  a.drive_id,
+  d.role_title,
+  d.job_type,
+  c.company_name,
+  d.drive_status,
+  d.application_stages,
+  a.current_stage,
+  a.applied_at,
+  a.updated_at
+`;
+
+const APPLICATION_FROM = `
+  FROM applications a
+  JOIN drives d ON d.drive_id = a.drive_id
+  JOIN companies c ON c.company_id = d.company_id
+  JOIN students s ON s.student_id = a.student_id
+`;
+
+class ApplicationService {
+  /**
+   * Apply to a published drive (student)
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - Student's college ID
+   * @param {Object} context - Actor context { actor, ip, request_id } (optional)
+   * @returns {Object} Application (student view)
+   * @throws {Error} If drive not found, applications closed, not eligible
+   *   or already applied
+   */
+  async apply(driveId, studentId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting application transaction`,
+        { drive_id: driveId, student_id: studentId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Drive must be published and accepting applications
+      // ====================================================================
+      const driveResult = await client.query(
+        `SELECT
+           drive_id,
+           drive_status,
+           eligibility_criteria,
+           application_deadline > NOW() AS accepting_applications
+         FROM drives
+         WHERE drive_id = $1
+         AND college_id = $2
+         LIMIT 1
+         FOR SHARE`,
+        [driveId, collegeId]
+      );
+      const drive = driveResult.rows[0];
+
+      // Drafts are never visible to students
+      if (!drive || drive.drive_status === DRIVES.STATUS.DRAFT) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive not found');
+      }
+
+      if (drive.drive_status !== DRIVES.STATUS.PUBLISHED || !drive.accepting_applications) {
+        await client.query('ROLLBACK');
+        throw new Error('Applications are closed for this drive');
+      }
+
+      // ====================================================================
+      // Step 2: Student must meet the eligibility criteria
+      // ====================================================================
+      const studentResult = await client.query(
+        `SELECT ${ELIGIBILITY.STUDENT_FIELDS.join(', ')}
+         FROM students
+         WHERE student_id = $1
+         AND college_id = $2
+         LIMIT 1`,
+        [studentId, collegeId]
+      );
+
+      if (!studentResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Student not found');
+      }
+
+      const eligibility = evaluateEligibility(drive.eligibility_criteria, studentResult.rows[0]);
+
+      if (!eligibility.eligible) {
+        await client.query('ROLLBACK');
+        throw new Error(
+          `Not eligible for this drive: ${eligibility.reasons.map((reason) => reason.message).join('; ')}`
+        );
+      }
+
+      // ====================================================================
+      // Step 3: Create application and its first history entry
+      // ====================================================================
+      const insertResult = await client.query(
+        `INSERT INTO applications (
+           college_id,
+           drive_id,
+           student_id,
+           current_stage,
+           applied_at,
+           updated_at
+         )
+         VALUES ($1, $2, $3, $4, NOW(), NOW())
+         RETURNING application_id`,
+        [collegeId, driveId, studentId, APPLICATIONS.FIRST_STAGE]
+      );
+      const applicationId = insertResult.rows[0].application_id;
+
+      await this.insertHistory(
+        client,
+        collegeId,
+        [{ application_id: applicationId, from_stage: null }],
+        APPLICATIONS.FIRST_STAGE,
+        null,
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Application submitted successfully`,
+        {
+          application_id: applicationId,
+          drive_id: driveId,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+
+      return this.fetchStudentApplication(mainPool, applicationId, studentId, collegeId);
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Application failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error('Already applied to this drive');
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Own applications of a student, newest first
+   *
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - Student's college ID
+   * @returns {Array} Applications (student view)
+   */
+  async listMine(studentId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      const { rows } = await mainPool.query(
+        `SELECT ${STUDENT_APPLICATION_COLUMNS}
+         ${APPLICATION_FROM}
+         WHERE a.student_id = $1
+         AND a.college_id = $2
+         ORDER BY a.applied_at DESC, a.application_id`,
+        [studentId, collegeId]
+      );
+
+      return rows;
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Student application list failed`,
+        {
+          error: err.message,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Own application with its stage history (student view - no staff
+   * notes or actors)
+   *
+   * @param {string} applicationId - Application ID
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - Student's college ID
+   * @returns {Object} Application with history [{ from_stage, to_stage, changed_at }]
+   * @throws {Error} If not found
+   */
+  async getMine(applicationId, studentId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      const application = await this.fetchStudentApplication(
+        mainPool,
+        applicationId,
+        studentId,
+        collegeId
+      );
+
+      if (!application) {
+        throw new Error('Application not found');
+      }
+
+      const { rows } = await mainPool.query(
+        `SELECT from_stage, to_stage, changed_at
+         FROM application_stage_history
+         WHERE application_id = $1
+         ORDER BY changed_at, history_id`,
+        [applicationId]
+      );
+
+      return { ...application, history: rows };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Student application retrieval failed`,
+        {
+          error: err.message,
+          application_id: applicationId,
+          student_id: studentId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Withdraw own application (student)
+   *
+   * @param {string} applicationId - Application ID
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - Student's college ID
+   * @param {string} note - Reason (optional)
+   * @param {Object} context - Actor context { actor, ip, request_id } (optional)
+   * @returns {Object} Application (student view)
+   * @throws {Error} If not found, already final or the drive is completed
+   */
+  async withdraw(applicationId, studentId, collegeId, note = null, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting application withdrawal`,
+        { application_id: applicationId, student_id: studentId }
+      );
+
+      await client.query('BEGIN');
+
+      const application = await this.lockApplication(client, applicationId, collegeId);
+
+      if (!application || application.student_id !== studentId) {
+        await client.query('ROLLBACK');
+        throw new Error('Application not found');
+      }
+
+      if (OUTCOMES.includes(application.current_stage)) {
+        await client.query('ROLLBACK');
+        throw new Error(`Application is already ${application.current_stage}`);
+      }
+
+      if (application.drive_status === DRIVES.STATUS.COMPLETED) {
+        await client.query('ROLLBACK');
+        throw new Error('Applications of a completed drive cannot move');
+      }
+
+      await this.moveApplications(
+        client,
+        collegeId,
+        [application],
+        APPLICATIONS.OUTCOMES.WITHDRAWN,
+        note,
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Application withdrawn successfully`,
+        {
+          application_id: applicationId,
+          student_id: studentId,
+          from_stage: application.current_stage
+        }
+      );
+
+      return this.fetchStudentApplication(mainPool, applicationId, studentId, collegeId);
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Application withdrawal failed`,
+        {
+          error: err.message,
+          application_id: applicationId,
+          student_id: studentId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List applications in college (staff view)
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { drive_id, stage, search, page, limit } - search
+   *   matches student name, email or roll number
+   * @returns {Object} { data, pagination }
+   */
+  async list(collegeId, filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Listing applications`, {
+        college_id: collegeId,
+        drive_id: filters.drive_id,
+        stage: filters.stage,
+        page,
+        limit
+      });
+
+      const conditions = ['a.college_id = $1'];
+      const params = [collegeId];
+
+      if (filters.drive_id) {
+        params.push(filters.drive_id);
+        conditions.push(`a.drive_id = $${params.length}`);
+      }
+
+      if (filters.stage) {
+        params.push(filters.stage);
+        conditions.push(`a.current_stage = $${params.length}`);
+      }
+
+      if (filters.search) {
+        // Escape LIKE wildcards so the term is matched literally
+        params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(
+          `(s.student_name ILIKE $${params.length} OR s.student_email ILIKE $${params.length} OR s.roll_number ILIKE $${params.length})`
+        );
+      }
+
+      const whereClause = conditions.join(' AND ');
+
+      const countResult = await mainPool.query(
+        `SELECT COUNT(*) AS total
+         ${APPLICATION_FROM}
+         WHERE ${whereClause}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].total);
+
+      const { rows } = await mainPool.query(
+        `SELECT ${APPLICATION_COLUMNS}
+         ${APPLICATION_FROM}
+         WHERE ${whereClause}
+         ORDER BY a.applied_at, a.application_id
+         LIMIT $${params.length + 1}
+         OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Applications listed successfully`,
+        {
+          college_id: collegeId,
+          total_count: total,
+          returned_count: rows.length,
+          page
+        }
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Application list failed`,
+        {
+          error: err.message,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get application with its full stage history (staff view)
+   *
+   * @param {string} applicationId - Application ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @returns {Object} Application with history [{ from_stage, to_stage,
+   *   changed_by, changed_by_role, note, changed_at }]
+   * @throws {Error} If not found
+   */
+  async getById(applicationId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Fetching application by ID`, {
+        application_id: applicationId,
+        college_id: collegeId
+      });
+
+      const application = await this.fetchApplication(mainPool, applicationId, collegeId);
+
+      if (!application) {
+        throw new Error('Application not found');
+      }
+
+      const { rows } = await mainPool.query(
+        `SELECT
+           history_id,
+           from_stage,
+           to_stage,
+           changed_by,
+           changed_by_role,
+           note,
+           changed_at
+         FROM application_stage_history
+         WHERE application_id = $1
+         ORDER BY changed_at, history_id`,
+        [applicationId]
+      );
+
+      return { ...application, history: rows };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Application retrieval failed`,
+        {
+          error: err.message,
+          application_id: applicationId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Move one application to another stage (staff)
+   *
+   * @param {string} applicationId - Application ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - { to_stage, note }
+   * @param {Object} context - Actor context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated application (staff view)
+   * @throws {Error} If not found, unknown stage or transition not allowed
+   */
+  async moveStage(applicationId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting application stage change`,
+        { application_id: applicationId, college_id: collegeId, to_stage: data.to_stage }
+      );
+
+      await client.query('BEGIN');
+
+      const application = await this.lockApplication(client, applicationId, collegeId);
+
+      if (!application) {
+        await client.query('ROLLBACK');
+        throw new Error('Application not found');
+      }
+
+      this.assertPipelineOpen(application, data.to_stage);
+
+      const transitionError = this.transitionError(
+        application.current_stage,
+        data.to_stage,
+        application.application_stages
+      );
+
+      if (transitionError) {
+        await client.query('ROLLBACK');
+        throw new Error(transitionError);
+      }
+
+      await this.moveApplications(
+        client,
+        collegeId,
+        [application],
+        data.to_stage,
+        data.note || null,
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Application stage changed successfully`,
+        {
+          application_id: applicationId,
+          college_id: collegeId,
+          from: application.current_stage,
+          to: data.to_stage
+        }
+      );
+
+      return this.fetchApplication(mainPool, applicationId, collegeId);
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Application stage change failed`,
+        {
+          error: err.message,
+          application_id: applicationId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move a selection of a drive's applications to one stage (staff)
+   *
+   * Default: every application that can move is moved, the rest are
+   * reported in failed. Atomic: nothing moves unless all of them can.
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - { application_ids, to_stage, note, atomic }
+   * @param {Object} context - Actor context { actor, ip, request_id } (optional)
+   * @returns {Object} { atomic, to_stage, moved_count, failed_count,
+   *   moved: [{ application_id, from_stage }], failed: [{ application_id, error }] }
+   * @throws {Error} If drive not found, drive not active or unknown stage
+   */
+  async moveStages(driveId, collegeId, data, context = {}) {
+    const atomic = Boolean(data.atomic);
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting bulk application stage change`,
+        {
+          drive_id: driveId,
+          college_id: collegeId,
+          to_stage: data.to_stage,
+          total_applications: data.application_ids.length,
+          atomic
+        }
+      );
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Drive must be active and know the target stage
+      // ====================================================================
+      const driveResult = await client.query(
+        `SELECT drive_status, application_stages
+         FROM drives
+         WHERE drive_id = $1
+         AND college_id = $2
+         LIMIT 1
+         FOR SHARE`,
+        [driveId, collegeId]
+      );
+
+      if (!driveResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive not found');
+      }
+
+      const drive = driveResult.rows[0];
+
+      this.assertPipelineOpen(drive, data.to_stage);
+
+      // ====================================================================
+      // Step 2: Check every selected application
+      // ====================================================================
+      const { rows } = await client.query(
+        `SELECT application_id, current_stage
+         FROM applications
+         WHERE drive_id = $1
+         AND college_id = $2
+         AND application_id = ANY($3::uuid[])
+         FOR UPDATE`,
+        [driveId, collegeId, data.application_ids]
+      );
+      const byId = new Map(rows.map((row) => [row.application_id, row]));
+
+      const moved = [];
+      const failed = [];
+
+      for (const applicationId of data.application_ids) {
+        const application = byId.get(applicationId);
+
+        const transitionError = application
+          ? this.transitionError(application.current_stage, data.to_stage, drive.application_stages)
+          : 'Application not found';
+
+        if (transitionError) {
+          failed.push({ application_id: applicationId, error: transitionError });
+        } else {
+          moved.push({ application_id: applicationId, from_stage: application.current_stage });
+        }
+      }
+
+      // ====================================================================
+      // Step 3: Move (all-or-nothing when atomic)
+      // ====================================================================
+      if (atomic && failed.length) {
+        await client.query('ROLLBACK');
+
+        logger.info(
+          `${LOG.TRANSACTION_PREFIX} Bulk application stage change rolled back`,
+          { drive_id: driveId, failed_count: failed.length }
+        );
+
+        return {
+          atomic,
+          to_stage: data.to_stage,
+          moved_count: 0,
+          failed_count: failed.length,
+          moved: [],
+          failed
+        };
+      }
+
+      if (moved.length) {
+        await this.moveApplications(
+          client,
+          collegeId,
+          moved.map(({ application_id, from_stage }) => ({
+            application_id,
+            current_stage: from_stage
+          })),
+          data.to_stage,
+          data.note || null,
+          context
+        );
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Bulk application stage change completed`,
+        {
+          drive_id: driveId,
+          college_id: collegeId,
+          to_stage: data.to_stage,
+          moved_count: moved.length,
+          failed_count: failed.length
+        }
+      );
+
+      return {
+        atomic,
+        to_stage: data.to_stage,
+        moved_count: moved.length,
+        failed_count: failed.length,
+        moved,
+        failed
+      };
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Bulk application stage change failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Why an application cannot move from one stage to another (null if it can)
+   *
+   * @private
+   */
+  transitionError(currentStage, toStage, stages) {
+    if (OUTCOMES.includes(currentStage)) {
+      return `Application is already ${currentStage}`;
+    }
+
+    if (currentStage === toStage) {
+      return `Application is already in stage ${toStage}`;
+    }
+
+    if (STAFF_OUTCOMES.includes(toStage)) {
+      return null;
+    }
+
+    if (stages.indexOf(toStage) < stages.indexOf(currentStage)) {
+      return `Cannot move back from ${currentStage} to ${toStage}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Drive must be published / closed and the target one of its stages
+   * or an outcome
+   *
+   * @private
+   */
+  assertPipelineOpen(drive, toStage) {
+    if (!APPLICATIONS.ACTIVE_DRIVE_STATUSES.includes(drive.drive_status)) {
+      throw new Error(`Applications of a ${drive.drive_status} drive cannot move`);
+    }
+
+    if (!drive.application_stages.includes(toStage) && !STAFF_OUTCOMES.includes(toStage)) {
+      throw new Error(
+        `Unknown stage ${toStage} - this drive uses: ${[...drive.application_stages, ...STAFF_OUTCOMES].join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Set current_stage and record the transitions; an outcome frees the
+   * applications' upcoming slots
+   * applications: [{ application_id, current_stage }]
+   *
+   * @private
+   */
+  async moveApplications(client, collegeId, applications, toStage, note, context) {
+    const applicationIds = applications.map((application) => application.application_id);
+
+    await client.query(
+      `UPDATE applications
+       SET current_stage = $1,
+           updated_at = NOW()
+       WHERE application_id = ANY($2::uuid[])
+       AND college_id = $3`,
+      [toStage, applicationIds, collegeId]
+    );
+
+    if (Object.values(APPLICATIONS.OUTCOMES).includes(toStage)) {
+      await client.query(
+        `UPDATE slot_allocations sa
+         SET allocation_status = $1,
+             cancelled_at = NOW(),
+             updated_at = NOW()
+         FROM round_slots s
+         WHERE s.slot_id = sa.slot_id
+         AND sa.application_id = ANY($2::uuid[])
+         AND sa.college_id = $3
+         AND sa.allocation_status = $4
+         AND s.starts_at > NOW()`,
+        [
+          SCHEDULING.ALLOCATION_STATUS.CANCELLED,
+          applicationIds,
+          collegeId,
+          SCHEDULING.ALLOCATION_STATUS.SCHEDULED
+        ]
+      );
+    }
+
+    await this.insertHistory(
+      client,
+      collegeId,
+      applications.map((application) => ({
+        application_id: application.application_id,
+        from_stage: application.current_stage
+      })),
+      toStage,
+      note,
+      context
+    );
+  }
+
+  /**
+   * One history row per transition: [{ application_id, from_stage }]
+   *
+   * @private
+   */
+  async insertHistory(client, collegeId, transitions, toStage, note, context = {}) {
+    await client.query(
+      `INSERT INTO application_stage_history (
+         application_id,
+         college_id,
+         from_stage,
+         to_stage,
+         changed_by,
+         changed_by_role,
+         note,
+         changed_at
+       )
+       SELECT t.application_id, $3, t.from_stage, $4, $5, $6, $7, NOW()
+       FROM unnest($1::uuid[], $2::text[]) AS t(application_id, from_stage)`,
+      [
+        transitions.map((transition) => transition.application_id),
+        transitions.map((transition) => transition.from_stage),
+        collegeId,
+        toStage,
+        context.actor?.id || null,
+        context.actor?.role || null,
+        note
+      ]
+    );
+  }
+
+  /**
+   * Application with its drive's status and stages, locked for the transaction
+   *
+   * @private
+   */
+  async lockApplication(client, applicationId, collegeId) {
+    const { rows } = await client.query(
+      `SELECT
+         a.application_id,
+         a.student_id,
+         a.current_stage,
+         d.drive_status,
+         d.application_stages
+       FROM applications a
+       JOIN drives d ON d.drive_id = a.drive_id
+       WHERE a.application_id = $1
+       AND a.college_id = $2
+       LIMIT 1
+       FOR UPDATE OF a`,
+      [applicationId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  async fetchApplication(db, applicationId, collegeId) {
+    const { rows } = await db.query(
+      `SELECT ${APPLICATION_COLUMNS}
+       ${APPLICATION_FROM}
+       WHERE a.application_id = $1
+       AND a.college_id = $2
+       LIMIT 1`,
+      [applicationId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  async fetchStudentApplication(db, applicationId, studentId, collegeId) {
+    const { rows } = await db.query(
+      `SELECT ${STUDENT_APPLICATION_COLUMNS}
+       ${APPLICATION_FROM}
+       WHERE a.application_id = $1
+       AND a.student_id = $2
+       AND a.college_id = $3
+       LIMIT 1`,
+      [applicationId, studentId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+}
+
+module.exports = new ApplicationService();
@@ -0,0 +1,230 @@
+/**
+ * ============================================================================
+ * AUDIT SERVICE - Append-Only Audit Log
+ * ============================================================================
+ * Single Database Architecture
+ * - record() is called by services inside their own transaction, so an
+ *   audit row exists exactly when the change was committed
+ * - Stores only changed fields ({ field: { from, to } }), never secrets
+ * - Queried per college (admins) or across colleges (sysadmins)
+ */
+
+const { getMainPool } = require('../config/db');
+const logger = require('../config/logger');
+const { LOG, AUDIT } = require('../config/constants');
+
+const EVENT_COLUMNS = `
+  event_id,
+  college_id,
+  actor_id,
+  actor_role,
+  actor_email,
+  impersonator_id,
+  entity_type,
+  entity_id,
+  action,
+  changes,
+  ip_address,
+  request_id,
+  created_at
+`;
+
+class AuditService {
+  /**
+   * Record audit event
+   *
+   * Updates that changed nothing are not recorded.
+   *
+   * @param {Object} client - Transaction client of the calling service
+   * @param {Object} event - { college_id, entity_type, entity_id, action, before, after }
+   * @param {Object} context - { actor: { id, role, email, impersonator_id }, ip, request_id }
+   * @returns {Promise<Object|null>} { event_id } or null when nothing changed
+   */
+  async record(client, event, context = {}) {
+    const changes = this.diff(event.before, event.after);
+
+    if (event.action === AUDIT.ACTIONS.UPDATE && !Object.keys(changes).length) {
+      return null;
+    }
+
+    const actor = context.actor || {};
+
+    const { rows } = await client.query(
+      `INSERT INTO audit_events (
+         college_id,
+         actor_id,
+         actor_role,
+         actor_email,
+         impersonator_id,
+         entity_type,
+         entity_id,
+         action,
+         changes,
+         ip_address,
+         request_id,
+         created_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+       RETURNING event_id`,
+      [
+        event.college_id || null,
+        actor.id || null,
+        actor.role || null,
+        actor.email || null,
+        actor.impersonator_id || null,
+        event.entity_type,
+        event.entity_id,
+        event.action,
+        JSON.stringify(changes),
+        context.ip || null,
+        context.request_id || null
+      ]
+    );
+
+    logger.debug(`${LOG.TRANSACTION_PREFIX} Audit event recorded`, {
+      event_id: rows[0].event_id,
+      entity_type: event.entity_type,
+      entity_id: event.entity_id,
+      action: event.action
+    });
+
+    return rows[0];
+  }
+
+  /**
+   * List audit events (newest first)
+   *
+   * @param {Object} filters - { college_id, actor_id, entity_type, entity_id,
+   *   action, request_id, from, to, page, limit } - college_id null = all colleges
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async list(filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    const filterColumns = [
+      'college_id',
+      'actor_id',
+      'entity_type',
+      'entity_id',
+      'action',
+      'request_id'
+    ];
+
+    for (const column of filterColumns) {
+      if (filters[column]) {
+        params.push(filters[column]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`created_at < $${params.length}`);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await mainPool.query(
+      `SELECT COUNT(*) AS total FROM audit_events ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const { rows } = await mainPool.query(
+      `SELECT ${EVENT_COLUMNS}
+       FROM audit_events
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1}
+       OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get single audit event
+   *
+   * @param {string} eventId - Event ID
+   * @param {string|null} collegeId - Restrict to college (null = any)
+   * @returns {Promise<Object>} Event
+   * @throws {Error} If not found (or in another college)
+   */
+  async getById(eventId, collegeId = null) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT ${EVENT_COLUMNS}
+       FROM audit_events
+       WHERE event_id = $1
+       AND ($2::uuid IS NULL OR college_id = $2::uuid)
+       LIMIT 1`,
+      [eventId, collegeId]
+    );
+
+    if (!rows.length) {
+      throw new Error('Audit event not found');
+    }
+
+    return rows[0];
+  }
+
+  /**
+   * Changed fields between two row snapshots
+   * Missing snapshot (create / hard delete) diffs against nothing
+   *
+   * @private
+   */
+  diff(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      if (AUDIT.REDACTED_FIELDS.includes(key) || AUDIT.IGNORED_FIELDS.includes(key)) {
+        continue;
+      }
+
+      const from = before ? this.normalize(before[key]) : null;
+      const to = after ? this.normalize(after[key]) : null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[key] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * @private
+   */
+  normalize(value) {
+    if (value === undefined) {
+      return null;
+    }
+
+    return value instanceof Date ? value.toISOString() : value;
+  }
+}
+
+module.exports = new AuditService();
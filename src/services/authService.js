@@ -3,30 +3,56 @@
  * AUTH SERVICE - Authentication Business Logic (SIMPLIFIED)
  * ============================================================================
  * Single Database Architecture
- * - System admin credential verification
+ * - System admin credential verification (platform_admins)
  * - College user authentication
- * - Token generation
+ * - Optional TOTP second step (short-lived "mfa_pending" token)
+ * - Session for users verified by college SSO (ssoService)
+ * - Per-account lockout and login history (loginSecurityService)
+ * - Session creation (access + refresh token)
  * - Status checks: college active, user active
  */
 
 const { getMainPool } = require('../config/db');
-const jwtHelper = require('../utils/jwtHelper');
+const config = require('../config/env');
+const sessionService = require('./sessionService');
+const platformAdminService = require('./platformAdminService');
+const mfaService = require('./mfaService');
+const loginSecurityService = require('./loginSecurityService');
 const passwordHelper = require('../utils/passwordHelper');
+const jwtHelper = require('../utils/jwtHelper');
 const logger = require('../config/logger');
 const {
   LOG,
   STATUS,
   ROLES,
-  AUTH
+  MFA,
+  ACCOUNT_TYPES,
+  LOGIN_FAILURE_REASONS
 } = require('../config/constants');
 
+const COLLEGE_USER_QUERY = `
+  SELECT
+    u.user_id,
+    u.user_email,
+    u.user_password,
+    u.user_role,
+    u.college_id,
+    u.user_status,
+    c.college_id,
+    c.college_status,
+    c.college_name,
+    c.admin_mfa_required
+  FROM users u
+  JOIN colleges c ON u.college_id = c.college_id
+`;
+
 class AuthService {
   /**
-   * Verify system admin credentials
+   * Verify system admin credentials against platform_admins
    * 
    * @param {string} email - Admin email
    * @param {string} password - Admin password
-   * @returns {Promise<boolean>} True if credentials match
+   * @returns {Promise<Object|null>} Platform admin record or null if no match
    */
   async verifySystemAdminCredentials(email, password) {
     try {
@@ -34,48 +60,38 @@ class AuthService {
         email
       });
 
-      const configEmail = process.env.SYSADMIN_EMAIL;
-      const configPassword = process.env.SYSADMIN_PASSWORD;
-
-      if (!configEmail || !configPassword) {
-        logger.warn(
-          `${LOG.SECURITY_PREFIX} System admin credentials not configured`
-        );
-        return false;
-      }
-
-      // Constant-time comparison to prevent timing attacks
-      const emailMatch = email === configEmail;
-      const passwordMatch = password === configPassword;
-
-      return emailMatch && passwordMatch;
+      return await platformAdminService.authenticate(email, password);
 
     } catch (err) {
       logger.error(
         `${LOG.TRANSACTION_PREFIX} Error verifying system admin credentials`,
         { error: err.message }
       );
-      return false;
+      return null;
     }
   }
 
   /**
-   * Generate system admin token
+   * Generate system admin session
    * 
-   * @param {string} email - Admin email
-   * @returns {string} JWT token
+   * @param {Object} admin - Platform admin record
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<Object>} { token, refresh_token, expires_in, session_id }
    */
-  generateAdminToken(email) {
+  async generateAdminToken(admin, context = {}) {
     logger.debug(`${LOG.TRANSACTION_PREFIX} Generating admin JWT token`, {
-      email
+      platform_admin_id: admin.platform_admin_id
     });
 
-    return jwtHelper.sign({
-      id: AUTH.SYSTEM_ADMIN_ID,
-      role: ROLES.SYSADMIN,
-      email: email,
-      timestamp: Date.now()
-    });
+    return sessionService.createSession(
+      {
+        id: admin.platform_admin_id,
+        role: ROLES.SYSADMIN,
+        email: admin.admin_email,
+        college_id: null
+      },
+      context
+    );
   }
 
   /**
@@ -83,17 +99,21 @@ class AuthService {
    * 
    * Single Database:
    * 1. Verify college is active
-   * 2. Query user by email
+   * 2. Query user by email (within the tenant college, if resolved)
    * 3. Verify user is active
    * 4. Verify password
-   * 5. Generate token
+   * 5. If MFA is enabled (or mandatory), stop with an mfa_pending token
+   * 6. Create session (access + refresh token)
    * 
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Object} { token, user, college }
+   * @param {string|null} collegeId - College resolved from subdomain (null = any)
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Object} { token, refresh_token, expires_in, user, college }
+   *   or { mfa_required, mfa_token, enrollment_required, user, college }
    * @throws {Error} If authentication fails
    */
-  async authenticateCollegeUser(email, password) {
+  async authenticateCollegeUser(email, password, collegeId = null, context = {}) {
     const mainPool = getMainPool();
 
     try {
@@ -110,33 +130,33 @@ class AuthService {
       });
 
       const userQuery = `
-        SELECT 
-          u.user_id,
-          u.user_email,
-          u.user_password,
-          u.user_role,
-          u.college_id,
-          u.user_status,
-          c.college_id,
-          c.college_status,
-          c.college_name
-        FROM users u
-        JOIN colleges c ON u.college_id = c.college_id
+        ${COLLEGE_USER_QUERY}
         WHERE LOWER(u.user_email) = LOWER($1)
+        AND ($2::uuid IS NULL OR u.college_id = $2::uuid)
         LIMIT 1
       `;
 
-      const { rows } = await mainPool.query(userQuery, [email]);
+      const { rows } = await mainPool.query(userQuery, [email, collegeId]);
 
       if (!rows || rows.length === 0) {
         logger.warn(
           `${LOG.SECURITY_PREFIX} Authentication failed - user not found`,
           { email }
         );
+        await loginSecurityService.recordHistory(
+          { account_type: ACCOUNT_TYPES.USER, account_id: null, college_id: collegeId, email },
+          false,
+          LOGIN_FAILURE_REASONS.UNKNOWN_ACCOUNT,
+          context
+        );
         throw new Error('Invalid credentials');
       }
 
       const userRecord = rows[0];
+      const account = this.toLoginAccount(userRecord);
+
+      // Locked accounts are rejected before any other check
+      await loginSecurityService.assertNotLocked(account, context);
 
       // ====================================================================
       // Step 2: Check college is active
@@ -155,6 +175,12 @@ class AuthService {
             college_status: userRecord.college_status
           }
         );
+        await loginSecurityService.recordHistory(
+          account,
+          false,
+          LOGIN_FAILURE_REASONS.COLLEGE_INACTIVE,
+          context
+        );
         throw new Error('College is not active');
       }
 
@@ -174,6 +200,12 @@ class AuthService {
             user_status: userRecord.user_status
           }
         );
+        await loginSecurityService.recordHistory(
+          account,
+          false,
+          LOGIN_FAILURE_REASONS.ACCOUNT_INACTIVE,
+          context
+        );
         throw new Error('User account is inactive');
       }
 
@@ -194,46 +226,41 @@ class AuthService {
           `${LOG.SECURITY_PREFIX} Authentication failed - invalid password`,
           { user_id: userRecord.user_id, email: userRecord.user_email }
         );
+        await loginSecurityService.recordFailure(
+          account,
+          LOGIN_FAILURE_REASONS.INVALID_PASSWORD,
+          context
+        );
         throw new Error('Invalid credentials');
       }
 
       // ====================================================================
-      // Step 5: Generate JWT token
+      // Step 5: Second factor
       // ====================================================================
-      logger.debug(`${LOG.TRANSACTION_PREFIX} Generating JWT token`, {
-        user_id: userRecord.user_id
-      });
+      const mfaRequirement = await mfaService.getLoginRequirement(userRecord);
 
-      const userToken = jwtHelper.sign({
-        id: userRecord.user_id,
-        role: userRecord.user_role,
-        email: userRecord.user_email,
-        college_id: userRecord.college_id,
-        timestamp: Date.now()
-      });
+      if (mfaRequirement) {
+        logger.info(
+          `${LOG.SECURITY_PREFIX} Password verified - second factor required`,
+          {
+            user_id: userRecord.user_id,
+            enrollment_required: mfaRequirement === 'enroll'
+          }
+        );
 
-      logger.info(
-        `${LOG.TRANSACTION_PREFIX} College user authenticated successfully`,
-        {
-          user_id: userRecord.user_id,
-          role: userRecord.user_role,
-          college_id: userRecord.college_id
-        }
-      );
+        return {
+          mfa_required: true,
+          mfa_token: this.signMfaToken(userRecord),
+          enrollment_required: mfaRequirement === 'enroll',
+          user: this.toUserSummary(userRecord),
+          college: this.toCollegeSummary(userRecord)
+        };
+      }
 
-      return {
-        token: userToken,
-        user: {
-          user_id: userRecord.user_id,
-          user_email: userRecord.user_email,
-          user_role: userRecord.user_role,
-          college_id: userRecord.college_id
-        },
-        college: {
-          college_id: userRecord.college_id,
-          college_name: userRecord.college_name
-        }
-      };
+      // ====================================================================
+      // Step 6: Create session
+      // ====================================================================
+      return await this.createUserSession(userRecord, context);
 
     } catch (err) {
       logger.error(
@@ -244,6 +271,270 @@ class AuthService {
       throw err;
     }
   }
+
+  /**
+   * Authenticate college user whose identity was verified by the college's
+   * SSO provider (no password step)
+   *
+   * Same status, lockout and MFA rules as password login
+   *
+   * @param {string} userId - User ID resolved by ssoService
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Object} Same shape as authenticateCollegeUser
+   * @throws {Error} If college or user is inactive, or the account is locked
+   */
+  async authenticateSsoUser(userId, context = {}) {
+    const { rows } = await getMainPool().query(
+      `${COLLEGE_USER_QUERY} WHERE u.user_id = $1 LIMIT 1`,
+      [userId]
+    );
+
+    const userRecord = rows[0];
+
+    if (!userRecord) {
+      throw new Error('User not found');
+    }
+
+    const account = this.toLoginAccount(userRecord);
+
+    await loginSecurityService.assertNotLocked(account, context);
+
+    if (userRecord.college_status !== STATUS.ACTIVE) {
+      await loginSecurityService.recordHistory(
+        account,
+        false,
+        LOGIN_FAILURE_REASONS.COLLEGE_INACTIVE,
+        context
+      );
+      throw new Error('College is not active');
+    }
+
+    if (userRecord.user_status !== STATUS.ACTIVE) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} SSO login failed - user not active`,
+        { user_id: userRecord.user_id, user_status: userRecord.user_status }
+      );
+      await loginSecurityService.recordHistory(
+        account,
+        false,
+        LOGIN_FAILURE_REASONS.ACCOUNT_INACTIVE,
+        context
+      );
+      throw new Error('User account is inactive');
+    }
+
+    const mfaRequirement = await mfaService.getLoginRequirement(userRecord);
+
+    if (mfaRequirement) {
+      return {
+        mfa_required: true,
+        mfa_token: this.signMfaToken(userRecord),
+        enrollment_required: mfaRequirement === 'enroll',
+        user: this.toUserSummary(userRecord),
+        college: this.toCollegeSummary(userRecord)
+      };
+    }
+
+    return this.createUserSession(userRecord, context);
+  }
+
+  /**
+   * Complete login with the second factor
+   *
+   * - MFA enabled: accepts TOTP or recovery code
+   * - Mandatory enrollment: the code activates the pending secret and
+   *   the one-time recovery codes are returned with the session
+   *
+   * @param {string} mfaToken - mfa_pending token from first step
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Object} { token, refresh_token, expires_in, user, college, recovery_codes? }
+   * @throws {Error} If token, user or code is invalid
+   */
+  async completeMfaLogin(mfaToken, code, context = {}) {
+    const userRecord = await this.resolveMfaToken(mfaToken);
+    const account = this.toLoginAccount(userRecord);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    await loginSecurityService.assertNotLocked(account, context);
+
+    const mfaRequirement = await mfaService.getLoginRequirement(userRecord);
+
+    let recoveryCodes;
+
+    try {
+      if (mfaRequirement === 'enroll') {
+        recoveryCodes = await mfaService.activate(userRecord.user_id, code);
+      } else if (mfaRequirement === 'challenge') {
+        await mfaService.verifyCode(userRecord.user_id, code);
+      } else {
+        // MFA was disabled after the first step - the token is stale
+        throw new Error('Invalid MFA token');
+      }
+    } catch (err) {
+      if (err.message.includes('Invalid verification code')) {
+        await loginSecurityService.recordFailure(
+          account,
+          LOGIN_FAILURE_REASONS.INVALID_MFA_CODE,
+          context
+        );
+      }
+      throw err;
+    }
+
+    const result = await this.createUserSession(userRecord, context);
+
+    return recoveryCodes
+      ? { ...result, recovery_codes: recoveryCodes }
+      : result;
+  }
+
+  /**
+   * Start mandatory enrollment during login
+   *
+   * @param {string} mfaToken - mfa_pending token from first step
+   * @returns {Promise<Object>} { secret, otpauth_url }
+   * @throws {Error} If token invalid or enrollment not required
+   */
+  async startMfaLoginEnrollment(mfaToken) {
+    const userRecord = await this.resolveMfaToken(mfaToken);
+    const mfaRequirement = await mfaService.getLoginRequirement(userRecord);
+
+    if (mfaRequirement !== 'enroll') {
+      throw new Error('MFA already enabled');
+    }
+
+    return mfaService.startEnrollment({
+      id: userRecord.user_id,
+      email: userRecord.user_email,
+      role: userRecord.user_role
+    });
+  }
+
+  /**
+   * Sign short-lived token proving the password step passed
+   * Carries no `sid`, so authMiddleware never accepts it as an access token
+   *
+   * @private
+   */
+  signMfaToken(userRecord) {
+    return jwtHelper.sign(
+      {
+        id: userRecord.user_id,
+        role: userRecord.user_role,
+        college_id: userRecord.college_id,
+        purpose: MFA.PENDING_TOKEN_PURPOSE
+      },
+      config.mfaTokenExpiresIn
+    );
+  }
+
+  /**
+   * Verify mfa_pending token and reload the (still active) user
+   *
+   * @private
+   */
+  async resolveMfaToken(mfaToken) {
+    const payload = jwtHelper.verify(mfaToken);
+
+    if (!payload || payload.purpose !== MFA.PENDING_TOKEN_PURPOSE) {
+      throw new Error('Invalid MFA token');
+    }
+
+    const { rows } = await getMainPool().query(
+      `${COLLEGE_USER_QUERY} WHERE u.user_id = $1 LIMIT 1`,
+      [payload.id]
+    );
+
+    const userRecord = rows[0];
+
+    if (!userRecord ||
+        userRecord.user_status !== STATUS.ACTIVE ||
+        userRecord.college_status !== STATUS.ACTIVE) {
+      logger.warn(`${LOG.SECURITY_PREFIX} MFA login for missing or inactive user`, {
+        user_id: payload.id
+      });
+      throw new Error('Invalid MFA token');
+    }
+
+    return userRecord;
+  }
+
+  /**
+   * Create session for verified college user
+   *
+   * @private
+   */
+  async createUserSession(userRecord, context) {
+    logger.debug(`${LOG.TRANSACTION_PREFIX} Creating user session`, {
+      user_id: userRecord.user_id
+    });
+
+    const tokens = await sessionService.createSession(
+      {
+        id: userRecord.user_id,
+        role: userRecord.user_role,
+        email: userRecord.user_email,
+        college_id: userRecord.college_id
+      },
+      context
+    );
+
+    await loginSecurityService.recordSuccess(this.toLoginAccount(userRecord), context);
+
+    logger.info(
+      `${LOG.TRANSACTION_PREFIX} College user authenticated successfully`,
+      {
+        user_id: userRecord.user_id,
+        role: userRecord.user_role,
+        college_id: userRecord.college_id
+      }
+    );
+
+    return {
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
+      expires_in: tokens.expires_in,
+      user: this.toUserSummary(userRecord),
+      college: this.toCollegeSummary(userRecord)
+    };
+  }
+
+  /**
+   * Account descriptor used by loginSecurityService
+   *
+   * @private
+   */
+  toLoginAccount(userRecord) {
+    return {
+      account_type: ACCOUNT_TYPES.USER,
+      account_id: userRecord.user_id,
+      college_id: userRecord.college_id,
+      email: userRecord.user_email
+    };
+  }
+
+  /**
+   * @private
+   */
+  toUserSummary(userRecord) {
+    return {
+      user_id: userRecord.user_id,
+      user_email: userRecord.user_email,
+      user_role: userRecord.user_role,
+      college_id: userRecord.college_id
+    };
+  }
+
+  /**
+   * @private
+   */
+  toCollegeSummary(userRecord) {
+    return {
+      college_id: userRecord.college_id,
+      college_name: userRecord.college_name
+    };
+  }
 }
 
 module.exports = new AuthService();
\ No newline at end of file
@@ -11,11 +11,14 @@
 
 const { getMainPool } = require('../config/db');
 const passwordHelper = require('../utils/passwordHelper');
+const tenantService = require('./tenantService');
+const auditService = require('./auditService');
 const logger = require('../config/logger');
 const {
   LOG,
   STATUS,
   ROLES,
+  AUDIT,
   DB_ERROR_CODES
 } = require('../config/constants');
 
@@ -25,10 +28,11 @@ class CollegeService {
    * enabled_features defaults to ["core"]
    * 
    * @param {Object} data - { college_name, college_subdomain, admin_name, admin_email, admin_password }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
    * @returns {Object} { college, admin, portal_url, note }
    * @throws {Error} If validation fails
    */
-  async create(data) {
+  async create(data, context = {}) {
     const {
       college_name,
       college_subdomain,
@@ -148,10 +152,27 @@ class CollegeService {
         { user_id: adminUser.user_id, user_email: admin_email }
       );
 
+      await auditService.record(
+        client,
+        {
+          college_id: college.college_id,
+          entity_type: AUDIT.ENTITY_TYPES.COLLEGE,
+          entity_id: college.college_id,
+          action: AUDIT.ACTIONS.CREATE,
+          after: {
+            ...college,
+            admin_user_id: adminUser.user_id,
+            admin_email: adminUser.user_email
+          }
+        },
+        context
+      );
+
       // ====================================================================
       // Step 5: Commit transaction
       // ====================================================================
       await client.query('COMMIT');
+      tenantService.invalidate();
 
       logger.info(
         `${LOG.TRANSACTION_PREFIX} College creation transaction committed`,
@@ -227,6 +248,8 @@ class CollegeService {
           college_subdomain,
           college_status,
           enabled_features,
+          admin_mfa_required,
+          allowed_email_domains,
           created_at,
           updated_at
         FROM colleges
@@ -282,6 +305,8 @@ class CollegeService {
         college_subdomain,
         college_status,
         enabled_features,
+        admin_mfa_required,
+        allowed_email_domains,
         created_at,
         updated_at
       FROM colleges
@@ -304,15 +329,16 @@ class CollegeService {
   }
 
   /**
-   * Update college (name, subdomain, status)
+   * Update college (name, subdomain, status, admin MFA policy)
    * Does not modify enabled_features
    * 
    * @param {string} collegeId - College ID
-   * @param {Object} data - { college_name, college_subdomain, college_status }
+   * @param {Object} data - { college_name, college_subdomain, college_status, admin_mfa_required, allowed_email_domains }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
    * @returns {Object} Updated college
    * @throws {Error} If not found
    */
-  async update(collegeId, data) {
+  async update(collegeId, data, context = {}) {
     const mainPool = getMainPool();
     const client = await mainPool.connect();
 
@@ -323,11 +349,13 @@ class CollegeService {
 
       await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
 
-      // Verify college exists
+      // Verify college exists (and keep previous values for the audit log)
       const checkQuery = `
-        SELECT college_id FROM colleges
+        SELECT college_id, college_name, college_subdomain, college_status, enabled_features, admin_mfa_required, allowed_email_domains, created_at, updated_at
+        FROM colleges
         WHERE college_id = $1
         LIMIT 1
+        FOR UPDATE
       `;
 
       const checkResult = await client.query(checkQuery, [collegeId]);
@@ -344,19 +372,37 @@ class CollegeService {
           college_name = COALESCE($1, college_name),
           college_subdomain = COALESCE($2, college_subdomain),
           college_status = COALESCE($3, college_status),
+          admin_mfa_required = COALESCE($4, admin_mfa_required),
+          allowed_email_domains = COALESCE($5::text[], allowed_email_domains),
           updated_at = NOW()
-        WHERE college_id = $4
-        RETURNING college_id, college_name, college_subdomain, college_status, enabled_features, created_at, updated_at
+        WHERE college_id = $6
+        RETURNING college_id, college_name, college_subdomain, college_status, enabled_features, admin_mfa_required, allowed_email_domains, created_at, updated_at
       `;
 
       const updateResult = await client.query(updateQuery, [
         data.college_name || null,
         data.college_subdomain || null,
         data.college_status || null,
+        data.admin_mfa_required ?? null,
+        data.allowed_email_domains ?? null,
         collegeId
       ]);
 
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.COLLEGE,
+          entity_id: collegeId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: checkResult.rows[0],
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
       await client.query('COMMIT');
+      tenantService.invalidate();
 
       logger.info(
         `${LOG.TRANSACTION_PREFIX} College updated successfully`,
@@ -386,10 +432,11 @@ class CollegeService {
    * 
    * @param {string} collegeId - College ID
    * @param {Array} enabledFeatures - Array of feature keys (must include "core")
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
    * @returns {Object} Updated college
    * @throws {Error} If not found or core feature missing
    */
-  async updateFeatures(collegeId, enabledFeatures) {
+  async updateFeatures(collegeId, enabledFeatures, context = {}) {
     const mainPool = getMainPool();
     const client = await mainPool.connect();
 
@@ -404,11 +451,12 @@ class CollegeService {
 
       await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
 
-      // Verify college exists
+      // Verify college exists (and keep previous features for the audit log)
       const checkQuery = `
-        SELECT college_id FROM colleges
+        SELECT enabled_features FROM colleges
         WHERE college_id = $1
         LIMIT 1
+        FOR UPDATE
       `;
 
       const checkResult = await client.query(checkQuery, [collegeId]);
@@ -432,6 +480,19 @@ class CollegeService {
         collegeId
       ]);
 
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.COLLEGE,
+          entity_id: collegeId,
+          action: AUDIT.ACTIONS.UPDATE_FEATURES,
+          before: checkResult.rows[0],
+          after: { enabled_features: updateResult.rows[0].enabled_features }
+        },
+        context
+      );
+
       await client.query('COMMIT');
 
       logger.info(
@@ -0,0 +1,1038 @@
+/**
+ * ============================================================================
+ * COMPANY SERVICE - Recruiting Companies and Recruiter Contacts
+ * ============================================================================
+ * Single Database Architecture
+ * - Create company (optionally with its recruiter contacts)
+ * - List companies with filters, search and sorting
+ * - Get company with contacts
+ * - Update company
+ * - Soft delete company (set to inactive)
+ * - Add / update / remove recruiter contacts
+ * - Dedup: name (case-insensitive) and domain are unique among the
+ *   active companies of a college
+ */
+
+const { getMainPool } = require('../config/db');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  AUDIT,
+  COMPANIES,
+  DB_ERROR_CODES
+} = require('../config/constants');
+
+const COMPANY_COLUMNS = `
+  company_id,
+  college_id,
+  company_name,
+  company_domain,
+  industry,
+  website,
+  hq_location,
+  company_tier,
+  notes,
+  company_status,
+  created_by,
+  created_at,
+  updated_at
+`;
+
+const CONTACT_COLUMNS = `
+  contact_id,
+  company_id,
+  contact_name,
+  contact_email,
+  contact_phone,
+  designation,
+  is_primary,
+  created_at,
+  updated_at
+`;
+
+class CompanyService {
+  /**
+   * Create company in college
+   *
+   * company_domain defaults to the host name of website.
+   *
+   * @param {Object} data - { college_id, created_by, company_name, company_domain,
+   *   industry, website, hq_location, company_tier, notes, contacts }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Created company with contacts
+   * @throws {Error} If name or domain already used by an active company
+   */
+  async create(data, context = {}) {
+    const { college_id, contacts = [] } = data;
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting company creation transaction`,
+        { college_id, company_name: data.company_name }
+      );
+
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Dedup on name / domain
+      // ====================================================================
+      const companyDomain = this.resolveDomain(data, null);
+
+      await this.assertUnique(client, college_id, data.company_name, companyDomain, null);
+
+      // ====================================================================
+      // Step 2: Create company
+      // ====================================================================
+      const insertQuery = `
+        INSERT INTO companies (
+          college_id,
+          company_name,
+          company_domain,
+          industry,
+          website,
+          hq_location,
+          company_tier,
+          notes,
+          company_status,
+          created_by,
+          created_at,
+          updated_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+        RETURNING ${COMPANY_COLUMNS}
+      `;
+
+      const { rows } = await client.query(insertQuery, [
+        college_id,
+        data.company_name,
+        companyDomain,
+        data.industry || null,
+        data.website || null,
+        data.hq_location || null,
+        data.company_tier || null,
+        data.notes || null,
+        STATUS.ACTIVE,
+        data.created_by || null
+      ]);
+
+      const company = rows[0];
+
+      await auditService.record(
+        client,
+        {
+          college_id,
+          entity_type: AUDIT.ENTITY_TYPES.COMPANY,
+          entity_id: company.company_id,
+          action: AUDIT.ACTIONS.CREATE,
+          before: null,
+          after: company
+        },
+        context
+      );
+
+      // ====================================================================
+      // Step 3: Create recruiter contacts
+      // ====================================================================
+      company.contacts = [];
+
+      for (const contact of contacts) {
+        company.contacts.push(
+          await this.insertContact(client, company, contact, context)
+        );
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Company created successfully`,
+        {
+          company_id: company.company_id,
+          college_id,
+          contact_count: company.contacts.length
+        }
+      );
+
+      return company;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company creation failed`,
+        {
+          error: err.message,
+          code: err.code,
+          college_id
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error(this.uniqueViolationMessage(err));
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List companies in college with filters, search and sorting
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { status, industry, tier, search, sort_by,
+   *   sort_order, page, limit } - search matches name, domain or industry
+   * @returns {Object} { data, pagination }
+   */
+  async list(collegeId, filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Listing companies`, {
+        college_id: collegeId,
+        page,
+        limit
+      });
+
+      const conditions = ['college_id = $1'];
+      const params = [collegeId];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`company_status = $${params.length}`);
+      }
+
+      if (filters.industry) {
+        params.push(filters.industry);
+        conditions.push(`LOWER(industry) = LOWER($${params.length})`);
+      }
+
+      if (filters.tier) {
+        params.push(filters.tier);
+        conditions.push(`company_tier = $${params.length}`);
+      }
+
+      if (filters.search) {
+        // Escape LIKE wildcards so the term is matched literally
+        params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(
+          `(company_name ILIKE $${params.length} OR company_domain ILIKE $${params.length} OR industry ILIKE $${params.length})`
+        );
+      }
+
+      const whereClause = conditions.join(' AND ');
+
+      // Sort column is whitelisted (validator + here), never user text
+      const sortBy = COMPANIES.SORT_FIELDS.includes(filters.sort_by)
+        ? filters.sort_by
+        : COMPANIES.DEFAULT_SORT_BY;
+      const sortOrder = (filters.sort_order || COMPANIES.DEFAULT_SORT_ORDER) === 'asc'
+        ? 'ASC'
+        : 'DESC';
+
+      const countResult = await mainPool.query(
+        `SELECT COUNT(*) AS total FROM companies WHERE ${whereClause}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].total);
+
+      const query = `
+        SELECT
+          ${COMPANY_COLUMNS},
+          (
+            SELECT COUNT(*)::int
+            FROM company_contacts cc
+            WHERE cc.company_id = companies.company_id
+          ) AS contact_count
+        FROM companies
+        WHERE ${whereClause}
+        ORDER BY ${sortBy} ${sortOrder} NULLS LAST, company_id
+        LIMIT $${params.length + 1}
+        OFFSET $${params.length + 2}
+      `;
+
+      const { rows } = await mainPool.query(query, [...params, limit, offset]);
+
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Companies listed successfully`,
+        {
+          college_id: collegeId,
+          total_count: total,
+          returned_count: rows.length,
+          page
+        }
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company list failed`,
+        {
+          error: err.message,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get single company with its recruiter contacts (primary first)
+   *
+   * @param {string} companyId - Company ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @returns {Object} Company with contacts
+   * @throws {Error} If not found
+   */
+  async getById(companyId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Fetching company by ID`, {
+        company_id: companyId,
+        college_id: collegeId
+      });
+
+      const { rows } = await mainPool.query(
+        `SELECT ${COMPANY_COLUMNS}
+         FROM companies
+         WHERE company_id = $1
+         AND college_id = $2
+         LIMIT 1`,
+        [companyId, collegeId]
+      );
+
+      if (!rows.length) {
+        throw new Error('Company not found');
+      }
+
+      const contactsResult = await mainPool.query(
+        `SELECT ${CONTACT_COLUMNS}
+         FROM company_contacts
+         WHERE company_id = $1
+         ORDER BY is_primary DESC, contact_name, contact_id`,
+        [companyId]
+      );
+
+      return { ...rows[0], contacts: contactsResult.rows };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company retrieval failed`,
+        {
+          error: err.message,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Update company within college
+   *
+   * Setting company_status back to active re-checks name and domain.
+   *
+   * @param {string} companyId - Company ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - COMPANIES.EDITABLE_FIELDS - null clears a field
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated company
+   * @throws {Error} If not found, or name or domain already used
+   */
+  async update(companyId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting company update transaction`,
+        { company_id: companyId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Verify company exists and belongs to college
+      // ====================================================================
+      const before = await this.lockCompany(client, companyId, collegeId);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Company not found');
+      }
+
+      // ====================================================================
+      // Step 2: Dedup on the resulting name / domain
+      // ====================================================================
+      const changes = { ...data };
+
+      const companyDomain = this.resolveDomain(data, before);
+      if (companyDomain !== before.company_domain) {
+        changes.company_domain = companyDomain;
+      }
+
+      const after = { ...before, ...changes };
+
+      if (after.company_status === STATUS.ACTIVE) {
+        await this.assertUnique(
+          client,
+          collegeId,
+          after.company_name,
+          after.company_domain,
+          companyId
+        );
+      }
+
+      // ====================================================================
+      // Step 3: Update company
+      // ====================================================================
+      const fields = COMPANIES.EDITABLE_FIELDS
+        .filter((field) => changes[field] !== undefined);
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      const values = fields.map((field) => changes[field]);
+
+      assignments.push('updated_at = NOW()');
+
+      const updateQuery = `
+        UPDATE companies
+        SET
+          ${assignments.join(',\n          ')}
+        WHERE company_id = $${values.length + 1}
+        AND college_id = $${values.length + 2}
+        RETURNING ${COMPANY_COLUMNS}
+      `;
+
+      const updateResult = await client.query(updateQuery, [
+        ...values,
+        companyId,
+        collegeId
+      ]);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.COMPANY,
+          entity_id: companyId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before,
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Company updated successfully`,
+        {
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+      return updateResult.rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company update failed`,
+        {
+          error: err.message,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error(this.uniqueViolationMessage(err));
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Soft delete company (set status to inactive)
+   * Contacts are kept so the company can be reactivated.
+   *
+   * @param {string} companyId - Company ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @throws {Error} If not found
+   */
+  async delete(companyId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting company deletion transaction`,
+        { company_id: companyId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Soft delete company (set to inactive)
+      // ====================================================================
+      const before = await this.lockCompany(client, companyId, collegeId);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Company not found');
+      }
+
+      await client.query(
+        `UPDATE companies
+         SET company_status = $1, updated_at = NOW()
+         WHERE company_id = $2
+         AND college_id = $3`,
+        [STATUS.INACTIVE, companyId, collegeId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.COMPANY,
+          entity_id: companyId,
+          action: AUDIT.ACTIONS.DELETE,
+          before: { company_status: before.company_status },
+          after: { company_status: STATUS.INACTIVE }
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Company soft deleted successfully`,
+        {
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company deletion failed`,
+        {
+          error: err.message,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add recruiter contact to an active company
+   *
+   * @param {string} companyId - Company ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - { contact_name, contact_email, contact_phone,
+   *   designation, is_primary } - a new primary replaces the previous one
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Created contact
+   * @throws {Error} If company not found or inactive, limit reached or email taken
+   */
+  async addContact(companyId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting company contact creation`,
+        { company_id: companyId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      // Row lock serializes contact changes of the company (limit, primary)
+      const company = await this.lockActiveCompany(client, companyId, collegeId);
+
+      const countResult = await client.query(
+        'SELECT COUNT(*) AS total FROM company_contacts WHERE company_id = $1',
+        [companyId]
+      );
+
+      if (parseInt(countResult.rows[0].total) >= COMPANIES.MAX_CONTACTS) {
+        await client.query('ROLLBACK');
+        throw new Error('Company contact limit reached');
+      }
+
+      const contact = await this.insertContact(client, company, data, context);
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Company contact created successfully`,
+        {
+          contact_id: contact.contact_id,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+      return contact;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company contact creation failed`,
+        {
+          error: err.message,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error(this.uniqueViolationMessage(err));
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update recruiter contact of an active company
+   *
+   * @param {string} companyId - Company ID
+   * @param {string} contactId - Contact ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - COMPANIES.CONTACT_FIELDS - null clears phone / designation
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated contact
+   * @throws {Error} If company or contact not found, company inactive or email taken
+   */
+  async updateContact(companyId, contactId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting company contact update`,
+        { company_id: companyId, contact_id: contactId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      await this.lockActiveCompany(client, companyId, collegeId);
+
+      const checkResult = await client.query(
+        `SELECT ${CONTACT_COLUMNS}
+         FROM company_contacts
+         WHERE contact_id = $1
+         AND company_id = $2
+         LIMIT 1
+         FOR UPDATE`,
+        [contactId, companyId]
+      );
+
+      if (!checkResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Company contact not found');
+      }
+
+      if (data.is_primary) {
+        await this.clearPrimaryContact(client, companyId, contactId);
+      }
+
+      const fields = COMPANIES.CONTACT_FIELDS
+        .filter((field) => data[field] !== undefined);
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      const values = fields.map((field) => data[field]);
+
+      assignments.push('updated_at = NOW()');
+
+      const updateResult = await client.query(
+        `UPDATE company_contacts
+         SET
+           ${assignments.join(',\n           ')}
+         WHERE contact_id = $${values.length + 1}
+         RETURNING ${CONTACT_COLUMNS}`,
+        [...values, contactId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.COMPANY_CONTACT,
+          entity_id: contactId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: checkResult.rows[0],
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Company contact updated successfully`,
+        {
+          contact_id: contactId,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+      return updateResult.rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company contact update failed`,
+        {
+          error: err.message,
+          company_id: companyId,
+          contact_id: contactId,
+          college_id: collegeId
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error(this.uniqueViolationMessage(err));
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove recruiter contact from an active company
+   *
+   * @param {string} companyId - Company ID
+   * @param {string} contactId - Contact ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @throws {Error} If company or contact not found, or company inactive
+   */
+  async removeContact(companyId, contactId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting company contact removal`,
+        { company_id: companyId, contact_id: contactId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      await this.lockActiveCompany(client, companyId, collegeId);
+
+      const deleteResult = await client.query(
+        `DELETE FROM company_contacts
+         WHERE contact_id = $1
+         AND company_id = $2
+         RETURNING ${CONTACT_COLUMNS}`,
+        [contactId, companyId]
+      );
+
+      if (!deleteResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Company contact not found');
+      }
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.COMPANY_CONTACT,
+          entity_id: contactId,
+          action: AUDIT.ACTIONS.DELETE,
+          before: deleteResult.rows[0],
+          after: null
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Company contact removed successfully`,
+        {
+          contact_id: contactId,
+          company_id: companyId,
+          college_id: collegeId
+        }
+      );
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Company contact removal failed`,
+        {
+          error: err.message,
+          company_id: companyId,
+          contact_id: contactId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Company row of the college, locked for the transaction (null if missing)
+   *
+   * @private
+   */
+  async lockCompany(client, companyId, collegeId) {
+    const { rows } = await client.query(
+      `SELECT ${COMPANY_COLUMNS}
+       FROM companies
+       WHERE company_id = $1
+       AND college_id = $2
+       LIMIT 1
+       FOR UPDATE`,
+      [companyId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Locked company that must exist and be active (contact changes)
+   *
+   * @private
+   */
+  async lockActiveCompany(client, companyId, collegeId) {
+    const company = await this.lockCompany(client, companyId, collegeId);
+
+    if (!company) {
+      throw new Error('Company not found');
+    }
+
+    if (company.company_status !== STATUS.ACTIVE) {
+      throw new Error('Company is inactive');
+    }
+
+    return company;
+  }
+
+  /**
+   * Insert contact of a (locked) company - a primary contact replaces
+   * the previous primary
+   *
+   * @private
+   */
+  async insertContact(client, company, contact, context) {
+    if (contact.is_primary) {
+      await this.clearPrimaryContact(client, company.company_id, null);
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO company_contacts (
+         company_id,
+         college_id,
+         contact_name,
+         contact_email,
+         contact_phone,
+         designation,
+         is_primary,
+         created_at,
+         updated_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING ${CONTACT_COLUMNS}`,
+      [
+        company.company_id,
+        company.college_id,
+        contact.contact_name,
+        contact.contact_email,
+        contact.contact_phone || null,
+        contact.designation || null,
+        Boolean(contact.is_primary)
+      ]
+    );
+
+    await auditService.record(
+      client,
+      {
+        college_id: company.college_id,
+        entity_type: AUDIT.ENTITY_TYPES.COMPANY_CONTACT,
+        entity_id: rows[0].contact_id,
+        action: AUDIT.ACTIONS.CREATE,
+        before: null,
+        after: rows[0]
+      },
+      context
+    );
+
+    return rows[0];
+  }
+
+  /**
+   * @private
+   */
+  async clearPrimaryContact(client, companyId, exceptContactId) {
+    await client.query(
+      `UPDATE company_contacts
+       SET is_primary = FALSE, updated_at = NOW()
+       WHERE company_id = $1
+       AND is_primary
+       AND ($2::uuid IS NULL OR contact_id <> $2::uuid)`,
+      [companyId, exceptContactId]
+    );
+  }
+
+  /**
+   * Reject a name or domain already used by another active company
+   *
+   * @private
+   */
+  async assertUnique(client, collegeId, companyName, companyDomain, excludeCompanyId) {
+    const { rows } = await client.query(
+      `SELECT company_name, company_domain
+       FROM companies
+       WHERE college_id = $1
+       AND company_status = $2
+       AND ($3::uuid IS NULL OR company_id <> $3::uuid)
+       AND (LOWER(company_name) = LOWER($4) OR company_domain = $5)
+       LIMIT 1`,
+      [collegeId, STATUS.ACTIVE, excludeCompanyId, companyName, companyDomain]
+    );
+
+    if (!rows.length) {
+      return;
+    }
+
+    if (rows[0].company_name.toLowerCase() === companyName.toLowerCase()) {
+      throw new Error(`Company name already exists (${rows[0].company_name})`);
+    }
+
+    throw new Error(`Company domain already exists (${rows[0].company_name})`);
+  }
+
+  /**
+   * Domain to store: explicit company_domain, else the host of website
+   * when the company has no domain yet
+   *
+   * @private
+   */
+  resolveDomain(data, before) {
+    if (data.company_domain !== undefined) {
+      return data.company_domain;
+    }
+
+    const current = before ? before.company_domain : null;
+
+    if (current || !data.website) {
+      return current;
+    }
+
+    const host = new URL(data.website).hostname.toLowerCase().replace(/^www\./, '');
+
+    return COMPANIES.DOMAIN_REGEX.test(host) ? host : null;
+  }
+
+  /**
+   * Conflict message for a unique index violated by a concurrent write
+   *
+   * @private
+   */
+  uniqueViolationMessage(err) {
+    if (err.constraint === 'idx_companies_college_domain') {
+      return 'Company domain already exists';
+    }
+
+    if (err.constraint === 'idx_company_contacts_email') {
+      return 'Contact email already exists for this company';
+    }
+
+    return 'Company name already exists';
+  }
+}
+
+module.exports = new CompanyService();
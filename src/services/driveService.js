@@ -0,0 +1,1015 @@
+/**
+ * ============================================================================
+ * DRIVE SERVICE - Placement Drives / Job Postings
+ * ============================================================================
+ * Single Database Architecture
+ * - Create drive (always starts as draft) for an active company
+ * - List / get drives (staff: every status, students: published only)
+ * - Update drive while draft or published (stages still holding
+ *   applications cannot be removed from application_stages)
+ * - Status lifecycle: draft -> published -> closed -> completed
+ *   (DRIVES.TRANSITIONS); publishing checks the posting is complete
+ * - Delete drive (drafts only)
+ * - Eligibility preview: every active student of the college evaluated
+ *   against the drive's eligibility_criteria, with reasons when ineligible
+ */
+
+const { getMainPool } = require('../config/db');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+const { evaluateEligibility } = require('../utils/eligibilityHelper');
+const {
+  LOG,
+  STATUS,
+  AUDIT,
+  DRIVES,
+  ELIGIBILITY,
+  APPLICATIONS
+} = require('../config/constants');
+
+const DRIVE_COLUMNS = `
+  d.drive_id,
+  d.college_id,
+  d.company_id,
+  c.company_name,
+  d.role_title,
+  d.job_type,
+  d.description,
+  d.compensation,
+  d.locations,
+  d.bond,
+  d.application_deadline,
+  d.eligibility_criteria,
+  d.application_stages,
+  d.drive_status,
+  d.published_at,
+  d.closed_at,
+  d.completed_at,
+  d.created_by,
+  d.created_at,
+  d.updated_at
+`;
+
+// Student view - no internal bookkeeping
+const PUBLISHED_DRIVE_COLUMNS = `
+  d.drive_id,
+  d.company_id,
+  c.company_name,
+  c.industry,
+  c.website,
+  c.company_tier,
+  d.role_title,
+  d.job_type,
+  d.description,
+  d.compensation,
+  d.locations,
+  d.bond,
+  d.application_deadline,
+  d.application_deadline > NOW() AS accepting_applications,
+  d.eligibility_criteria,
+  d.application_stages,
+  d.published_at
+`;
+
+// Student record the eligibility criteria are evaluated against
+const ELIGIBILITY_STUDENT_COLUMNS = `
+  student_id,
+  student_name,
+  student_email,
+  roll_number,
+  ${ELIGIBILITY.STUDENT_FIELDS.join(',\n  ')}
+`;
+
+// JSONB columns are sent as JSON text
+const JSON_FIELDS = ['compensation', 'bond', 'eligibility_criteria'];
+
+class DriveService {
+  /**
+   * Create drive (draft) in college
+   *
+   * @param {Object} data - { college_id, created_by, company_id, role_title, job_type,
+   *   description, compensation, locations, bond, application_deadline,
+   *   eligibility_criteria, application_stages }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Created drive
+   * @throws {Error} If company not found or inactive
+   */
+  async create(data, context = {}) {
+    const { college_id } = data;
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting drive creation transaction`,
+        { college_id, company_id: data.company_id }
+      );
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Verify company belongs to college and is active
+      // ====================================================================
+      await this.assertActiveCompany(client, data.company_id, college_id);
+
+      // ====================================================================
+      // Step 2: Create drive as draft
+      // ====================================================================
+      const insertResult = await client.query(
+        `INSERT INTO drives (
+           college_id,
+           company_id,
+           role_title,
+           job_type,
+           description,
+           compensation,
+           locations,
+           bond,
+           application_deadline,
+           eligibility_criteria,
+           application_stages,
+           drive_status,
+           created_by,
+           created_at,
+           updated_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
+         RETURNING drive_id`,
+        [
+          college_id,
+          data.company_id,
+          data.role_title,
+          data.job_type,
+          data.description || null,
+          JSON.stringify(data.compensation || {}),
+          data.locations || [],
+          data.bond ? JSON.stringify(data.bond) : null,
+          data.application_deadline || null,
+          JSON.stringify(data.eligibility_criteria || {}),
+          data.application_stages || APPLICATIONS.DEFAULT_STAGES,
+          DRIVES.STATUS.DRAFT,
+          data.created_by || null
+        ]
+      );
+
+      const drive = await this.fetchDrive(client, insertResult.rows[0].drive_id, college_id);
+
+      await auditService.record(
+        client,
+        {
+          college_id,
+          entity_type: AUDIT.ENTITY_TYPES.DRIVE,
+          entity_id: drive.drive_id,
+          action: AUDIT.ACTIONS.CREATE,
+          before: null,
+          after: drive
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Drive created successfully`,
+        {
+          drive_id: drive.drive_id,
+          company_id: drive.company_id,
+          college_id
+        }
+      );
+
+      return drive;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive creation failed`,
+        {
+          error: err.message,
+          college_id
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List drives in college (staff view, every status)
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { status, job_type, company_id, search, sort_by,
+   *   sort_order, page, limit } - search matches role title or company name
+   * @returns {Object} { data, pagination }
+   */
+  async list(collegeId, filters = {}) {
+    return this.listDrives(collegeId, filters, DRIVE_COLUMNS);
+  }
+
+  /**
+   * List published drives of the student's college
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { job_type, company_id, search, sort_by,
+   *   sort_order, page, limit }
+   * @returns {Object} { data, pagination }
+   */
+  async listPublished(collegeId, filters = {}) {
+    return this.listDrives(
+      collegeId,
+      { ...filters, status: DRIVES.STATUS.PUBLISHED },
+      PUBLISHED_DRIVE_COLUMNS
+    );
+  }
+
+  /**
+   * Get single drive within college (staff view)
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @returns {Object} Drive
+   * @throws {Error} If not found
+   */
+  async getById(driveId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Fetching drive by ID`, {
+        drive_id: driveId,
+        college_id: collegeId
+      });
+
+      const drive = await this.fetchDrive(mainPool, driveId, collegeId);
+
+      if (!drive) {
+        throw new Error('Drive not found');
+      }
+
+      return drive;
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive retrieval failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get single published drive (student view)
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - Student's college ID
+   * @param {string} studentId - Student ID (optional) - adds the student's own
+   *   eligibility { eligible, reasons } and application (null if not applied)
+   * @returns {Object} Drive
+   * @throws {Error} If not found or not published
+   */
+  async getPublishedById(driveId, collegeId, studentId = null) {
+    const mainPool = getMainPool();
+
+    try {
+      const { rows } = await mainPool.query(
+        `SELECT ${PUBLISHED_DRIVE_COLUMNS}
+         FROM drives d
+         JOIN companies c ON c.company_id = d.company_id
+         WHERE d.drive_id = $1
+         AND d.college_id = $2
+         AND d.drive_status = $3
+         LIMIT 1`,
+        [driveId, collegeId, DRIVES.STATUS.PUBLISHED]
+      );
+
+      if (!rows.length) {
+        throw new Error('Drive not found');
+      }
+
+      const drive = rows[0];
+
+      if (studentId) {
+        const studentResult = await mainPool.query(
+          `SELECT ${ELIGIBILITY_STUDENT_COLUMNS}
+           FROM students
+           WHERE student_id = $1
+           AND college_id = $2
+           LIMIT 1`,
+          [studentId, collegeId]
+        );
+
+        if (studentResult.rows.length) {
+          drive.eligibility = evaluateEligibility(drive.eligibility_criteria, studentResult.rows[0]);
+        }
+
+        const applicationResult = await mainPool.query(
+          `SELECT application_id, current_stage, applied_at
+           FROM applications
+           WHERE drive_id = $1
+           AND student_id = $2
+           LIMIT 1`,
+          [driveId, studentId]
+        );
+
+        drive.application = applicationResult.rows[0] || null;
+      }
+
+      return drive;
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Published drive retrieval failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Update drive within college
+   *
+   * Closed and completed drives are read-only; company and job type can
+   * only change while the drive is a draft. A published drive must stay
+   * complete (see assertPublishable).
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - DRIVES.EDITABLE_FIELDS - null clears optional fields
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated drive
+   * @throws {Error} If not found, not editable or incomplete
+   */
+  async update(driveId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting drive update transaction`,
+        { drive_id: driveId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Verify drive exists and can still be edited
+      // ====================================================================
+      const before = await this.fetchDrive(client, driveId, collegeId, true);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive not found');
+      }
+
+      if (!DRIVES.EDITABLE_STATUSES.includes(before.drive_status)) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive can no longer be edited');
+      }
+
+      const draftOnly = DRIVES.DRAFT_ONLY_FIELDS.filter((field) => (
+        data[field] !== undefined && data[field] !== before[field]
+      ));
+
+      if (draftOnly.length && before.drive_status !== DRIVES.STATUS.DRAFT) {
+        await client.query('ROLLBACK');
+        throw new Error(`Invalid change: ${draftOnly.join(', ')} can only be changed while the drive is a draft`);
+      }
+
+      if (data.company_id && data.company_id !== before.company_id) {
+        await this.assertActiveCompany(client, data.company_id, collegeId);
+      }
+
+      if (before.drive_status === DRIVES.STATUS.PUBLISHED) {
+        this.assertPublishable({ ...before, ...data });
+      }
+
+      if (data.application_stages) {
+        await this.assertStagesNotInUse(client, driveId, data.application_stages);
+      }
+
+      // ====================================================================
+      // Step 2: Update drive
+      // ====================================================================
+      const fields = DRIVES.EDITABLE_FIELDS
+        .filter((field) => data[field] !== undefined);
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      const values = fields.map((field) => this.columnValue(field, data[field]));
+
+      assignments.push('updated_at = NOW()');
+
+      await client.query(
+        `UPDATE drives
+         SET
+           ${assignments.join(',\n           ')}
+         WHERE drive_id = $${values.length + 1}
+         AND college_id = $${values.length + 2}`,
+        [...values, driveId, collegeId]
+      );
+
+      const after = await this.fetchDrive(client, driveId, collegeId);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.DRIVE,
+          entity_id: driveId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before,
+          after
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Drive updated successfully`,
+        {
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+
+      return after;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive update failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move drive through its lifecycle (DRIVES.TRANSITIONS)
+   *
+   * Publishing requires a complete posting with a future deadline and an
+   * active company; the first publish/close/complete time is kept.
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {string} status - Target DRIVES.STATUS
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated drive
+   * @throws {Error} If not found, transition not allowed or drive incomplete
+   */
+  async setStatus(driveId, collegeId, status, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting drive status change`,
+        { drive_id: driveId, college_id: collegeId, drive_status: status }
+      );
+
+      await client.query('BEGIN');
+
+      const before = await this.fetchDrive(client, driveId, collegeId, true);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive not found');
+      }
+
+      if (!DRIVES.TRANSITIONS[before.drive_status].includes(status)) {
+        await client.query('ROLLBACK');
+        throw new Error(`Drive cannot move from ${before.drive_status} to ${status}`);
+      }
+
+      if (status === DRIVES.STATUS.PUBLISHED) {
+        await this.assertActiveCompany(client, before.company_id, collegeId);
+        this.assertPublishable(before);
+      }
+
+      const timestampColumn = {
+        [DRIVES.STATUS.PUBLISHED]: 'published_at',
+        [DRIVES.STATUS.CLOSED]: 'closed_at',
+        [DRIVES.STATUS.COMPLETED]: 'completed_at'
+      }[status];
+
+      await client.query(
+        `UPDATE drives
+         SET drive_status = $1,
+             ${timestampColumn} = COALESCE(${timestampColumn}, NOW()),
+             updated_at = NOW()
+         WHERE drive_id = $2
+         AND college_id = $3`,
+        [status, driveId, collegeId]
+      );
+
+      const after = await this.fetchDrive(client, driveId, collegeId);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.DRIVE,
+          entity_id: driveId,
+          action: AUDIT.ACTIONS.STATUS_CHANGE,
+          before: { drive_status: before.drive_status },
+          after: { drive_status: status }
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Drive status changed successfully`,
+        {
+          drive_id: driveId,
+          college_id: collegeId,
+          from: before.drive_status,
+          to: status
+        }
+      );
+
+      return after;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive status change failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete draft drive (never visible to students)
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @throws {Error} If not found or no longer a draft
+   */
+  async delete(driveId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting drive deletion transaction`,
+        { drive_id: driveId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const before = await this.fetchDrive(client, driveId, collegeId, true);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive not found');
+      }
+
+      if (before.drive_status !== DRIVES.STATUS.DRAFT) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive is not a draft');
+      }
+
+      await client.query(
+        'DELETE FROM drives WHERE drive_id = $1 AND college_id = $2',
+        [driveId, collegeId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.DRIVE,
+          entity_id: driveId,
+          action: AUDIT.ACTIONS.DELETE,
+          before,
+          after: null
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Drive deleted successfully`,
+        {
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive deletion failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Preview who the drive's eligibility criteria admit
+   *
+   * Every active student of the college is evaluated (pending and inactive
+   * accounts cannot apply). Counts cover everyone; the student list is
+   * narrowed by result and paged, ordered by name.
+   *
+   * @param {string} driveId - Drive ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} filters - { result (ELIGIBILITY.RESULTS), page, limit }
+   * @returns {Object} { data: { drive_id, drive_status, eligibility_criteria,
+   *   total_students, eligible_count, ineligible_count, students }, pagination }
+   *   - each student has { eligible, reasons: [{ rule, message }] }
+   * @throws {Error} If drive not found
+   */
+  async previewEligibility(driveId, collegeId, filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Previewing drive eligibility`, {
+        drive_id: driveId,
+        college_id: collegeId,
+        result: filters.result
+      });
+
+      const drive = await this.fetchDrive(mainPool, driveId, collegeId);
+
+      if (!drive) {
+        throw new Error('Drive not found');
+      }
+
+      const { rows } = await mainPool.query(
+        `SELECT ${ELIGIBILITY_STUDENT_COLUMNS}
+         FROM students
+         WHERE college_id = $1
+         AND student_status = $2
+         ORDER BY student_name, student_id`,
+        [collegeId, STATUS.ACTIVE]
+      );
+
+      const evaluated = rows.map((student) => ({
+        student_id: student.student_id,
+        student_name: student.student_name,
+        student_email: student.student_email,
+        roll_number: student.roll_number,
+        student_department: student.student_department,
+        student_year: student.student_year,
+        ...evaluateEligibility(drive.eligibility_criteria, student)
+      }));
+
+      const eligibleCount = evaluated.filter((student) => student.eligible).length;
+
+      const matching = filters.result
+        ? evaluated.filter((student) => (
+          student.eligible === (filters.result === ELIGIBILITY.RESULTS.ELIGIBLE)
+        ))
+        : evaluated;
+
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Drive eligibility previewed`,
+        {
+          drive_id: driveId,
+          total_students: evaluated.length,
+          eligible_count: eligibleCount
+        }
+      );
+
+      return {
+        data: {
+          drive_id: drive.drive_id,
+          drive_status: drive.drive_status,
+          eligibility_criteria: drive.eligibility_criteria,
+          total_students: evaluated.length,
+          eligible_count: eligibleCount,
+          ineligible_count: evaluated.length - eligibleCount,
+          students: matching.slice(offset, offset + limit)
+        },
+        pagination: {
+          page,
+          limit,
+          total: matching.length,
+          pages: Math.ceil(matching.length / limit)
+        }
+      };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive eligibility preview failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Shared listing query (staff and student views)
+   *
+   * @private
+   */
+  async listDrives(collegeId, filters, columns) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Listing drives`, {
+        college_id: collegeId,
+        drive_status: filters.status,
+        page,
+        limit
+      });
+
+      const conditions = ['d.college_id = $1'];
+      const params = [collegeId];
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`d.drive_status = $${params.length}`);
+      }
+
+      if (filters.job_type) {
+        params.push(filters.job_type);
+        conditions.push(`d.job_type = $${params.length}`);
+      }
+
+      if (filters.company_id) {
+        params.push(filters.company_id);
+        conditions.push(`d.company_id = $${params.length}`);
+      }
+
+      if (filters.search) {
+        // Escape LIKE wildcards so the term is matched literally
+        params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(
+          `(d.role_title ILIKE $${params.length} OR c.company_name ILIKE $${params.length})`
+        );
+      }
+
+      const whereClause = conditions.join(' AND ');
+
+      // Sort column is whitelisted (validator + here), never user text
+      const sortBy = DRIVES.SORT_FIELDS.includes(filters.sort_by)
+        ? filters.sort_by
+        : DRIVES.DEFAULT_SORT_BY;
+      const sortOrder = (filters.sort_order || DRIVES.DEFAULT_SORT_ORDER) === 'asc'
+        ? 'ASC'
+        : 'DESC';
+
+      const countResult = await mainPool.query(
+        `SELECT COUNT(*) AS total
+         FROM drives d
+         JOIN companies c ON c.company_id = d.company_id
+         WHERE ${whereClause}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].total);
+
+      const { rows } = await mainPool.query(
+        `SELECT ${columns}
+         FROM drives d
+         JOIN companies c ON c.company_id = d.company_id
+         WHERE ${whereClause}
+         ORDER BY d.${sortBy} ${sortOrder} NULLS LAST, d.drive_id
+         LIMIT $${params.length + 1}
+         OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Drives listed successfully`,
+        {
+          college_id: collegeId,
+          total_count: total,
+          returned_count: rows.length,
+          page
+        }
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Drive list failed`,
+        {
+          error: err.message,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Drive of the college with its company name (null if missing)
+   * forUpdate locks the drive row for the transaction
+   *
+   * @private
+   */
+  async fetchDrive(db, driveId, collegeId, forUpdate = false) {
+    const { rows } = await db.query(
+      `SELECT ${DRIVE_COLUMNS}
+       FROM drives d
+       JOIN companies c ON c.company_id = d.company_id
+       WHERE d.drive_id = $1
+       AND d.college_id = $2
+       LIMIT 1
+       ${forUpdate ? 'FOR UPDATE OF d' : ''}`,
+      [driveId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  async assertActiveCompany(client, companyId, collegeId) {
+    const { rows } = await client.query(
+      `SELECT company_status
+       FROM companies
+       WHERE company_id = $1
+       AND college_id = $2
+       LIMIT 1`,
+      [companyId, collegeId]
+    );
+
+    if (!rows.length) {
+      throw new Error('Company not found');
+    }
+
+    if (rows[0].company_status !== STATUS.ACTIVE) {
+      throw new Error('Company is inactive');
+    }
+  }
+
+  /**
+   * Stages removed from application_stages must not hold applications
+   * or scheduled rounds
+   *
+   * @private
+   */
+  async assertStagesNotInUse(client, driveId, stages) {
+    const roundResult = await client.query(
+      `SELECT stage
+       FROM drive_rounds
+       WHERE drive_id = $1
+       AND NOT (stage = ANY($2::text[]))
+       ORDER BY stage`,
+      [driveId, stages]
+    );
+
+    if (roundResult.rows.length) {
+      throw new Error(
+        `Invalid change: stages with scheduled rounds cannot be removed (${roundResult.rows.map((row) => row.stage).join(', ')})`
+      );
+    }
+
+    const { rows } = await client.query(
+      `SELECT DISTINCT current_stage
+       FROM applications
+       WHERE drive_id = $1
+       AND NOT (current_stage = ANY($2::text[]))
+       AND NOT (current_stage = ANY($3::text[]))
+       ORDER BY current_stage`,
+      [driveId, stages, Object.values(APPLICATIONS.OUTCOMES)]
+    );
+
+    if (rows.length) {
+      throw new Error(
+        `Invalid change: stages still holding applications cannot be removed (${rows.map((row) => row.current_stage).join(', ')})`
+      );
+    }
+  }
+
+  /**
+   * A published drive needs a future deadline, a location and the pay
+   * of its job type (CTC for full-time / PPO, stipend for internships)
+   *
+   * @private
+   */
+  assertPublishable(drive) {
+    const problems = [];
+    const compensation = drive.compensation || {};
+
+    if (!drive.application_deadline) {
+      problems.push('application_deadline is required');
+    } else if (new Date(drive.application_deadline) <= new Date()) {
+      problems.push('application_deadline must be in the future');
+    }
+
+    if (!drive.locations || !drive.locations.length) {
+      problems.push('at least one location is required');
+    }
+
+    if (drive.job_type === DRIVES.JOB_TYPES.INTERNSHIP) {
+      if (compensation.stipend_per_month === undefined || compensation.stipend_per_month === null) {
+        problems.push('compensation.stipend_per_month is required for internships');
+      }
+    } else if (compensation.ctc === undefined || compensation.ctc === null) {
+      problems.push('compensation.ctc is required');
+    }
+
+    if (problems.length) {
+      throw new Error(`Drive is incomplete: ${problems.join(', ')}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  columnValue(field, value) {
+    if (JSON_FIELDS.includes(field)) {
+      return value === null ? null : JSON.stringify(value);
+    }
+
+    return value;
+  }
+}
+
+module.exports = new DriveService();
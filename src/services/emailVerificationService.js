@@ -0,0 +1,294 @@
+/**
+ * ============================================================================
+ * EMAIL VERIFICATION SERVICE - Student Self-Registration
+ * ============================================================================
+ * Single Database Architecture
+ * - Self-registered students start as 'pending_verification'
+ * - Single-use, expiring verification tokens stored hashed in account_tokens
+ * - Verification link delivered through mailService
+ * - Resend is rate limited per student and never reveals whether an
+ *   email is registered
+ */
+
+const { getMainPool } = require('../config/db');
+const tokenHelper = require('../utils/tokenHelper');
+const { buildPortalUrl } = require('../utils/urlHelper');
+const mailService = require('./mailService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  AUTH,
+  STUDENT_STATUS,
+  ACCOUNT_TYPES,
+  TOKEN_PURPOSES
+} = require('../config/constants');
+
+class EmailVerificationService {
+  /**
+   * Issue verification token and email verification link
+   * Delivery failures are logged, not thrown (student can resend)
+   *
+   * @param {Object} student - { student_id, student_name, student_email, college_id, college_subdomain }
+   * @param {Object} context - { ip } (optional)
+   * @returns {Promise<void>}
+   */
+  async sendVerification(student, context = {}) {
+    const mainPool = getMainPool();
+    const token = tokenHelper.generateToken();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Only the newest link works
+      await client.query(
+        `UPDATE account_tokens
+         SET consumed_at = NOW()
+         WHERE account_id = $1
+         AND token_purpose = $2
+         AND consumed_at IS NULL`,
+        [student.student_id, TOKEN_PURPOSES.EMAIL_VERIFICATION]
+      );
+
+      await client.query(
+        `INSERT INTO account_tokens (
+           token_purpose,
+           account_type,
+           account_id,
+           college_id,
+           token_hash,
+           requested_ip,
+           expires_at,
+           created_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7), NOW())`,
+        [
+          TOKEN_PURPOSES.EMAIL_VERIFICATION,
+          ACCOUNT_TYPES.STUDENT,
+          student.student_id,
+          student.college_id,
+          tokenHelper.hashToken(token),
+          context.ip || null,
+          AUTH.EMAIL_VERIFICATION_TTL_MINUTES
+        ]
+      );
+
+      await client.query('COMMIT');
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Verification token creation failed`, {
+        error: err.message,
+        student_id: student.student_id
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Email verification token issued`, {
+      student_id: student.student_id,
+      college_id: student.college_id
+    });
+
+    try {
+      await mailService.sendEmailVerification({
+        to: student.student_email,
+        name: student.student_name,
+        verifyUrl: buildPortalUrl(student.college_subdomain, '/verify-email', { token }),
+        expiresInMinutes: AUTH.EMAIL_VERIFICATION_TTL_MINUTES
+      });
+    } catch (err) {
+      // Delivery failures are logged by mailService; student can resend
+    }
+  }
+
+  /**
+   * Verify email using token from the link and activate student
+   *
+   * @param {string} token - Plain verification token
+   * @returns {Promise<Object>} { student_id, college_id }
+   * @throws {Error} If token is invalid, expired or already used
+   */
+  async verify(token) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Lock token
+      // ====================================================================
+      const tokenQuery = `
+        SELECT
+          token_id,
+          account_id,
+          college_id,
+          consumed_at,
+          expires_at < NOW() AS is_expired
+        FROM account_tokens
+        WHERE token_hash = $1
+        AND token_purpose = $2
+        LIMIT 1
+        FOR UPDATE
+      `;
+
+      const tokenResult = await client.query(tokenQuery, [
+        tokenHelper.hashToken(token),
+        TOKEN_PURPOSES.EMAIL_VERIFICATION
+      ]);
+
+      const verificationToken = tokenResult.rows[0];
+
+      // ====================================================================
+      // Step 2: Reject consumed or expired token
+      // ====================================================================
+      if (!verificationToken || verificationToken.consumed_at || verificationToken.is_expired) {
+        await client.query('ROLLBACK');
+        logger.warn(`${LOG.SECURITY_PREFIX} Invalid email verification token presented`, {
+          token_id: verificationToken?.token_id
+        });
+        throw new Error('Invalid verification token');
+      }
+
+      // ====================================================================
+      // Step 3: Activate pending student
+      // ====================================================================
+      const updateResult = await client.query(
+        `UPDATE students
+         SET student_status = $1, email_verified_at = NOW(), updated_at = NOW()
+         WHERE student_id = $2
+         AND college_id = $3
+         AND student_status = $4
+         RETURNING student_id`,
+        [
+          STUDENT_STATUS.ACTIVE,
+          verificationToken.account_id,
+          verificationToken.college_id,
+          STUDENT_STATUS.PENDING_VERIFICATION
+        ]
+      );
+
+      if (!updateResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Invalid verification token');
+      }
+
+      // ====================================================================
+      // Step 4: Consume token
+      // ====================================================================
+      await client.query(
+        'UPDATE account_tokens SET consumed_at = NOW() WHERE token_id = $1',
+        [verificationToken.token_id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Student email verified`, {
+        student_id: verificationToken.account_id,
+        college_id: verificationToken.college_id
+      });
+
+      return {
+        student_id: verificationToken.account_id,
+        college_id: verificationToken.college_id
+      };
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Email verification failed`, {
+        error: err.message
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Send a new verification link to a pending student
+   *
+   * Resolves silently when the student does not exist, is already
+   * verified, or was sent a link less than
+   * AUTH.EMAIL_VERIFICATION_RESEND_SECONDS ago
+   *
+   * @param {Object} data - { email, college_id }
+   * @param {Object} context - { ip } (optional)
+   * @returns {Promise<void>}
+   */
+  async resend(data, context = {}) {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT
+        s.student_id,
+        s.student_name,
+        s.student_email,
+        s.college_id,
+        c.college_subdomain,
+        (
+          SELECT MAX(t.created_at) FROM account_tokens t
+          WHERE t.account_id = s.student_id
+          AND t.token_purpose = $3
+        ) > NOW() - make_interval(secs => $4) AS recently_sent
+      FROM students s
+      JOIN colleges c ON s.college_id = c.college_id
+      WHERE LOWER(s.student_email) = LOWER($1)
+      AND s.college_id = $2
+      AND s.student_status = $5
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(query, [
+      data.email,
+      data.college_id,
+      TOKEN_PURPOSES.EMAIL_VERIFICATION,
+      AUTH.EMAIL_VERIFICATION_RESEND_SECONDS,
+      STUDENT_STATUS.PENDING_VERIFICATION
+    ]);
+
+    const student = rows[0];
+
+    if (!student) {
+      logger.warn(`${LOG.SECURITY_PREFIX} Verification resend for unknown or verified student`, {
+        email: data.email,
+        college_id: data.college_id,
+        ip: context.ip
+      });
+      return;
+    }
+
+    if (student.recently_sent) {
+      logger.warn(`${LOG.SECURITY_PREFIX} Verification resend throttled`, {
+        student_id: student.student_id,
+        ip: context.ip
+      });
+      return;
+    }
+
+    await this.sendVerification(student, context);
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,261 @@
+/**
+ * ============================================================================
+ * IMPERSONATION SERVICE - Sysadmin Acting as a College User
+ * ============================================================================
+ * Single Database Architecture
+ * - Start: issue a short-lived access token for the target user that also
+ *   carries the impersonating sysadmin (`impersonator` claim)
+ * - No refresh token - the session ends after IMPERSONATION minutes
+ * - Every write request under impersonation is recorded
+ * - Sysadmins list and revoke live impersonation sessions
+ */
+
+const { getMainPool } = require('../config/db');
+const sessionService = require('./sessionService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  SESSION,
+  IMPERSONATION
+} = require('../config/constants');
+
+class ImpersonationService {
+  /**
+   * Start impersonating a college user
+   *
+   * @param {Object} admin - Impersonating sysadmin { id, email }
+   * @param {string} userId - Target user ID (users table)
+   * @param {Object} data - { reason, duration_minutes }
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<Object>} { token, expires_in, session_id, user }
+   * @throws {Error} If target user not found or inactive
+   */
+  async start(admin, userId, data, context = {}) {
+    const mainPool = getMainPool();
+
+    const userQuery = `
+      SELECT
+        u.user_id,
+        u.user_email,
+        u.user_name,
+        u.user_role,
+        u.user_status,
+        u.college_id,
+        c.college_name,
+        c.college_status
+      FROM users u
+      JOIN colleges c ON u.college_id = c.college_id
+      WHERE u.user_id = $1
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(userQuery, [userId]);
+    const target = rows[0];
+
+    if (!target) {
+      throw new Error('User not found');
+    }
+
+    if (target.user_status !== STATUS.ACTIVE || target.college_status !== STATUS.ACTIVE) {
+      throw new Error('User is inactive');
+    }
+
+    const durationMinutes = data.duration_minutes || IMPERSONATION.DEFAULT_MINUTES;
+
+    const tokens = await sessionService.createSession(
+      {
+        id: target.user_id,
+        role: target.user_role,
+        email: target.user_email,
+        college_id: target.college_id,
+        impersonator: { id: admin.id, email: admin.email }
+      },
+      context,
+      {
+        expires_minutes: durationMinutes,
+        impersonation_reason: data.reason
+      }
+    );
+
+    logger.warn(`${LOG.SECURITY_PREFIX} Impersonation started`, {
+      impersonator_id: admin.id,
+      target_user_id: target.user_id,
+      college_id: target.college_id,
+      session_id: tokens.session_id,
+      duration_minutes: durationMinutes,
+      reason: data.reason,
+      ip: context.ip
+    });
+
+    return {
+      token: tokens.token,
+      expires_in: tokens.expires_in,
+      session_id: tokens.session_id,
+      user: {
+        user_id: target.user_id,
+        user_name: target.user_name,
+        user_email: target.user_email,
+        user_role: target.user_role,
+        college_id: target.college_id,
+        college_name: target.college_name
+      }
+    };
+  }
+
+  /**
+   * List live impersonation sessions
+   *
+   * @returns {Promise<Array>} Sessions with impersonator, target and write count
+   */
+  async listActive() {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT
+        s.session_id,
+        s.impersonator_id,
+        p.admin_email AS impersonator_email,
+        s.subject_id AS target_user_id,
+        s.subject_email AS target_user_email,
+        s.college_id,
+        s.impersonation_reason,
+        s.ip_address,
+        s.created_at,
+        s.expires_at,
+        (
+          SELECT COUNT(*) FROM impersonation_actions a
+          WHERE a.session_id = s.session_id
+        ) AS write_count
+      FROM user_sessions s
+      JOIN platform_admins p ON p.platform_admin_id = s.impersonator_id
+      WHERE s.impersonator_id IS NOT NULL
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW()
+      ORDER BY s.created_at DESC
+    `;
+
+    const { rows } = await mainPool.query(query);
+
+    return rows.map((row) => ({
+      ...row,
+      write_count: parseInt(row.write_count, 10)
+    }));
+  }
+
+  /**
+   * List writes recorded for an impersonation session (live or ended)
+   *
+   * @param {string} sessionId - Impersonation session ID
+   * @returns {Promise<Array>} Recorded write requests, oldest first
+   * @throws {Error} If session is not an impersonation session
+   */
+  async listActions(sessionId) {
+    const mainPool = getMainPool();
+
+    const sessionResult = await mainPool.query(
+      `SELECT session_id FROM user_sessions
+       WHERE session_id = $1
+       AND impersonator_id IS NOT NULL
+       LIMIT 1`,
+      [sessionId]
+    );
+
+    if (!sessionResult.rows.length) {
+      throw new Error('Impersonation session not found');
+    }
+
+    const query = `
+      SELECT
+        action_id,
+        http_method,
+        request_path,
+        status_code,
+        ip_address,
+        created_at
+      FROM impersonation_actions
+      WHERE session_id = $1
+      ORDER BY created_at ASC
+    `;
+
+    const { rows } = await mainPool.query(query, [sessionId]);
+    return rows;
+  }
+
+  /**
+   * End (revoke) live impersonation session
+   *
+   * @param {string} sessionId - Impersonation session ID
+   * @param {string} actorId - Acting sysadmin ID
+   * @throws {Error} If no live impersonation session exists
+   */
+  async end(sessionId, actorId) {
+    const mainPool = getMainPool();
+
+    const { rowCount } = await mainPool.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = $1
+       WHERE session_id = $2
+       AND impersonator_id IS NOT NULL
+       AND revoked_at IS NULL
+       AND expires_at > NOW()`,
+      [SESSION.REVOKE_REASONS.IMPERSONATION_ENDED, sessionId]
+    );
+
+    if (!rowCount) {
+      throw new Error('Impersonation session not found');
+    }
+
+    logger.warn(`${LOG.SECURITY_PREFIX} Impersonation ended`, {
+      session_id: sessionId,
+      ended_by: actorId
+    });
+  }
+
+  /**
+   * Record write request made under impersonation
+   * Never throws - recording must not break the request
+   *
+   * @param {Object} user - req.user (with impersonator)
+   * @param {Object} request - { method, path, status_code, ip }
+   * @returns {Promise<void>}
+   */
+  async recordAction(user, request) {
+    const mainPool = getMainPool();
+
+    try {
+      await mainPool.query(
+        `INSERT INTO impersonation_actions (
+          session_id,
+          impersonator_id,
+          target_user_id,
+          college_id,
+          http_method,
+          request_path,
+          status_code,
+          ip_address,
+          created_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+        [
+          user.sid,
+          user.impersonator.id,
+          user.id,
+          user.college_id || null,
+          request.method,
+          request.path,
+          request.status_code,
+          request.ip || null
+        ]
+      );
+
+    } catch (err) {
+      logger.error(`${LOG.TRANSACTION_PREFIX} Impersonation action write failed`, {
+        error: err.message,
+        session_id: user.sid
+      });
+    }
+  }
+}
+
+module.exports = new ImpersonationService();
@@ -0,0 +1,588 @@
+/**
+ * ============================================================================
+ * INVITATION SERVICE - Teacher/Admin Onboarding
+ * ============================================================================
+ * Single Database Architecture
+ * - Admin invites a college user by name, email and role (no password)
+ * - Invite token stored hashed, expires after AUTH.INVITATION_TTL_MINUTES
+ * - Invitee sets their own password on acceptance; the user is created then
+ * - List, resend (rotates token, extends expiry) and revoke per college
+ * - Acting user can only invite roles at or below their own level
+ */
+
+const { getMainPool } = require('../config/db');
+const passwordHelper = require('../utils/passwordHelper');
+const tokenHelper = require('../utils/tokenHelper');
+const { buildPortalUrl } = require('../utils/urlHelper');
+const permissionService = require('./permissionService');
+const mailService = require('./mailService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  AUTH,
+  STATUS,
+  INVITATION_STATUS,
+  DB_ERROR_CODES
+} = require('../config/constants');
+
+// Derived invitation status (see INVITATION_STATUS)
+const INVITATION_STATUS_SQL = `
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN '${INVITATION_STATUS.ACCEPTED}'
+    WHEN i.revoked_at IS NOT NULL THEN '${INVITATION_STATUS.REVOKED}'
+    WHEN i.expires_at < NOW() THEN '${INVITATION_STATUS.EXPIRED}'
+    ELSE '${INVITATION_STATUS.PENDING}'
+  END
+`;
+
+const INVITATION_COLUMNS = `
+  i.invitation_id,
+  i.college_id,
+  i.invitee_name,
+  i.invitee_email,
+  i.invitee_role,
+  i.invited_by,
+  i.send_count,
+  i.last_sent_at,
+  i.expires_at,
+  i.accepted_at,
+  i.accepted_user_id,
+  i.revoked_at,
+  i.created_at,
+  ${INVITATION_STATUS_SQL} AS invitation_status
+`;
+
+class InvitationService {
+  /**
+   * Invite user to college
+   *
+   * Single Database:
+   * 1. Verify college is active
+   * 2. Validate role (and acting user's reach)
+   * 3. Check email is not a user yet and has no pending invitation
+   * 4. Store invitation with hashed token
+   * 5. Email invitation link (after commit)
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} data - { user_name, user_email, user_role }
+   * @param {Object} actor - Acting user { id, role, email }
+   * @returns {Promise<Object>} Created invitation (without token)
+   * @throws {Error} If validation fails
+   */
+  async create(collegeId, data, actor) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+    const token = tokenHelper.generateToken();
+
+    let college;
+    let role;
+    let invitation;
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Verify college exists and is active
+      // ====================================================================
+      const collegeResult = await client.query(
+        `SELECT college_id, college_name, college_subdomain, college_status
+         FROM colleges
+         WHERE college_id = $1
+         LIMIT 1`,
+        [collegeId]
+      );
+
+      college = collegeResult.rows[0];
+
+      if (!college) {
+        await client.query('ROLLBACK');
+        throw new Error('College not found');
+      }
+
+      if (college.college_status !== STATUS.ACTIVE) {
+        await client.query('ROLLBACK');
+        throw new Error('College is inactive');
+      }
+
+      // ====================================================================
+      // Step 2: Validate role
+      // ====================================================================
+      role = await permissionService.getRole(collegeId, data.user_role);
+
+      if (!role) {
+        await client.query('ROLLBACK');
+        throw new Error(`Invalid role: ${data.user_role}`);
+      }
+
+      await permissionService.assertRoleWithinReach(collegeId, role.role_level, actor);
+
+      // ====================================================================
+      // Step 3: Check email
+      // ====================================================================
+      const userCheck = await client.query(
+        `SELECT user_id FROM users
+         WHERE LOWER(user_email) = LOWER($1)
+         LIMIT 1`,
+        [data.user_email]
+      );
+
+      if (userCheck.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Email already exists');
+      }
+
+      // An expired invitation for the same email is replaced
+      await client.query(
+        `UPDATE user_invitations
+         SET revoked_at = NOW(), revoked_by = $3
+         WHERE college_id = $1
+         AND LOWER(invitee_email) = LOWER($2)
+         AND accepted_at IS NULL
+         AND revoked_at IS NULL
+         AND expires_at < NOW()`,
+        [collegeId, data.user_email, actor.id]
+      );
+
+      // ====================================================================
+      // Step 4: Store invitation
+      // ====================================================================
+      const insertResult = await client.query(
+        `INSERT INTO user_invitations AS i (
+           college_id,
+           invitee_name,
+           invitee_email,
+           invitee_role,
+           token_hash,
+           invited_by,
+           expires_at,
+           created_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7), NOW())
+         RETURNING ${INVITATION_COLUMNS}`,
+        [
+          collegeId,
+          data.user_name,
+          data.user_email,
+          role.role_key,
+          tokenHelper.hashToken(token),
+          actor.id,
+          AUTH.INVITATION_TTL_MINUTES
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      invitation = insertResult.rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Invitation creation failed`, {
+        error: err.message,
+        code: err.code,
+        college_id: collegeId
+      });
+
+      // Open invitation for this email (idx_user_invitations_open_email)
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error('Invitation already pending');
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Invitation created`, {
+      invitation_id: invitation.invitation_id,
+      college_id: collegeId,
+      invitee_email: invitation.invitee_email,
+      invitee_role: invitation.invitee_role,
+      invited_by: actor.id
+    });
+
+    // ======================================================================
+    // Step 5: Email invitation link
+    // ======================================================================
+    await this.sendInvitationEmail(invitation, token, college, role, actor);
+
+    return invitation;
+  }
+
+  /**
+   * List invitations of a college
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { status, page, limit }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async list(collegeId, filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+    const status = filters.status || null;
+
+    try {
+      const countResult = await mainPool.query(
+        `SELECT COUNT(*) AS total
+         FROM user_invitations i
+         WHERE i.college_id = $1
+         AND ($2::text IS NULL OR ${INVITATION_STATUS_SQL} = $2)`,
+        [collegeId, status]
+      );
+
+      const total = parseInt(countResult.rows[0].total);
+
+      const { rows } = await mainPool.query(
+        `SELECT ${INVITATION_COLUMNS}
+         FROM user_invitations i
+         WHERE i.college_id = $1
+         AND ($2::text IS NULL OR ${INVITATION_STATUS_SQL} = $2)
+         ORDER BY i.created_at DESC
+         LIMIT $3
+         OFFSET $4`,
+        [collegeId, status, limit, offset]
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (err) {
+      logger.error(`${LOG.TRANSACTION_PREFIX} Invitation list failed`, {
+        error: err.message,
+        college_id: collegeId
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Resend invitation with a new token (old link stops working)
+   * Expired invitations get a fresh expiry
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} actor - Acting user { id, role, email }
+   * @returns {Promise<Object>} Updated invitation
+   * @throws {Error} If not found, accepted/revoked, or role above actor
+   */
+  async resend(collegeId, invitationId, actor) {
+    const mainPool = getMainPool();
+    const current = await this.getOpenInvitation(collegeId, invitationId);
+
+    const role = await permissionService.getRole(collegeId, current.invitee_role);
+
+    if (!role) {
+      throw new Error(`Invalid role: ${current.invitee_role}`);
+    }
+
+    await permissionService.assertRoleWithinReach(collegeId, role.role_level, actor);
+
+    const token = tokenHelper.generateToken();
+
+    const { rows } = await mainPool.query(
+      `UPDATE user_invitations AS i
+       SET
+         token_hash = $3,
+         expires_at = NOW() + make_interval(mins => $4),
+         send_count = i.send_count + 1,
+         last_sent_at = NOW()
+       WHERE i.invitation_id = $1
+       AND i.college_id = $2
+       AND i.accepted_at IS NULL
+       AND i.revoked_at IS NULL
+       RETURNING ${INVITATION_COLUMNS}`,
+      [
+        invitationId,
+        collegeId,
+        tokenHelper.hashToken(token),
+        AUTH.INVITATION_TTL_MINUTES
+      ]
+    );
+
+    if (!rows.length) {
+      throw new Error('Invitation not pending');
+    }
+
+    const invitation = rows[0];
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Invitation resent`, {
+      invitation_id: invitationId,
+      college_id: collegeId,
+      send_count: invitation.send_count,
+      resent_by: actor.id
+    });
+
+    await this.sendInvitationEmail(invitation, token, current, role, actor);
+
+    return invitation;
+  }
+
+  /**
+   * Revoke invitation (link stops working)
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} actor - Acting user { id, role }
+   * @returns {Promise<void>}
+   * @throws {Error} If not found or already accepted/revoked
+   */
+  async revoke(collegeId, invitationId, actor) {
+    const mainPool = getMainPool();
+
+    await this.getOpenInvitation(collegeId, invitationId);
+
+    const { rowCount } = await mainPool.query(
+      `UPDATE user_invitations
+       SET revoked_at = NOW(), revoked_by = $3
+       WHERE invitation_id = $1
+       AND college_id = $2
+       AND accepted_at IS NULL
+       AND revoked_at IS NULL`,
+      [invitationId, collegeId, actor.id]
+    );
+
+    if (!rowCount) {
+      throw new Error('Invitation not pending');
+    }
+
+    logger.info(`${LOG.SECURITY_PREFIX} Invitation revoked`, {
+      invitation_id: invitationId,
+      college_id: collegeId,
+      revoked_by: actor.id
+    });
+  }
+
+  /**
+   * Accept invitation: create the user with the chosen password
+   *
+   * Single Database:
+   * 1. Lock invitation by token (must be pending and not expired)
+   * 2. Verify college is active and role still exists
+   * 3. Check email uniqueness
+   * 4. Create user, mark invitation accepted
+   *
+   * @param {string} token - Plain invitation token
+   * @param {string} password - Password chosen by the invitee
+   * @returns {Promise<Object>} Created user (without password)
+   * @throws {Error} If token invalid/expired or user cannot be created
+   */
+  async accept(token, password) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Lock invitation
+      // ====================================================================
+      const invitationResult = await client.query(
+        `SELECT
+           i.invitation_id,
+           i.college_id,
+           i.invitee_name,
+           i.invitee_email,
+           i.invitee_role,
+           i.accepted_at,
+           i.revoked_at,
+           i.expires_at < NOW() AS is_expired,
+           c.college_status
+         FROM user_invitations i
+         JOIN colleges c ON c.college_id = i.college_id
+         WHERE i.token_hash = $1
+         LIMIT 1
+         FOR UPDATE OF i`,
+        [tokenHelper.hashToken(token)]
+      );
+
+      const invitation = invitationResult.rows[0];
+
+      if (!invitation || invitation.accepted_at || invitation.revoked_at || invitation.is_expired) {
+        await client.query('ROLLBACK');
+        logger.warn(`${LOG.SECURITY_PREFIX} Invalid invitation token presented`, {
+          invitation_id: invitation?.invitation_id
+        });
+        throw new Error('Invalid invitation token');
+      }
+
+      // ====================================================================
+      // Step 2: Verify college and role
+      // ====================================================================
+      if (invitation.college_status !== STATUS.ACTIVE) {
+        await client.query('ROLLBACK');
+        throw new Error('College is inactive');
+      }
+
+      const role = await permissionService.getRole(invitation.college_id, invitation.invitee_role);
+
+      if (!role) {
+        await client.query('ROLLBACK');
+        throw new Error(`Invalid role: ${invitation.invitee_role}`);
+      }
+
+      // ====================================================================
+      // Step 3: Check email uniqueness
+      // ====================================================================
+      const userCheck = await client.query(
+        `SELECT user_id FROM users
+         WHERE LOWER(user_email) = LOWER($1)
+         LIMIT 1`,
+        [invitation.invitee_email]
+      );
+
+      if (userCheck.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Email already exists');
+      }
+
+      // ====================================================================
+      // Step 4: Create user and mark invitation accepted
+      // ====================================================================
+      const hashedPassword = await passwordHelper.hashPassword(password);
+
+      const userResult = await client.query(
+        `INSERT INTO users (
+           college_id,
+           user_name,
+           user_email,
+           user_password,
+           user_role,
+           user_status,
+           created_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING user_id, college_id, user_name, user_email, user_role, user_status, created_at`,
+        [
+          invitation.college_id,
+          invitation.invitee_name,
+          invitation.invitee_email,
+          hashedPassword,
+          invitation.invitee_role,
+          STATUS.ACTIVE
+        ]
+      );
+
+      const user = userResult.rows[0];
+
+      await client.query(
+        `UPDATE user_invitations
+         SET accepted_at = NOW(), accepted_user_id = $2
+         WHERE invitation_id = $1`,
+        [invitation.invitation_id, user.user_id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Invitation accepted`, {
+        invitation_id: invitation.invitation_id,
+        user_id: user.user_id,
+        college_id: user.college_id,
+        user_role: user.user_role
+      });
+
+      return user;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Invitation acceptance failed`, {
+        error: err.message,
+        code: err.code
+      });
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error('Email already exists');
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Load invitation that can still be resent or revoked
+   *
+   * @private
+   */
+  async getOpenInvitation(collegeId, invitationId) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT
+         i.invitation_id,
+         i.invitee_role,
+         i.accepted_at,
+         i.revoked_at,
+         c.college_name,
+         c.college_subdomain
+       FROM user_invitations i
+       JOIN colleges c ON c.college_id = i.college_id
+       WHERE i.invitation_id = $1
+       AND i.college_id = $2
+       LIMIT 1`,
+      [invitationId, collegeId]
+    );
+
+    const invitation = rows[0];
+
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+
+    if (invitation.accepted_at || invitation.revoked_at) {
+      throw new Error('Invitation not pending');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Email invitation link
+   * Delivery failures are logged, not thrown (admin can resend)
+   *
+   * @private
+   */
+  async sendInvitationEmail(invitation, token, college, role, actor) {
+    try {
+      await mailService.sendInvitation({
+        to: invitation.invitee_email,
+        name: invitation.invitee_name,
+        collegeName: college.college_name,
+        roleName: role.role_name,
+        invitedBy: actor.email,
+        acceptUrl: buildPortalUrl(college.college_subdomain, '/accept-invitation', { token }),
+        expiresInMinutes: AUTH.INVITATION_TTL_MINUTES
+      });
+    } catch (err) {
+      // Delivery failures are logged by mailService
+    }
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,30 @@
+/**
+ * ============================================================================
+ * JOB HANDLERS - Background Job Types
+ * ============================================================================
+ * Connects every JOBS.TYPES value to the service doing the work.
+ * Registered at startup (server.js) on every instance, including API-only
+ * instances that enqueue jobs without running the worker.
+ */
+
+const jobService = require('./jobService');
+const studentService = require('./studentService');
+const { JOBS } = require('../config/constants');
+
+/**
+ * Register all job handlers with jobService
+ */
+function registerJobHandlers() {
+  // payload: { students, atomic } - result as returned by POST /students/bulk
+  // Not retried once students may have been committed
+  jobService.registerHandler(
+    JOBS.TYPES.STUDENTS_BULK_REGISTER,
+    (payload, { job, reportProgress, disableRetry }) => studentService.bulkRegisterStudents(
+      payload.students,
+      job.college_id,
+      { atomic: payload.atomic, onProgress: reportProgress, beforeCommit: disableRetry }
+    )
+  );
+}
+
+module.exports = { registerJobHandlers };
@@ -0,0 +1,721 @@
+/**
+ * ============================================================================
+ * JOB SERVICE - Postgres-Backed Background Job Queue
+ * ============================================================================
+ * Single Database Architecture
+ * - enqueue() stores a job (payload encrypted) for a registered handler
+ * - In-process worker polls the jobs table and claims jobs with
+ *   FOR UPDATE SKIP LOCKED, so several API instances share one queue
+ * - At most JOBS.MAX_RUNNING_PER_COLLEGE running jobs per college
+ * - Failed attempts are retried with exponential backoff
+ * - Cancellation: queued jobs stop immediately, running jobs at their next
+ *   progress report
+ * - Heartbeats detect jobs whose worker died; those are requeued
+ * - Every write of a running job is fenced by locked_by: a worker whose
+ *   job was requeued (lost lease) stops and discards its outcome
+ * - Handlers call disableRetry() before committing their first change;
+ *   from then on a failure is final instead of repeating committed work
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { getMainPool } = require('../config/db');
+const cryptoHelper = require('../utils/cryptoHelper');
+const logger = require('../config/logger');
+const { LOG, JOBS } = require('../config/constants');
+
+const JOB_COLUMNS = `
+  job_id,
+  college_id,
+  job_type,
+  job_status,
+  result,
+  last_error,
+  progress_done,
+  progress_total,
+  attempts,
+  max_attempts,
+  run_after,
+  cancel_requested_at,
+  created_by,
+  created_at,
+  started_at,
+  finished_at,
+  updated_at
+`;
+
+const FINISHED_STATUSES = [
+  JOBS.STATUS.SUCCEEDED,
+  JOBS.STATUS.FAILED,
+  JOBS.STATUS.CANCELLED
+];
+
+class JobService {
+  constructor() {
+    this.handlers = new Map();
+    this.active = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.lastReapAt = 0;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Register handler for a job type
+   *
+   * The handler receives the decrypted payload and a context:
+   * { job, reportProgress(done, total), disableRetry() } - reportProgress
+   * throws JOBS.CANCELLED_ERROR once cancellation was requested (and
+   * JOBS.LEASE_LOST_ERROR once the job was requeued); disableRetry() is
+   * called before the handler commits its first change. Its return value
+   * is stored as the job result - also when the handler caught the
+   * cancellation or lease error to report work it already committed (the
+   * job then ends cancelled, or keeps the reaper's outcome).
+   *
+   * @param {string} jobType - JOBS.TYPES value
+   * @param {Function} handler - async (payload, context) => result
+   */
+  registerHandler(jobType, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Job handler must be a function');
+    }
+    this.handlers.set(jobType, handler);
+  }
+
+  /**
+   * Queue job
+   *
+   * @param {Object} data - { college_id, job_type, payload, created_by, max_attempts }
+   * @returns {Promise<Object>} Job
+   * @throws {Error} If no handler is registered for the job type
+   */
+  async enqueue(data) {
+    if (!this.handlers.has(data.job_type)) {
+      throw new Error(`Unknown job type: ${data.job_type}`);
+    }
+
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `INSERT INTO jobs (
+         college_id,
+         job_type,
+         job_status,
+         payload,
+         max_attempts,
+         created_by,
+         run_after,
+         created_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING ${JOB_COLUMNS}`,
+      [
+        data.college_id,
+        data.job_type,
+        JOBS.STATUS.QUEUED,
+        cryptoHelper.encrypt(JSON.stringify(data.payload || {})),
+        data.max_attempts || JOBS.DEFAULT_MAX_ATTEMPTS,
+        data.created_by || null
+      ]
+    );
+
+    const job = rows[0];
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Job queued`, {
+      job_id: job.job_id,
+      job_type: job.job_type,
+      college_id: job.college_id,
+      created_by: job.created_by
+    });
+
+    // Pick it up right away instead of waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Get job
+   *
+   * @param {string} jobId - Job ID
+   * @param {Object} scope - { college_id, created_by } - null = any
+   * @returns {Promise<Object>} Job
+   * @throws {Error} If not found (or outside the scope)
+   */
+  async getById(jobId, scope = {}) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT ${JOB_COLUMNS}
+       FROM jobs
+       WHERE job_id = $1
+       AND ($2::uuid IS NULL OR college_id = $2::uuid)
+       AND ($3::uuid IS NULL OR created_by = $3::uuid)
+       LIMIT 1`,
+      [jobId, scope.college_id || null, scope.created_by || null]
+    );
+
+    if (!rows.length) {
+      throw new Error('Job not found');
+    }
+
+    return rows[0];
+  }
+
+  /**
+   * Cancel job
+   *
+   * Queued jobs are cancelled at once; running jobs are flagged and stop
+   * at their next progress report (work already committed stays)
+   *
+   * @param {string} jobId - Job ID
+   * @param {Object} scope - { college_id, created_by } - null = any
+   * @param {Object} actor - { id, role }
+   * @returns {Promise<Object>} Job
+   * @throws {Error} If not found or already finished
+   */
+  async cancel(jobId, scope, actor) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `SELECT job_id, job_status
+         FROM jobs
+         WHERE job_id = $1
+         AND ($2::uuid IS NULL OR college_id = $2::uuid)
+         AND ($3::uuid IS NULL OR created_by = $3::uuid)
+         LIMIT 1
+         FOR UPDATE`,
+        [jobId, scope.college_id || null, scope.created_by || null]
+      );
+
+      const job = rows[0];
+
+      if (!job) {
+        await client.query('ROLLBACK');
+        throw new Error('Job not found');
+      }
+
+      if (FINISHED_STATUSES.includes(job.job_status)) {
+        await client.query('ROLLBACK');
+        throw new Error('Job has already finished');
+      }
+
+      const updateResult = job.job_status === JOBS.STATUS.QUEUED
+        ? await client.query(
+          `UPDATE jobs
+           SET job_status = $2,
+               cancel_requested_at = NOW(),
+               finished_at = NOW(),
+               payload = NULL,
+               updated_at = NOW()
+           WHERE job_id = $1
+           RETURNING ${JOB_COLUMNS}`,
+          [jobId, JOBS.STATUS.CANCELLED]
+        )
+        : await client.query(
+          `UPDATE jobs
+           SET cancel_requested_at = COALESCE(cancel_requested_at, NOW()),
+               updated_at = NOW()
+           WHERE job_id = $1
+           RETURNING ${JOB_COLUMNS}`,
+          [jobId]
+        );
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Job cancellation requested`, {
+        job_id: jobId,
+        job_status: updateResult.rows[0].job_status,
+        cancelled_by: actor?.id
+      });
+
+      return updateResult.rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Job cancellation failed`, {
+        error: err.message,
+        job_id: jobId
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  startWorker() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), JOBS.POLL_INTERVAL_MS);
+    this.timer.unref();
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Job worker started`, {
+      worker_id: this.workerId,
+      handlers: [...this.handlers.keys()]
+    });
+
+    setImmediate(() => this.poll());
+  }
+
+  /**
+   * Stop polling (graceful shutdown)
+   * Jobs still running are requeued by another worker once their
+   * heartbeat goes stale
+   */
+  stopWorker() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and start jobs until the worker is busy or the queue is empty
+   *
+   * @private
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastReapAt > JOBS.STALE_AFTER_MS / 2) {
+        this.lastReapAt = Date.now();
+        await this.reapStale();
+      }
+
+      while (this.active.size < JOBS.WORKER_CONCURRENCY) {
+        const job = await this.claimNext();
+
+        if (!job) {
+          break;
+        }
+
+        const run = this.run(job).finally(() => this.active.delete(job.job_id));
+        this.active.set(job.job_id, run);
+      }
+    } catch (err) {
+      logger.error(`${LOG.TRANSACTION_PREFIX} Job poll failed`, {
+        error: err.message,
+        worker_id: this.workerId
+      });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Claim next runnable job
+   *
+   * SKIP LOCKED keeps workers off each other's candidates; the per-college
+   * advisory lock makes the running count exact when two workers pick
+   * jobs of the same college at once
+   *
+   * @private
+   */
+  async claimNext() {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const candidateResult = await client.query(
+        `SELECT j.job_id, j.college_id
+         FROM jobs j
+         WHERE j.job_status = $1
+         AND j.run_after <= NOW()
+         AND (
+           SELECT COUNT(*)
+           FROM jobs r
+           WHERE r.college_id = j.college_id
+           AND r.job_status = $2
+         ) < $3
+         ORDER BY j.run_after, j.created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED`,
+        [JOBS.STATUS.QUEUED, JOBS.STATUS.RUNNING, JOBS.MAX_RUNNING_PER_COLLEGE]
+      );
+
+      const candidate = candidateResult.rows[0];
+
+      if (!candidate) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      await client.query(
+        'SELECT pg_advisory_xact_lock(hashtext($1))',
+        [`jobs:${candidate.college_id}`]
+      );
+
+      const runningResult = await client.query(
+        `SELECT COUNT(*) AS running
+         FROM jobs
+         WHERE college_id = $1
+         AND job_status = $2`,
+        [candidate.college_id, JOBS.STATUS.RUNNING]
+      );
+
+      if (parseInt(runningResult.rows[0].running) >= JOBS.MAX_RUNNING_PER_COLLEGE) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      const { rows } = await client.query(
+        `UPDATE jobs
+         SET job_status = $2,
+             attempts = attempts + 1,
+             locked_by = $3,
+             heartbeat_at = NOW(),
+             started_at = COALESCE(started_at, NOW()),
+             updated_at = NOW()
+         WHERE job_id = $1
+         RETURNING ${JOB_COLUMNS}, payload`,
+        [candidate.job_id, JOBS.STATUS.RUNNING, this.workerId]
+      );
+
+      await client.query('COMMIT');
+
+      return rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Run claimed job and store its outcome
+   *
+   * @private
+   */
+  async run(job) {
+    const mainPool = getMainPool();
+    const startTime = Date.now();
+    const handler = this.handlers.get(job.job_type);
+    let cancelRequested = Boolean(job.cancel_requested_at);
+    let cancelThrown = false;
+    let leaseLost = false;
+    let retryable = true;
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Job started`, {
+      job_id: job.job_id,
+      job_type: job.job_type,
+      college_id: job.college_id,
+      attempt: job.attempts
+    });
+
+    const heartbeat = async (done = null, total = null) => {
+      const { rows } = await mainPool.query(
+        `UPDATE jobs
+         SET heartbeat_at = NOW(),
+             progress_done = COALESCE($2, progress_done),
+             progress_total = COALESCE($3, progress_total)
+         WHERE job_id = $1
+         AND locked_by = $4
+         AND job_status = $5
+         RETURNING cancel_requested_at`,
+        [job.job_id, done, total, this.workerId, JOBS.STATUS.RUNNING]
+      );
+
+      if (!rows.length) {
+        leaseLost = true;
+        return;
+      }
+
+      cancelRequested = Boolean(rows[0].cancel_requested_at);
+    };
+
+    const heartbeatTimer = setInterval(() => {
+      heartbeat().catch((err) => {
+        logger.warn(`${LOG.TRANSACTION_PREFIX} Job heartbeat failed`, {
+          job_id: job.job_id,
+          error: err.message
+        });
+      });
+    }, JOBS.HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+
+    const context = {
+      job,
+      reportProgress: async (done, total) => {
+        await heartbeat(done, total);
+        if (leaseLost) {
+          throw new Error(JOBS.LEASE_LOST_ERROR);
+        }
+        if (cancelRequested) {
+          cancelThrown = true;
+          throw new Error(JOBS.CANCELLED_ERROR);
+        }
+      },
+      // Stored before the handler's first commit, so a crash right after
+      // it cannot requeue the job either
+      disableRetry: async () => {
+        const { rows } = await mainPool.query(
+          `UPDATE jobs
+           SET retryable = FALSE,
+               updated_at = NOW()
+           WHERE job_id = $1
+           AND locked_by = $2
+           AND job_status = $3
+           RETURNING job_id`,
+          [job.job_id, this.workerId, JOBS.STATUS.RUNNING]
+        );
+
+        if (!rows.length) {
+          leaseLost = true;
+          throw new Error(JOBS.LEASE_LOST_ERROR);
+        }
+
+        retryable = false;
+      }
+    };
+
+    try {
+      if (!handler) {
+        throw new Error(`Unknown job type: ${job.job_type}`);
+      }
+
+      if (cancelRequested) {
+        throw new Error(JOBS.CANCELLED_ERROR);
+      }
+
+      const payload = JSON.parse(cryptoHelper.decrypt(job.payload));
+      const result = await handler(payload, context);
+
+      clearInterval(heartbeatTimer);
+
+      // The handler stopped on cancellation but returns its committed work
+      const status = cancelThrown ? JOBS.STATUS.CANCELLED : JOBS.STATUS.SUCCEEDED;
+
+      const { rows } = await mainPool.query(
+        `UPDATE jobs
+         SET job_status = $2,
+             result = $3,
+             last_error = NULL,
+             payload = NULL,
+             locked_by = NULL,
+             finished_at = NOW(),
+             updated_at = NOW()
+         WHERE job_id = $1
+         AND locked_by = $4
+         AND job_status = $5
+         RETURNING job_id`,
+        [
+          job.job_id,
+          status,
+          JSON.stringify(result ?? null),
+          this.workerId,
+          JOBS.STATUS.RUNNING
+        ]
+      );
+
+      if (!rows.length && !retryable) {
+        // Never requeued once retries are off - the stale-job reaper already
+        // finished it, so only the result of the committed work is missing
+        const stored = await mainPool.query(
+          `UPDATE jobs
+           SET result = $2,
+               updated_at = NOW()
+           WHERE job_id = $1
+           AND retryable = FALSE
+           AND result IS NULL
+           AND job_status = ANY($3::text[])
+           RETURNING job_id`,
+          [
+            job.job_id,
+            JSON.stringify(result ?? null),
+            [JOBS.STATUS.FAILED, JOBS.STATUS.CANCELLED]
+          ]
+        );
+
+        if (stored.rows.length) {
+          logger.warn(`${LOG.TRANSACTION_PREFIX} Job lease lost - result stored on finished job`, {
+            job_id: job.job_id,
+            job_type: job.job_type,
+            worker_id: this.workerId,
+            duration_ms: Date.now() - startTime
+          });
+          return;
+        }
+      }
+
+      if (!rows.length) {
+        logger.warn(`${LOG.TRANSACTION_PREFIX} Job lease lost - result discarded`, {
+          job_id: job.job_id,
+          job_type: job.job_type,
+          worker_id: this.workerId,
+          duration_ms: Date.now() - startTime
+        });
+        return;
+      }
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Job ${status}`, {
+        job_id: job.job_id,
+        job_type: job.job_type,
+        duration_ms: Date.now() - startTime
+      });
+
+    } catch (err) {
+      clearInterval(heartbeatTimer);
+
+      // Another worker owns the job now - its run stores the outcome
+      if (leaseLost || err.message === JOBS.LEASE_LOST_ERROR) {
+        logger.warn(`${LOG.TRANSACTION_PREFIX} Job lease lost - attempt stopped`, {
+          job_id: job.job_id,
+          job_type: job.job_type,
+          worker_id: this.workerId,
+          error: err.message,
+          duration_ms: Date.now() - startTime
+        });
+        return;
+      }
+
+      const cancelled = err.message === JOBS.CANCELLED_ERROR;
+      const retry = !cancelled && Boolean(handler) && retryable && job.attempts < job.max_attempts;
+
+      let status = JOBS.STATUS.FAILED;
+      if (cancelled) {
+        status = JOBS.STATUS.CANCELLED;
+      } else if (retry) {
+        status = JOBS.STATUS.QUEUED;
+      }
+
+      try {
+        await mainPool.query(
+          `UPDATE jobs
+           SET job_status = $2,
+               last_error = $3,
+               locked_by = NULL,
+               run_after = CASE WHEN $4::boolean THEN NOW() + make_interval(secs => $5) ELSE run_after END,
+               payload = CASE WHEN $4 THEN payload ELSE NULL END,
+               finished_at = CASE WHEN $4 THEN NULL ELSE NOW() END,
+               updated_at = NOW()
+           WHERE job_id = $1
+           AND locked_by = $6
+           AND job_status = $7`,
+          [
+            job.job_id,
+            status,
+            cancelled ? null : err.message,
+            retry,
+            JOBS.RETRY_BASE_SECONDS * 2 ** (job.attempts - 1),
+            this.workerId,
+            JOBS.STATUS.RUNNING
+          ]
+        );
+      } catch (updateErr) {
+        // Left running - requeued once the heartbeat goes stale
+        logger.error(`${LOG.TRANSACTION_PREFIX} Job outcome could not be stored`, {
+          job_id: job.job_id,
+          error: updateErr.message
+        });
+      }
+
+      if (cancelled) {
+        logger.info(`${LOG.TRANSACTION_PREFIX} Job cancelled`, {
+          job_id: job.job_id,
+          job_type: job.job_type,
+          duration_ms: Date.now() - startTime
+        });
+        return;
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Job attempt failed`, {
+        job_id: job.job_id,
+        job_type: job.job_type,
+        attempt: job.attempts,
+        max_attempts: job.max_attempts,
+        job_status: status,
+        error: err.message,
+        duration_ms: Date.now() - startTime
+      });
+    }
+  }
+
+  /**
+   * Requeue (or finish) running jobs whose worker stopped sending heartbeats
+   * Jobs that disabled retries are failed - their work may be committed
+   *
+   * @private
+   */
+  async reapStale() {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `UPDATE jobs
+       SET job_status = CASE
+             WHEN cancel_requested_at IS NOT NULL THEN $2
+             WHEN attempts < max_attempts AND retryable THEN $3
+             ELSE $4
+           END,
+           last_error = CASE
+             WHEN cancel_requested_at IS NOT NULL THEN last_error
+             ELSE 'Worker stopped responding'
+           END,
+           locked_by = NULL,
+           run_after = NOW(),
+           payload = CASE
+             WHEN cancel_requested_at IS NULL AND attempts < max_attempts AND retryable THEN payload
+             ELSE NULL
+           END,
+           finished_at = CASE
+             WHEN cancel_requested_at IS NULL AND attempts < max_attempts AND retryable THEN NULL
+             ELSE NOW()
+           END,
+           updated_at = NOW()
+       WHERE job_status = $1
+       AND heartbeat_at < NOW() - make_interval(secs => $5)
+       RETURNING job_id, job_status`,
+      [
+        JOBS.STATUS.RUNNING,
+        JOBS.STATUS.CANCELLED,
+        JOBS.STATUS.QUEUED,
+        JOBS.STATUS.FAILED,
+        JOBS.STALE_AFTER_MS / 1000
+      ]
+    );
+
+    if (rows.length) {
+      logger.warn(`${LOG.TRANSACTION_PREFIX} Stale jobs recovered`, {
+        jobs: rows.map((row) => `${row.job_id}:${row.job_status}`)
+      });
+    }
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,351 @@
+/**
+ * ============================================================================
+ * LOGIN SECURITY SERVICE - Account Lockout & Login History
+ * ============================================================================
+ * Single Database Architecture
+ * - Counts consecutive failed logins per account (users and students)
+ * - Locks the account after AUTH.LOCKOUT_THRESHOLD failures, with the
+ *   lock doubling on every further failure (capped at LOCKOUT_MAX_MINUTES)
+ * - Records every attempt in login_history (IP, user agent, outcome)
+ * - Flags successful logins from an IP never used by the account before
+ * - Admin views: login history, locked accounts, unlock
+ */
+
+const { getMainPool } = require('../config/db');
+const logger = require('../config/logger');
+const {
+  LOG,
+  AUTH,
+  ACCOUNT_TYPES,
+  LOGIN_FAILURE_REASONS
+} = require('../config/constants');
+
+class LoginSecurityService {
+  /**
+   * Reject login while the account is locked
+   * The attempt is still recorded in login_history
+   *
+   * @param {Object} account - { account_type, account_id, college_id, email }
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @throws {Error} 'Account locked' if locked_until is in the future
+   */
+  async assertNotLocked(account, context = {}) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT locked_until
+       FROM account_lockouts
+       WHERE account_type = $1
+       AND account_id = $2
+       AND locked_until > NOW()
+       LIMIT 1`,
+      [account.account_type, account.account_id]
+    );
+
+    if (!rows.length) {
+      return;
+    }
+
+    logger.warn(`${LOG.SECURITY_PREFIX} Login attempt on locked account`, {
+      account_type: account.account_type,
+      account_id: account.account_id,
+      locked_until: rows[0].locked_until,
+      ip: context.ip
+    });
+
+    await this.recordHistory(account, false, LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED, context);
+
+    throw new Error('Account locked');
+  }
+
+  /**
+   * Count failed attempt and lock the account once over the threshold
+   *
+   * @param {Object} account - { account_type, account_id, college_id, email }
+   * @param {string} reason - LOGIN_FAILURE_REASONS value
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<void>}
+   */
+  async recordFailure(account, reason, context = {}) {
+    const mainPool = getMainPool();
+
+    const upsertQuery = `
+      INSERT INTO account_lockouts (
+        account_type,
+        account_id,
+        college_id,
+        failed_attempts,
+        last_failed_at,
+        updated_at
+      )
+      VALUES ($1, $2, $3, 1, NOW(), NOW())
+      ON CONFLICT (account_type, account_id) DO UPDATE
+      SET
+        failed_attempts = account_lockouts.failed_attempts + 1,
+        last_failed_at = NOW(),
+        updated_at = NOW()
+      RETURNING failed_attempts
+    `;
+
+    const { rows } = await mainPool.query(upsertQuery, [
+      account.account_type,
+      account.account_id,
+      account.college_id
+    ]);
+
+    const failedAttempts = rows[0].failed_attempts;
+
+    if (failedAttempts >= AUTH.LOCKOUT_THRESHOLD) {
+      const lockMinutes = Math.min(
+        AUTH.LOCKOUT_BASE_MINUTES * 2 ** (failedAttempts - AUTH.LOCKOUT_THRESHOLD),
+        AUTH.LOCKOUT_MAX_MINUTES
+      );
+
+      await mainPool.query(
+        `UPDATE account_lockouts
+         SET locked_until = NOW() + make_interval(mins => $1), updated_at = NOW()
+         WHERE account_type = $2
+         AND account_id = $3`,
+        [lockMinutes, account.account_type, account.account_id]
+      );
+
+      logger.warn(`${LOG.SECURITY_PREFIX} Account locked after failed logins`, {
+        account_type: account.account_type,
+        account_id: account.account_id,
+        failed_attempts: failedAttempts,
+        lock_minutes: lockMinutes,
+        ip: context.ip
+      });
+    }
+
+    await this.recordHistory(account, false, reason, context);
+  }
+
+  /**
+   * Clear failure counter and record successful login
+   *
+   * @param {Object} account - { account_type, account_id, college_id, email }
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(account, context = {}) {
+    const mainPool = getMainPool();
+
+    await mainPool.query(
+      'DELETE FROM account_lockouts WHERE account_type = $1 AND account_id = $2',
+      [account.account_type, account.account_id]
+    );
+
+    await this.recordHistory(account, true, null, context);
+  }
+
+  /**
+   * Insert login_history row
+   * Never throws - a history write must not break login
+   *
+   * @param {Object} account - { account_type, account_id, college_id, email }
+   * @param {boolean} succeeded - Attempt outcome
+   * @param {string|null} reason - LOGIN_FAILURE_REASONS value for failures
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<void>}
+   */
+  async recordHistory(account, succeeded, reason, context = {}) {
+    const mainPool = getMainPool();
+
+    try {
+      // New IP = account has logged in before, but never from this address
+      const insertQuery = `
+        INSERT INTO login_history (
+          account_type,
+          account_id,
+          college_id,
+          email_attempted,
+          succeeded,
+          failure_reason,
+          is_new_ip,
+          ip_address,
+          user_agent,
+          created_at
+        )
+        SELECT
+          $1, $2::uuid, $3::uuid, $4, $5, $6,
+          $5 AND $2::uuid IS NOT NULL
+            AND EXISTS (
+              SELECT 1 FROM login_history
+              WHERE account_id = $2::uuid AND succeeded = TRUE
+            )
+            AND NOT EXISTS (
+              SELECT 1 FROM login_history
+              WHERE account_id = $2::uuid AND succeeded = TRUE AND ip_address = $7
+            ),
+          $7, $8, NOW()
+        RETURNING is_new_ip
+      `;
+
+      const { rows } = await mainPool.query(insertQuery, [
+        account.account_type,
+        account.account_id || null,
+        account.college_id || null,
+        account.email,
+        succeeded,
+        reason,
+        context.ip || null,
+        context.user_agent || null
+      ]);
+
+      if (rows[0]?.is_new_ip) {
+        logger.warn(`${LOG.SECURITY_PREFIX} Successful login from new IP address`, {
+          account_type: account.account_type,
+          account_id: account.account_id,
+          ip: context.ip
+        });
+      }
+
+    } catch (err) {
+      logger.error(`${LOG.TRANSACTION_PREFIX} Login history write failed`, {
+        error: err.message,
+        account_id: account.account_id
+      });
+    }
+  }
+
+  /**
+   * List login history for a college
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { account_type, account_id, succeeded, page, limit }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async listHistory(collegeId, filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['college_id = $1'];
+    const params = [collegeId];
+
+    if (filters.account_type) {
+      params.push(filters.account_type);
+      conditions.push(`account_type = $${params.length}`);
+    }
+
+    if (filters.account_id) {
+      params.push(filters.account_id);
+      conditions.push(`account_id = $${params.length}`);
+    }
+
+    if (typeof filters.succeeded === 'boolean') {
+      params.push(filters.succeeded);
+      conditions.push(`succeeded = $${params.length}`);
+    }
+
+    const whereClause = conditions.join(' AND ');
+
+    const countResult = await mainPool.query(
+      `SELECT COUNT(*) AS total FROM login_history WHERE ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const query = `
+      SELECT
+        login_id,
+        account_type,
+        account_id,
+        email_attempted,
+        succeeded,
+        failure_reason,
+        is_new_ip,
+        ip_address,
+        user_agent,
+        created_at
+      FROM login_history
+      WHERE ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `;
+
+    const { rows } = await mainPool.query(query, [...params, limit, offset]);
+
+    return {
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * List currently locked accounts in a college
+   *
+   * @param {string} collegeId - College ID
+   * @returns {Promise<Array>} Locked accounts with name and email
+   */
+  async listLockouts(collegeId) {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT
+        l.account_type,
+        l.account_id,
+        COALESCE(u.user_email, s.student_email) AS account_email,
+        COALESCE(u.user_name, s.student_name) AS account_name,
+        l.failed_attempts,
+        l.last_failed_at,
+        l.locked_until
+      FROM account_lockouts l
+      LEFT JOIN users u ON l.account_type = $2 AND u.user_id = l.account_id
+      LEFT JOIN students s ON l.account_type = $3 AND s.student_id = l.account_id
+      WHERE l.college_id = $1
+      AND l.locked_until > NOW()
+      ORDER BY l.locked_until DESC
+    `;
+
+    const { rows } = await mainPool.query(query, [
+      collegeId,
+      ACCOUNT_TYPES.USER,
+      ACCOUNT_TYPES.STUDENT
+    ]);
+    return rows;
+  }
+
+  /**
+   * Unlock account (clears failure counter)
+   *
+   * @param {string} accountType - ACCOUNT_TYPES value
+   * @param {string} accountId - User or student ID
+   * @param {string} collegeId - Acting admin's college (scope)
+   * @param {string} actorId - Acting admin ID
+   * @throws {Error} If no lockout row exists in this college
+   */
+  async unlock(accountType, accountId, collegeId, actorId) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `DELETE FROM account_lockouts
+       WHERE account_type = $1
+       AND account_id = $2
+       AND college_id = $3
+       RETURNING account_id`,
+      [accountType, accountId, collegeId]
+    );
+
+    if (!rows.length) {
+      throw new Error('Lockout not found');
+    }
+
+    logger.info(`${LOG.SECURITY_PREFIX} Account unlocked by admin`, {
+      account_type: accountType,
+      account_id: accountId,
+      college_id: collegeId,
+      unlocked_by: actorId
+    });
+  }
+}
+
+module.exports = new LoginSecurityService();
@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ * MAIL SERVICE - Outgoing Email
+ * ============================================================================
+ * - Pluggable transports selected by MAIL_TRANSPORT (default: console)
+ * - Built-in transports: console, file (see utils/mailTransports.js)
+ * - Plain-text templates for account emails
+ */
+
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { consoleTransport, fileTransport } = require('../utils/mailTransports');
+const { LOG, MAIL } = require('../config/constants');
+
+class MailService {
+  constructor() {
+    this.transports = {
+      [MAIL.TRANSPORTS.CONSOLE]: consoleTransport,
+      [MAIL.TRANSPORTS.FILE]: fileTransport
+    };
+  }
+
+  /**
+   * Register (or replace) a transport
+   *
+   * @param {string} name - Transport name used in MAIL_TRANSPORT
+   * @param {Function} transport - async ({ from, to, subject, text }) => result
+   */
+  registerTransport(name, transport) {
+    if (typeof transport !== 'function') {
+      throw new Error('Mail transport must be a function');
+    }
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Send email through the configured transport
+   *
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<Object>} Transport result
+   * @throws {Error} If transport is unknown or delivery fails
+   */
+  async send(message) {
+    const transport = this.transports[config.mailTransport];
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${config.mailTransport}`);
+    }
+
+    try {
+      const result = await transport({
+        from: config.mailFrom,
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+
+      logger.info(`${LOG.MAIL_PREFIX} Email sent`, {
+        transport: config.mailTransport,
+        to: message.to,
+        subject: message.subject
+      });
+
+      return result;
+
+    } catch (err) {
+      logger.error(`${LOG.MAIL_PREFIX} Email delivery failed`, {
+        transport: config.mailTransport,
+        to: message.to,
+        error: err.message
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Send password reset link
+   *
+   * @param {Object} params - { to, name, resetUrl, expiresInMinutes }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordReset({ to, name, resetUrl, expiresInMinutes }) {
+    return this.send({
+      to,
+      subject: 'Reset your Placement CRM password',
+      text: [
+        `Hi ${name || 'there'},`,
+        '',
+        'We received a request to reset your Placement CRM password.',
+        `Use the link below within ${expiresInMinutes} minutes to choose a new one:`,
+        '',
+        resetUrl,
+        '',
+        'If you did not request this, you can ignore this email - your password will not change.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send invitation to join a college
+   *
+   * @param {Object} params - { to, name, collegeName, roleName, invitedBy, acceptUrl, expiresInMinutes }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendInvitation({ to, name, collegeName, roleName, invitedBy, acceptUrl, expiresInMinutes }) {
+    return this.send({
+      to,
+      subject: `You have been invited to ${collegeName} on Placement CRM`,
+      text: [
+        `Hi ${name || 'there'},`,
+        '',
+        `${invitedBy || 'Your college admin'} has invited you to join ${collegeName} on Placement CRM as ${roleName}.`,
+        `Use the link below within ${Math.round(expiresInMinutes / 60)} hours to set your password:`,
+        '',
+        acceptUrl,
+        '',
+        'If you were not expecting this invitation, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send email verification link
+   *
+   * @param {Object} params - { to, name, verifyUrl, expiresInMinutes }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendEmailVerification({ to, name, verifyUrl, expiresInMinutes }) {
+    return this.send({
+      to,
+      subject: 'Verify your Placement CRM email address',
+      text: [
+        `Hi ${name || 'there'},`,
+        '',
+        'Thanks for registering with Placement CRM.',
+        `Confirm your email address with the link below within ${Math.round(expiresInMinutes / 60)} hours:`,
+        '',
+        verifyUrl,
+        '',
+        'If you did not register, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send account setup link to an imported student
+   *
+   * @param {Object} params - { to, name, collegeName, setupUrl, expiresInMinutes }
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendAccountSetup({ to, name, collegeName, setupUrl, expiresInMinutes }) {
+    return this.send({
+      to,
+      subject: `Your ${collegeName} Placement CRM account is ready`,
+      text: [
+        `Hi ${name || 'there'},`,
+        '',
+        `${collegeName} has created a Placement CRM account for you.`,
+        `Use the link below within ${Math.round(expiresInMinutes / (24 * 60))} days to choose your password:`,
+        '',
+        setupUrl,
+        '',
+        'If you were not expecting this email, you can ignore it.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
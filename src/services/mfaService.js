@@ -0,0 +1,370 @@
+/**
+ * ============================================================================
+ * MFA SERVICE - TOTP Two-Factor Authentication
+ * ============================================================================
+ * Single Database Architecture
+ * - Available to college admins and teachers (users table)
+ * - Enrollment: secret + otpauth URI, activated by verifying the first code
+ * - Single-use recovery codes (hashed), shown once on activation/regeneration
+ * - Code check for the second login step (TOTP or recovery code)
+ * - Mandatory for admins when colleges.admin_mfa_required is set
+ */
+
+const { getMainPool } = require('../config/db');
+const totpHelper = require('../utils/totpHelper');
+const cryptoHelper = require('../utils/cryptoHelper');
+const tokenHelper = require('../utils/tokenHelper');
+const logger = require('../config/logger');
+const {
+  LOG,
+  MFA,
+  ROLES
+} = require('../config/constants');
+
+class MfaService {
+  /**
+   * Get MFA status of user
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabled_at, recovery_codes_remaining }
+   */
+  async getStatus(userId) {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT
+        m.enabled_at,
+        (
+          SELECT COUNT(*) FROM user_mfa_recovery_codes r
+          WHERE r.user_id = m.user_id AND r.used_at IS NULL
+        ) AS recovery_codes_remaining
+      FROM user_mfa m
+      WHERE m.user_id = $1
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(query, [userId]);
+    const record = rows[0];
+
+    return {
+      enabled: Boolean(record?.enabled_at),
+      enabled_at: record?.enabled_at || null,
+      recovery_codes_remaining: record?.enabled_at
+        ? parseInt(record.recovery_codes_remaining, 10)
+        : 0
+    };
+  }
+
+  /**
+   * Decide what the second login step must be
+   *
+   * @param {Object} user - { user_id, user_role, admin_mfa_required }
+   * @returns {Promise<string|null>} 'challenge', 'enroll' or null (no MFA)
+   */
+  async getLoginRequirement(user) {
+    const status = await this.getStatus(user.user_id);
+
+    if (status.enabled) {
+      return 'challenge';
+    }
+
+    if (this.isRequired(user.user_role, user.admin_mfa_required)) {
+      return 'enroll';
+    }
+
+    return null;
+  }
+
+  /**
+   * MFA is mandatory for admins of colleges that require it
+   *
+   * @param {string} role - User role
+   * @param {boolean} adminMfaRequired - colleges.admin_mfa_required
+   * @returns {boolean}
+   */
+  isRequired(role, adminMfaRequired) {
+    return role === ROLES.ADMIN && Boolean(adminMfaRequired);
+  }
+
+  /**
+   * Start (or restart) enrollment
+   * Replaces any pending, unverified secret
+   *
+   * @param {Object} user - { id, email, role }
+   * @returns {Promise<Object>} { secret, otpauth_url }
+   * @throws {Error} If role not eligible or MFA already enabled
+   */
+  async startEnrollment(user) {
+    if (!MFA.ELIGIBLE_ROLES.includes(user.role)) {
+      throw new Error('MFA not available for this role');
+    }
+
+    const mainPool = getMainPool();
+    const secret = totpHelper.generateSecret();
+
+    const upsertQuery = `
+      INSERT INTO user_mfa (user_id, totp_secret, created_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id) DO UPDATE
+      SET
+        totp_secret = EXCLUDED.totp_secret,
+        last_used_step = NULL,
+        created_at = NOW(),
+        updated_at = NOW()
+      WHERE user_mfa.enabled_at IS NULL
+      RETURNING user_id
+    `;
+
+    const { rows } = await mainPool.query(upsertQuery, [
+      user.id,
+      cryptoHelper.encrypt(secret)
+    ]);
+
+    if (!rows.length) {
+      throw new Error('MFA already enabled');
+    }
+
+    logger.info(`${LOG.SECURITY_PREFIX} MFA enrollment started`, {
+      user_id: user.id
+    });
+
+    return {
+      secret,
+      otpauth_url: totpHelper.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Activate pending enrollment with first valid code
+   *
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code from authenticator app
+   * @param {Object} db - Pool or transaction client (optional)
+   * @returns {Promise<string[]>} Plain recovery codes (shown once)
+   * @throws {Error} If no pending enrollment or code invalid
+   */
+  async activate(userId, code, db) {
+    return this.withTransaction(db, async (client) => {
+      const record = await this.lockRecord(client, userId);
+
+      if (!record) {
+        throw new Error('MFA enrollment not started');
+      }
+
+      if (record.enabled_at) {
+        throw new Error('MFA already enabled');
+      }
+
+      const step = totpHelper.verify(cryptoHelper.decrypt(record.totp_secret), code);
+
+      if (step === null) {
+        logger.warn(`${LOG.SECURITY_PREFIX} MFA activation failed - invalid code`, {
+          user_id: userId
+        });
+        throw new Error('Invalid verification code');
+      }
+
+      await client.query(
+        `UPDATE user_mfa
+         SET enabled_at = NOW(), last_used_step = $1, updated_at = NOW()
+         WHERE user_id = $2`,
+        [step, userId]
+      );
+
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+
+      logger.info(`${LOG.SECURITY_PREFIX} MFA enabled`, { user_id: userId });
+
+      return recoveryCodes;
+    });
+  }
+
+  /**
+   * Check second-factor code (TOTP or unused recovery code)
+   * Accepted TOTP steps and recovery codes cannot be replayed
+   *
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   * @param {Object} db - Pool or transaction client (optional)
+   * @returns {Promise<string>} Method used: 'totp' or 'recovery_code'
+   * @throws {Error} If MFA not enabled or code invalid
+   */
+  async verifyCode(userId, code, db) {
+    return this.withTransaction(db, async (client) => {
+      const record = await this.lockRecord(client, userId);
+
+      if (!record || !record.enabled_at) {
+        throw new Error('MFA not enabled');
+      }
+
+      const step = totpHelper.verify(cryptoHelper.decrypt(record.totp_secret), code);
+
+      if (step !== null && (record.last_used_step === null || step > Number(record.last_used_step))) {
+        await client.query(
+          'UPDATE user_mfa SET last_used_step = $1 WHERE user_id = $2',
+          [step, userId]
+        );
+        return 'totp';
+      }
+
+      const recoveryResult = await client.query(
+        `UPDATE user_mfa_recovery_codes
+         SET used_at = NOW()
+         WHERE user_id = $1
+         AND code_hash = $2
+         AND used_at IS NULL
+         RETURNING recovery_code_id`,
+        [userId, tokenHelper.hashToken(this.normalizeRecoveryCode(code))]
+      );
+
+      if (recoveryResult.rows.length) {
+        logger.info(`${LOG.SECURITY_PREFIX} MFA recovery code used`, {
+          user_id: userId
+        });
+        return 'recovery_code';
+      }
+
+      logger.warn(`${LOG.SECURITY_PREFIX} MFA verification failed - invalid code`, {
+        user_id: userId
+      });
+      throw new Error('Invalid verification code');
+    });
+  }
+
+  /**
+   * Disable MFA (requires a current code)
+   *
+   * @param {Object} user - { id, role, college_id }
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<void>}
+   * @throws {Error} If required by college, not enabled or code invalid
+   */
+  async disable(user, code) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      'SELECT admin_mfa_required FROM colleges WHERE college_id = $1 LIMIT 1',
+      [user.college_id]
+    );
+
+    if (this.isRequired(user.role, rows[0]?.admin_mfa_required)) {
+      throw new Error('MFA required by college');
+    }
+
+    await this.withTransaction(null, async (client) => {
+      await this.verifyCode(user.id, code, client);
+
+      await client.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM user_mfa WHERE user_id = $1', [user.id]);
+    });
+
+    logger.info(`${LOG.SECURITY_PREFIX} MFA disabled`, { user_id: user.id });
+  }
+
+  /**
+   * Replace all recovery codes (requires a current code)
+   *
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<string[]>} Plain recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    return this.withTransaction(null, async (client) => {
+      await this.verifyCode(userId, code, client);
+
+      const recoveryCodes = await this.replaceRecoveryCodes(client, userId);
+
+      logger.info(`${LOG.SECURITY_PREFIX} MFA recovery codes regenerated`, {
+        user_id: userId
+      });
+
+      return recoveryCodes;
+    });
+  }
+
+  /**
+   * Lock user_mfa row for the current transaction
+   *
+   * @private
+   */
+  async lockRecord(client, userId) {
+    const { rows } = await client.query(
+      `SELECT user_id, totp_secret, last_used_step, enabled_at
+       FROM user_mfa
+       WHERE user_id = $1
+       LIMIT 1
+       FOR UPDATE`,
+      [userId]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Delete old recovery codes and insert a fresh set
+   *
+   * @private
+   */
+  async replaceRecoveryCodes(client, userId) {
+    await client.query('DELETE FROM user_mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    const codes = Array.from({ length: MFA.RECOVERY_CODE_COUNT }, () => {
+      const raw = tokenHelper.generateToken(MFA.RECOVERY_CODE_BYTES);
+      const hex = Buffer.from(raw, 'base64url').toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await client.query(
+      `INSERT INTO user_mfa_recovery_codes (user_id, code_hash, created_at)
+       SELECT $1, UNNEST($2::char(64)[]), NOW()`,
+      [userId, codes.map((c) => tokenHelper.hashToken(this.normalizeRecoveryCode(c)))]
+    );
+
+    return codes;
+  }
+
+  /**
+   * Recovery codes are compared without dashes, spaces or case
+   *
+   * @private
+   */
+  normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Run callback in a transaction, or inside the caller's transaction
+   * when a client is passed in
+   *
+   * @private
+   */
+  async withTransaction(db, callback) {
+    if (db) {
+      return callback(db);
+    }
+
+    const client = await getMainPool().connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new MfaService();
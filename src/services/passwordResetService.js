@@ -0,0 +1,387 @@
+/**
+ * ============================================================================
+ * PASSWORD RESET SERVICE - Self-Service "Forgot Password"
+ * ============================================================================
+ * Single Database Architecture
+ * - Works for college users (users table) and students (students table)
+ * - Single-use, expiring reset tokens stored hashed in account_tokens
+ * - Reset link delivered through mailService
+ * - Account setup links (longer-lived reset tokens) for imported accounts
+ * - Successful reset revokes every session of the account
+ * - Never reveals whether an email is registered
+ */
+
+const { getMainPool } = require('../config/db');
+const passwordHelper = require('../utils/passwordHelper');
+const tokenHelper = require('../utils/tokenHelper');
+const { buildPortalUrl } = require('../utils/urlHelper');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  AUTH,
+  SESSION,
+  ACCOUNT_TYPES,
+  TOKEN_PURPOSES
+} = require('../config/constants');
+
+const ACCOUNT_QUERIES = {
+  [ACCOUNT_TYPES.USER]: {
+    lookup: `
+      SELECT
+        u.user_id AS account_id,
+        u.user_name AS account_name,
+        u.user_email AS account_email,
+        u.user_status AS account_status,
+        u.college_id,
+        c.college_status,
+        c.college_subdomain
+      FROM users u
+      JOIN colleges c ON u.college_id = c.college_id
+      WHERE LOWER(u.user_email) = LOWER($1)
+      AND ($2::uuid IS NULL OR u.college_id = $2::uuid)
+      LIMIT 1
+    `,
+    updatePassword: `
+      UPDATE users
+      SET user_password = $1, updated_at = NOW()
+      WHERE user_id = $2
+      AND college_id = $3
+      AND user_status = $4
+      RETURNING user_id
+    `
+  },
+  [ACCOUNT_TYPES.STUDENT]: {
+    lookup: `
+      SELECT
+        s.student_id AS account_id,
+        s.student_name AS account_name,
+        s.student_email AS account_email,
+        s.student_status AS account_status,
+        s.college_id,
+        c.college_status,
+        c.college_subdomain
+      FROM students s
+      JOIN colleges c ON s.college_id = c.college_id
+      WHERE LOWER(s.student_email) = LOWER($1)
+      AND s.college_id = $2
+      LIMIT 1
+    `,
+    updatePassword: `
+      UPDATE students
+      SET student_password = $1, updated_at = NOW()
+      WHERE student_id = $2
+      AND college_id = $3
+      AND student_status = $4
+      RETURNING student_id
+    `
+  }
+};
+
+class PasswordResetService {
+  /**
+   * Issue reset token and email reset link
+   *
+   * Resolves silently when the account does not exist or is inactive so
+   * the endpoint cannot be used to discover registered emails
+   *
+   * @param {Object} data - { account_type, email, college_id }
+   * @param {Object} context - { ip } (optional)
+   * @returns {Promise<void>}
+   */
+  async requestReset(data, context = {}) {
+    const { account_type, email, college_id } = data;
+    const queries = ACCOUNT_QUERIES[account_type];
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(queries.lookup, [email, college_id || null]);
+    const account = rows[0];
+
+    if (!account ||
+        account.account_status !== STATUS.ACTIVE ||
+        account.college_status !== STATUS.ACTIVE) {
+      logger.warn(`${LOG.SECURITY_PREFIX} Password reset requested for unknown or inactive account`, {
+        account_type,
+        email,
+        college_id,
+        ip: context.ip
+      });
+      return;
+    }
+
+    const token = tokenHelper.generateToken();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Only the newest link works
+      await client.query(
+        `UPDATE account_tokens
+         SET consumed_at = NOW()
+         WHERE account_id = $1
+         AND token_purpose = $2
+         AND consumed_at IS NULL`,
+        [account.account_id, TOKEN_PURPOSES.PASSWORD_RESET]
+      );
+
+      await client.query(
+        `INSERT INTO account_tokens (
+           token_purpose,
+           account_type,
+           account_id,
+           college_id,
+           token_hash,
+           requested_ip,
+           expires_at,
+           created_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7), NOW())`,
+        [
+          TOKEN_PURPOSES.PASSWORD_RESET,
+          account_type,
+          account.account_id,
+          account.college_id,
+          tokenHelper.hashToken(token),
+          context.ip || null,
+          AUTH.PASSWORD_RESET_TTL_MINUTES
+        ]
+      );
+
+      await client.query('COMMIT');
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Password reset token creation failed`, {
+        error: err.message,
+        account_id: account.account_id
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Password reset token issued`, {
+      account_type,
+      account_id: account.account_id,
+      college_id: account.college_id
+    });
+
+    try {
+      await mailService.sendPasswordReset({
+        to: account.account_email,
+        name: account.account_name,
+        resetUrl: buildPortalUrl(account.college_subdomain, '/reset-password', { token }),
+        expiresInMinutes: AUTH.PASSWORD_RESET_TTL_MINUTES
+      });
+    } catch (err) {
+      // Delivery failures are logged by mailService; the response stays generic
+    }
+  }
+
+  /**
+   * Set new password using reset token
+   *
+   * Flow:
+   * 1. Lock token row
+   * 2. Reject consumed or expired token
+   * 3. Update password on the owning account
+   * 4. Consume token
+   * 5. Revoke all sessions of the account
+   *
+   * @param {string} token - Plain reset token from the email link
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} { account_type, account_id }
+   * @throws {Error} If token is invalid, expired or already used
+   */
+  async resetPassword(token, newPassword) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Lock token
+      // ====================================================================
+      const tokenQuery = `
+        SELECT
+          token_id,
+          account_type,
+          account_id,
+          college_id,
+          consumed_at,
+          expires_at < NOW() AS is_expired
+        FROM account_tokens
+        WHERE token_hash = $1
+        AND token_purpose = $2
+        LIMIT 1
+        FOR UPDATE
+      `;
+
+      const tokenResult = await client.query(tokenQuery, [
+        tokenHelper.hashToken(token),
+        TOKEN_PURPOSES.PASSWORD_RESET
+      ]);
+
+      const resetToken = tokenResult.rows[0];
+
+      // ====================================================================
+      // Step 2: Reject consumed or expired token
+      // ====================================================================
+      if (!resetToken || resetToken.consumed_at || resetToken.is_expired) {
+        await client.query('ROLLBACK');
+        logger.warn(`${LOG.SECURITY_PREFIX} Invalid password reset token presented`, {
+          token_id: resetToken?.token_id
+        });
+        throw new Error('Invalid reset token');
+      }
+
+      // ====================================================================
+      // Step 3: Update password
+      // ====================================================================
+      const hashedPassword = await passwordHelper.hashPassword(newPassword);
+
+      const updateResult = await client.query(
+        ACCOUNT_QUERIES[resetToken.account_type].updatePassword,
+        [hashedPassword, resetToken.account_id, resetToken.college_id, STATUS.ACTIVE]
+      );
+
+      if (!updateResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Invalid reset token');
+      }
+
+      // ====================================================================
+      // Step 4: Consume token
+      // ====================================================================
+      await client.query(
+        'UPDATE account_tokens SET consumed_at = NOW() WHERE token_id = $1',
+        [resetToken.token_id]
+      );
+
+      // ====================================================================
+      // Step 5: Revoke all sessions
+      // ====================================================================
+      await sessionService.revokeAllForSubject(
+        resetToken.account_id,
+        SESSION.REVOKE_REASONS.PASSWORD_RESET,
+        client
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Password reset completed`, {
+        account_type: resetToken.account_type,
+        account_id: resetToken.account_id,
+        college_id: resetToken.college_id
+      });
+
+      return {
+        account_type: resetToken.account_type,
+        account_id: resetToken.account_id
+      };
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Password reset failed`, {
+        error: err.message
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Issue account setup links for newly created accounts
+   *
+   * Setup links are password reset tokens with a longer lifetime, used
+   * when accounts are created without a password the owner knows (roster
+   * import). Tokens are inserted in one statement, then emailed one by one.
+   *
+   * @param {string} accountType - ACCOUNT_TYPES value
+   * @param {Array} accounts - [{ account_id, account_name, account_email }]
+   * @param {Object} college - { college_id, college_name, college_subdomain }
+   * @param {Object} context - { ip } (optional)
+   * @returns {Promise<Object>} { sent, failed: [account_email] }
+   */
+  async issueAccountSetupLinks(accountType, accounts, college, context = {}) {
+    const mainPool = getMainPool();
+    const tokens = accounts.map(() => tokenHelper.generateToken());
+
+    await mainPool.query(
+      `INSERT INTO account_tokens (
+         token_purpose,
+         account_type,
+         account_id,
+         college_id,
+         token_hash,
+         requested_ip,
+         expires_at,
+         created_at
+       )
+       SELECT $1, $2, t.account_id, $3, t.token_hash, $4,
+         NOW() + make_interval(mins => $5), NOW()
+       FROM UNNEST($6::uuid[], $7::text[]) AS t(account_id, token_hash)`,
+      [
+        TOKEN_PURPOSES.PASSWORD_RESET,
+        accountType,
+        college.college_id,
+        context.ip || null,
+        AUTH.ACCOUNT_SETUP_TTL_MINUTES,
+        accounts.map((account) => account.account_id),
+        tokens.map((token) => tokenHelper.hashToken(token))
+      ]
+    );
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Account setup tokens issued`, {
+      account_type: accountType,
+      college_id: college.college_id,
+      count: accounts.length
+    });
+
+    const failed = [];
+
+    for (const [index, account] of accounts.entries()) {
+      try {
+        await mailService.sendAccountSetup({
+          to: account.account_email,
+          name: account.account_name,
+          collegeName: college.college_name,
+          setupUrl: buildPortalUrl(college.college_subdomain, '/reset-password', { token: tokens[index] }),
+          expiresInMinutes: AUTH.ACCOUNT_SETUP_TTL_MINUTES
+        });
+      } catch (err) {
+        // Logged by mailService; the account can still use "forgot password"
+        failed.push(account.account_email);
+      }
+    }
+
+    return { sent: accounts.length - failed.length, failed };
+  }
+}
+
+module.exports = new PasswordResetService();
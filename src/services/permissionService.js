@@ -0,0 +1,399 @@
+/**
+ * ============================================================================
+ * PERMISSION SERVICE - Roles & Fine-Grained Permissions
+ * ============================================================================
+ * Single Database Architecture
+ * - Resolves the permissions of a role within a college:
+ *   sysadmin → SYSADMIN_PERMISSIONS (platform-wide only)
+ *   college_roles row (custom role or teacher override) → its permissions
+ *   otherwise → DEFAULT_ROLE_PERMISSIONS
+ * - Role levels come from ROLE_HIERARCHY (custom roles store their own)
+ * - Short in-memory cache (RBAC.CACHE_TTL_MS) - runs on every guarded request
+ * - Admin management of custom roles and teacher overrides
+ */
+
+const { getMainPool } = require('../config/db');
+const logger = require('../config/logger');
+const {
+  LOG,
+  ROLES,
+  ROLE_HIERARCHY,
+  SYSADMIN_PERMISSIONS,
+  COLLEGE_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  RBAC
+} = require('../config/constants');
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Get role definition within a college
+   *
+   * @param {string} collegeId - College ID (null for sysadmin)
+   * @param {string} roleKey - users.user_role value
+   * @returns {Promise<Object|null>} { role_key, role_name, role_level, permissions, is_custom } or null
+   */
+  async getRole(collegeId, roleKey) {
+    if (roleKey === ROLES.SYSADMIN) {
+      return this.toBuiltInRole(ROLES.SYSADMIN, SYSADMIN_PERMISSIONS);
+    }
+
+    const cacheKey = `${collegeId}:${roleKey}`;
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.role;
+    }
+
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT role_key, role_name, role_level, permissions
+       FROM college_roles
+       WHERE college_id = $1
+       AND role_key = $2
+       LIMIT 1`,
+      [collegeId, roleKey]
+    );
+
+    let role = null;
+
+    if (RBAC.BUILT_IN_USER_ROLES.includes(roleKey)) {
+      role = this.toBuiltInRole(
+        roleKey,
+        rows[0] && RBAC.CONFIGURABLE_BUILT_IN_ROLES.includes(roleKey)
+          ? rows[0].permissions
+          : DEFAULT_ROLE_PERMISSIONS[roleKey] || []
+      );
+    } else if (rows.length) {
+      role = { ...rows[0], is_custom: true };
+    }
+
+    this.cache.set(cacheKey, {
+      role,
+      expiresAt: Date.now() + RBAC.CACHE_TTL_MS
+    });
+
+    return role;
+  }
+
+  /**
+   * Get effective permissions of a role within a college
+   *
+   * @param {string} collegeId - College ID (null for sysadmin)
+   * @param {string} roleKey - Role
+   * @returns {Promise<string[]>} Permission names (empty for unknown roles)
+   */
+  async getPermissions(collegeId, roleKey) {
+    const role = await this.getRole(collegeId, roleKey);
+    return role ? role.permissions : [];
+  }
+
+  /**
+   * Get ROLE_HIERARCHY level of a role within a college
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} roleKey - Role
+   * @returns {Promise<number>} Level (0 for unknown roles)
+   */
+  async getLevel(collegeId, roleKey) {
+    const role = await this.getRole(collegeId, roleKey);
+    return role ? role.role_level : 0;
+  }
+
+  /**
+   * List built-in and custom roles of a college with effective permissions
+   *
+   * @param {string} collegeId - College ID
+   * @returns {Promise<Array>} Roles ordered by level (highest first)
+   */
+  async listRoles(collegeId) {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT
+        r.role_key,
+        r.role_name,
+        r.role_level,
+        r.permissions,
+        r.updated_at,
+        (
+          SELECT COUNT(*) FROM users u
+          WHERE u.college_id = r.college_id AND u.user_role = r.role_key
+        ) AS user_count
+      FROM college_roles r
+      WHERE r.college_id = $1
+    `;
+
+    const { rows } = await mainPool.query(query, [collegeId]);
+    const stored = new Map(rows.map((row) => [row.role_key, row]));
+
+    const builtInRoles = [ROLES.ADMIN, ROLES.TEACHER].map((roleKey) => {
+      const override = RBAC.CONFIGURABLE_BUILT_IN_ROLES.includes(roleKey)
+        ? stored.get(roleKey)
+        : null;
+
+      return {
+        ...this.toBuiltInRole(
+          roleKey,
+          override ? override.permissions : DEFAULT_ROLE_PERMISSIONS[roleKey]
+        ),
+        is_overridden: Boolean(override),
+        editable: RBAC.CONFIGURABLE_BUILT_IN_ROLES.includes(roleKey)
+      };
+    });
+
+    const customRoles = rows
+      .filter((row) => !RBAC.BUILT_IN_USER_ROLES.includes(row.role_key))
+      .map((row) => ({
+        role_key: row.role_key,
+        role_name: row.role_name,
+        role_level: row.role_level,
+        permissions: row.permissions,
+        is_custom: true,
+        editable: true,
+        user_count: parseInt(row.user_count, 10),
+        updated_at: row.updated_at
+      }));
+
+    return [...builtInRoles, ...customRoles]
+      .sort((a, b) => b.role_level - a.role_level);
+  }
+
+  /**
+   * Create/update custom role, or override teacher permissions
+   *
+   * Escalation rules (ROLE_HIERARCHY):
+   * - Role level must be below the acting user's level
+   * - Only permissions the acting user holds can be granted
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} roleKey - Role key (e.g. placement_coordinator)
+   * @param {Object} data - { role_name, role_level, permissions }
+   * @param {Object} actor - { id, role }
+   * @returns {Promise<Object>} Saved role
+   * @throws {Error} If role not editable or escalation attempted
+   */
+  async saveRole(collegeId, roleKey, data, actor) {
+    const isBuiltIn = RBAC.BUILT_IN_USER_ROLES.includes(roleKey) || roleKey === ROLES.SYSADMIN;
+
+    if (isBuiltIn && !RBAC.CONFIGURABLE_BUILT_IN_ROLES.includes(roleKey)) {
+      throw new Error('Role cannot be modified');
+    }
+
+    const actorRole = await this.getRole(collegeId, actor.role);
+    const roleLevel = isBuiltIn
+      ? ROLE_HIERARCHY[roleKey]
+      : data.role_level || RBAC.DEFAULT_CUSTOM_LEVEL;
+    const permissions = [...new Set(data.permissions)];
+
+    const escalation = !actorRole ||
+      roleLevel >= actorRole.role_level ||
+      permissions.some((permission) => !actorRole.permissions.includes(permission));
+
+    if (escalation) {
+      logger.warn(`${LOG.SECURITY_PREFIX} Role privilege escalation attempt`, {
+        college_id: collegeId,
+        role_key: roleKey,
+        actor_id: actor.id,
+        actor_role: actor.role
+      });
+      throw new Error('Access denied - role escalation');
+    }
+
+    const mainPool = getMainPool();
+
+    const upsertQuery = `
+      INSERT INTO college_roles (
+        college_id,
+        role_key,
+        role_name,
+        role_level,
+        permissions,
+        created_by,
+        created_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (college_id, role_key) DO UPDATE
+      SET
+        role_name = EXCLUDED.role_name,
+        role_level = EXCLUDED.role_level,
+        permissions = EXCLUDED.permissions,
+        updated_at = NOW()
+      RETURNING role_key, role_name, role_level, permissions, created_at, updated_at
+    `;
+
+    const { rows } = await mainPool.query(upsertQuery, [
+      collegeId,
+      roleKey,
+      isBuiltIn ? this.toRoleName(roleKey) : data.role_name,
+      roleLevel,
+      permissions,
+      actor.id
+    ]);
+
+    this.invalidate();
+
+    logger.info(`${LOG.SECURITY_PREFIX} College role saved`, {
+      college_id: collegeId,
+      role_key: roleKey,
+      permissions,
+      saved_by: actor.id
+    });
+
+    return { ...rows[0], is_custom: !isBuiltIn };
+  }
+
+  /**
+   * Delete custom role, or reset teacher to default permissions
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} roleKey - Role key
+   * @param {Object} actor - { id, role }
+   * @returns {Promise<void>}
+   * @throws {Error} If not found, not editable, in use or above actor's level
+   */
+  async deleteRole(collegeId, roleKey, actor) {
+    const isBuiltIn = RBAC.BUILT_IN_USER_ROLES.includes(roleKey) || roleKey === ROLES.SYSADMIN;
+
+    if (isBuiltIn && !RBAC.CONFIGURABLE_BUILT_IN_ROLES.includes(roleKey)) {
+      throw new Error('Role cannot be modified');
+    }
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `SELECT role_level
+         FROM college_roles
+         WHERE college_id = $1
+         AND role_key = $2
+         LIMIT 1
+         FOR UPDATE`,
+        [collegeId, roleKey]
+      );
+
+      if (!rows.length) {
+        throw new Error('Role not found');
+      }
+
+      const actorLevel = await this.getLevel(collegeId, actor.role);
+
+      if (rows[0].role_level >= actorLevel) {
+        throw new Error('Access denied - role escalation');
+      }
+
+      if (!isBuiltIn) {
+        const usage = await client.query(
+          'SELECT 1 FROM users WHERE college_id = $1 AND user_role = $2 LIMIT 1',
+          [collegeId, roleKey]
+        );
+
+        if (usage.rows.length) {
+          throw new Error('Role in use');
+        }
+      }
+
+      await client.query(
+        'DELETE FROM college_roles WHERE college_id = $1 AND role_key = $2',
+        [collegeId, roleKey]
+      );
+
+      await client.query('COMMIT');
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    this.invalidate();
+
+    logger.info(`${LOG.SECURITY_PREFIX} College role deleted`, {
+      college_id: collegeId,
+      role_key: roleKey,
+      deleted_by: actor.id
+    });
+  }
+
+  /**
+   * Reject roles above the acting user's level (users, invitations, SSO provisioning)
+   * No actor = internal call, not checked
+   *
+   * @param {string} collegeId - College ID
+   * @param {number} roleLevel - Level of the role being assigned
+   * @param {Object} actor - { id, role } (optional)
+   * @returns {Promise<void>}
+   * @throws {Error} If role is above the acting user's level
+   */
+  async assertRoleWithinReach(collegeId, roleLevel, actor) {
+    if (!actor) {
+      return;
+    }
+
+    const actorLevel = await this.getLevel(collegeId, actor.role);
+
+    if (roleLevel > actorLevel) {
+      logger.warn(`${LOG.SECURITY_PREFIX} Role above acting user's level`, {
+        college_id: collegeId,
+        actor_id: actor.id,
+        actor_role: actor.role,
+        role_level: roleLevel
+      });
+      throw new Error('Access denied - role above your own');
+    }
+  }
+
+  /**
+   * Permissions a college can map to its roles
+   *
+   * @returns {string[]}
+   */
+  listAssignablePermissions() {
+    return COLLEGE_PERMISSIONS;
+  }
+
+  /**
+   * Drop cached role lookups (after role changes)
+   */
+  invalidate() {
+    this.cache.clear();
+  }
+
+  /**
+   * @private
+   */
+  toBuiltInRole(roleKey, permissions) {
+    return {
+      role_key: roleKey,
+      role_name: this.toRoleName(roleKey),
+      role_level: ROLE_HIERARCHY[roleKey] ?? ROLE_HIERARCHY[ROLES.STUDENT],
+      permissions,
+      is_custom: false
+    };
+  }
+
+  /**
+   * @private
+   */
+  toRoleName(roleKey) {
+    return roleKey.charAt(0).toUpperCase() + roleKey.slice(1);
+  }
+}
+
+module.exports = new PermissionService();
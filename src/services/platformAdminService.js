@@ -0,0 +1,399 @@
+/**
+ * ============================================================================
+ * PLATFORM ADMIN SERVICE - System Administrator Accounts
+ * ============================================================================
+ * Single Database Architecture
+ * - Sysadmins live in platform_admins (not tied to any college)
+ * - Credential verification with bcrypt hashes
+ * - One-time bootstrap from SYSADMIN_EMAIL / SYSADMIN_PASSWORD
+ * - Create, list, get, update, soft delete
+ * - Last active sysadmin can never be deactivated
+ */
+
+const crypto = require('crypto');
+const { getMainPool } = require('../config/db');
+const config = require('../config/env');
+const passwordHelper = require('../utils/passwordHelper');
+const sessionService = require('./sessionService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  SESSION,
+  DB_ERROR_CODES
+} = require('../config/constants');
+
+const ADMIN_COLUMNS = `
+  platform_admin_id,
+  admin_name,
+  admin_email,
+  admin_status,
+  created_by,
+  last_login_at,
+  created_at,
+  updated_at
+`;
+
+class PlatformAdminService {
+  constructor() {
+    this.dummyHashPromise = null;
+  }
+
+  /**
+   * Verify sysadmin credentials
+   *
+   * Always runs one bcrypt comparison so unknown emails take
+   * as long as wrong passwords (no account enumeration by timing)
+   *
+   * @param {string} email - Admin email
+   * @param {string} password - Admin password
+   * @returns {Promise<Object|null>} Admin record (without password) or null
+   */
+  async authenticate(email, password) {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT ${ADMIN_COLUMNS}, admin_password
+      FROM platform_admins
+      WHERE LOWER(admin_email) = LOWER($1)
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(query, [email]);
+    const admin = rows[0];
+
+    const hash = admin ? admin.admin_password : await this.getDummyHash();
+    const passwordMatch = await passwordHelper.compare(password, hash);
+
+    if (!admin || !passwordMatch || admin.admin_status !== STATUS.ACTIVE) {
+      return null;
+    }
+
+    await mainPool.query(
+      'UPDATE platform_admins SET last_login_at = NOW() WHERE platform_admin_id = $1',
+      [admin.platform_admin_id]
+    );
+
+    delete admin.admin_password;
+    return admin;
+  }
+
+  /**
+   * Seed first sysadmin from env when platform_admins is empty
+   * Safe to call on every start - no-op once any sysadmin exists
+   *
+   * @returns {Promise<Object|null>} Created admin or null if skipped
+   */
+  async bootstrapFromEnv() {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query('SELECT COUNT(*) AS total FROM platform_admins');
+
+    if (parseInt(rows[0].total, 10) > 0) {
+      if (config.sysadminPassword) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} SYSADMIN_PASSWORD is set but ignored - platform admins already exist. Remove it from the environment.`
+        );
+      }
+      return null;
+    }
+
+    if (!config.sysadminEmail || !config.sysadminPassword) {
+      logger.warn(
+        `${LOG.SECURITY_PREFIX} No platform admins exist and SYSADMIN_EMAIL/SYSADMIN_PASSWORD are not set - nobody can sign in as sysadmin`
+      );
+      return null;
+    }
+
+    const hashedPassword = await passwordHelper.hashPassword(config.sysadminPassword);
+
+    const insertQuery = `
+      INSERT INTO platform_admins (admin_name, admin_email, admin_password, admin_status, created_at)
+      SELECT $1, $2, $3, $4, NOW()
+      WHERE NOT EXISTS (SELECT 1 FROM platform_admins)
+      RETURNING ${ADMIN_COLUMNS}
+    `;
+
+    const result = await mainPool.query(insertQuery, [
+      'System Admin',
+      config.sysadminEmail,
+      hashedPassword,
+      STATUS.ACTIVE
+    ]);
+
+    if (!result.rows.length) {
+      return null;
+    }
+
+    logger.info(
+      `${LOG.TRANSACTION_PREFIX} Bootstrapped first platform admin from environment`,
+      { platform_admin_id: result.rows[0].platform_admin_id }
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Create sysadmin
+   *
+   * @param {Object} data - { admin_name, admin_email, admin_password }
+   * @param {string} createdBy - Acting sysadmin ID
+   * @returns {Promise<Object>} Created admin (without password)
+   * @throws {Error} If email already exists
+   */
+  async create(data, createdBy) {
+    const mainPool = getMainPool();
+
+    try {
+      const hashedPassword = await passwordHelper.hashPassword(data.admin_password);
+
+      const insertQuery = `
+        INSERT INTO platform_admins (
+          admin_name,
+          admin_email,
+          admin_password,
+          admin_status,
+          created_by,
+          created_at
+        )
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        RETURNING ${ADMIN_COLUMNS}
+      `;
+
+      const { rows } = await mainPool.query(insertQuery, [
+        data.admin_name,
+        data.admin_email,
+        hashedPassword,
+        STATUS.ACTIVE,
+        createdBy
+      ]);
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Platform admin created`, {
+        platform_admin_id: rows[0].platform_admin_id,
+        created_by: createdBy
+      });
+
+      return rows[0];
+
+    } catch (err) {
+      logger.error(`${LOG.TRANSACTION_PREFIX} Platform admin creation failed`, {
+        error: err.message,
+        code: err.code
+      });
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error('Email already exists');
+      }
+
+      throw err;
+    }
+  }
+
+  /**
+   * List sysadmins with pagination
+   *
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async list(page = 1, limit = 20) {
+    const mainPool = getMainPool();
+    const offset = (page - 1) * limit;
+
+    const countResult = await mainPool.query('SELECT COUNT(*) AS total FROM platform_admins');
+    const total = parseInt(countResult.rows[0].total);
+
+    const query = `
+      SELECT ${ADMIN_COLUMNS}
+      FROM platform_admins
+      ORDER BY created_at DESC
+      LIMIT $1
+      OFFSET $2
+    `;
+
+    const { rows } = await mainPool.query(query, [limit, offset]);
+
+    return {
+      data: rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get sysadmin by ID
+   *
+   * @param {string} adminId - Platform admin ID
+   * @returns {Promise<Object>} Admin (without password)
+   * @throws {Error} If not found
+   */
+  async getById(adminId) {
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT ${ADMIN_COLUMNS}
+      FROM platform_admins
+      WHERE platform_admin_id = $1
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(query, [adminId]);
+
+    if (!rows.length) {
+      throw new Error('Platform admin not found');
+    }
+
+    return rows[0];
+  }
+
+  /**
+   * Update sysadmin (name, password, status)
+   * Deactivation or password change revokes the admin's sessions
+   *
+   * @param {string} adminId - Platform admin ID
+   * @param {Object} data - { admin_name, admin_password, admin_status }
+   * @param {string} actorId - Acting sysadmin ID
+   * @returns {Promise<Object>} Updated admin
+   * @throws {Error} If not found or last active admin would be deactivated
+   */
+  async update(adminId, data, actorId) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Starting platform admin update`, {
+        platform_admin_id: adminId,
+        updated_by: actorId
+      });
+
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      const checkResult = await client.query(
+        'SELECT platform_admin_id, admin_status FROM platform_admins WHERE platform_admin_id = $1 LIMIT 1',
+        [adminId]
+      );
+
+      if (!checkResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Platform admin not found');
+      }
+
+      if (data.admin_status === STATUS.INACTIVE) {
+        await this.assertNotLastActiveAdmin(client, adminId, actorId);
+      }
+
+      const hashedPassword = data.admin_password
+        ? await passwordHelper.hashPassword(data.admin_password)
+        : null;
+
+      const updateQuery = `
+        UPDATE platform_admins
+        SET
+          admin_name = COALESCE($1, admin_name),
+          admin_password = COALESCE($2, admin_password),
+          admin_status = COALESCE($3, admin_status),
+          updated_at = NOW()
+        WHERE platform_admin_id = $4
+        RETURNING ${ADMIN_COLUMNS}
+      `;
+
+      const updateResult = await client.query(updateQuery, [
+        data.admin_name || null,
+        hashedPassword,
+        data.admin_status || null,
+        adminId
+      ]);
+
+      if (hashedPassword || data.admin_status === STATUS.INACTIVE) {
+        await sessionService.revokeAllForSubject(
+          adminId,
+          SESSION.REVOKE_REASONS.SUBJECT_INACTIVE,
+          client
+        );
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Platform admin updated`, {
+        platform_admin_id: adminId,
+        updated_by: actorId
+      });
+
+      return updateResult.rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Platform admin update failed`, {
+        error: err.message,
+        platform_admin_id: adminId
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Soft delete sysadmin (set status to inactive)
+   *
+   * @param {string} adminId - Platform admin ID
+   * @param {string} actorId - Acting sysadmin ID
+   * @throws {Error} If not found or last active admin
+   */
+  async delete(adminId, actorId) {
+    await this.update(adminId, { admin_status: STATUS.INACTIVE }, actorId);
+  }
+
+  /**
+   * Guard against locking everyone out of the platform
+   *
+   * @private
+   */
+  async assertNotLastActiveAdmin(client, adminId, actorId) {
+    if (adminId === actorId) {
+      await client.query('ROLLBACK');
+      throw new Error('Cannot deactivate your own account');
+    }
+
+    const { rows } = await client.query(
+      `SELECT COUNT(*) AS total FROM platform_admins
+       WHERE admin_status = $1 AND platform_admin_id <> $2`,
+      [STATUS.ACTIVE, adminId]
+    );
+
+    if (parseInt(rows[0].total, 10) === 0) {
+      await client.query('ROLLBACK');
+      throw new Error('Cannot deactivate the last active platform admin');
+    }
+  }
+
+  /**
+   * Bcrypt hash of a random secret, used when the email is unknown
+   *
+   * @private
+   */
+  getDummyHash() {
+    if (!this.dummyHashPromise) {
+      this.dummyHashPromise = passwordHelper.hashPassword(
+        crypto.randomBytes(16).toString('hex')
+      );
+    }
+    return this.dummyHashPromise;
+  }
+}
+
+module.exports = new PlatformAdminService();
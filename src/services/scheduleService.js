@@ -0,0 +1,1822 @@
+/**
+ * ============================================================================
+ * SCHEDULE SERVICE - Interview / Test Rounds, Slots & Allocation
+ * ============================================================================
+ * Single Database Architecture
+ * - Rounds: one per drive stage (e.g. aptitude_test, interview_1) with its
+ *   mode and default venue / online link
+ * - Slots: time slots of a round with capacity, panel and venue / link
+ * - Automatic allocation: applicants currently in the round's stage are
+ *   placed in the earliest future slot with room that does not clash
+ * - Manual allocation (applications in the round's stage), rescheduling
+ *   and cancellation
+ * - Clash detection: a student's scheduled slots never overlap, across
+ *   every drive of the college
+ * - Student's own schedule
+ *
+ * Every change is written to the audit log inside its transaction.
+ *
+ * Allocations lock the round row so automatic and manual allocation of a
+ * round never overbook a slot; student rows are locked (in ID order) while
+ * their clashes are checked.
+ */
+
+const { getMainPool } = require('../config/db');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+const {
+  LOG,
+  AUDIT,
+  DRIVES,
+  APPLICATIONS,
+  SCHEDULING,
+  DB_ERROR_CODES
+} = require('../config/constants');
+
+const SCHEDULED = SCHEDULING.ALLOCATION_STATUS.SCHEDULED;
+const OUTCOMES = Object.values(APPLICATIONS.OUTCOMES);
+
+const ROUND_COLUMNS = `
+  r.round_id,
+  r.college_id,
+  r.drive_id,
+  d.role_title,
+  c.company_name,
+  r.stage,
+  r.round_name,
+  r.round_type,
+  r.mode,
+  r.venue,
+  r.meeting_link,
+  r.instructions,
+  r.created_by,
+  r.created_at,
+  r.updated_at
+`;
+
+const ROUND_FROM = `
+  FROM drive_rounds r
+  JOIN drives d ON d.drive_id = r.drive_id
+  JOIN companies c ON c.company_id = d.company_id
+`;
+
+// booked = scheduled students in the slot
+const SLOT_COLUMNS = `
+  s.slot_id,
+  s.round_id,
+  s.starts_at,
+  s.ends_at,
+  s.capacity,
+  (SELECT COUNT(*)::int
+   FROM slot_allocations sa
+   WHERE sa.slot_id = s.slot_id
+   AND sa.allocation_status = '${SCHEDULED}') AS booked,
+  s.panel_name,
+  s.panel_members,
+  s.venue,
+  s.meeting_link,
+  s.created_at,
+  s.updated_at
+`;
+
+const ALLOCATION_COLUMNS = `
+  sa.allocation_id,
+  sa.round_id,
+  sa.slot_id,
+  sa.application_id,
+  sa.student_id,
+  st.student_name,
+  st.roll_number,
+  s.starts_at,
+  s.ends_at,
+  COALESCE(s.venue, r.venue) AS venue,
+  COALESCE(s.meeting_link, r.meeting_link) AS meeting_link,
+  sa.allocation_status,
+  sa.allocated_by,
+  sa.allocated_at,
+  sa.rescheduled_at,
+  sa.cancelled_at
+`;
+
+const ALLOCATION_FROM = `
+  FROM slot_allocations sa
+  JOIN round_slots s ON s.slot_id = sa.slot_id
+  JOIN drive_rounds r ON r.round_id = sa.round_id
+  JOIN students st ON st.student_id = sa.student_id
+`;
+
+class ScheduleService {
+  /**
+   * Create round for a stage of the drive's pipeline
+   *
+   * @param {Object} data - { college_id, created_by, drive_id, stage, round_name,
+   *   round_type, mode, venue, meeting_link, instructions }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Created round
+   * @throws {Error} If drive not found or completed, unknown stage or the
+   *   stage already has a round
+   */
+  async createRound(data, context = {}) {
+    const { college_id, drive_id } = data;
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting round creation transaction`,
+        { college_id, drive_id, stage: data.stage }
+      );
+
+      await client.query('BEGIN');
+
+      const driveResult = await client.query(
+        `SELECT drive_status, application_stages
+         FROM drives
+         WHERE drive_id = $1
+         AND college_id = $2
+         LIMIT 1
+         FOR SHARE`,
+        [drive_id, college_id]
+      );
+
+      if (!driveResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Drive not found');
+      }
+
+      const drive = driveResult.rows[0];
+
+      this.assertScheduleEditable(drive.drive_status);
+
+      if (!drive.application_stages.includes(data.stage)) {
+        await client.query('ROLLBACK');
+        throw new Error(
+          `Unknown stage ${data.stage} - this drive uses: ${drive.application_stages.join(', ')}`
+        );
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO drive_rounds (
+           college_id,
+           drive_id,
+           stage,
+           round_name,
+           round_type,
+           mode,
+           venue,
+           meeting_link,
+           instructions,
+           created_by,
+           created_at,
+           updated_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+         RETURNING round_id`,
+        [
+          college_id,
+          drive_id,
+          data.stage,
+          data.round_name,
+          data.round_type,
+          data.mode,
+          data.venue || null,
+          data.meeting_link || null,
+          data.instructions || null,
+          data.created_by || null
+        ]
+      );
+
+      const round = await this.fetchRound(client, insertResult.rows[0].round_id, college_id);
+
+      await auditService.record(
+        client,
+        {
+          college_id: college_id,
+          entity_type: AUDIT.ENTITY_TYPES.ROUND,
+          entity_id: round.round_id,
+          action: AUDIT.ACTIONS.CREATE,
+          before: null,
+          after: round
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Round created successfully`,
+        {
+          round_id: round.round_id,
+          drive_id,
+          stage: round.stage,
+          college_id
+        }
+      );
+
+      return round;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Round creation failed`,
+        {
+          error: err.message,
+          drive_id,
+          college_id
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error(`Round already exists for stage ${data.stage}`);
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rounds of a drive in pipeline order with slot totals
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} driveId - Drive ID
+   * @returns {Array} Rounds with slot_count, total_capacity, scheduled_count
+   */
+  async listRounds(collegeId, driveId) {
+    const mainPool = getMainPool();
+
+    try {
+      const { rows } = await mainPool.query(
+        `SELECT
+           ${ROUND_COLUMNS},
+           (SELECT COUNT(*)::int FROM round_slots s WHERE s.round_id = r.round_id) AS slot_count,
+           (SELECT COALESCE(SUM(s.capacity), 0)::int FROM round_slots s WHERE s.round_id = r.round_id) AS total_capacity,
+           (SELECT COUNT(*)::int
+            FROM slot_allocations sa
+            WHERE sa.round_id = r.round_id
+            AND sa.allocation_status = $3) AS scheduled_count
+         ${ROUND_FROM}
+         WHERE r.drive_id = $1
+         AND r.college_id = $2
+         ORDER BY array_position(d.application_stages, r.stage::text), r.created_at`,
+        [driveId, collegeId, SCHEDULED]
+      );
+
+      return rows;
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Round list failed`,
+        {
+          error: err.message,
+          drive_id: driveId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Round timetable: slots with their scheduled students, plus applicants
+   * in the round's stage who have no slot yet
+   *
+   * @param {string} roundId - Round ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @returns {Object} Round with slots [{ ..., allocations }] and unscheduled
+   * @throws {Error} If not found
+   */
+  async getRound(roundId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Fetching round by ID`, {
+        round_id: roundId,
+        college_id: collegeId
+      });
+
+      const round = await this.fetchRound(mainPool, roundId, collegeId);
+
+      if (!round) {
+        throw new Error('Round not found');
+      }
+
+      const slotResult = await mainPool.query(
+        `SELECT ${SLOT_COLUMNS}
+         FROM round_slots s
+         WHERE s.round_id = $1
+         ORDER BY s.starts_at, s.slot_id`,
+        [roundId]
+      );
+
+      const allocationResult = await mainPool.query(
+        `SELECT ${ALLOCATION_COLUMNS}
+         ${ALLOCATION_FROM}
+         WHERE sa.round_id = $1
+         AND sa.allocation_status = $2
+         ORDER BY s.starts_at, st.student_name`,
+        [roundId, SCHEDULED]
+      );
+
+      const unscheduledResult = await mainPool.query(
+        `SELECT a.application_id, a.student_id, st.student_name, st.roll_number
+         FROM applications a
+         JOIN students st ON st.student_id = a.student_id
+         WHERE a.drive_id = $1
+         AND a.current_stage = $2
+         AND NOT EXISTS (
+           SELECT 1
+           FROM slot_allocations sa
+           WHERE sa.round_id = $3
+           AND sa.application_id = a.application_id
+           AND sa.allocation_status = $4
+         )
+         ORDER BY a.applied_at, a.application_id`,
+        [round.drive_id, round.stage, roundId, SCHEDULED]
+      );
+
+      const slots = slotResult.rows.map((slot) => ({
+        ...slot,
+        allocations: allocationResult.rows.filter((allocation) => allocation.slot_id === slot.slot_id)
+      }));
+
+      return {
+        ...round,
+        slots,
+        unscheduled: unscheduledResult.rows
+      };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Round retrieval failed`,
+        {
+          error: err.message,
+          round_id: roundId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Update round details (SCHEDULING.ROUND_FIELDS - stage is fixed)
+   *
+   * @param {string} roundId - Round ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - Fields to update - null clears optional fields
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated round
+   * @throws {Error} If not found or the drive is completed
+   */
+  async updateRound(roundId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting round update transaction`,
+        { round_id: roundId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const before = await this.fetchRound(client, roundId, collegeId, true);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Round not found');
+      }
+
+      this.assertScheduleEditable(before.drive_status);
+
+      const fields = SCHEDULING.ROUND_FIELDS
+        .filter((field) => data[field] !== undefined);
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      const values = fields.map((field) => data[field]);
+
+      assignments.push('updated_at = NOW()');
+
+      await client.query(
+        `UPDATE drive_rounds
+         SET
+           ${assignments.join(',\n           ')}
+         WHERE round_id = $${values.length + 1}
+         AND college_id = $${values.length + 2}`,
+        [...values, roundId, collegeId]
+      );
+
+      const after = await this.fetchRound(client, roundId, collegeId);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.ROUND,
+          entity_id: roundId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: before,
+          after: after
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Round updated successfully`,
+        {
+          round_id: roundId,
+          college_id: collegeId,
+          fields
+        }
+      );
+
+      return after;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Round update failed`,
+        {
+          error: err.message,
+          round_id: roundId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete round and its slots (no student may still be scheduled)
+   *
+   * @param {string} roundId - Round ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @throws {Error} If not found, drive completed or students scheduled
+   */
+  async deleteRound(roundId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting round deletion transaction`,
+        { round_id: roundId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const round = await this.fetchRound(client, roundId, collegeId, true);
+
+      if (!round) {
+        await client.query('ROLLBACK');
+        throw new Error('Round not found');
+      }
+
+      this.assertScheduleEditable(round.drive_status);
+
+      const { rows } = await client.query(
+        `SELECT COUNT(*)::int AS scheduled
+         FROM slot_allocations
+         WHERE round_id = $1
+         AND allocation_status = $2`,
+        [roundId, SCHEDULED]
+      );
+
+      if (rows[0].scheduled > 0) {
+        await client.query('ROLLBACK');
+        throw new Error(`Round has ${rows[0].scheduled} scheduled students - cancel their slots first`);
+      }
+
+      await client.query(
+        'DELETE FROM drive_rounds WHERE round_id = $1 AND college_id = $2',
+        [roundId, collegeId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.ROUND,
+          entity_id: roundId,
+          action: AUDIT.ACTIONS.DELETE,
+          before: round,
+          after: null
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Round deleted successfully`,
+        {
+          round_id: roundId,
+          college_id: collegeId
+        }
+      );
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Round deletion failed`,
+        {
+          error: err.message,
+          round_id: roundId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add time slots to a round
+   *
+   * @param {string} roundId - Round ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Array} slots - [{ starts_at, ends_at, capacity, panel_name,
+   *   panel_members, venue, meeting_link }]
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Array} Created slots
+   * @throws {Error} If round not found or drive completed
+   */
+  async addSlots(roundId, collegeId, slots, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting slot creation transaction`,
+        { round_id: roundId, college_id: collegeId, total_slots: slots.length }
+      );
+
+      await client.query('BEGIN');
+
+      const round = await this.fetchRound(client, roundId, collegeId, true);
+
+      if (!round) {
+        await client.query('ROLLBACK');
+        throw new Error('Round not found');
+      }
+
+      this.assertScheduleEditable(round.drive_status);
+
+      const slotIds = [];
+
+      for (const slot of slots) {
+        const { rows } = await client.query(
+          `INSERT INTO round_slots (
+             round_id,
+             college_id,
+             starts_at,
+             ends_at,
+             capacity,
+             panel_name,
+             panel_members,
+             venue,
+             meeting_link,
+             created_at,
+             updated_at
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+           RETURNING slot_id`,
+          [
+            roundId,
+            collegeId,
+            slot.starts_at,
+            slot.ends_at,
+            slot.capacity,
+            slot.panel_name || null,
+            slot.panel_members || [],
+            slot.venue || null,
+            slot.meeting_link || null
+          ]
+        );
+
+        slotIds.push(rows[0].slot_id);
+      }
+
+      const { rows } = await client.query(
+        `SELECT ${SLOT_COLUMNS}
+         FROM round_slots s
+         WHERE s.slot_id = ANY($1::uuid[])
+         ORDER BY s.starts_at, s.slot_id`,
+        [slotIds]
+      );
+
+      for (const slot of rows) {
+        await auditService.record(
+          client,
+          {
+            college_id: collegeId,
+            entity_type: AUDIT.ENTITY_TYPES.SLOT,
+            entity_id: slot.slot_id,
+            action: AUDIT.ACTIONS.CREATE,
+            before: null,
+            after: this.slotSnapshot(slot)
+          },
+          context
+        );
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Slots created successfully`,
+        {
+          round_id: roundId,
+          college_id: collegeId,
+          created_count: rows.length
+        }
+      );
+
+      return rows;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Slot creation failed`,
+        {
+          error: err.message,
+          round_id: roundId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update slot (SCHEDULING.SLOT_FIELDS)
+   *
+   * Capacity cannot drop below the students already scheduled; a new time
+   * must not clash with their other scheduled slots.
+   *
+   * @param {string} slotId - Slot ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - Fields to update - null clears optional fields
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated slot
+   * @throws {Error} If not found, invalid times / capacity or a clash
+   */
+  async updateSlot(slotId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting slot update transaction`,
+        { slot_id: slotId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const before = await this.lockSlot(client, slotId, collegeId);
+
+      if (!before) {
+        await client.query('ROLLBACK');
+        throw new Error('Slot not found');
+      }
+
+      this.assertScheduleEditable(before.drive_status);
+
+      const startsAt = new Date(data.starts_at || before.starts_at);
+      const endsAt = new Date(data.ends_at || before.ends_at);
+
+      if (endsAt <= startsAt) {
+        await client.query('ROLLBACK');
+        throw new Error('Invalid slot: end time must be after the start time');
+      }
+
+      if (endsAt - startsAt > SCHEDULING.MAX_SLOT_MINUTES * 60000) {
+        await client.query('ROLLBACK');
+        throw new Error(`Invalid slot: a slot cannot be longer than ${SCHEDULING.MAX_SLOT_MINUTES} minutes`);
+      }
+
+      if (data.capacity !== undefined && data.capacity < before.booked) {
+        await client.query('ROLLBACK');
+        throw new Error(`Invalid slot: capacity cannot be below the ${before.booked} students already scheduled`);
+      }
+
+      // ====================================================================
+      // New time must suit every student already in the slot
+      // ====================================================================
+      const timeChanged = startsAt.getTime() !== new Date(before.starts_at).getTime()
+        || endsAt.getTime() !== new Date(before.ends_at).getTime();
+
+      if (timeChanged && before.booked > 0) {
+        const { rows: allocations } = await client.query(
+          `SELECT sa.allocation_id, sa.student_id, st.student_name
+           FROM slot_allocations sa
+           JOIN students st ON st.student_id = sa.student_id
+           WHERE sa.slot_id = $1
+           AND sa.allocation_status = $2
+           ORDER BY sa.student_id`,
+          [slotId, SCHEDULED]
+        );
+
+        await this.lockStudents(client, allocations.map((allocation) => allocation.student_id));
+
+        for (const allocation of allocations) {
+          await this.assertNoClash(client, allocation, startsAt, endsAt, allocation.allocation_id);
+        }
+      }
+
+      const fields = SCHEDULING.SLOT_FIELDS
+        .filter((field) => data[field] !== undefined);
+      const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+      const values = fields.map((field) => (
+        field === 'panel_members' && data[field] === null ? [] : data[field]
+      ));
+
+      assignments.push('updated_at = NOW()');
+
+      await client.query(
+        `UPDATE round_slots
+         SET
+           ${assignments.join(',\n           ')}
+         WHERE slot_id = $${values.length + 1}
+         AND college_id = $${values.length + 2}`,
+        [...values, slotId, collegeId]
+      );
+
+      const { rows } = await client.query(
+        `SELECT ${SLOT_COLUMNS}
+         FROM round_slots s
+         WHERE s.slot_id = $1`,
+        [slotId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.SLOT,
+          entity_id: slotId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: this.slotSnapshot(before),
+          after: this.slotSnapshot(rows[0])
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Slot updated successfully`,
+        {
+          slot_id: slotId,
+          college_id: collegeId,
+          fields
+        }
+      );
+
+      return rows[0];
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Slot update failed`,
+        {
+          error: err.message,
+          slot_id: slotId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete slot (no student may still be scheduled in it)
+   *
+   * @param {string} slotId - Slot ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @throws {Error} If not found, drive completed or students scheduled
+   */
+  async deleteSlot(slotId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting slot deletion transaction`,
+        { slot_id: slotId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const slot = await this.lockSlot(client, slotId, collegeId);
+
+      if (!slot) {
+        await client.query('ROLLBACK');
+        throw new Error('Slot not found');
+      }
+
+      this.assertScheduleEditable(slot.drive_status);
+
+      if (slot.booked > 0) {
+        await client.query('ROLLBACK');
+        throw new Error(`Slot has ${slot.booked} scheduled students - reschedule them first`);
+      }
+
+      await client.query(
+        'DELETE FROM round_slots WHERE slot_id = $1 AND college_id = $2',
+        [slotId, collegeId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.SLOT,
+          entity_id: slotId,
+          action: AUDIT.ACTIONS.DELETE,
+          before: this.slotSnapshot(slot),
+          after: null
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Slot deleted successfully`,
+        {
+          slot_id: slotId,
+          college_id: collegeId
+        }
+      );
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Slot deletion failed`,
+        {
+          error: err.message,
+          slot_id: slotId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Allocate every unscheduled applicant in the round's stage
+   *
+   * Applicants (earliest application first) get the earliest future slot
+   * with room that does not overlap their other scheduled slots. dry_run
+   * returns the plan without saving it.
+   *
+   * @param {string} roundId - Round ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} options - { dry_run }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} { dry_run, allocated_count, unallocated_count,
+   *   allocated: [{ application_id, student_id, student_name, slot_id, starts_at, ends_at }],
+   *   unallocated: [{ application_id, student_id, student_name, reason }] }
+   * @throws {Error} If round not found or the drive is not published / closed
+   */
+  async autoAllocate(roundId, collegeId, options = {}, context = {}) {
+    const dryRun = Boolean(options.dry_run);
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting automatic slot allocation`,
+        { round_id: roundId, college_id: collegeId, dry_run: dryRun }
+      );
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Lock round, load future slots with their free seats
+      // ====================================================================
+      const round = await this.fetchRound(client, roundId, collegeId, true);
+
+      if (!round) {
+        await client.query('ROLLBACK');
+        throw new Error('Round not found');
+      }
+
+      this.assertAllocatable(round.drive_status);
+
+      const { rows: slots } = await client.query(
+        `SELECT ${SLOT_COLUMNS}
+         FROM round_slots s
+         WHERE s.round_id = $1
+         AND s.starts_at > NOW()
+         ORDER BY s.starts_at, s.slot_id`,
+        [roundId]
+      );
+
+      // ====================================================================
+      // Step 2: Applicants in the round's stage without a slot
+      // ====================================================================
+      const { rows: applicants } = await client.query(
+        `SELECT a.application_id, a.student_id, st.student_name
+         FROM applications a
+         JOIN students st ON st.student_id = a.student_id
+         WHERE a.drive_id = $1
+         AND a.current_stage = $2
+         AND NOT EXISTS (
+           SELECT 1
+           FROM slot_allocations sa
+           WHERE sa.round_id = $3
+           AND sa.application_id = a.application_id
+           AND sa.allocation_status = $4
+         )
+         ORDER BY a.applied_at, a.application_id`,
+        [round.drive_id, round.stage, roundId, SCHEDULED]
+      );
+
+      // ====================================================================
+      // Step 3: Their scheduled slots in every drive (clash detection)
+      // ====================================================================
+      const studentIds = applicants.map((applicant) => applicant.student_id);
+
+      await this.lockStudents(client, studentIds);
+
+      const { rows: busyRows } = studentIds.length
+        ? await client.query(
+          `SELECT sa.student_id, s.starts_at, s.ends_at
+           FROM slot_allocations sa
+           JOIN round_slots s ON s.slot_id = sa.slot_id
+           WHERE sa.student_id = ANY($1::uuid[])
+           AND sa.allocation_status = $2
+           AND s.ends_at > NOW()`,
+          [studentIds, SCHEDULED]
+        )
+        : { rows: [] };
+
+      const busy = new Map();
+
+      for (const row of busyRows) {
+        if (!busy.has(row.student_id)) {
+          busy.set(row.student_id, []);
+        }
+        busy.get(row.student_id).push({ starts_at: new Date(row.starts_at), ends_at: new Date(row.ends_at) });
+      }
+
+      // ====================================================================
+      // Step 4: Earliest free, clash-free slot per applicant
+      // ====================================================================
+      const free = slots.map((slot) => ({
+        ...slot,
+        starts_at: new Date(slot.starts_at),
+        ends_at: new Date(slot.ends_at),
+        remaining: slot.capacity - slot.booked
+      }));
+
+      const allocated = [];
+      const unallocated = [];
+
+      for (const applicant of applicants) {
+        const intervals = busy.get(applicant.student_id) || [];
+        const open = free.filter((slot) => slot.remaining > 0);
+        const slot = open.find((candidate) => !intervals.some((interval) => (
+          candidate.starts_at < interval.ends_at && candidate.ends_at > interval.starts_at
+        )));
+
+        if (!slot) {
+          unallocated.push({
+            application_id: applicant.application_id,
+            student_id: applicant.student_id,
+            student_name: applicant.student_name,
+            reason: open.length
+              ? 'Every free slot clashes with another scheduled round'
+              : 'No slot with free capacity'
+          });
+          continue;
+        }
+
+        slot.remaining -= 1;
+        intervals.push({ starts_at: slot.starts_at, ends_at: slot.ends_at });
+        busy.set(applicant.student_id, intervals);
+
+        allocated.push({
+          application_id: applicant.application_id,
+          student_id: applicant.student_id,
+          student_name: applicant.student_name,
+          slot_id: slot.slot_id,
+          starts_at: slot.starts_at,
+          ends_at: slot.ends_at
+        });
+      }
+
+      if (dryRun || !allocated.length) {
+        await client.query('ROLLBACK');
+      } else {
+        const insertResult = await client.query(
+          `INSERT INTO slot_allocations (
+             college_id,
+             round_id,
+             slot_id,
+             application_id,
+             student_id,
+             allocation_status,
+             allocated_by,
+             allocated_at,
+             updated_at
+           )
+           SELECT $1, $2, t.slot_id, t.application_id, t.student_id, $6, $7, NOW(), NOW()
+           FROM unnest($3::uuid[], $4::uuid[], $5::uuid[]) AS t(slot_id, application_id, student_id)
+           RETURNING allocation_id`,
+          [
+            collegeId,
+            roundId,
+            allocated.map((allocation) => allocation.slot_id),
+            allocated.map((allocation) => allocation.application_id),
+            allocated.map((allocation) => allocation.student_id),
+            SCHEDULED,
+            context.actor?.id || null
+          ]
+        );
+
+        const { rows: created } = await client.query(
+          `SELECT ${ALLOCATION_COLUMNS}
+           ${ALLOCATION_FROM}
+           WHERE sa.allocation_id = ANY($1::uuid[])`,
+          [insertResult.rows.map((row) => row.allocation_id)]
+        );
+
+        for (const allocation of created) {
+          await auditService.record(
+            client,
+            {
+              college_id: collegeId,
+              entity_type: AUDIT.ENTITY_TYPES.ALLOCATION,
+              entity_id: allocation.allocation_id,
+              action: AUDIT.ACTIONS.CREATE,
+              before: null,
+              after: allocation
+            },
+            context
+          );
+        }
+
+        await client.query('COMMIT');
+      }
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Automatic slot allocation completed`,
+        {
+          round_id: roundId,
+          college_id: collegeId,
+          dry_run: dryRun,
+          allocated_count: allocated.length,
+          unallocated_count: unallocated.length
+        }
+      );
+
+      return {
+        dry_run: dryRun,
+        allocated_count: allocated.length,
+        unallocated_count: unallocated.length,
+        allocated,
+        unallocated
+      };
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Automatic slot allocation failed`,
+        {
+          error: err.message,
+          round_id: roundId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Place one application in a slot
+   *
+   * @param {string} slotId - Slot ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {string} applicationId - Application of the round's drive
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Allocation
+   * @throws {Error} If not found, slot started / full, application final or
+   *   not in the round's stage, already scheduled in the round or a clash
+   */
+  async allocate(slotId, collegeId, applicationId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting slot allocation`,
+        { slot_id: slotId, application_id: applicationId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const slot = await this.lockSlot(client, slotId, collegeId);
+
+      if (!slot) {
+        await client.query('ROLLBACK');
+        throw new Error('Slot not found');
+      }
+
+      this.assertAllocatable(slot.drive_status);
+      this.assertSlotOpen(slot);
+
+      const applicationResult = await client.query(
+        `SELECT a.application_id, a.student_id, a.current_stage, st.student_name
+         FROM applications a
+         JOIN students st ON st.student_id = a.student_id
+         WHERE a.application_id = $1
+         AND a.drive_id = $2
+         AND a.college_id = $3
+         LIMIT 1`,
+        [applicationId, slot.drive_id, collegeId]
+      );
+      const application = applicationResult.rows[0];
+
+      if (!application) {
+        await client.query('ROLLBACK');
+        throw new Error('Application not found');
+      }
+
+      if (OUTCOMES.includes(application.current_stage)) {
+        await client.query('ROLLBACK');
+        throw new Error(`Application is already ${application.current_stage}`);
+      }
+
+      // Same rule as automatic allocation: only the round's stage
+      if (application.current_stage !== slot.stage) {
+        await client.query('ROLLBACK');
+        throw new Error(
+          `Stage mismatch: application is in ${application.current_stage}, this round is for ${slot.stage}`
+        );
+      }
+
+      const existingResult = await client.query(
+        `SELECT 1
+         FROM slot_allocations
+         WHERE round_id = $1
+         AND application_id = $2
+         AND allocation_status = $3
+         LIMIT 1`,
+        [slot.round_id, applicationId, SCHEDULED]
+      );
+
+      if (existingResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Application is already scheduled for this round - reschedule it instead');
+      }
+
+      await this.lockStudents(client, [application.student_id]);
+      await this.assertNoClash(client, application, slot.starts_at, slot.ends_at);
+
+      const insertResult = await client.query(
+        `INSERT INTO slot_allocations (
+           college_id,
+           round_id,
+           slot_id,
+           application_id,
+           student_id,
+           allocation_status,
+           allocated_by,
+           allocated_at,
+           updated_at
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+         RETURNING allocation_id`,
+        [
+          collegeId,
+          slot.round_id,
+          slotId,
+          applicationId,
+          application.student_id,
+          SCHEDULED,
+          context.actor?.id || null
+        ]
+      );
+
+      const allocation = await this.fetchAllocation(client, insertResult.rows[0].allocation_id, collegeId);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.ALLOCATION,
+          entity_id: allocation.allocation_id,
+          action: AUDIT.ACTIONS.CREATE,
+          before: null,
+          after: allocation
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Slot allocated successfully`,
+        {
+          allocation_id: allocation.allocation_id,
+          slot_id: slotId,
+          application_id: applicationId,
+          college_id: collegeId
+        }
+      );
+
+      return allocation;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Slot allocation failed`,
+        {
+          error: err.message,
+          slot_id: slotId,
+          application_id: applicationId,
+          college_id: collegeId
+        }
+      );
+
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error('Application is already scheduled for this round - reschedule it instead');
+      }
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move an allocation to another slot of the same round
+   *
+   * @param {string} allocationId - Allocation ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {string} slotId - New slot ID
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated allocation
+   * @throws {Error} If not found, cancelled, other round, slot started / full
+   *   or a clash
+   */
+  async reschedule(allocationId, collegeId, slotId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting reschedule`,
+        { allocation_id: allocationId, slot_id: slotId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const allocationResult = await client.query(
+        `SELECT sa.allocation_id, sa.round_id, sa.slot_id, sa.student_id,
+                sa.allocation_status, st.student_name
+         FROM slot_allocations sa
+         JOIN students st ON st.student_id = sa.student_id
+         WHERE sa.allocation_id = $1
+         AND sa.college_id = $2
+         LIMIT 1`,
+        [allocationId, collegeId]
+      );
+      const allocation = allocationResult.rows[0];
+
+      if (!allocation) {
+        await client.query('ROLLBACK');
+        throw new Error('Allocation not found');
+      }
+
+      const slot = await this.lockSlot(client, slotId, collegeId);
+
+      if (!slot) {
+        await client.query('ROLLBACK');
+        throw new Error('Slot not found');
+      }
+
+      // Re-read under the round lock
+      const { rows: current } = await client.query(
+        `SELECT slot_id, allocation_status
+         FROM slot_allocations
+         WHERE allocation_id = $1
+         FOR UPDATE`,
+        [allocationId]
+      );
+
+      if (current[0].allocation_status !== SCHEDULED) {
+        await client.query('ROLLBACK');
+        throw new Error('Allocation is already cancelled');
+      }
+
+      if (slot.round_id !== allocation.round_id) {
+        await client.query('ROLLBACK');
+        throw new Error('Invalid slot: the new slot belongs to another round');
+      }
+
+      if (current[0].slot_id === slotId) {
+        await client.query('ROLLBACK');
+        throw new Error('Allocation is already in this slot');
+      }
+
+      this.assertAllocatable(slot.drive_status);
+      this.assertSlotOpen(slot);
+
+      await this.lockStudents(client, [allocation.student_id]);
+      await this.assertNoClash(client, allocation, slot.starts_at, slot.ends_at, allocationId);
+
+      const before = await this.fetchAllocation(client, allocationId, collegeId);
+
+      await client.query(
+        `UPDATE slot_allocations
+         SET slot_id = $1,
+             allocated_by = $2,
+             rescheduled_at = NOW(),
+             updated_at = NOW()
+         WHERE allocation_id = $3
+         AND college_id = $4`,
+        [slotId, context.actor?.id || null, allocationId, collegeId]
+      );
+
+      const after = await this.fetchAllocation(client, allocationId, collegeId);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.ALLOCATION,
+          entity_id: allocationId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: before,
+          after: after
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Allocation rescheduled successfully`,
+        {
+          allocation_id: allocationId,
+          from_slot: current[0].slot_id,
+          to_slot: slotId,
+          college_id: collegeId
+        }
+      );
+
+      return after;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Reschedule failed`,
+        {
+          error: err.message,
+          allocation_id: allocationId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel an allocation (frees the seat, row kept as cancelled)
+   *
+   * @param {string} allocationId - Allocation ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Cancelled allocation
+   * @throws {Error} If not found or already cancelled
+   */
+  async cancelAllocation(allocationId, collegeId, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting allocation cancellation`,
+        { allocation_id: allocationId, college_id: collegeId }
+      );
+
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `SELECT allocation_status
+         FROM slot_allocations
+         WHERE allocation_id = $1
+         AND college_id = $2
+         LIMIT 1
+         FOR UPDATE`,
+        [allocationId, collegeId]
+      );
+
+      if (!rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Allocation not found');
+      }
+
+      if (rows[0].allocation_status !== SCHEDULED) {
+        await client.query('ROLLBACK');
+        throw new Error('Allocation is already cancelled');
+      }
+
+      const before = await this.fetchAllocation(client, allocationId, collegeId);
+
+      await client.query(
+        `UPDATE slot_allocations
+         SET allocation_status = $1,
+             cancelled_at = NOW(),
+             updated_at = NOW()
+         WHERE allocation_id = $2
+         AND college_id = $3`,
+        [SCHEDULING.ALLOCATION_STATUS.CANCELLED, allocationId, collegeId]
+      );
+
+      const after = await this.fetchAllocation(client, allocationId, collegeId);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.ALLOCATION,
+          entity_id: allocationId,
+          action: AUDIT.ACTIONS.STATUS_CHANGE,
+          before: { allocation_status: before.allocation_status },
+          after: { allocation_status: after.allocation_status }
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Allocation cancelled successfully`,
+        {
+          allocation_id: allocationId,
+          college_id: collegeId
+        }
+      );
+
+      return after;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Allocation cancellation failed`,
+        {
+          error: err.message,
+          allocation_id: allocationId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Student's own schedule, soonest first
+   *
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - Student's college ID
+   * @param {Object} filters - { include_past } - past slots are left out by default
+   * @returns {Array} [{ allocation_id, drive_id, role_title, company_name,
+   *   round_name, round_type, stage, mode, starts_at, ends_at, venue,
+   *   meeting_link, instructions, rescheduled_at }]
+   */
+  async listMine(studentId, collegeId, filters = {}) {
+    const mainPool = getMainPool();
+
+    try {
+      const { rows } = await mainPool.query(
+        `SELECT
+           sa.allocation_id,
+           r.drive_id,
+           d.role_title,
+           c.company_name,
+           r.round_name,
+           r.round_type,
+           r.stage,
+           r.mode,
+           s.starts_at,
+           s.ends_at,
+           COALESCE(s.venue, r.venue) AS venue,
+           COALESCE(s.meeting_link, r.meeting_link) AS meeting_link,
+           r.instructions,
+           sa.rescheduled_at
+         FROM slot_allocations sa
+         JOIN round_slots s ON s.slot_id = sa.slot_id
+         JOIN drive_rounds r ON r.round_id = sa.round_id
+         JOIN drives d ON d.drive_id = r.drive_id
+         JOIN companies c ON c.company_id = d.company_id
+         WHERE sa.student_id = $1
+         AND sa.college_id = $2
+         AND sa.allocation_status = $3
+         ${filters.include_past ? '' : 'AND s.ends_at > NOW()'}
+         ORDER BY s.starts_at, sa.allocation_id`,
+        [studentId, collegeId, SCHEDULED]
+      );
+
+      return rows;
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Student schedule retrieval failed`,
+        {
+          error: err.message,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertScheduleEditable(driveStatus) {
+    if (driveStatus === DRIVES.STATUS.COMPLETED) {
+      throw new Error('Drive is completed - its schedule cannot be changed');
+    }
+  }
+
+  /**
+   * Students can only be scheduled while the drive takes applications
+   * through its pipeline (published / closed)
+   *
+   * @private
+   */
+  assertAllocatable(driveStatus) {
+    if (!APPLICATIONS.ACTIVE_DRIVE_STATUSES.includes(driveStatus)) {
+      throw new Error(`Students of a ${driveStatus} drive cannot be scheduled`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertSlotOpen(slot) {
+    if (new Date(slot.starts_at) <= new Date()) {
+      throw new Error('Slot has already started');
+    }
+
+    if (slot.booked >= slot.capacity) {
+      throw new Error('Slot is full');
+    }
+  }
+
+  /**
+   * Student's scheduled slots (any drive) must not overlap startsAt-endsAt
+   * student: { student_id, student_name }
+   *
+   * @private
+   */
+  async assertNoClash(client, student, startsAt, endsAt, excludeAllocationId = null) {
+    const { rows } = await client.query(
+      `SELECT s.starts_at, s.ends_at, r.round_name, d.role_title, c.company_name
+       FROM slot_allocations sa
+       JOIN round_slots s ON s.slot_id = sa.slot_id
+       JOIN drive_rounds r ON r.round_id = sa.round_id
+       JOIN drives d ON d.drive_id = r.drive_id
+       JOIN companies c ON c.company_id = d.company_id
+       WHERE sa.student_id = $1
+       AND sa.allocation_status = $2
+       AND s.starts_at < $4
+       AND s.ends_at > $3
+       AND sa.allocation_id IS DISTINCT FROM $5::uuid
+       ORDER BY s.starts_at
+       LIMIT 1`,
+      [student.student_id, SCHEDULED, startsAt, endsAt, excludeAllocationId]
+    );
+
+    if (rows.length) {
+      const clash = rows[0];
+
+      throw new Error(
+        `Clash: ${student.student_name} is already scheduled for ${clash.company_name} - ${clash.role_title} (${clash.round_name}) from ${new Date(clash.starts_at).toISOString()} to ${new Date(clash.ends_at).toISOString()}`
+      );
+    }
+  }
+
+  /**
+   * Lock student rows in ID order while their clashes are checked
+   *
+   * @private
+   */
+  async lockStudents(client, studentIds) {
+    if (!studentIds.length) {
+      return;
+    }
+
+    await client.query(
+      `SELECT student_id
+       FROM students
+       WHERE student_id = ANY($1::uuid[])
+       ORDER BY student_id
+       FOR UPDATE`,
+      [studentIds]
+    );
+  }
+
+  /**
+   * Slot fields recorded in the audit log (without derived columns)
+   *
+   * @private
+   */
+  slotSnapshot(slot) {
+    const snapshot = { round_id: slot.round_id };
+
+    for (const field of SCHEDULING.SLOT_FIELDS) {
+      snapshot[field] = slot[field];
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Round with its drive's status and stages (null if missing)
+   * forUpdate locks the round row for the transaction
+   *
+   * @private
+   */
+  async fetchRound(db, roundId, collegeId, forUpdate = false) {
+    const { rows } = await db.query(
+      `SELECT ${ROUND_COLUMNS}, d.drive_status
+       ${ROUND_FROM}
+       WHERE r.round_id = $1
+       AND r.college_id = $2
+       LIMIT 1
+       ${forUpdate ? 'FOR UPDATE OF r' : ''}`,
+      [roundId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Slot with its round / drive, locking round and slot rows
+   *
+   * @private
+   */
+  async lockSlot(client, slotId, collegeId) {
+    const { rows } = await client.query(
+      `SELECT
+         ${SLOT_COLUMNS},
+         r.drive_id,
+         r.stage,
+         d.drive_status
+       FROM round_slots s
+       JOIN drive_rounds r ON r.round_id = s.round_id
+       JOIN drives d ON d.drive_id = r.drive_id
+       WHERE s.slot_id = $1
+       AND s.college_id = $2
+       LIMIT 1
+       FOR UPDATE OF r, s`,
+      [slotId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  async fetchAllocation(db, allocationId, collegeId) {
+    const { rows } = await db.query(
+      `SELECT ${ALLOCATION_COLUMNS}
+       ${ALLOCATION_FROM}
+       WHERE sa.allocation_id = $1
+       AND sa.college_id = $2
+       LIMIT 1`,
+      [allocationId, collegeId]
+    );
+
+    return rows[0] || null;
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,493 @@
+/**
+ * ============================================================================
+ * SESSION SERVICE - Refresh Tokens & Session Revocation
+ * ============================================================================
+ * Single Database Architecture
+ * - Create session on login (short-lived access token + refresh token)
+ * - Rotate refresh token on every refresh
+ * - Detect refresh token reuse and revoke the session
+ * - Revoke single session (logout) or all sessions (logout everywhere)
+ * - Session liveness check for authMiddleware
+ * - Impersonation sessions: short fixed lifetime, never refreshed
+ */
+
+const { getMainPool } = require('../config/db');
+const config = require('../config/env');
+const jwtHelper = require('../utils/jwtHelper');
+const tokenHelper = require('../utils/tokenHelper');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  ROLES,
+  SESSION
+} = require('../config/constants');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SessionService {
+  /**
+   * Create session and issue token pair
+   *
+   * @param {Object} identity - { id, role, email, college_id, impersonator }
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @param {Object} options - { expires_minutes, impersonation_reason } (optional)
+   * @returns {Promise<Object>} { token, refresh_token, expires_in, session_id }
+   */
+  async createSession(identity, context = {}, options = {}) {
+    const mainPool = getMainPool();
+
+    logger.debug(`${LOG.TRANSACTION_PREFIX} Creating session`, {
+      user_id: identity.id,
+      role: identity.role
+    });
+
+    const secret = tokenHelper.generateToken();
+
+    const insertQuery = `
+      INSERT INTO user_sessions (
+        subject_id,
+        subject_role,
+        subject_email,
+        college_id,
+        refresh_token_hash,
+        ip_address,
+        user_agent,
+        impersonator_id,
+        impersonation_reason,
+        created_at,
+        expires_at
+      )
+      VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $9, $10, NOW(),
+        COALESCE(NOW() + make_interval(mins => $11::int), NOW() + make_interval(days => $8))
+      )
+      RETURNING session_id
+    `;
+
+    const { rows } = await mainPool.query(insertQuery, [
+      String(identity.id),
+      identity.role,
+      identity.email || null,
+      identity.college_id || null,
+      tokenHelper.hashToken(secret),
+      context.ip || null,
+      context.user_agent || null,
+      config.refreshTokenExpiresDays,
+      identity.impersonator?.id || null,
+      options.impersonation_reason || null,
+      options.expires_minutes || null
+    ]);
+
+    const sessionId = rows[0].session_id;
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Session created`, {
+      session_id: sessionId,
+      user_id: identity.id,
+      role: identity.role
+    });
+
+    return this.buildTokenPair(
+      identity,
+      sessionId,
+      secret,
+      options.expires_minutes ? `${options.expires_minutes}m` : undefined
+    );
+  }
+
+  /**
+   * Exchange refresh token for a new token pair (rotation)
+   *
+   * Flow:
+   * 1. Lock session row
+   * 2. Reject revoked/expired/impersonation sessions
+   * 3. Revoke session if a rotated-out token is presented (reuse)
+   * 4. Reload subject and verify it is still active
+   * 5. Rotate refresh token secret
+   *
+   * @param {string} refreshToken - "<session_id>.<secret>"
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<Object>} { token, refresh_token, expires_in, session_id }
+   * @throws {Error} If refresh token is invalid
+   */
+  async refresh(refreshToken, context = {}) {
+    const [sessionId, secret] = String(refreshToken).split(SESSION.REFRESH_TOKEN_SEPARATOR);
+
+    if (!sessionId || !secret || !UUID_REGEX.test(sessionId)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Starting token refresh`, {
+        session_id: sessionId
+      });
+
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Step 1: Lock session
+      // ====================================================================
+      const sessionQuery = `
+        SELECT
+          session_id,
+          subject_id,
+          subject_role,
+          subject_email,
+          refresh_token_hash,
+          impersonator_id,
+          revoked_at,
+          expires_at < NOW() AS is_expired
+        FROM user_sessions
+        WHERE session_id = $1
+        LIMIT 1
+        FOR UPDATE
+      `;
+
+      const sessionResult = await client.query(sessionQuery, [sessionId]);
+
+      if (!sessionResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Invalid refresh token');
+      }
+
+      const session = sessionResult.rows[0];
+
+      // ====================================================================
+      // Step 2: Reject revoked, expired and impersonation sessions
+      // ====================================================================
+      if (session.revoked_at || session.is_expired || session.impersonator_id) {
+        await client.query('ROLLBACK');
+        logger.warn(`${LOG.SECURITY_PREFIX} Refresh attempted on dead session`, {
+          session_id: sessionId,
+          ip: context.ip
+        });
+        throw new Error('Invalid refresh token');
+      }
+
+      // ====================================================================
+      // Step 3: Detect reuse of a rotated-out refresh token
+      // ====================================================================
+      if (!tokenHelper.safeEqual(tokenHelper.hashToken(secret), session.refresh_token_hash)) {
+        await this.revokeWithClient(client, sessionId, SESSION.REVOKE_REASONS.REFRESH_TOKEN_REUSE);
+        await client.query('COMMIT');
+
+        logger.warn(`${LOG.SECURITY_PREFIX} Refresh token reuse detected - session revoked`, {
+          session_id: sessionId,
+          user_id: session.subject_id,
+          ip: context.ip
+        });
+        throw new Error('Invalid refresh token');
+      }
+
+      // ====================================================================
+      // Step 4: Reload subject (role/status may have changed)
+      // ====================================================================
+      const identity = await this.loadSubject(client, session);
+
+      if (!identity) {
+        await this.revokeWithClient(client, sessionId, SESSION.REVOKE_REASONS.SUBJECT_INACTIVE);
+        await client.query('COMMIT');
+
+        logger.warn(`${LOG.SECURITY_PREFIX} Refresh denied - account no longer active`, {
+          session_id: sessionId,
+          user_id: session.subject_id
+        });
+        throw new Error('Invalid refresh token');
+      }
+
+      // ====================================================================
+      // Step 5: Rotate refresh token
+      // ====================================================================
+      const newSecret = tokenHelper.generateToken();
+
+      const rotateQuery = `
+        UPDATE user_sessions
+        SET
+          refresh_token_hash = $1,
+          last_used_at = NOW(),
+          expires_at = NOW() + make_interval(days => $2),
+          ip_address = COALESCE($3, ip_address),
+          user_agent = COALESCE($4, user_agent)
+        WHERE session_id = $5
+      `;
+
+      await client.query(rotateQuery, [
+        tokenHelper.hashToken(newSecret),
+        config.refreshTokenExpiresDays,
+        context.ip || null,
+        context.user_agent || null,
+        sessionId
+      ]);
+
+      await client.query('COMMIT');
+
+      logger.info(`${LOG.TRANSACTION_PREFIX} Session refreshed`, {
+        session_id: sessionId,
+        user_id: identity.id
+      });
+
+      return this.buildTokenPair(identity, sessionId, newSecret);
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Token refresh failed`, {
+        error: err.message,
+        session_id: sessionId
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check session is neither revoked nor expired
+   *
+   * @param {string} sessionId - Session ID (JWT `sid` claim)
+   * @returns {Promise<boolean>} True if session is live
+   */
+  async isActive(sessionId) {
+    if (!sessionId || !UUID_REGEX.test(sessionId)) {
+      return false;
+    }
+
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT 1 FROM user_sessions
+      WHERE session_id = $1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(query, [sessionId]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Revoke single session (logout)
+   *
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} True if a live session was revoked
+   */
+  async revoke(sessionId, reason = SESSION.REVOKE_REASONS.LOGOUT) {
+    const mainPool = getMainPool();
+    const revoked = await this.revokeWithClient(mainPool, sessionId, reason);
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Session revoked`, {
+      session_id: sessionId,
+      reason
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Revoke every live session owned by the same subject as the given session
+   *
+   * @param {string} sessionId - Any session ID of the subject
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForSession(sessionId, reason = SESSION.REVOKE_REASONS.LOGOUT_ALL) {
+    const mainPool = getMainPool();
+
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = $1
+      WHERE subject_id = (
+        SELECT subject_id FROM user_sessions WHERE session_id = $2
+      )
+      AND revoked_at IS NULL
+    `;
+
+    const { rowCount } = await mainPool.query(query, [reason, sessionId]);
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} All subject sessions revoked`, {
+      session_id: sessionId,
+      revoked_count: rowCount,
+      reason
+    });
+
+    return rowCount;
+  }
+
+  /**
+   * Revoke every live session of a subject
+   *
+   * @param {string} subjectId - User/student ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} db - Pool or transaction client (optional)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForSubject(subjectId, reason = SESSION.REVOKE_REASONS.LOGOUT_ALL, db = getMainPool()) {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = $1
+      WHERE subject_id = $2
+      AND revoked_at IS NULL
+    `;
+
+    const { rowCount } = await db.query(query, [reason, String(subjectId)]);
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} All subject sessions revoked`, {
+      user_id: subjectId,
+      revoked_count: rowCount,
+      reason
+    });
+
+    return rowCount;
+  }
+
+  /**
+   * Mark session revoked using the given pool or transaction client
+   *
+   * @private
+   */
+  async revokeWithClient(db, sessionId, reason) {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = NOW(), revoked_reason = $1
+      WHERE session_id = $2
+      AND revoked_at IS NULL
+    `;
+
+    const { rowCount } = await db.query(query, [reason, sessionId]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Reload session subject and verify it can still sign in
+   *
+   * SYSADMIN: platform_admins table
+   * STUDENT: students table
+   * ADMIN, TEACHER: users table
+   *
+   * @private
+   * @returns {Promise<Object|null>} { id, role, email, college_id } or null
+   */
+  async loadSubject(client, session) {
+    if (session.subject_role === ROLES.SYSADMIN) {
+      const adminQuery = `
+        SELECT platform_admin_id AS id, admin_email AS email, admin_status AS status
+        FROM platform_admins
+        WHERE platform_admin_id = $1
+        LIMIT 1
+      `;
+
+      const { rows } = await client.query(adminQuery, [session.subject_id]);
+      const admin = rows[0];
+
+      if (!admin || admin.status !== STATUS.ACTIVE) {
+        return null;
+      }
+
+      return {
+        id: admin.id,
+        role: ROLES.SYSADMIN,
+        email: admin.email,
+        college_id: null
+      };
+    }
+
+    if (session.subject_role === ROLES.STUDENT) {
+      const studentQuery = `
+        SELECT
+          s.student_id AS id,
+          s.student_email AS email,
+          s.college_id,
+          s.student_status AS status,
+          c.college_status
+        FROM students s
+        JOIN colleges c ON s.college_id = c.college_id
+        WHERE s.student_id = $1
+        LIMIT 1
+      `;
+
+      const { rows } = await client.query(studentQuery, [session.subject_id]);
+      const student = rows[0];
+
+      if (!student || student.status !== STATUS.ACTIVE || student.college_status !== STATUS.ACTIVE) {
+        return null;
+      }
+
+      return {
+        id: student.id,
+        role: ROLES.STUDENT,
+        email: student.email,
+        college_id: student.college_id
+      };
+    }
+
+    const userQuery = `
+      SELECT
+        u.user_id AS id,
+        u.user_email AS email,
+        u.user_role AS role,
+        u.college_id,
+        u.user_status AS status,
+        c.college_status
+      FROM users u
+      JOIN colleges c ON u.college_id = c.college_id
+      WHERE u.user_id = $1
+      LIMIT 1
+    `;
+
+    const { rows } = await client.query(userQuery, [session.subject_id]);
+    const user = rows[0];
+
+    if (!user || user.status !== STATUS.ACTIVE || user.college_status !== STATUS.ACTIVE) {
+      return null;
+    }
+
+    return {
+      id: user.id,
+      role: user.role,
+      email: user.email,
+      college_id: user.college_id
+    };
+  }
+
+  /**
+   * Sign access token bound to session and assemble refresh token
+   *
+   * @private
+   */
+  buildTokenPair(identity, sessionId, secret, expiresIn) {
+    const token = jwtHelper.sign({
+      id: identity.id,
+      role: identity.role,
+      email: identity.email,
+      college_id: identity.college_id || undefined,
+      impersonator: identity.impersonator || undefined,
+      sid: sessionId,
+      timestamp: Date.now()
+    }, expiresIn);
+
+    const { exp, iat } = jwtHelper.decode(token);
+
+    return {
+      token,
+      refresh_token: `${sessionId}${SESSION.REFRESH_TOKEN_SEPARATOR}${secret}`,
+      expires_in: exp - iat,
+      session_id: sessionId
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,305 @@
+/**
+ * ============================================================================
+ * SIGNING KEY SERVICE - JWT Key Rotation & JWKS
+ * ============================================================================
+ * Single Database Architecture
+ * - Asymmetric JWT signing keys (RS256 or ES256) stored in signing_keys,
+ *   private keys encrypted with cryptoHelper
+ * - In-memory key set so jwtHelper can sign/verify synchronously
+ * - Scheduler reloads keys (picks up rotations by other instances) and
+ *   rotates once the signing key is older than JWT_KEY_ROTATION_DAYS
+ * - Public keys published as JWKS for integrations
+ */
+
+const crypto = require('crypto');
+const { getMainPool } = require('../config/db');
+const config = require('../config/env');
+const cryptoHelper = require('../utils/cryptoHelper');
+const logger = require('../config/logger');
+const { LOG, JWT_KEYS } = require('../config/constants');
+
+class SigningKeyService {
+  constructor() {
+    this.keys = [];
+    this.timer = null;
+  }
+
+  /**
+   * Load keys and create the first one on a fresh database
+   * Must complete before the server issues or accepts tokens
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    await this.load();
+
+    if (!this.getSigningKey()) {
+      await this.rotate({ immediate: true });
+    }
+  }
+
+  /**
+   * Start periodic reload + rotation check
+   */
+  startScheduler() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.rotateIfDue()
+        .then(() => this.load())
+        .catch((err) => {
+          logger.error(`${LOG.SECURITY_PREFIX} Signing key refresh failed`, {
+            error: err.message
+          });
+        });
+    }, JWT_KEYS.RELOAD_INTERVAL_MS);
+
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduler (graceful shutdown)
+   */
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Load keys that still verify tokens into memory
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT
+         kid,
+         algorithm,
+         public_key,
+         private_key,
+         activates_at,
+         retired_at,
+         expires_at
+       FROM signing_keys
+       WHERE expires_at IS NULL OR expires_at > NOW()
+       ORDER BY activates_at DESC`
+    );
+
+    this.keys = rows.map((row) => ({
+      kid: row.kid,
+      algorithm: row.algorithm,
+      publicKey: crypto.createPublicKey(row.public_key),
+      privateKey: crypto.createPrivateKey(cryptoHelper.decrypt(row.private_key)),
+      activatesAt: new Date(row.activates_at),
+      expiresAt: row.expires_at ? new Date(row.expires_at) : null
+    }));
+
+    logger.debug(`${LOG.SECURITY_PREFIX} Signing keys loaded`, {
+      kids: this.keys.map((key) => key.kid)
+    });
+  }
+
+  /**
+   * Rotate when the current signing key is older than the rotation period
+   *
+   * @returns {Promise<void>}
+   */
+  async rotateIfDue() {
+    const current = this.getSigningKey();
+    const rotationMs = (config.jwtKeyRotationDays || JWT_KEYS.DEFAULT_ROTATION_DAYS) * 24 * 60 * 60 * 1000;
+
+    // A published, not yet active key means a rotation is already under way
+    const pending = this.keys.some((key) => key.activatesAt > new Date());
+
+    if (current && !pending && Date.now() - current.activatesAt.getTime() >= rotationMs) {
+      await this.rotate();
+    }
+  }
+
+  /**
+   * Create next signing key and retire the current ones
+   *
+   * Runs under an advisory lock so concurrent instances rotate only once.
+   *
+   * @param {Object} options - { immediate } - sign with the new key right away
+   *   (first key only; normally it is published PUBLISH_AHEAD_MINUTES early)
+   * @returns {Promise<string|null>} New key ID, or null if another instance rotated
+   */
+  async rotate(options = {}) {
+    const algorithm = config.jwtAlgorithm;
+
+    if (!JWT_KEYS.ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Unsupported JWT_ALGORITHM: ${algorithm}`);
+    }
+
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+    const { publicKey, privateKey } = this.generateKeyPair(algorithm);
+    const kid = crypto.randomBytes(JWT_KEYS.KID_BYTES).toString('base64url');
+    const aheadMinutes = options.immediate ? 0 : JWT_KEYS.PUBLISH_AHEAD_MINUTES;
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [JWT_KEYS.ROTATION_LOCK_ID]);
+
+      // Another instance rotated while we waited for the lock
+      const recent = await client.query(
+        `SELECT kid FROM signing_keys
+         WHERE created_at > NOW() - make_interval(mins => $1)
+         LIMIT 1`,
+        [JWT_KEYS.PUBLISH_AHEAD_MINUTES]
+      );
+
+      if (recent.rows.length) {
+        await client.query('ROLLBACK');
+        await this.load();
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO signing_keys (
+           kid,
+           algorithm,
+           public_key,
+           private_key,
+           created_at,
+           activates_at
+         )
+         VALUES ($1, $2, $3, $4, NOW(), NOW() + make_interval(mins => $5))`,
+        [
+          kid,
+          algorithm,
+          publicKey,
+          cryptoHelper.encrypt(privateKey),
+          aheadMinutes
+        ]
+      );
+
+      // Current keys stop signing when the new one activates and keep
+      // verifying until every token they signed has expired
+      await client.query(
+        `UPDATE signing_keys
+         SET
+           retired_at = NOW() + make_interval(mins => $2),
+           expires_at = NOW() + make_interval(mins => $2 + $3)
+         WHERE kid <> $1
+         AND retired_at IS NULL`,
+        [kid, aheadMinutes, this.verifyGraceMinutes()]
+      );
+
+      await client.query('COMMIT');
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.SECURITY_PREFIX} Signing key rotation failed`, {
+        error: err.message
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    logger.info(`${LOG.SECURITY_PREFIX} Signing key rotated`, {
+      kid,
+      algorithm,
+      activates_in_minutes: aheadMinutes
+    });
+
+    await this.load();
+    return kid;
+  }
+
+  /**
+   * Key used for new tokens: newest key that has activated
+   *
+   * @returns {Object|null} { kid, algorithm, privateKey, ... }
+   */
+  getSigningKey() {
+    const now = new Date();
+    return this.keys.find((key) => key.activatesAt <= now) || null;
+  }
+
+  /**
+   * Key that verifies tokens with the given kid
+   *
+   * @param {string} kid - Key ID from the JWT header
+   * @returns {Object|null} { kid, algorithm, publicKey, ... }
+   */
+  getVerificationKey(kid) {
+    const now = new Date();
+    return this.keys.find(
+      (key) => key.kid === kid && (!key.expiresAt || key.expiresAt > now)
+    ) || null;
+  }
+
+  /**
+   * Public keys as JSON Web Key Set (includes published, not yet active keys)
+   *
+   * @returns {Object} { keys: [...] }
+   */
+  getJwks() {
+    const now = new Date();
+
+    return {
+      keys: this.keys
+        .filter((key) => !key.expiresAt || key.expiresAt > now)
+        .map((key) => ({
+          ...key.publicKey.export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig'
+        }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  generateKeyPair(algorithm) {
+    const encoding = {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+
+    if (algorithm === 'ES256') {
+      return crypto.generateKeyPairSync('ec', {
+        namedCurve: JWT_KEYS.EC_CURVE,
+        ...encoding
+      });
+    }
+
+    return crypto.generateKeyPairSync('rsa', {
+      modulusLength: JWT_KEYS.RSA_MODULUS_LENGTH,
+      ...encoding
+    });
+  }
+
+  /**
+   * Minutes a replaced key keeps verifying: the longest access token
+   * lifetime, never less than JWT_KEYS.VERIFY_GRACE_MINUTES
+   *
+   * @private
+   */
+  verifyGraceMinutes() {
+    return Math.max(
+      JWT_KEYS.VERIFY_GRACE_MINUTES,
+      Math.ceil(config.jwtExpiresIn / 60)
+    );
+  }
+}
+
+module.exports = new SigningKeyService();
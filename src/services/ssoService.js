@@ -0,0 +1,724 @@
+/**
+ * ============================================================================
+ * SSO SERVICE - OpenID Connect Single Sign-On per College
+ * ============================================================================
+ * Single Database Architecture
+ * - College admins configure an OIDC provider in colleges.sso_config
+ *   (client secret encrypted with cryptoHelper)
+ * - Login: authorization code flow with state, nonce and PKCE; the
+ *   started login is kept hashed in sso_login_states and consumed once
+ * - Callback: ID token verified against the provider JWKS, then the
+ *   matching users / students row is found (by linked `sub`, then email)
+ *   or provisioned when the college allows it
+ * - Sessions are our normal JWT + refresh token (authService / sessionService)
+ */
+
+const { getMainPool } = require('../config/db');
+const authService = require('./authService');
+const sessionService = require('./sessionService');
+const permissionService = require('./permissionService');
+const loginSecurityService = require('./loginSecurityService');
+const oidcHelper = require('../utils/oidcHelper');
+const cryptoHelper = require('../utils/cryptoHelper');
+const tokenHelper = require('../utils/tokenHelper');
+const passwordHelper = require('../utils/passwordHelper');
+const { buildPortalUrl } = require('../utils/urlHelper');
+const logger = require('../config/logger');
+const {
+  LOG,
+  SSO,
+  STATUS,
+  STUDENT_STATUS,
+  ROLES,
+  ACCOUNT_TYPES,
+  LOGIN_FAILURE_REASONS
+} = require('../config/constants');
+
+class SsoService {
+  /**
+   * Get SSO configuration of a college (client secret never returned)
+   *
+   * @param {string} collegeId - College ID
+   * @returns {Promise<Object|null>} Configuration plus redirect_uri, or null
+   */
+  async getConfig(collegeId) {
+    const college = await this.getCollege(collegeId);
+
+    if (!college || !college.sso_config) {
+      return null;
+    }
+
+    return this.toPublicConfig(college);
+  }
+
+  /**
+   * Create or replace SSO configuration
+   *
+   * The issuer's discovery document is fetched first so a typo fails here
+   * and not on the first login.
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} data - { enabled, issuer, client_id, client_secret, scopes,
+   *   claim_mappings, account_types, provision_users, default_user_role, provision_students }
+   * @param {Object} actor - Acting user { id, role }
+   * @returns {Promise<Object>} Saved configuration (public view)
+   * @throws {Error} If issuer invalid/unreachable, secret missing or role out of reach
+   */
+  async saveConfig(collegeId, data, actor) {
+    const college = await this.getCollege(collegeId);
+
+    if (!college) {
+      throw new Error('College not found');
+    }
+
+    if (!oidcHelper.isAllowedProviderUrl(data.issuer)) {
+      throw new Error('Invalid issuer - HTTPS is required');
+    }
+
+    const existing = college.sso_config;
+    const clientSecret = data.client_secret
+      ? cryptoHelper.encrypt(data.client_secret)
+      : existing?.client_secret;
+
+    if (!clientSecret) {
+      throw new Error('Client secret is required');
+    }
+
+    if (data.provision_users) {
+      const role = await permissionService.getRole(collegeId, data.default_user_role);
+
+      if (!role || [ROLES.SYSADMIN, ROLES.STUDENT].includes(data.default_user_role)) {
+        throw new Error(`Invalid role: ${data.default_user_role}`);
+      }
+
+      // Provisioned users must not outrank the admin who enabled it
+      await permissionService.assertRoleWithinReach(collegeId, role.role_level, actor);
+    }
+
+    await oidcHelper.discover(data.issuer, { refresh: true });
+
+    const ssoConfig = {
+      enabled: data.enabled,
+      issuer: data.issuer,
+      client_id: data.client_id,
+      client_secret: clientSecret,
+      scopes: data.scopes,
+      claim_mappings: { ...SSO.DEFAULT_CLAIMS, ...data.claim_mappings },
+      account_types: data.account_types,
+      provision_users: data.provision_users,
+      default_user_role: data.provision_users ? data.default_user_role : null,
+      provision_students: data.provision_students,
+      updated_by: actor.id,
+      updated_at: new Date().toISOString()
+    };
+
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `UPDATE colleges
+       SET sso_config = $2, updated_at = NOW()
+       WHERE college_id = $1
+       RETURNING college_id, college_subdomain, college_status, sso_config`,
+      [collegeId, ssoConfig]
+    );
+
+    logger.info(`${LOG.SECURITY_PREFIX} SSO configuration saved`, {
+      college_id: collegeId,
+      issuer: data.issuer,
+      enabled: data.enabled,
+      updated_by: actor.id
+    });
+
+    return this.toPublicConfig(rows[0]);
+  }
+
+  /**
+   * Remove SSO configuration (password login keeps working)
+   *
+   * @param {string} collegeId - College ID
+   * @param {string} actorId - Acting user ID
+   * @throws {Error} If SSO is not configured
+   */
+  async removeConfig(collegeId, actorId) {
+    const mainPool = getMainPool();
+
+    const { rowCount } = await mainPool.query(
+      `UPDATE colleges
+       SET sso_config = NULL, updated_at = NOW()
+       WHERE college_id = $1
+       AND sso_config IS NOT NULL`,
+      [collegeId]
+    );
+
+    if (!rowCount) {
+      throw new Error('SSO configuration not found');
+    }
+
+    logger.warn(`${LOG.SECURITY_PREFIX} SSO configuration removed`, {
+      college_id: collegeId,
+      removed_by: actorId
+    });
+  }
+
+  /**
+   * Start SSO login
+   *
+   * @param {Object} data - { college_id, account_type, login_hint }
+   * @param {Object} context - { ip } (optional)
+   * @returns {Promise<Object>} { authorization_url, expires_in }
+   * @throws {Error} If SSO is not enabled for the college / account type
+   */
+  async startLogin(data, context = {}) {
+    const college = await this.getEnabledCollege(data.college_id, data.account_type);
+    const ssoConfig = college.sso_config;
+    const metadata = await oidcHelper.discover(ssoConfig.issuer);
+
+    const state = tokenHelper.generateToken();
+    const nonce = tokenHelper.generateToken();
+    const pkce = oidcHelper.createPkcePair();
+    const redirectUri = buildPortalUrl(college.college_subdomain, SSO.CALLBACK_PATH);
+
+    const mainPool = getMainPool();
+
+    await mainPool.query(
+      `INSERT INTO sso_login_states (
+         college_id,
+         account_type,
+         state_hash,
+         nonce,
+         code_verifier,
+         redirect_uri,
+         requested_ip,
+         expires_at,
+         created_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8), NOW())`,
+      [
+        college.college_id,
+        data.account_type,
+        tokenHelper.hashToken(state),
+        nonce,
+        cryptoHelper.encrypt(pkce.verifier),
+        redirectUri,
+        context.ip || null,
+        SSO.STATE_TTL_MINUTES
+      ]
+    );
+
+    logger.info(`${LOG.SECURITY_PREFIX} SSO login started`, {
+      college_id: college.college_id,
+      account_type: data.account_type,
+      ip: context.ip
+    });
+
+    return {
+      authorization_url: oidcHelper.buildAuthorizationUrl(metadata, {
+        client_id: ssoConfig.client_id,
+        redirect_uri: redirectUri,
+        scopes: [...new Set([...SSO.SCOPES, ...(ssoConfig.scopes || [])])],
+        state,
+        nonce,
+        code_challenge: pkce.challenge,
+        login_hint: data.login_hint
+      }),
+      expires_in: SSO.STATE_TTL_MINUTES * 60
+    };
+  }
+
+  /**
+   * Complete SSO login with the code and state the provider redirected with
+   *
+   * 1. Consume login state (single use, not expired)
+   * 2. Exchange code and verify ID token
+   * 3. Find or provision the account
+   * 4. Create session (college users may still need their TOTP code)
+   *
+   * @param {Object} data - { state, code }
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Promise<Object>} { account_type, ...login result }
+   * @throws {Error} If state, provider response or account is invalid
+   */
+  async completeLogin(data, context = {}) {
+    const mainPool = getMainPool();
+
+    // ====================================================================
+    // Step 1: Consume login state
+    // ====================================================================
+    const stateResult = await mainPool.query(
+      `UPDATE sso_login_states
+       SET consumed_at = NOW()
+       WHERE state_hash = $1
+       AND consumed_at IS NULL
+       AND expires_at > NOW()
+       RETURNING college_id, account_type, nonce, code_verifier, redirect_uri`,
+      [tokenHelper.hashToken(data.state)]
+    );
+
+    const loginState = stateResult.rows[0];
+
+    if (!loginState) {
+      logger.warn(`${LOG.SECURITY_PREFIX} Invalid SSO state presented`, { ip: context.ip });
+      throw new Error('Invalid SSO state');
+    }
+
+    const college = await this.getEnabledCollege(loginState.college_id, loginState.account_type);
+    const ssoConfig = college.sso_config;
+
+    // ====================================================================
+    // Step 2: Exchange code and verify ID token
+    // ====================================================================
+    const metadata = await oidcHelper.discover(ssoConfig.issuer);
+
+    const tokenResponse = await oidcHelper.exchangeCode(metadata, {
+      code: data.code,
+      redirect_uri: loginState.redirect_uri,
+      client_id: ssoConfig.client_id,
+      client_secret: cryptoHelper.decrypt(ssoConfig.client_secret),
+      code_verifier: cryptoHelper.decrypt(loginState.code_verifier)
+    });
+
+    const claims = await oidcHelper.verifyIdToken(tokenResponse.id_token, metadata, {
+      client_id: ssoConfig.client_id,
+      nonce: loginState.nonce
+    });
+
+    const identity = this.mapClaims(claims, ssoConfig);
+
+    // ====================================================================
+    // Step 3: Find or provision account
+    // ====================================================================
+    const accountId = await this.resolveAccount(college, loginState.account_type, identity, context);
+
+    // ====================================================================
+    // Step 4: Create session
+    // ====================================================================
+    if (loginState.account_type === ACCOUNT_TYPES.USER) {
+      const result = await authService.authenticateSsoUser(accountId, context);
+      return { account_type: ACCOUNT_TYPES.USER, ...result };
+    }
+
+    const result = await this.createStudentSession(accountId, context);
+    return { account_type: ACCOUNT_TYPES.STUDENT, ...result };
+  }
+
+  /**
+   * Load college with SSO configuration
+   *
+   * @private
+   */
+  async getCollege(collegeId) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT college_id, college_subdomain, college_status, sso_config
+       FROM colleges
+       WHERE college_id = $1
+       LIMIT 1`,
+      [collegeId]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Load active college whose SSO is enabled for the account type
+   *
+   * @private
+   */
+  async getEnabledCollege(collegeId, accountType) {
+    const college = await this.getCollege(collegeId);
+    const ssoConfig = college?.sso_config;
+
+    if (!ssoConfig?.enabled ||
+        college.college_status !== STATUS.ACTIVE ||
+        !ssoConfig.account_types.includes(accountType)) {
+      throw new Error('SSO not configured');
+    }
+
+    return college;
+  }
+
+  /**
+   * Read identity from ID token claims using the college's claim mappings
+   *
+   * @private
+   */
+  mapClaims(claims, ssoConfig) {
+    const mappings = ssoConfig.claim_mappings;
+    const email = claims[mappings.email];
+
+    if (typeof email !== 'string' || !email.includes('@')) {
+      throw new Error(`Invalid ID token: missing ${mappings.email} claim`);
+    }
+
+    // Providers that state the email is unverified cannot be trusted with it
+    if (claims.email_verified === false) {
+      throw new Error('Invalid ID token: email not verified by provider');
+    }
+
+    return {
+      issuer: claims.iss,
+      subject: String(claims.sub),
+      email: email.toLowerCase(),
+      name: claims[mappings.name] || email.split('@')[0],
+      department: mappings.department ? claims[mappings.department] || null : null,
+      year: mappings.year ? parseInt(claims[mappings.year], 10) || null : null
+    };
+  }
+
+  /**
+   * Find account by linked identity, then by email; provision if allowed
+   * Returns users.user_id or students.student_id
+   *
+   * @private
+   */
+  async resolveAccount(college, accountType, identity, context) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+    const isUser = accountType === ACCOUNT_TYPES.USER;
+    const table = isUser
+      ? { name: 'users', id: 'user_id', email: 'user_email' }
+      : { name: 'students', id: 'student_id', email: 'student_email' };
+
+    try {
+      await client.query('BEGIN');
+
+      // ====================================================================
+      // Linked identity (stable across email changes)
+      // ====================================================================
+      const linked = await client.query(
+        `SELECT a.${table.id} AS account_id
+         FROM sso_identities i
+         JOIN ${table.name} a ON a.${table.id} = i.account_id
+         WHERE i.college_id = $1
+         AND i.account_type = $2
+         AND i.issuer = $3
+         AND i.subject = $4
+         LIMIT 1`,
+        [college.college_id, accountType, identity.issuer, identity.subject]
+      );
+
+      let accountId = linked.rows[0]?.account_id;
+
+      if (accountId) {
+        await client.query(
+          `UPDATE sso_identities
+           SET email = $5, last_login_at = NOW()
+           WHERE college_id = $1 AND account_type = $2 AND issuer = $3 AND subject = $4`,
+          [college.college_id, accountType, identity.issuer, identity.subject, identity.email]
+        );
+      } else {
+        // ==================================================================
+        // Existing account with the same email in this college
+        // ==================================================================
+        const byEmail = await client.query(
+          `SELECT a.${table.id} AS account_id,
+             EXISTS (
+               SELECT 1 FROM sso_identities i
+               WHERE i.account_type = $3
+               AND i.account_id = a.${table.id}
+               AND i.issuer = $4
+             ) AS has_other_subject
+           FROM ${table.name} a
+           WHERE LOWER(a.${table.email}) = LOWER($1)
+           AND a.college_id = $2
+           LIMIT 1`,
+          [identity.email, college.college_id, accountType, identity.issuer]
+        );
+
+        if (byEmail.rows[0]?.has_other_subject) {
+          // Provider reassigned the email to a different person
+          logger.warn(`${LOG.SECURITY_PREFIX} SSO email already linked to another subject`, {
+            college_id: college.college_id,
+            account_type: accountType,
+            account_id: byEmail.rows[0].account_id,
+            subject: identity.subject
+          });
+          throw new Error('SSO account not found');
+        }
+
+        accountId = byEmail.rows[0]?.account_id;
+
+        // ==================================================================
+        // Provision new account
+        // ==================================================================
+        if (!accountId) {
+          accountId = isUser
+            ? await this.provisionUser(client, college, identity)
+            : await this.provisionStudent(client, college, identity);
+        }
+
+        if (!accountId) {
+          await client.query('ROLLBACK');
+          await loginSecurityService.recordHistory(
+            {
+              account_type: accountType,
+              account_id: null,
+              college_id: college.college_id,
+              email: identity.email
+            },
+            false,
+            LOGIN_FAILURE_REASONS.SSO_ACCOUNT_NOT_FOUND,
+            context
+          );
+          throw new Error('SSO account not found');
+        }
+
+        await client.query(
+          `INSERT INTO sso_identities (
+             college_id,
+             account_type,
+             issuer,
+             subject,
+             account_id,
+             email,
+             created_at,
+             last_login_at
+           )
+           VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())`,
+          [
+            college.college_id,
+            accountType,
+            identity.issuer,
+            identity.subject,
+            accountId,
+            identity.email
+          ]
+        );
+
+        logger.info(`${LOG.SECURITY_PREFIX} SSO identity linked`, {
+          college_id: college.college_id,
+          account_type: accountType,
+          account_id: accountId
+        });
+      }
+
+      // The provider vouches for the email - pending students are verified
+      if (!isUser) {
+        await client.query(
+          `UPDATE students
+           SET student_status = $2, email_verified_at = NOW(), updated_at = NOW()
+           WHERE student_id = $1
+           AND student_status = $3`,
+          [accountId, STATUS.ACTIVE, STUDENT_STATUS.PENDING_VERIFICATION]
+        );
+      }
+
+      await client.query('COMMIT');
+      return accountId;
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} SSO account resolution failed`, {
+        error: err.message,
+        college_id: college.college_id,
+        account_type: accountType
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create college user with the configured default role
+   * Returns null when provisioning is off
+   *
+   * @private
+   */
+  async provisionUser(client, college, identity) {
+    const ssoConfig = college.sso_config;
+
+    if (!ssoConfig.provision_users) {
+      return null;
+    }
+
+    // users.user_email is unique across colleges
+    const emailCheck = await client.query(
+      'SELECT user_id FROM users WHERE LOWER(user_email) = LOWER($1) LIMIT 1',
+      [identity.email]
+    );
+
+    if (emailCheck.rows.length) {
+      throw new Error('Email already exists');
+    }
+
+    // Random password - SSO users who want one use forgot-password
+    const { rows } = await client.query(
+      `INSERT INTO users (
+         college_id,
+         user_name,
+         user_email,
+         user_password,
+         user_role,
+         user_status,
+         created_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING user_id`,
+      [
+        college.college_id,
+        identity.name,
+        identity.email,
+        await passwordHelper.hashPassword(tokenHelper.generateToken()),
+        ssoConfig.default_user_role,
+        STATUS.ACTIVE
+      ]
+    );
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} User provisioned by SSO`, {
+      user_id: rows[0].user_id,
+      college_id: college.college_id,
+      user_role: ssoConfig.default_user_role
+    });
+
+    return rows[0].user_id;
+  }
+
+  /**
+   * Create verified student from ID token claims
+   * Returns null when provisioning is off
+   *
+   * @private
+   */
+  async provisionStudent(client, college, identity) {
+    if (!college.sso_config.provision_students) {
+      return null;
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO students (
+         college_id,
+         student_name,
+         student_email,
+         student_password,
+         student_department,
+         student_year,
+         student_status,
+         email_verified_at,
+         created_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING student_id`,
+      [
+        college.college_id,
+        identity.name,
+        identity.email,
+        await passwordHelper.hashPassword(tokenHelper.generateToken()),
+        identity.department,
+        identity.year,
+        STATUS.ACTIVE
+      ]
+    );
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Student provisioned by SSO`, {
+      student_id: rows[0].student_id,
+      college_id: college.college_id
+    });
+
+    return rows[0].student_id;
+  }
+
+  /**
+   * Create session for student verified by SSO
+   * Same status and lockout rules as password login
+   *
+   * @private
+   */
+  async createStudentSession(studentId, context) {
+    const mainPool = getMainPool();
+
+    const { rows } = await mainPool.query(
+      `SELECT
+         s.student_id,
+         s.student_email,
+         s.student_name,
+         s.student_status,
+         s.college_id,
+         c.college_status
+       FROM students s
+       JOIN colleges c ON s.college_id = c.college_id
+       WHERE s.student_id = $1
+       LIMIT 1`,
+      [studentId]
+    );
+
+    const studentRecord = rows[0];
+    const account = {
+      account_type: ACCOUNT_TYPES.STUDENT,
+      account_id: studentRecord.student_id,
+      college_id: studentRecord.college_id,
+      email: studentRecord.student_email
+    };
+
+    await loginSecurityService.assertNotLocked(account, context);
+
+    if (studentRecord.student_status !== STATUS.ACTIVE) {
+      logger.warn(`${LOG.SECURITY_PREFIX} SSO login failed - student not active`, {
+        student_id: studentRecord.student_id,
+        student_status: studentRecord.student_status
+      });
+      await loginSecurityService.recordHistory(
+        account,
+        false,
+        LOGIN_FAILURE_REASONS.ACCOUNT_INACTIVE,
+        context
+      );
+      throw new Error('Student account is inactive');
+    }
+
+    const tokens = await sessionService.createSession(
+      {
+        id: studentRecord.student_id,
+        role: ROLES.STUDENT,
+        email: studentRecord.student_email,
+        college_id: studentRecord.college_id
+      },
+      context
+    );
+
+    await loginSecurityService.recordSuccess(account, context);
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Student authenticated by SSO`, {
+      student_id: studentRecord.student_id,
+      college_id: studentRecord.college_id
+    });
+
+    return {
+      token: tokens.token,
+      refresh_token: tokens.refresh_token,
+      expires_in: tokens.expires_in,
+      student: {
+        student_id: studentRecord.student_id,
+        student_email: studentRecord.student_email,
+        student_name: studentRecord.student_name,
+        college_id: studentRecord.college_id
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  toPublicConfig(college) {
+    const { client_secret: clientSecret, ...ssoConfig } = college.sso_config;
+
+    return {
+      ...ssoConfig,
+      client_secret_set: Boolean(clientSecret),
+      redirect_uri: buildPortalUrl(college.college_subdomain, SSO.CALLBACK_PATH)
+    };
+  }
+}
+
+module.exports = new SsoService();
@@ -0,0 +1,498 @@
+/**
+ * ============================================================================
+ * STUDENT IMPORT SERVICE - CSV / XLSX Roster Import
+ * ============================================================================
+ * Single Database Architecture
+ * - preview(): parse the file, map columns, validate every row with the
+ *   bulk registration rules (dry run) and keep the valid rows pending
+ * - confirm(): create the students of a pending import exactly once, with
+ *   generated initial passwords or emailed account setup links
+ * - Files never carry passwords; pending imports expire after
+ *   STUDENT_IMPORT.TTL_MINUTES
+ */
+
+const { getMainPool } = require('../config/db');
+const studentService = require('./studentService');
+const passwordResetService = require('./passwordResetService');
+const auditService = require('./auditService');
+const passwordHelper = require('../utils/passwordHelper');
+const { parseSpreadsheet } = require('../utils/spreadsheetHelper');
+const { importStudentRowSchema } = require('../validators/studentValidator');
+const logger = require('../config/logger');
+const {
+  LOG,
+  STATUS,
+  AUTH,
+  AUDIT,
+  ACCOUNT_TYPES,
+  STUDENT_STATUS,
+  STUDENT_IMPORT
+} = require('../config/constants');
+
+const IMPORT_COLUMNS = `
+  import_id,
+  college_id,
+  created_by,
+  file_name,
+  file_format,
+  column_mapping,
+  total_rows,
+  invalid_count,
+  import_status,
+  password_mode,
+  created_count,
+  failed_count,
+  committed_by,
+  committed_at,
+  expires_at,
+  created_at
+`;
+
+class StudentImportService {
+  /**
+   * Validate roster file (dry run)
+   *
+   * Flow:
+   * 1. Verify college is active
+   * 2. Parse file and resolve column mapping
+   * 3. Validate rows (schema, email domain, duplicates in file)
+   * 4. Reject emails already registered in the college
+   * 5. Store valid rows as a pending import
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} file - { originalname, buffer, format }
+   * @param {Object} mapping - { student_field: column header } (optional)
+   * @param {Object} actor - { id, role }
+   * @returns {Promise<Object>} { import_id, total_rows, valid_count, invalid_count, errors, ... }
+   * @throws {Error} If the college is inactive or the file cannot be used
+   */
+  async preview(collegeId, file, mapping = {}, actor) {
+    const mainPool = getMainPool();
+
+    logger.debug(`${LOG.TRANSACTION_PREFIX} Validating student import file`, {
+      college_id: collegeId,
+      file_name: file.originalname,
+      file_format: file.format
+    });
+
+    // ======================================================================
+    // Step 1: Verify college
+    // ======================================================================
+    const collegeResult = await mainPool.query(
+      `SELECT college_id, college_status, allowed_email_domains
+       FROM colleges
+       WHERE college_id = $1
+       LIMIT 1`,
+      [collegeId]
+    );
+
+    const college = collegeResult.rows[0];
+
+    if (!college) {
+      throw new Error('College not found');
+    }
+
+    if (college.college_status !== STATUS.ACTIVE) {
+      throw new Error('College is inactive');
+    }
+
+    // ======================================================================
+    // Step 2: Parse and map columns
+    // ======================================================================
+    const { headers, rows } = await parseSpreadsheet(
+      file.buffer,
+      file.format,
+      STUDENT_IMPORT.MAX_ROWS
+    );
+
+    if (!rows.length) {
+      throw new Error('Import file has no data rows');
+    }
+
+    const columnMapping = this.resolveMapping(headers, mapping);
+
+    // ======================================================================
+    // Step 3: Validate rows
+    // ======================================================================
+    const validRows = [];
+    const rowErrors = [];
+    const firstRowByEmail = new Map();
+
+    for (const { row_number, values } of rows) {
+      const candidate = Object.fromEntries(
+        STUDENT_IMPORT.FIELDS.map((field) => [field, values[columnMapping[field]]])
+      );
+
+      const { error, value } = importStudentRowSchema.validate(candidate, {
+        abortEarly: false
+      });
+
+      const errors = error ? error.details.map((detail) => detail.message) : [];
+
+      if (!error) {
+        const email = value.student_email.toLowerCase();
+
+        if (!studentService.isEmailDomainAllowed(value.student_email, college.allowed_email_domains)) {
+          errors.push('Email domain not allowed');
+        } else if (firstRowByEmail.has(email)) {
+          errors.push(`Duplicate email in file (first seen on row ${firstRowByEmail.get(email)})`);
+        } else {
+          firstRowByEmail.set(email, row_number);
+        }
+      }
+
+      if (errors.length) {
+        rowErrors.push({ row: row_number, student_email: candidate.student_email || null, errors });
+      } else {
+        validRows.push({ row: row_number, ...value });
+      }
+    }
+
+    // ======================================================================
+    // Step 4: Emails already registered (expired unverified ones are replaced)
+    // ======================================================================
+    if (validRows.length) {
+      const existingResult = await mainPool.query(
+        `SELECT LOWER(student_email) AS email
+         FROM students
+         WHERE college_id = $1
+         AND LOWER(student_email) = ANY($2::text[])
+         AND NOT (
+           student_status = $3
+           AND created_at < NOW() - make_interval(mins => $4)
+         )`,
+        [
+          collegeId,
+          validRows.map((row) => row.student_email.toLowerCase()),
+          STUDENT_STATUS.PENDING_VERIFICATION,
+          AUTH.EMAIL_VERIFICATION_TTL_MINUTES
+        ]
+      );
+
+      const existing = new Set(existingResult.rows.map((row) => row.email));
+
+      for (let i = validRows.length - 1; i >= 0; i--) {
+        if (existing.has(validRows[i].student_email.toLowerCase())) {
+          const [row] = validRows.splice(i, 1);
+          rowErrors.push({ row: row.row, student_email: row.student_email, errors: ['Email already exists'] });
+        }
+      }
+
+      rowErrors.sort((a, b) => a.row - b.row);
+    }
+
+    // ======================================================================
+    // Step 5: Store pending import
+    // ======================================================================
+    // Abandoned dry runs of this college are no longer confirmable
+    await mainPool.query(
+      `DELETE FROM student_imports
+       WHERE college_id = $1
+       AND import_status = $2
+       AND expires_at < NOW()`,
+      [collegeId, STUDENT_IMPORT.STATUS.PENDING]
+    );
+
+    const reportedErrors = rowErrors.slice(0, STUDENT_IMPORT.MAX_REPORTED_ERRORS);
+
+    const { rows: inserted } = await mainPool.query(
+      `INSERT INTO student_imports (
+         college_id,
+         created_by,
+         file_name,
+         file_format,
+         column_mapping,
+         total_rows,
+         valid_rows,
+         invalid_count,
+         row_errors,
+         import_status,
+         expires_at,
+         created_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + make_interval(mins => $11), NOW())
+       RETURNING ${IMPORT_COLUMNS}`,
+      [
+        collegeId,
+        actor.id,
+        file.originalname,
+        file.format,
+        JSON.stringify(columnMapping),
+        rows.length,
+        JSON.stringify(validRows),
+        rowErrors.length,
+        JSON.stringify(reportedErrors),
+        STUDENT_IMPORT.STATUS.PENDING,
+        STUDENT_IMPORT.TTL_MINUTES
+      ]
+    );
+
+    const studentImport = inserted[0];
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Student import validated`, {
+      import_id: studentImport.import_id,
+      college_id: collegeId,
+      total_rows: rows.length,
+      valid_count: validRows.length,
+      invalid_count: rowErrors.length
+    });
+
+    return {
+      import_id: studentImport.import_id,
+      file_name: studentImport.file_name,
+      file_format: studentImport.file_format,
+      column_mapping: studentImport.column_mapping,
+      total_rows: studentImport.total_rows,
+      valid_count: validRows.length,
+      invalid_count: rowErrors.length,
+      errors: reportedErrors,
+      errors_truncated: rowErrors.length > reportedErrors.length,
+      expires_at: studentImport.expires_at
+    };
+  }
+
+  /**
+   * Confirm pending import and create the students
+   *
+   * Flow:
+   * 1. Lock import (must be pending and not expired)
+   * 2. Mark committed so it can never be created twice
+   * 3. Register students with generated passwords
+   * 4. Email setup links (invite mode)
+   * 5. Store outcome counts
+   *
+   * @param {string} importId - Import ID
+   * @param {string} collegeId - College ID
+   * @param {Object} options - { password_mode, skip_invalid }
+   * @param {Object} actor - { id, role }
+   * @param {Object} context - Audit context (optional)
+   * @returns {Promise<Object>} { import_id, password_mode, created_count, failed_count, created, failed }
+   * @throws {Error} If import not found, already confirmed or has invalid rows
+   */
+  async confirm(importId, collegeId, options, actor, context = {}) {
+    const { password_mode, skip_invalid } = options;
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+    let studentImport;
+    let college;
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      // ====================================================================
+      // Step 1: Lock import
+      // ====================================================================
+      const importResult = await client.query(
+        `SELECT ${IMPORT_COLUMNS}, valid_rows, expires_at < NOW() AS is_expired
+         FROM student_imports
+         WHERE import_id = $1
+         AND college_id = $2
+         LIMIT 1
+         FOR UPDATE`,
+        [importId, collegeId]
+      );
+
+      studentImport = importResult.rows[0];
+
+      if (!studentImport ||
+          (studentImport.import_status === STUDENT_IMPORT.STATUS.PENDING && studentImport.is_expired)) {
+        await client.query('ROLLBACK');
+        throw new Error('Import not found');
+      }
+
+      if (studentImport.import_status === STUDENT_IMPORT.STATUS.COMMITTED) {
+        await client.query('ROLLBACK');
+        throw new Error('Import has already been confirmed');
+      }
+
+      if (studentImport.invalid_count > 0 && !skip_invalid) {
+        await client.query('ROLLBACK');
+        throw new Error('Import has invalid rows');
+      }
+
+      if (!studentImport.valid_rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Import has no valid rows');
+      }
+
+      const collegeResult = await client.query(
+        `SELECT college_id, college_name, college_subdomain
+         FROM colleges
+         WHERE college_id = $1
+         LIMIT 1`,
+        [collegeId]
+      );
+
+      college = collegeResult.rows[0];
+
+      // ====================================================================
+      // Step 2: Mark committed
+      // ====================================================================
+      const { rows: committed } = await client.query(
+        `UPDATE student_imports
+         SET import_status = $1,
+             password_mode = $2,
+             committed_by = $3,
+             committed_at = NOW(),
+             valid_rows = '[]'
+         WHERE import_id = $4
+         RETURNING ${IMPORT_COLUMNS}`,
+        [STUDENT_IMPORT.STATUS.COMMITTED, password_mode, actor.id, importId]
+      );
+
+      await auditService.record(client, {
+        college_id: collegeId,
+        entity_type: AUDIT.ENTITY_TYPES.STUDENT_IMPORT,
+        entity_id: importId,
+        action: AUDIT.ACTIONS.IMPORT,
+        before: this.auditSnapshot(studentImport),
+        after: this.auditSnapshot(committed[0])
+      }, context);
+
+      await client.query('COMMIT');
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Student import confirmation failed`, {
+        error: err.message,
+        import_id: importId,
+        college_id: collegeId
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    // ======================================================================
+    // Step 3: Register students
+    // ======================================================================
+    const rows = studentImport.valid_rows.map((row) => ({
+      ...row,
+      student_password: passwordHelper.generatePassword(STUDENT_IMPORT.GENERATED_PASSWORD_LENGTH)
+    }));
+
+    const results = await studentService.bulkRegisterStudents(rows, collegeId);
+
+    const showPassword = password_mode === STUDENT_IMPORT.PASSWORD_MODES.RANDOM;
+
+    const created = results.success.map(({ index, ...student }) => ({
+      row: rows[index].row,
+      ...student,
+      ...(showPassword && { initial_password: rows[index].student_password })
+    }));
+
+    const failed = results.failed.map(({ index, ...failure }) => ({
+      row: rows[index].row,
+      ...failure
+    }));
+
+    // ======================================================================
+    // Step 4: Setup links
+    // ======================================================================
+    let invites = null;
+
+    if (password_mode === STUDENT_IMPORT.PASSWORD_MODES.INVITE && created.length) {
+      invites = await passwordResetService.issueAccountSetupLinks(
+        ACCOUNT_TYPES.STUDENT,
+        created.map((student) => ({
+          account_id: student.student_id,
+          account_name: student.student_name,
+          account_email: student.student_email
+        })),
+        college,
+        context
+      );
+    }
+
+    // ======================================================================
+    // Step 5: Outcome counts
+    // ======================================================================
+    await mainPool.query(
+      `UPDATE student_imports
+       SET created_count = $1, failed_count = $2
+       WHERE import_id = $3`,
+      [created.length, failed.length, importId]
+    );
+
+    logger.info(`${LOG.TRANSACTION_PREFIX} Student import committed`, {
+      import_id: importId,
+      college_id: collegeId,
+      password_mode,
+      created_count: created.length,
+      failed_count: failed.length,
+      skipped_invalid: studentImport.invalid_count
+    });
+
+    return {
+      import_id: importId,
+      password_mode,
+      created_count: created.length,
+      failed_count: failed.length,
+      skipped_invalid_count: studentImport.invalid_count,
+      created,
+      failed,
+      ...(invites && { invites_sent: invites.sent, invites_failed: invites.failed })
+    };
+  }
+
+  /**
+   * Column header for every student field
+   *
+   * Explicit mapping wins; otherwise a header matching the field name
+   * (case, spaces and the "student_" prefix ignored) is used
+   *
+   * @private
+   */
+  resolveMapping(headers, mapping) {
+    const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    const resolved = {};
+
+    for (const field of STUDENT_IMPORT.FIELDS) {
+      if (mapping[field]) {
+        if (!headers.includes(mapping[field])) {
+          throw new Error(`Import file has no column "${mapping[field]}" (mapped to ${field})`);
+        }
+        resolved[field] = mapping[field];
+        continue;
+      }
+
+      const header = headers.find((candidate) => {
+        const normalized = normalize(candidate);
+        return normalized === field || `student_${normalized}` === field;
+      });
+
+      if (!header) {
+        throw new Error(`Import file has no column for ${field} - add it to the mapping`);
+      }
+
+      resolved[field] = header;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * @private
+   */
+  auditSnapshot(studentImport) {
+    return {
+      file_name: studentImport.file_name,
+      total_rows: studentImport.total_rows,
+      invalid_count: studentImport.invalid_count,
+      import_status: studentImport.import_status,
+      password_mode: studentImport.password_mode
+    };
+  }
+}
+
+module.exports = new StudentImportService();
@@ -4,21 +4,37 @@
  * ============================================================================
  * Single Database Architecture
  * - Register single student
- * - Bulk register students
+ * - Bulk register students (set-based, optional all-or-nothing)
  * - Authenticate student (login)
  * - Update student password
+ * - List / get students of a college (directory)
  * - Update student profile (admin/teacher)
+ * - Read / update own profile (student self-service)
+ * - Academic record with per-field registrar verification
  * - Status checks: college active, student active
+ * - Email domain allow-list and email verification for self-registration
  */
 
 const { getMainPool } = require('../config/db');
 const passwordHelper = require('../utils/passwordHelper');
-const jwtHelper = require('../utils/jwtHelper');
+const sessionService = require('./sessionService');
+const emailVerificationService = require('./emailVerificationService');
+const loginSecurityService = require('./loginSecurityService');
+const auditService = require('./auditService');
 const logger = require('../config/logger');
 const {
   LOG,
+  AUTH,
   STATUS,
-  DB_ERROR_CODES
+  STUDENT_STATUS,
+  STUDENT_DIRECTORY,
+  STUDENT_PROFILE,
+  BULK_REGISTRATION,
+  ROLES,
+  DB_ERROR_CODES,
+  ACCOUNT_TYPES,
+  LOGIN_FAILURE_REASONS,
+  AUDIT
 } = require('../config/constants');
 
 class StudentService {
@@ -26,16 +42,18 @@ class StudentService {
    * Register single student
    * 
    * Single Database:
-   * 1. Verify college is active
+   * 1. Verify college is active and email domain is allowed
    * 2. Hash password
-   * 3. Check email uniqueness
-   * 4. Create student
+   * 3. Check email uniqueness (expired unverified registrations are replaced)
+   * 4. Create student (pending_verification when verification is required)
+   * 5. Email verification link (after commit)
    * 
    * @param {Object} data - { college_id, student_name, student_email, student_password, student_department, student_year }
+   * @param {Object} options - { require_verification, context } (optional)
    * @returns {Object} Created student (without password)
    * @throws {Error} If validation fails
    */
-  async registerStudent(data) {
+  async registerStudent(data, options = {}) {
     const {
       college_id,
       student_name,
@@ -64,7 +82,7 @@ class StudentService {
       });
 
       const collegeQuery = `
-        SELECT college_id, college_status
+        SELECT college_id, college_status, college_subdomain, allowed_email_domains
         FROM colleges
         WHERE college_id = $1
         LIMIT 1
@@ -84,6 +102,15 @@ class StudentService {
         throw new Error('College is inactive');
       }
 
+      if (!this.isEmailDomainAllowed(student_email, college.allowed_email_domains)) {
+        await client.query('ROLLBACK');
+        logger.warn(`${LOG.SECURITY_PREFIX} Student email domain not allowed`, {
+          college_id,
+          student_email
+        });
+        throw new Error('Email domain not allowed');
+      }
+
       // ====================================================================
       // Step 2: Hash password
       // ====================================================================
@@ -99,7 +126,11 @@ class StudentService {
       });
 
       const emailCheckQuery = `
-        SELECT student_id FROM students
+        SELECT
+          student_id,
+          student_status = $3
+            AND created_at < NOW() - make_interval(mins => $4) AS is_expired_pending
+        FROM students
         WHERE LOWER(student_email) = LOWER($1)
         AND college_id = $2
         LIMIT 1
@@ -107,14 +138,35 @@ class StudentService {
 
       const emailCheckResult = await client.query(emailCheckQuery, [
         student_email,
-        college_id
+        college_id,
+        STUDENT_STATUS.PENDING_VERIFICATION,
+        AUTH.EMAIL_VERIFICATION_TTL_MINUTES
       ]);
 
-      if (emailCheckResult.rows.length > 0) {
+      const existing = emailCheckResult.rows[0];
+
+      if (existing && !existing.is_expired_pending) {
         await client.query('ROLLBACK');
         throw new Error('Email already exists');
       }
 
+      // Never verified within the link lifetime - free the email again
+      if (existing) {
+        logger.info(`${LOG.TRANSACTION_PREFIX} Replacing expired unverified registration`, {
+          student_id: existing.student_id,
+          college_id
+        });
+
+        await client.query(
+          'DELETE FROM account_tokens WHERE account_id = $1',
+          [existing.student_id]
+        );
+        await client.query(
+          'DELETE FROM students WHERE student_id = $1',
+          [existing.student_id]
+        );
+      }
+
       // ====================================================================
       // Step 4: Create student
       // ====================================================================
@@ -153,7 +205,7 @@ class StudentService {
         hashedPassword,
         student_department,
         student_year,
-        STATUS.ACTIVE
+        options.require_verification ? STUDENT_STATUS.PENDING_VERIFICATION : STATUS.ACTIVE
       ]);
 
       await client.query('COMMIT');
@@ -165,10 +217,21 @@ class StudentService {
         {
           student_id: student.student_id,
           college_id: student.college_id,
-          student_email: student.student_email
+          student_email: student.student_email,
+          student_status: student.student_status
         }
       );
 
+      // ====================================================================
+      // Step 5: Email verification link
+      // ====================================================================
+      if (options.require_verification) {
+        await emailVerificationService.sendVerification(
+          { ...student, college_subdomain: college.college_subdomain },
+          options.context
+        );
+      }
+
       return student;
 
     } catch (err) {
@@ -207,85 +270,405 @@ class StudentService {
 
   /**
    * Bulk register students
-   * 
+   *
+   * Set-based, for rosters of thousands of rows:
+   * 1. Verify college once
+   * 2. Per-row checks: email domain, duplicate emails in the request
+   * 3. One uniqueness query for every email (expired unverified
+   *    registrations are replaced, as in registerStudent)
+   * 4. Hash passwords in parallel (BULK_REGISTRATION.HASH_CONCURRENCY)
+   * 5. Multi-row INSERT ... ON CONFLICT DO NOTHING per batch; rows that
+   *    lost a race to a concurrent registration fail as duplicates
+   *
+   * Default: every valid row is created and each batch commits on its own.
+   * Atomic: one transaction - any failed row means no student is created.
+   * onProgress(done, total) is awaited before hashing, before the inserts
+   * and after every batch; an error thrown there stops the registration
+   * (background jobs use it for progress and cancellation). Once batches
+   * have committed (default mode) the run returns instead of throwing:
+   * the created students are reported, the remaining rows not_created.
+   * beforeCommit() is awaited once before the first student can be
+   * committed (background jobs stop retrying from there on, so a failed
+   * run never inserts the same rows again).
+   *
    * @param {Array} students - Array of student objects
    * @param {string} collegeId - College ID
-   * @returns {Object} { success, failed }
+   * @param {Object} options - { atomic, onProgress, beforeCommit } (optional)
+   * @returns {Object} { atomic, created_count, failed_count, success, failed, results }
+   *   results: one entry per input row (same order) with status
+   *   created / failed / not_created
+   * @throws {Error} If the college is not found or inactive
    */
-  async bulkRegisterStudents(students, collegeId) {
+  async bulkRegisterStudents(students, collegeId, options = {}) {
+    const atomic = Boolean(options.atomic);
+    const onProgress = options.onProgress || (async () => {});
+    const beforeCommit = options.beforeCommit || (async () => {});
     const mainPool = getMainPool();
+    const startTime = Date.now();
 
     logger.debug(
       `${LOG.TRANSACTION_PREFIX} Starting bulk student registration`,
-      { college_id: collegeId, total_students: students.length }
+      { college_id: collegeId, total_students: students.length, atomic }
+    );
+
+    // ======================================================================
+    // Step 1: Verify college
+    // ======================================================================
+    const collegeResult = await mainPool.query(
+      `SELECT college_id, college_status, allowed_email_domains
+       FROM colleges
+       WHERE college_id = $1
+       LIMIT 1`,
+      [collegeId]
     );
 
-    const success = [];
-    const failed = [];
+    const college = collegeResult.rows[0];
 
-    for (const student of students) {
-      try {
-        const result = await this.registerStudent({
+    if (!college) {
+      throw new Error('College not found');
+    }
+
+    if (college.college_status !== STATUS.ACTIVE) {
+      throw new Error('College is inactive');
+    }
+
+    const results = students.map((student, index) => ({
+      index,
+      student_email: student.student_email,
+      status: null
+    }));
+
+    const fail = (index, message) => {
+      results[index].status = BULK_REGISTRATION.ROW_STATUS.FAILED;
+      results[index].error = message;
+    };
+
+    // ======================================================================
+    // Step 2: Per-row checks
+    // ======================================================================
+    const indexByEmail = new Map();
+
+    students.forEach((student, index) => {
+      const email = student.student_email.toLowerCase();
+
+      if (!this.isEmailDomainAllowed(student.student_email, college.allowed_email_domains)) {
+        fail(index, 'Email domain not allowed');
+      } else if (indexByEmail.has(email)) {
+        fail(index, `Duplicate email in request (same as index ${indexByEmail.get(email)})`);
+      } else {
+        indexByEmail.set(email, index);
+      }
+    });
+
+    // ======================================================================
+    // Step 3: Batched uniqueness check
+    // ======================================================================
+    const expiredStudentIds = [];
+
+    if (indexByEmail.size) {
+      const existingResult = await mainPool.query(
+        `SELECT
+           student_id,
+           LOWER(student_email) AS email,
+           student_status = $3
+             AND created_at < NOW() - make_interval(mins => $4) AS is_expired_pending
+         FROM students
+         WHERE college_id = $1
+         AND LOWER(student_email) = ANY($2::text[])`,
+        [
+          collegeId,
+          [...indexByEmail.keys()],
+          STUDENT_STATUS.PENDING_VERIFICATION,
+          AUTH.EMAIL_VERIFICATION_TTL_MINUTES
+        ]
+      );
+
+      for (const existing of existingResult.rows) {
+        if (existing.is_expired_pending) {
+          expiredStudentIds.push(existing.student_id);
+        } else {
+          fail(indexByEmail.get(existing.email), 'Email already exists');
+        }
+      }
+    }
+
+    let pending = results.filter((result) => !result.status).map((result) => result.index);
+
+    if (atomic && pending.length < students.length) {
+      return this.bulkRegistrationSummary(results, pending, atomic, collegeId, startTime);
+    }
+
+    const checkedCount = students.length - pending.length;
+    await onProgress(checkedCount, students.length);
+
+    // ======================================================================
+    // Step 4: Hash passwords
+    // ======================================================================
+    const hashes = await passwordHelper.hashPasswords(
+      pending.map((index) => students[index].student_password),
+      BULK_REGISTRATION.HASH_CONCURRENCY
+    );
+
+    await onProgress(checkedCount, students.length);
+
+    const hashByIndex = new Map(pending.map((index, position) => [index, hashes[position]]));
+
+    // ======================================================================
+    // Step 5: Insert in batches
+    // ======================================================================
+    const client = await mainPool.connect();
+    const created = new Map();
+    let stoppedReason = null;
+
+    try {
+      // Never verified within the link lifetime - free the emails again
+      // Own transaction, so it does not depend on any batch committing
+      if (expiredStudentIds.length) {
+        logger.info(`${LOG.TRANSACTION_PREFIX} Replacing expired unverified registrations`, {
           college_id: collegeId,
-          student_name: student.student_name,
-          student_email: student.student_email,
-          student_password: student.student_password,
-          student_department: student.student_department,
-          student_year: student.student_year
+          count: expiredStudentIds.length
         });
 
-        success.push({
-          student_id: result.student_id,
-          student_email: result.student_email,
-          student_name: result.student_name
-        });
+        await client.query('BEGIN');
+        await client.query(
+          'DELETE FROM account_tokens WHERE account_id = ANY($1::uuid[])',
+          [expiredStudentIds]
+        );
+        await client.query(
+          'DELETE FROM students WHERE student_id = ANY($1::uuid[])',
+          [expiredStudentIds]
+        );
+        await client.query('COMMIT');
+      }
 
-      } catch (err) {
-        failed.push({
-          student_email: student.student_email,
-          error: err.message
-        });
+      if (atomic) {
+        await client.query('BEGIN');
+      } else if (pending.length) {
+        // Every batch commits on its own
+        await beforeCommit();
+      }
 
-        logger.warn(
-          `${LOG.TRANSACTION_PREFIX} Failed to register student in bulk`,
-          {
-            student_email: student.student_email,
+      for (let start = 0; start < pending.length; start += BULK_REGISTRATION.INSERT_BATCH_SIZE) {
+        const batch = pending.slice(start, start + BULK_REGISTRATION.INSERT_BATCH_SIZE);
+
+        try {
+          if (!atomic) {
+            await client.query('BEGIN');
+          }
+
+          const rows = batch.map((index) => students[index]);
+
+          const insertResult = await client.query(
+            `INSERT INTO students (
+               college_id,
+               student_name,
+               student_email,
+               student_password,
+               student_department,
+               student_year,
+               student_status,
+               created_at
+             )
+             SELECT $1, t.student_name, t.student_email, t.student_password,
+               t.student_department, t.student_year, $7, NOW()
+             FROM UNNEST($2::text[], $3::text[], $4::text[], $5::text[], $6::int[])
+               AS t(student_name, student_email, student_password, student_department, student_year)
+             ON CONFLICT DO NOTHING
+             RETURNING student_id, student_email, student_name`,
+            [
+              collegeId,
+              rows.map((row) => row.student_name),
+              rows.map((row) => row.student_email),
+              batch.map((index) => hashByIndex.get(index)),
+              rows.map((row) => row.student_department),
+              rows.map((row) => row.student_year),
+              STATUS.ACTIVE
+            ]
+          );
+
+          const batchCreated = new Map(
+            insertResult.rows.map((row) => [row.student_email.toLowerCase(), row])
+          );
+
+          for (const index of batch) {
+            const student = batchCreated.get(students[index].student_email.toLowerCase());
+
+            if (student) {
+              created.set(index, student);
+            } else {
+              fail(index, 'Email already exists');
+            }
+          }
+
+          if (atomic && batchCreated.size < batch.length) {
+            await client.query('ROLLBACK');
+            created.clear();
+            break;
+          }
+
+          if (!atomic) {
+            await client.query('COMMIT');
+          }
+
+        } catch (err) {
+          // Atomic: the whole registration fails below
+          if (atomic) {
+            throw err;
+          }
+
+          try {
+            await client.query('ROLLBACK');
+          } catch (rollbackErr) {
+            logger.error(
+              `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+              { error: rollbackErr.message }
+            );
+          }
+
+          logger.error(`${LOG.TRANSACTION_PREFIX} Bulk registration batch failed`, {
             error: err.message,
-            college_id: collegeId
+            code: err.code,
+            college_id: collegeId,
+            batch_size: batch.length
+          });
+
+          for (const index of batch) {
+            created.delete(index);
+            fail(index, 'Registration failed');
           }
+        }
+
+        try {
+          await onProgress(checkedCount + start + batch.length, students.length);
+        } catch (err) {
+          // Committed batches stay - report them and leave the rest not created
+          if (atomic || !created.size) {
+            throw err;
+          }
+
+          logger.warn(`${LOG.TRANSACTION_PREFIX} Bulk registration stopped after committed batches`, {
+            reason: err.message,
+            college_id: collegeId,
+            created_count: created.size
+          });
+
+          stoppedReason = err.message;
+          break;
+        }
+      }
+
+      if (atomic && created.size === pending.length) {
+        await beforeCommit();
+        await client.query('COMMIT');
+      }
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
         );
       }
+
+      logger.error(`${LOG.TRANSACTION_PREFIX} Bulk registration failed`, {
+        error: err.message,
+        code: err.code,
+        college_id: collegeId
+      });
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+
+    for (const [index, student] of created) {
+      Object.assign(results[index], {
+        status: BULK_REGISTRATION.ROW_STATUS.CREATED,
+        student_id: student.student_id,
+        student_name: student.student_name
+      });
+    }
+
+    pending = results.filter((result) => !result.status).map((result) => result.index);
+
+    return this.bulkRegistrationSummary(
+      results, pending, atomic, collegeId, startTime, stoppedReason
+    );
+  }
+
+  /**
+   * Mark rows left without status as not created and build the result
+   *
+   * @param {string|null} stoppedReason - Why a non-atomic run stopped early
+   *   (e.g. job cancelled), null if every row was processed
+   * @private
+   */
+  bulkRegistrationSummary(results, notCreated, atomic, collegeId, startTime, stoppedReason = null) {
+    const notCreatedError = stoppedReason
+      ? `Not created - registration stopped (${stoppedReason})`
+      : 'Not created - another row failed (atomic)';
+
+    for (const index of notCreated) {
+      results[index].status = BULK_REGISTRATION.ROW_STATUS.NOT_CREATED;
+      results[index].error = notCreatedError;
     }
 
+    const success = results
+      .filter((result) => result.status === BULK_REGISTRATION.ROW_STATUS.CREATED)
+      .map(({ index, student_id, student_email, student_name }) => ({
+        index,
+        student_id,
+        student_email,
+        student_name
+      }));
+
+    const failed = results
+      .filter((result) => result.status !== BULK_REGISTRATION.ROW_STATUS.CREATED)
+      .map(({ index, student_email, error }) => ({ index, student_email, error }));
+
     logger.info(
       `${LOG.TRANSACTION_PREFIX} Bulk registration completed`,
       {
         college_id: collegeId,
+        atomic,
         success_count: success.length,
-        failed_count: failed.length
+        failed_count: failed.length,
+        duration_ms: Date.now() - startTime
       }
     );
 
-    return { success, failed };
+    return {
+      atomic,
+      created_count: success.length,
+      failed_count: failed.length,
+      success,
+      failed,
+      results
+    };
   }
 
   /**
    * Authenticate student
    * 
    * Single Database:
-   * 1. Query student by email and college
+   * 1. Query student by email and college (reject if locked out)
    * 2. Verify college is active
-   * 3. Verify student is active
-   * 4. Verify password
-   * 5. Generate token
+   * 3. Verify student is active (or pending email verification)
+   * 4. Verify password (failures count towards lockout), then reject
+   *    students whose email is not verified yet
+   * 5. Create session (access + refresh token)
    * 
    * @param {string} email - Student email
    * @param {string} password - Student password
    * @param {string} collegeId - College ID
-   * @returns {Object} { token, student }
+   * @param {Object} context - { ip, user_agent } (optional)
+   * @returns {Object} { token, refresh_token, expires_in, student }
    * @throws {Error} If authentication fails
    */
-  async authenticateStudent(email, password, collegeId) {
+  async authenticateStudent(email, password, collegeId, context = {}) {
     const mainPool = getMainPool();
 
     try {
@@ -327,10 +710,25 @@ class StudentService {
           `${LOG.SECURITY_PREFIX} Authentication failed - student not found`,
           { email, college_id: collegeId }
         );
+        await loginSecurityService.recordHistory(
+          { account_type: ACCOUNT_TYPES.STUDENT, account_id: null, college_id: collegeId, email },
+          false,
+          LOGIN_FAILURE_REASONS.UNKNOWN_ACCOUNT,
+          context
+        );
         throw new Error('Invalid credentials');
       }
 
       const studentRecord = rows[0];
+      const account = {
+        account_type: ACCOUNT_TYPES.STUDENT,
+        account_id: studentRecord.student_id,
+        college_id: studentRecord.college_id,
+        email: studentRecord.student_email
+      };
+
+      // Locked accounts are rejected before any other check
+      await loginSecurityService.assertNotLocked(account, context);
 
       // ====================================================================
       // Step 2: Check college is active
@@ -348,6 +746,12 @@ class StudentService {
             college_id: studentRecord.college_id
           }
         );
+        await loginSecurityService.recordHistory(
+          account,
+          false,
+          LOGIN_FAILURE_REASONS.COLLEGE_INACTIVE,
+          context
+        );
         throw new Error('College is inactive');
       }
 
@@ -359,7 +763,10 @@ class StudentService {
         student_status: studentRecord.student_status
       });
 
-      if (studentRecord.student_status !== STATUS.ACTIVE) {
+      const isPendingVerification =
+        studentRecord.student_status === STUDENT_STATUS.PENDING_VERIFICATION;
+
+      if (studentRecord.student_status !== STATUS.ACTIVE && !isPendingVerification) {
         logger.warn(
           `${LOG.SECURITY_PREFIX} Authentication failed - student not active`,
           {
@@ -367,6 +774,12 @@ class StudentService {
             student_status: studentRecord.student_status
           }
         );
+        await loginSecurityService.recordHistory(
+          account,
+          false,
+          LOGIN_FAILURE_REASONS.ACCOUNT_INACTIVE,
+          context
+        );
         throw new Error('Student account is inactive');
       }
 
@@ -387,23 +800,47 @@ class StudentService {
           `${LOG.SECURITY_PREFIX} Authentication failed - invalid password`,
           { student_id: studentRecord.student_id, email }
         );
+        await loginSecurityService.recordFailure(
+          account,
+          LOGIN_FAILURE_REASONS.INVALID_PASSWORD,
+          context
+        );
         throw new Error('Invalid credentials');
       }
 
+      // Only reported once the password is known to be right
+      if (isPendingVerification) {
+        logger.warn(
+          `${LOG.SECURITY_PREFIX} Authentication failed - email not verified`,
+          { student_id: studentRecord.student_id }
+        );
+        await loginSecurityService.recordHistory(
+          account,
+          false,
+          LOGIN_FAILURE_REASONS.EMAIL_NOT_VERIFIED,
+          context
+        );
+        throw new Error('Email not verified');
+      }
+
       // ====================================================================
-      // Step 5: Generate JWT token
+      // Step 5: Create session
       // ====================================================================
-      logger.debug(`${LOG.TRANSACTION_PREFIX} Generating JWT token`, {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Creating student session`, {
         student_id: studentRecord.student_id
       });
 
-      const studentToken = jwtHelper.sign({
-        id: studentRecord.student_id,
-        role: 'student',
-        email: studentRecord.student_email,
-        college_id: studentRecord.college_id,
-        timestamp: Date.now()
-      });
+      const tokens = await sessionService.createSession(
+        {
+          id: studentRecord.student_id,
+          role: ROLES.STUDENT,
+          email: studentRecord.student_email,
+          college_id: studentRecord.college_id
+        },
+        context
+      );
+
+      await loginSecurityService.recordSuccess(account, context);
 
       logger.info(
         `${LOG.TRANSACTION_PREFIX} Student authenticated successfully`,
@@ -414,7 +851,9 @@ class StudentService {
       );
 
       return {
-        token: studentToken,
+        token: tokens.token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in,
         student: {
           student_id: studentRecord.student_id,
           student_email: studentRecord.student_email,
@@ -552,16 +991,199 @@ class StudentService {
     }
   }
 
+  /**
+   * List students in college (directory) with filters, search and sorting
+   *
+   * @param {string} collegeId - College ID
+   * @param {Object} filters - { department, year, status, search, sort_by,
+   *   sort_order, page, limit } - search matches name or email
+   * @returns {Object} { data, pagination }
+   */
+  async list(collegeId, filters = {}) {
+    const mainPool = getMainPool();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const offset = (page - 1) * limit;
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Listing students`, {
+        college_id: collegeId,
+        page,
+        limit
+      });
+
+      const conditions = ['college_id = $1'];
+      const params = [collegeId];
+
+      if (filters.department) {
+        params.push(filters.department);
+        conditions.push(`LOWER(student_department) = LOWER($${params.length})`);
+      }
+
+      if (filters.year) {
+        params.push(filters.year);
+        conditions.push(`student_year = $${params.length}`);
+      }
+
+      if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`student_status = $${params.length}`);
+      }
+
+      if (filters.search) {
+        // Escape LIKE wildcards so the term is matched literally
+        params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(
+          `(student_name ILIKE $${params.length} OR student_email ILIKE $${params.length})`
+        );
+      }
+
+      const whereClause = conditions.join(' AND ');
+
+      // Sort column is whitelisted (validator + here), never user text
+      const sortBy = STUDENT_DIRECTORY.SORT_FIELDS.includes(filters.sort_by)
+        ? filters.sort_by
+        : STUDENT_DIRECTORY.DEFAULT_SORT_BY;
+      const sortOrder = (filters.sort_order || STUDENT_DIRECTORY.DEFAULT_SORT_ORDER) === 'asc'
+        ? 'ASC'
+        : 'DESC';
+
+      const countResult = await mainPool.query(
+        `SELECT COUNT(*) AS total FROM students WHERE ${whereClause}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].total);
+
+      const query = `
+        SELECT
+          student_id,
+          college_id,
+          student_name,
+          student_email,
+          student_department,
+          student_year,
+          student_status,
+          email_verified_at,
+          created_at
+        FROM students
+        WHERE ${whereClause}
+        ORDER BY ${sortBy} ${sortOrder} NULLS LAST, student_id
+        LIMIT $${params.length + 1}
+        OFFSET $${params.length + 2}
+      `;
+
+      const { rows } = await mainPool.query(query, [...params, limit, offset]);
+
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Students listed successfully`,
+        {
+          college_id: collegeId,
+          total_count: total,
+          returned_count: rows.length,
+          page
+        }
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Student list failed`,
+        {
+          error: err.message,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * Get single student by ID within college
+   * Also backs GET /students/me (student's own record)
+   *
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @returns {Object} Student data (without password)
+   * @throws {Error} If not found
+   */
+  async getById(studentId, collegeId) {
+    const mainPool = getMainPool();
+
+    try {
+      logger.debug(`${LOG.TRANSACTION_PREFIX} Fetching student by ID`, {
+        student_id: studentId,
+        college_id: collegeId
+      });
+
+      const query = `
+        SELECT
+          student_id,
+          college_id,
+          student_name,
+          student_email,
+          student_department,
+          student_year,
+          student_status,
+          student_phone,
+          linkedin_url,
+          github_url,
+          skills,
+          preferred_locations,
+          roll_number,
+          ${STUDENT_PROFILE.ACADEMIC_FIELDS.join(',\n          ')},
+          academic_verification,
+          email_verified_at,
+          created_at,
+          updated_at
+        FROM students
+        WHERE student_id = $1
+        AND college_id = $2
+        LIMIT 1
+      `;
+
+      const { rows } = await mainPool.query(query, [studentId, collegeId]);
+
+      if (!rows.length) {
+        throw new Error('Student not found');
+      }
+
+      return rows[0];
+
+    } catch (err) {
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Student retrieval failed`,
+        {
+          error: err.message,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+      throw err;
+    }
+  }
+
   /**
    * Update student profile (admin/teacher)
-   * 
+   * Changing a verified academic field removes its verification.
+   *
    * @param {string} studentId - Student ID
    * @param {string} collegeId - College ID (for isolation)
-   * @param {Object} data - { student_name, student_department, student_year, student_status }
+   * @param {Object} data - STUDENT_PROFILE.ADMIN_EDITABLE_FIELDS (name, department,
+   *   year, status, roll number, academic record) - null clears a field
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
    * @returns {Object} Updated student
-   * @throws {Error} If not found or access denied
+   * @throws {Error} If not found, roll number taken or backlogs inconsistent
    */
-  async updateProfile(studentId, collegeId, data) {
+  async updateProfile(studentId, collegeId, data, context = {}) {
     const mainPool = getMainPool();
     const client = await mainPool.connect();
 
@@ -581,11 +1203,22 @@ class StudentService {
         college_id: collegeId
       });
 
+      const profileColumns = [
+        'student_id',
+        'college_id',
+        'student_email',
+        ...STUDENT_PROFILE.ADMIN_EDITABLE_FIELDS,
+        'academic_verification'
+      ].join(',\n          ');
+
       const checkQuery = `
-        SELECT student_id, college_id FROM students
+        SELECT
+          ${profileColumns}
+        FROM students
         WHERE student_id = $1
         AND college_id = $2
         LIMIT 1
+        FOR UPDATE
       `;
 
       const checkResult = await client.query(checkQuery, [studentId, collegeId]);
@@ -595,38 +1228,47 @@ class StudentService {
         throw new Error('Student not found');
       }
 
+      if (!this.hasConsistentBacklogs(checkResult.rows[0], data)) {
+        await client.query('ROLLBACK');
+        throw new Error('Active backlogs cannot exceed historic backlogs');
+      }
+
       // ====================================================================
       // Step 2: Update student profile
       // ====================================================================
+      const fields = STUDENT_PROFILE.ADMIN_EDITABLE_FIELDS
+        .filter((field) => data[field] !== undefined);
+      const { assignments, values } = this.buildProfileUpdate(fields, data, checkResult.rows[0]);
+
       const updateQuery = `
         UPDATE students
         SET
-          student_name = COALESCE($1, student_name),
-          student_department = COALESCE($2, student_department),
-          student_year = COALESCE($3, student_year),
-          student_status = COALESCE($4, student_status),
-          updated_at = NOW()
-        WHERE student_id = $5
-        AND college_id = $6
-        RETURNING 
-          student_id, 
-          college_id, 
-          student_name, 
-          student_email, 
-          student_department,
-          student_year,
-          student_status
+          ${assignments.join(',\n          ')}
+        WHERE student_id = $${values.length + 1}
+        AND college_id = $${values.length + 2}
+        RETURNING
+          ${profileColumns}
       `;
 
       const updateResult = await client.query(updateQuery, [
-        data.student_name || null,
-        data.student_department || null,
-        data.student_year || null,
-        data.student_status || null,
+        ...values,
         studentId,
         collegeId
       ]);
 
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.STUDENT,
+          entity_id: studentId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: checkResult.rows[0],
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
       await client.query('COMMIT');
 
       logger.info(
@@ -637,7 +1279,7 @@ class StudentService {
         }
       );
 
-      return updateResult.rows[0];
+      return this.getById(studentId, collegeId);
 
     } catch (err) {
       try {
@@ -658,12 +1300,346 @@ class StudentService {
         }
       );
 
+      // Roll number taken (idx_students_college_roll_number)
+      if (err.code === DB_ERROR_CODES.UNIQUE_VIOLATION) {
+        throw new Error('Roll number already exists');
+      }
+
       throw err;
 
     } finally {
       client.release();
     }
   }
+
+  /**
+   * Check email against the college's allowed domains
+   * (empty list = any domain; subdomains of an allowed domain match)
+   *
+   * @private
+   */
+  isEmailDomainAllowed(email, allowedDomains) {
+    if (!allowedDomains || !allowedDomains.length) {
+      return true;
+    }
+
+    const domain = email.split('@').pop().toLowerCase();
+
+    return allowedDomains.some((allowed) => {
+      const normalized = allowed.toLowerCase();
+      return domain === normalized || domain.endsWith(`.${normalized}`);
+    });
+  }
+
+  /**
+   * Update own profile (student self-service)
+   *
+   * Only STUDENT_PROFILE.SELF_EDITABLE_FIELDS are written; fields missing
+   * from data are left unchanged (null / [] clears a field). Self-reported
+   * academic values replace - and so unverify - registrar-verified ones.
+   *
+   * @param {string} studentId - Student ID (the authenticated student)
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Object} data - { student_phone, linkedin_url, github_url, skills,
+   *   preferred_locations, ...academic record }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated student
+   * @throws {Error} If not found or backlogs inconsistent
+   */
+  async updateSelfProfile(studentId, collegeId, data, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    const fields = STUDENT_PROFILE.SELF_EDITABLE_FIELDS
+      .filter((field) => data[field] !== undefined);
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting student self-service profile update`,
+        { student_id: studentId, college_id: collegeId, fields }
+      );
+
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      const profileColumns = [
+        'student_id',
+        ...STUDENT_PROFILE.SELF_EDITABLE_FIELDS,
+        'academic_verification'
+      ].join(',\n          ');
+
+      const checkQuery = `
+        SELECT
+          ${profileColumns}
+        FROM students
+        WHERE student_id = $1
+        AND college_id = $2
+        LIMIT 1
+        FOR UPDATE
+      `;
+
+      const checkResult = await client.query(checkQuery, [studentId, collegeId]);
+
+      if (!checkResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Student not found');
+      }
+
+      if (!this.hasConsistentBacklogs(checkResult.rows[0], data)) {
+        await client.query('ROLLBACK');
+        throw new Error('Active backlogs cannot exceed historic backlogs');
+      }
+
+      const { assignments, values } = this.buildProfileUpdate(fields, data, checkResult.rows[0]);
+
+      const updateQuery = `
+        UPDATE students
+        SET
+          ${assignments.join(',\n          ')}
+        WHERE student_id = $${values.length + 1}
+        AND college_id = $${values.length + 2}
+        RETURNING
+          ${profileColumns}
+      `;
+
+      const updateResult = await client.query(updateQuery, [
+        ...values,
+        studentId,
+        collegeId
+      ]);
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.STUDENT,
+          entity_id: studentId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: checkResult.rows[0],
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Student self-service profile updated`,
+        {
+          student_id: studentId,
+          college_id: collegeId,
+          fields
+        }
+      );
+
+      return this.getById(studentId, collegeId);
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Student self-service profile update failed`,
+        {
+          error: err.message,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark academic fields as verified / unverified (registrar)
+   *
+   * Only fields that have a value can be verified.
+   *
+   * @param {string} studentId - Student ID
+   * @param {string} collegeId - College ID (for isolation)
+   * @param {Array} fields - STUDENT_PROFILE.VERIFIABLE_FIELDS entries
+   * @param {boolean} verified - true = verify, false = remove verification
+   * @param {Object} actor - Acting user { id, role }
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @returns {Object} Updated student
+   * @throws {Error} If not found or a field to verify is empty
+   */
+  async setAcademicVerification(studentId, collegeId, fields, verified, actor, context = {}) {
+    const mainPool = getMainPool();
+    const client = await mainPool.connect();
+
+    try {
+      logger.debug(
+        `${LOG.TRANSACTION_PREFIX} Starting academic verification update`,
+        { student_id: studentId, college_id: collegeId, fields, verified }
+      );
+
+      await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
+
+      const checkQuery = `
+        SELECT
+          ${[...STUDENT_PROFILE.VERIFIABLE_FIELDS, 'academic_verification'].join(',\n          ')}
+        FROM students
+        WHERE student_id = $1
+        AND college_id = $2
+        LIMIT 1
+        FOR UPDATE
+      `;
+
+      const checkResult = await client.query(checkQuery, [studentId, collegeId]);
+
+      if (!checkResult.rows.length) {
+        await client.query('ROLLBACK');
+        throw new Error('Student not found');
+      }
+
+      const student = checkResult.rows[0];
+      let updateQuery;
+      let param;
+
+      if (verified) {
+        const emptyFields = fields.filter((field) => student[field] === null);
+
+        if (emptyFields.length) {
+          await client.query('ROLLBACK');
+          throw new Error(`Cannot verify empty field: ${emptyFields.join(', ')}`);
+        }
+
+        const verifiedAt = new Date().toISOString();
+        param = JSON.stringify(Object.fromEntries(
+          fields.map((field) => [field, { verified_by: actor.id, verified_at: verifiedAt }])
+        ));
+        updateQuery = 'academic_verification = academic_verification || $1::jsonb';
+      } else {
+        param = fields;
+        updateQuery = 'academic_verification = academic_verification - $1::text[]';
+      }
+
+      const updateResult = await client.query(
+        `UPDATE students
+         SET ${updateQuery}, updated_at = NOW()
+         WHERE student_id = $2
+         AND college_id = $3
+         RETURNING academic_verification`,
+        [param, studentId, collegeId]
+      );
+
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.STUDENT,
+          entity_id: studentId,
+          action: AUDIT.ACTIONS.VERIFY,
+          before: { academic_verification: student.academic_verification },
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(
+        `${LOG.TRANSACTION_PREFIX} Academic verification updated`,
+        {
+          student_id: studentId,
+          college_id: collegeId,
+          fields,
+          verified,
+          updated_by: actor.id
+        }
+      );
+
+      return this.getById(studentId, collegeId);
+
+    } catch (err) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackErr) {
+        logger.error(
+          `${LOG.TRANSACTION_PREFIX} Rollback failed`,
+          { error: rollbackErr.message }
+        );
+      }
+
+      logger.error(
+        `${LOG.TRANSACTION_PREFIX} Academic verification update failed`,
+        {
+          error: err.message,
+          student_id: studentId,
+          college_id: collegeId
+        }
+      );
+
+      throw err;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * SET clause for a profile update
+   * Column names come from the STUDENT_PROFILE whitelists, never the request;
+   * verifiable fields whose value changes lose their verification
+   *
+   * @private
+   */
+  buildProfileUpdate(fields, data, before) {
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    const values = fields.map((field) => data[field]);
+
+    const changedVerifiable = fields.filter((field) => (
+      STUDENT_PROFILE.VERIFIABLE_FIELDS.includes(field) &&
+      before.academic_verification?.[field] &&
+      !this.isSameValue(before[field], data[field])
+    ));
+
+    if (changedVerifiable.length) {
+      values.push(changedVerifiable);
+      assignments.push(`academic_verification = academic_verification - $${values.length}::text[]`);
+    }
+
+    assignments.push('updated_at = NOW()');
+
+    return { assignments, values };
+  }
+
+  /**
+   * Stored column value equals the requested one (numbers compared numerically)
+   *
+   * @private
+   */
+  isSameValue(stored, next) {
+    if (typeof next === 'number') {
+      return stored !== null && Number(stored) === next;
+    }
+
+    return String(stored ?? '') === String(next ?? '');
+  }
+
+  /**
+   * Active backlogs are part of historic backlogs - checks the update
+   * merged with the stored values
+   *
+   * @private
+   */
+  hasConsistentBacklogs(before, data) {
+    const pick = (field) => (data[field] !== undefined ? data[field] : before[field]);
+    const active = pick('active_backlogs');
+    const historic = pick('historic_backlogs');
+
+    return active === null || historic === null || active <= historic;
+  }
 }
 
 module.exports = new StudentService();
\ No newline at end of file
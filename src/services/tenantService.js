@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ * TENANT SERVICE - College Lookup by Subdomain
+ * ============================================================================
+ * Single Database Architecture
+ * - Maps a request host (mit.pcrm.in) or subdomain to its college
+ * - Short in-memory cache (TENANT.CACHE_TTL_MS, at most TENANT.CACHE_MAX_ENTRIES
+ *   colleges) - runs on every API request; unknown subdomains are not cached
+ * - collegeService invalidates the cache when a subdomain or status changes
+ */
+
+const { getMainPool } = require('../config/db');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { LOG, APP, TENANT, AUTH } = require('../config/constants');
+
+class TenantService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Extract college subdomain from host name
+   *
+   * @param {string} hostname - Request host without port (e.g. mit.pcrm.in)
+   * @returns {string|null} Subdomain or null for non-tenant hosts
+   */
+  subdomainFromHost(hostname) {
+    if (!hostname) {
+      return null;
+    }
+
+    const hostDomain = config.tenantHostDomain || APP.DEFAULT_HOST_DOMAIN;
+    const host = hostname.toLowerCase();
+    const suffix = `.${hostDomain}`;
+
+    if (!host.endsWith(suffix)) {
+      return null;
+    }
+
+    const subdomain = host.slice(0, -suffix.length);
+
+    // Only single-label subdomains are tenants (no a.b.pcrm.in)
+    if (!subdomain || subdomain.includes('.') || TENANT.RESERVED_SUBDOMAINS.includes(subdomain)) {
+      return null;
+    }
+
+    return subdomain;
+  }
+
+  /**
+   * Resolve college by subdomain
+   *
+   * @param {string} subdomain - College subdomain
+   * @returns {Promise<Object|null>} { college_id, college_name, college_subdomain, college_status } or null
+   */
+  async resolve(subdomain) {
+    const key = String(subdomain).toLowerCase();
+
+    if (!AUTH.SUBDOMAIN_REGEX.test(key)) {
+      return null;
+    }
+
+    const cached = this.cache.get(key);
+
+    if (cached) {
+      if (cached.expiresAt > Date.now()) {
+        return cached.college;
+      }
+      this.cache.delete(key);
+    }
+
+    const mainPool = getMainPool();
+
+    const query = `
+      SELECT
+        college_id,
+        college_name,
+        college_subdomain,
+        college_status
+      FROM colleges
+      WHERE college_subdomain = $1
+      LIMIT 1
+    `;
+
+    const { rows } = await mainPool.query(query, [key]);
+    const college = rows[0] || null;
+
+    // Misses stay uncached - the subdomain header is client-supplied
+    if (college) {
+      // Map keeps insertion order - drop the oldest entry when full
+      if (this.cache.size >= TENANT.CACHE_MAX_ENTRIES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+
+      this.cache.set(key, {
+        college,
+        expiresAt: Date.now() + TENANT.CACHE_TTL_MS
+      });
+    }
+
+    logger.debug(`${LOG.TRANSACTION_PREFIX} Tenant resolved`, {
+      subdomain: key,
+      college_id: college?.college_id
+    });
+
+    return college;
+  }
+
+  /**
+   * Drop cached lookups (after college subdomain/status change)
+   */
+  invalidate() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new TenantService();
@@ -9,15 +9,19 @@
  * - Update user
  * - Soft delete user
  * - Status checks: college active, user active
+ * - Roles: built-in or college custom roles; acting user can only assign
+ *   and manage roles at or below their ROLE_HIERARCHY level
  */
 
 const { getMainPool } = require('../config/db');
 const passwordHelper = require('../utils/passwordHelper');
+const permissionService = require('./permissionService');
+const auditService = require('./auditService');
 const logger = require('../config/logger');
 const {
   LOG,
   STATUS,
-  ROLES,
+  AUDIT,
   DB_ERROR_CODES
 } = require('../config/constants');
 
@@ -32,10 +36,12 @@ class UserService {
    * 4. Create user
    * 
    * @param {Object} data - { college_id, user_name, user_email, user_password, user_role }
+   * @param {Object} actor - Acting user { id, role } (optional)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
    * @returns {Object} Created user (without password)
    * @throws {Error} If validation fails
    */
-  async create(data) {
+  async create(data, actor, context = {}) {
     const {
       college_id,
       user_name,
@@ -90,12 +96,14 @@ class UserService {
         user_role
       });
 
-      const validRoles = [ROLES.ADMIN, ROLES.TEACHER, 'student', 'other'];
-      if (!validRoles.includes(user_role)) {
+      const role = await permissionService.getRole(college_id, user_role);
+      if (!role) {
         await client.query('ROLLBACK');
         throw new Error(`Invalid role: ${user_role}`);
       }
 
+      await permissionService.assertRoleWithinReach(college_id, role.role_level, actor);
+
       // ====================================================================
       // Step 3: Hash password
       // ====================================================================
@@ -154,10 +162,22 @@ class UserService {
         STATUS.ACTIVE
       ]);
 
-      await client.query('COMMIT');
-
       const user = userResult.rows[0];
 
+      await auditService.record(
+        client,
+        {
+          college_id: user.college_id,
+          entity_type: AUDIT.ENTITY_TYPES.USER,
+          entity_id: user.user_id,
+          action: AUDIT.ACTIONS.CREATE,
+          after: user
+        },
+        context
+      );
+
+      await client.query('COMMIT');
+
       logger.info(
         `${LOG.TRANSACTION_PREFIX} User created successfully`,
         {
@@ -366,10 +386,12 @@ class UserService {
    * @param {string} userId - User ID
    * @param {string} collegeId - College ID (for isolation)
    * @param {Object} data - { user_name, user_role, user_status }
+   * @param {Object} actor - Acting user { id, role } (optional)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
    * @returns {Object} Updated user
    * @throws {Error} If not found or access denied
    */
-  async update(userId, collegeId, data) {
+  async update(userId, collegeId, data, actor, context = {}) {
     const mainPool = getMainPool();
     const client = await mainPool.connect();
 
@@ -390,10 +412,11 @@ class UserService {
       });
 
       const checkQuery = `
-        SELECT user_id, college_id FROM users
+        SELECT user_id, college_id, user_name, user_email, user_role, user_status FROM users
         WHERE user_id = $1
         AND college_id = $2
         LIMIT 1
+        FOR UPDATE
       `;
 
       const checkResult = await client.query(checkQuery, [userId, collegeId]);
@@ -403,15 +426,23 @@ class UserService {
         throw new Error('User not found');
       }
 
+      await permissionService.assertRoleWithinReach(
+        collegeId,
+        await permissionService.getLevel(collegeId, checkResult.rows[0].user_role),
+        actor
+      );
+
       // ====================================================================
       // Step 2: Validate role if provided
       // ====================================================================
       if (data.user_role) {
-        const validRoles = [ROLES.ADMIN, ROLES.TEACHER, 'student', 'other'];
-        if (!validRoles.includes(data.user_role)) {
+        const role = await permissionService.getRole(collegeId, data.user_role);
+        if (!role) {
           await client.query('ROLLBACK');
           throw new Error(`Invalid role: ${data.user_role}`);
         }
+
+        await permissionService.assertRoleWithinReach(collegeId, role.role_level, actor);
       }
 
       // ====================================================================
@@ -437,6 +468,19 @@ class UserService {
         collegeId
       ]);
 
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.USER,
+          entity_id: userId,
+          action: AUDIT.ACTIONS.UPDATE,
+          before: checkResult.rows[0],
+          after: updateResult.rows[0]
+        },
+        context
+      );
+
       await client.query('COMMIT');
 
       logger.info(
@@ -480,9 +524,11 @@ class UserService {
    * 
    * @param {string} userId - User ID
    * @param {string} collegeId - College ID (for isolation)
-   * @throws {Error} If not found
+   * @param {Object} actor - Acting user { id, role } (optional)
+   * @param {Object} context - Audit context { actor, ip, request_id } (optional)
+   * @throws {Error} If not found or access denied
    */
-  async delete(userId, collegeId) {
+  async delete(userId, collegeId, actor, context = {}) {
     const mainPool = getMainPool();
     const client = await mainPool.connect();
 
@@ -495,7 +541,23 @@ class UserService {
       await client.query('BEGIN ISOLATION LEVEL SERIALIZABLE');
 
       // ====================================================================
-      // Step 1: Soft delete user (set to inactive)
+      // Step 1: Verify acting user outranks the target user
+      // ====================================================================
+      const targetResult = await client.query(
+        'SELECT user_role, user_status FROM users WHERE user_id = $1 AND college_id = $2 LIMIT 1 FOR UPDATE',
+        [userId, collegeId]
+      );
+
+      if (targetResult.rows.length) {
+        await permissionService.assertRoleWithinReach(
+          collegeId,
+          await permissionService.getLevel(collegeId, targetResult.rows[0].user_role),
+          actor
+        );
+      }
+
+      // ====================================================================
+      // Step 2: Soft delete user (set to inactive)
       // ====================================================================
       const deleteQuery = `
         UPDATE users
@@ -516,6 +578,19 @@ class UserService {
         throw new Error('User not found');
       }
 
+      await auditService.record(
+        client,
+        {
+          college_id: collegeId,
+          entity_type: AUDIT.ENTITY_TYPES.USER,
+          entity_id: userId,
+          action: AUDIT.ACTIONS.DELETE,
+          before: { user_status: targetResult.rows[0].user_status },
+          after: { user_status: STATUS.INACTIVE }
+        },
+        context
+      );
+
       await client.query('COMMIT');
 
       logger.info(
@@ -553,4 +628,4 @@ class UserService {
   }
 }
 
-module.exports = new UserService();
\ No newline at end of file
+module.exports = new UserService();
@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * CRYPTO HELPER - Symmetric Encryption for Stored Secrets
+ * ============================================================================
+ * AES-256-GCM for secrets that must be read back (e.g. TOTP seeds)
+ * Key derived from SECRETS_ENCRYPTION_KEY (falls back to JWT_SECRET)
+ * Output format: "<iv>.<auth tag>.<ciphertext>" (base64url)
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Derive 32-byte key from configured secret
+ *
+ * @private
+ */
+function getKey() {
+  const secret = config.secretsEncryptionKey || config.jwtSecret;
+
+  if (!secret) {
+    throw new Error('SECRETS_ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt plain text
+ *
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} Encrypted payload
+ */
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), 'utf8'),
+    cipher.final()
+  ]);
+
+  return [
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    encrypted.toString('base64url')
+  ].join('.');
+}
+
+/**
+ * Decrypt payload produced by encrypt()
+ *
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Plain text
+ * @throws {Error} If payload is malformed or was tampered with
+ */
+function decrypt(payload) {
+  const [iv, tag, data] = String(payload).split('.');
+
+  if (!iv || !tag || !data) {
+    throw new Error('Malformed encrypted payload');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(),
+    Buffer.from(iv, 'base64url')
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
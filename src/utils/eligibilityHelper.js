@@ -0,0 +1,154 @@
+/**
+ * ============================================================================
+ * ELIGIBILITY HELPER - Drive Eligibility Criteria Evaluation
+ * ============================================================================
+ * Runs a drive's eligibility_criteria (ELIGIBILITY.RULES) against one
+ * student's academic record and explains every failed rule
+ */
+
+// Academic values that rules compare against (label used in reasons)
+const LABELS = {
+  cgpa: 'CGPA',
+  active_backlogs: 'Active backlogs',
+  historic_backlogs: 'Historic backlogs',
+  graduation_year: 'Graduation year',
+  tenth_percentage: '10th percentage',
+  twelfth_percentage: '12th percentage',
+  diploma_percentage: 'Diploma percentage'
+};
+
+/**
+ * Reason for a missing or (with require_verified) unverified value, or null
+ *
+ * @private
+ */
+function missingReason(rule, student, field, requireVerified) {
+  // NUMERIC columns arrive as numbers (type parser in config/db)
+  if (student[field] === null) {
+    return { rule, message: `${LABELS[field]} not provided` };
+  }
+
+  if (requireVerified && !student.academic_verification?.[field]) {
+    return { rule, message: `${LABELS[field]} is not verified` };
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate eligibility criteria for a student
+ *
+ * Missing values fail the rules that need them. min_diploma_percentage
+ * only applies to students who have a diploma percentage.
+ *
+ * @param {Object} criteria - Drive eligibility_criteria ({} = everyone)
+ * @param {Object} student - Student row with student_department, student_year,
+ *   STUDENT_PROFILE.ACADEMIC_FIELDS and academic_verification
+ * @returns {Object} { eligible, reasons: [{ rule, message }] }
+ */
+function evaluateEligibility(criteria, student) {
+  const rules = criteria || {};
+  const requireVerified = rules.require_verified === true;
+  const reasons = [];
+
+  const atLeast = (rule, field, minimum) => {
+    const missing = missingReason(rule, student, field, requireVerified);
+
+    if (missing) {
+      reasons.push(missing);
+    } else if (student[field] < minimum) {
+      reasons.push({
+        rule,
+        message: `${LABELS[field]} ${student[field]} is below the minimum of ${minimum}`
+      });
+    }
+  };
+
+  const atMost = (rule, field, maximum) => {
+    const missing = missingReason(rule, student, field, requireVerified);
+
+    if (missing) {
+      reasons.push(missing);
+    } else if (student[field] > maximum) {
+      reasons.push({
+        rule,
+        message: `${LABELS[field]} ${student[field]} exceeds the maximum of ${maximum}`
+      });
+    }
+  };
+
+  if (rules.min_cgpa !== undefined) {
+    atLeast('min_cgpa', 'cgpa', rules.min_cgpa);
+  }
+
+  if (rules.max_active_backlogs !== undefined) {
+    atMost('max_active_backlogs', 'active_backlogs', rules.max_active_backlogs);
+  }
+
+  if (rules.max_historic_backlogs !== undefined) {
+    atMost('max_historic_backlogs', 'historic_backlogs', rules.max_historic_backlogs);
+  }
+
+  if (rules.departments?.length) {
+    const department = (student.student_department || '').trim().toLowerCase();
+
+    if (!rules.departments.some((allowed) => allowed.toLowerCase() === department)) {
+      reasons.push({
+        rule: 'departments',
+        message: `Department ${student.student_department || '(none)'} is not eligible`
+      });
+    }
+  }
+
+  if (rules.years?.length && !rules.years.includes(student.student_year)) {
+    reasons.push({
+      rule: 'years',
+      message: `Year ${student.student_year} is not eligible`
+    });
+  }
+
+  if (rules.graduation_years?.length) {
+    const missing = missingReason('graduation_years', student, 'graduation_year', requireVerified);
+
+    if (missing) {
+      reasons.push(missing);
+    } else if (!rules.graduation_years.includes(student.graduation_year)) {
+      reasons.push({
+        rule: 'graduation_years',
+        message: `Graduation year ${student.graduation_year} is not eligible`
+      });
+    }
+  }
+
+  if (rules.genders?.length && !rules.genders.includes(student.gender)) {
+    reasons.push({
+      rule: 'genders',
+      message: student.gender ? `Gender ${student.gender} is not eligible` : 'Gender not provided'
+    });
+  }
+
+  if (rules.min_tenth_percentage !== undefined) {
+    atLeast('min_tenth_percentage', 'tenth_percentage', rules.min_tenth_percentage);
+  }
+
+  if (rules.min_twelfth_percentage !== undefined) {
+    // Lateral entry students have a diploma instead of 12th
+    const viaDiploma = rules.accept_diploma_for_twelfth === true
+      && student.twelfth_percentage === null
+      && student.diploma_percentage !== null;
+
+    atLeast(
+      'min_twelfth_percentage',
+      viaDiploma ? 'diploma_percentage' : 'twelfth_percentage',
+      rules.min_twelfth_percentage
+    );
+  }
+
+  if (rules.min_diploma_percentage !== undefined && student.diploma_percentage !== null) {
+    atLeast('min_diploma_percentage', 'diploma_percentage', rules.min_diploma_percentage);
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+module.exports = { evaluateEligibility };
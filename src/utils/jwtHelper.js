@@ -3,9 +3,13 @@
  * JWT HELPER - JSON Web Token Utilities
  * ============================================================================
  * Token generation and verification with logging
+ * - Signed with the current asymmetric key (RS256/ES256), `kid` in header
+ * - Verified with the key named by `kid` (see signingKeyService)
  */
 
 const jwt = require('jsonwebtoken');
+const signingKeyService = require('../services/signingKeyService');
+const config = require('../config/env');
 const logger = require('../config/logger');
 const { LOG } = require('../config/constants');
 
@@ -13,18 +17,27 @@ const { LOG } = require('../config/constants');
  * Sign and generate JWT token
  * 
  * @param {Object} payload - Token payload (user data)
+ * @param {string} expiresIn - Override lifetime, e.g. '5m' (optional)
  * @returns {string} JWT token
- * @throws {Error} If signing fails
+ * @throws {Error} If signing fails or no signing key is loaded
  */
-function sign(payload) {
+function sign(payload, expiresIn) {
   try {
     logger.debug(`${LOG.TRANSACTION_PREFIX} Generating JWT token`, {
       user_id: payload.id,
       role: payload.role
     });
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    const key = signingKeyService.getSigningKey();
+
+    if (!key) {
+      throw new Error('No active JWT signing key');
+    }
+
+    const token = jwt.sign(payload, key.privateKey, {
+      algorithm: key.algorithm,
+      keyid: key.kid,
+      expiresIn: expiresIn || config.jwtExpiresIn
     });
 
     return token;
@@ -48,7 +61,19 @@ function verify(token) {
   try {
     logger.debug(`${LOG.TRANSACTION_PREFIX} Verifying JWT token`);
 
-    return jwt.verify(token, process.env.JWT_SECRET);
+    const header = jwt.decode(token, { complete: true })?.header;
+    const key = header?.kid && signingKeyService.getVerificationKey(header.kid);
+
+    if (!key) {
+      logger.warn(
+        `${LOG.TRANSACTION_PREFIX} JWT verification failed`,
+        { error: 'Unknown or expired signing key', kid: header?.kid }
+      );
+      return null;
+    }
+
+    // Algorithm pinned to the key - never taken from the token
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
 
   } catch (err) {
     logger.warn(
@@ -59,4 +84,15 @@ function verify(token) {
   }
 }
 
-module.exports = { sign, verify };
\ No newline at end of file
+/**
+ * Decode JWT token without verifying the signature
+ * Only use on tokens this service has just issued (e.g. to read `exp`)
+ * 
+ * @param {string} token - JWT token to decode
+ * @returns {Object|null} Decoded payload or null if malformed
+ */
+function decode(token) {
+  return jwt.decode(token);
+}
+
+module.exports = { sign, verify, decode };
\ No newline at end of file
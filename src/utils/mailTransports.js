@@ -0,0 +1,75 @@
+/**
+ * ============================================================================
+ * MAIL TRANSPORTS - Built-in Delivery Backends
+ * ============================================================================
+ * A transport is an async function receiving { from, to, subject, text }
+ * 
+ * - console: Writes the full message to the logger (local development)
+ * - file: Writes one .eml file per message to MAIL_OUTPUT_DIR (local/testing)
+ * 
+ * Production transports (SMTP, SES, ...) are added with
+ * mailService.registerTransport(name, transport)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../config/logger');
+const { LOG } = require('../config/constants');
+
+/**
+ * Log message instead of sending it
+ * 
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<Object>} { message_id }
+ */
+async function consoleTransport(message) {
+  const messageId = crypto.randomUUID();
+
+  logger.info(`${LOG.MAIL_PREFIX} Email (console transport)`, {
+    message_id: messageId,
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    body: message.text
+  });
+
+  return { message_id: messageId };
+}
+
+/**
+ * Write message to an .eml file
+ * 
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<Object>} { message_id, file }
+ */
+async function fileTransport(message) {
+  const messageId = crypto.randomUUID();
+  const outputDir = path.resolve(process.cwd(), config.mailOutputDir);
+
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const file = path.join(outputDir, `${Date.now()}-${messageId}.eml`);
+  const content = [
+    `Message-ID: <${messageId}@pcrm>`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text
+  ].join('\r\n');
+
+  await fs.promises.writeFile(file, content, 'utf8');
+
+  logger.debug(`${LOG.MAIL_PREFIX} Email written to file`, {
+    message_id: messageId,
+    file
+  });
+
+  return { message_id: messageId, file };
+}
+
+module.exports = { consoleTransport, fileTransport };
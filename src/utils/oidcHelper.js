@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * OIDC HELPER - OpenID Connect Relying Party (Authorization Code + PKCE)
+ * ============================================================================
+ * - Provider discovery (/.well-known/openid-configuration) and JWKS,
+ *   cached per issuer for SSO.METADATA_CACHE_MS
+ * - Authorization URL with state, nonce and S256 code challenge
+ * - Code exchange at the token endpoint (client_secret_basic or _post)
+ * - ID token verification: signature (provider JWKS), iss, aud, exp, nonce
+ * - HTTPS only; plain http just for issuers in SSO_ALLOW_HTTP_ISSUERS
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/env');
+const { SSO } = require('../config/constants');
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Check that the server may fetch a provider URL
+ * HTTPS, or http on the origin of an issuer allowed for local testing
+ *
+ * @param {string} url - Issuer or provider endpoint URL
+ * @returns {boolean} True if allowed
+ */
+function isAllowedProviderUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return false;
+  }
+
+  if (parsed.protocol === 'https:') {
+    return true;
+  }
+
+  return parsed.protocol === 'http:' && config.ssoAllowHttpIssuers.some(
+    (issuer) => new URL(issuer).origin === parsed.origin
+  );
+}
+
+/**
+ * GET/POST JSON with timeout
+ *
+ * @private
+ */
+async function fetchJson(url, options = {}) {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(SSO.HTTP_TIMEOUT_MS)
+    });
+  } catch (err) {
+    throw new Error(`SSO provider unavailable: ${url} (${err.message})`);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  return { ok: response.ok, status: response.status, body };
+}
+
+/**
+ * Load provider metadata from the discovery document
+ *
+ * @param {string} issuer - Issuer URL (must match the document's `issuer`)
+ * @param {Object} options - { refresh } - bypass the cache
+ * @returns {Promise<Object>} Discovery document
+ * @throws {Error} If the provider is unreachable or the document is invalid
+ */
+async function discover(issuer, options = {}) {
+  const cached = metadataCache.get(issuer);
+
+  if (!options.refresh && cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  // Also guards configurations saved before HTTPS was required everywhere
+  if (!isAllowedProviderUrl(issuer)) {
+    throw new Error('SSO provider unavailable: issuer must use HTTPS');
+  }
+
+  const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  const { ok, status, body } = await fetchJson(url);
+
+  if (!ok || !body) {
+    throw new Error(`SSO provider unavailable: discovery returned ${status}`);
+  }
+
+  // Fetched content is never echoed back - the issuer is admin-supplied
+  if (body.issuer !== issuer) {
+    throw new Error('SSO provider unavailable: discovery issuer does not match the configured issuer');
+  }
+
+  const endpoints = [body.authorization_endpoint, body.token_endpoint, body.jwks_uri];
+
+  if (endpoints.some((endpoint) => typeof endpoint !== 'string' || !isAllowedProviderUrl(endpoint))) {
+    throw new Error('SSO provider unavailable: discovery document is missing HTTPS endpoints');
+  }
+
+  metadataCache.set(issuer, {
+    metadata: body,
+    expiresAt: Date.now() + SSO.METADATA_CACHE_MS
+  });
+
+  return body;
+}
+
+/**
+ * Find provider public key for an ID token
+ * Refetches the JWKS once when the kid is unknown (provider rotated keys)
+ *
+ * @private
+ */
+async function getProviderKey(metadata, kid) {
+  const pick = (keys) => {
+    const candidates = keys.filter((key) => !key.use || key.use === 'sig');
+    return kid
+      ? candidates.find((key) => key.kid === kid)
+      : (candidates.length === 1 ? candidates[0] : null);
+  };
+
+  const cached = jwksCache.get(metadata.jwks_uri);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    const key = pick(cached.keys);
+    if (key) {
+      return crypto.createPublicKey({ key, format: 'jwk' });
+    }
+  }
+
+  const { ok, status, body } = await fetchJson(metadata.jwks_uri);
+
+  if (!ok || !Array.isArray(body?.keys)) {
+    throw new Error(`SSO provider unavailable: JWKS returned ${status}`);
+  }
+
+  jwksCache.set(metadata.jwks_uri, {
+    keys: body.keys,
+    expiresAt: Date.now() + SSO.METADATA_CACHE_MS
+  });
+
+  const key = pick(body.keys);
+
+  if (!key) {
+    throw new Error(`Invalid ID token: unknown signing key ${kid}`);
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Generate PKCE verifier and its S256 challenge
+ *
+ * @returns {Object} { verifier, challenge }
+ */
+function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  return { verifier, challenge };
+}
+
+/**
+ * Build provider authorization URL
+ *
+ * @param {Object} metadata - Discovery document
+ * @param {Object} params - { client_id, redirect_uri, scopes, state, nonce, code_challenge, login_hint }
+ * @returns {string} URL the browser is sent to
+ */
+function buildAuthorizationUrl(metadata, params) {
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', params.client_id);
+  url.searchParams.set('redirect_uri', params.redirect_uri);
+  url.searchParams.set('scope', params.scopes.join(' '));
+  url.searchParams.set('state', params.state);
+  url.searchParams.set('nonce', params.nonce);
+  url.searchParams.set('code_challenge', params.code_challenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  if (params.login_hint) {
+    url.searchParams.set('login_hint', params.login_hint);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Exchange authorization code for tokens
+ *
+ * @param {Object} metadata - Discovery document
+ * @param {Object} params - { code, redirect_uri, client_id, client_secret, code_verifier }
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ * @throws {Error} If the provider rejects the code
+ */
+async function exchangeCode(metadata, params) {
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: params.redirect_uri,
+    code_verifier: params.code_verifier
+  });
+
+  const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+  if (authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(params.client_id)}:${encodeURIComponent(params.client_secret)}`;
+    headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    form.set('client_id', params.client_id);
+    form.set('client_secret', params.client_secret);
+  }
+
+  const { ok, status, body } = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: form.toString()
+  });
+
+  if (!ok || !body?.id_token) {
+    // Only standard OAuth error codes are passed on
+    const error = /^[a-z_]{1,50}$/.test(body?.error) ? body.error : status;
+    throw new Error(`SSO token exchange failed: ${error}`);
+  }
+
+  return body;
+}
+
+/**
+ * Verify ID token and return its claims
+ *
+ * @param {string} idToken - ID token from the token response
+ * @param {Object} metadata - Discovery document
+ * @param {Object} expected - { client_id, nonce }
+ * @returns {Promise<Object>} Verified claims
+ * @throws {Error} If signature or any required claim is invalid
+ */
+async function verifyIdToken(idToken, metadata, expected) {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !SSO.ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error(`Invalid ID token: unsupported algorithm ${decoded?.header?.alg}`);
+  }
+
+  const publicKey = await getProviderKey(metadata, decoded.header.kid);
+
+  let claims;
+
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: [decoded.header.alg],
+      issuer: metadata.issuer,
+      audience: expected.client_id,
+      clockTolerance: SSO.CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (err) {
+    throw new Error(`Invalid ID token: ${err.message}`);
+  }
+
+  if (!claims.nonce || claims.nonce !== expected.nonce) {
+    throw new Error('Invalid ID token: nonce mismatch');
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== expected.client_id) {
+    throw new Error('Invalid ID token: azp mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new Error('Invalid ID token: missing sub');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  isAllowedProviderUrl,
+  discover,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
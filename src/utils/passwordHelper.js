@@ -3,14 +3,24 @@
  * PASSWORD HELPER - Password Hashing & Verification
  * ============================================================================
  * Secure password handling with bcrypt
+ * Random initial passwords for imported accounts
+ * Bounded parallel hashing for bulk registration
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const logger = require('../config/logger');
 const { LOG } = require('../config/constants');
 
 const SALT_ROUNDS = 10;
 
+// No look-alike characters (0/O, 1/l/I) - initial passwords are read off a sheet
+const PASSWORD_ALPHABETS = [
+  'abcdefghijkmnpqrstuvwxyz',
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  '23456789'
+];
+
 /**
  * Hash plain text password
  * 
@@ -33,6 +43,43 @@ async function hashPassword(plain) {
   }
 }
 
+/**
+ * Hash many passwords with at most `concurrency` hashes in flight
+ *
+ * bcrypt hashes on the libuv thread pool, so running more at once than
+ * it has threads only queues them
+ *
+ * @param {Array<string>} plains - Plain text passwords
+ * @param {number} concurrency - Maximum parallel hashes
+ * @returns {Promise<Array<string>>} Hashes in input order
+ * @throws {Error} If any hashing fails
+ */
+async function hashPasswords(plains, concurrency) {
+  const hashes = new Array(plains.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < plains.length) {
+      const index = next++;
+      hashes[index] = await bcrypt.hash(plains[index], SALT_ROUNDS);
+    }
+  };
+
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, plains.length) }, worker)
+    );
+  } catch (err) {
+    logger.error(
+      `${LOG.TRANSACTION_PREFIX} Error hashing passwords`,
+      { error: err.message, count: plains.length }
+    );
+    throw err;
+  }
+
+  return hashes;
+}
+
 /**
  * Compare plain text password with hashed password
  * 
@@ -56,4 +103,28 @@ async function compare(plain, hash) {
   }
 }
 
-module.exports = { hashPassword, compare };
\ No newline at end of file
+/**
+ * Generate random password meeting the password policy
+ * (at least one lowercase, uppercase and digit)
+ *
+ * @param {number} length - Password length (optional)
+ * @returns {string} Plain password
+ */
+function generatePassword(length = 14) {
+  const all = PASSWORD_ALPHABETS.join('');
+  const chars = PASSWORD_ALPHABETS.map((alphabet) => alphabet[crypto.randomInt(alphabet.length)]);
+
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  // Fisher-Yates so the guaranteed characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+}
+
+module.exports = { hashPassword, hashPasswords, compare, generatePassword };
\ No newline at end of file
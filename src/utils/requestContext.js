@@ -0,0 +1,30 @@
+/**
+ * ============================================================================
+ * REQUEST CONTEXT HELPER - Who / Where for Audit Events
+ * ============================================================================
+ * Builds the context services pass to auditService.record():
+ * acting user (and impersonating sysadmin), client IP and request ID
+ */
+
+/**
+ * Build audit context from an authenticated request
+ *
+ * @param {Object} req - Express request (after authMiddleware)
+ * @returns {Object} { actor: { id, role, email, impersonator_id }, ip, request_id }
+ */
+function getAuditContext(req) {
+  return {
+    actor: req.user
+      ? {
+        id: req.user.id,
+        role: req.user.user_role || req.user.role,
+        email: req.user.email || null,
+        impersonator_id: req.user.impersonator?.id || null
+      }
+      : null,
+    ip: req.ip,
+    request_id: req.id
+  };
+}
+
+module.exports = { getAuditContext };
@@ -0,0 +1,141 @@
+/**
+ * ============================================================================
+ * SPREADSHEET HELPER - CSV / XLSX Roster Parsing
+ * ============================================================================
+ * Turns an uploaded file into header names plus one object per data row.
+ * The first non-empty row is the header row; every value is returned as a
+ * trimmed string ('' for empty cells) and validated by the caller.
+ */
+
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+
+/**
+ * Parse spreadsheet buffer
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {number} maxRows - Data rows allowed (more = error)
+ * @returns {Promise<Object>} { headers, rows: [{ row_number, values: { header: value } }] }
+ * @throws {Error} If the file cannot be read, has no header or too many rows
+ */
+async function parseSpreadsheet(buffer, format, maxRows) {
+  const rawRows = format === 'xlsx'
+    ? await readXlsxRows(buffer)
+    : readCsvRows(buffer);
+
+  if (!rawRows.length) {
+    throw new Error('Import file is empty');
+  }
+
+  const [headerRow, ...dataRows] = rawRows;
+  const headers = headerRow.cells.map((cell) => cell.trim());
+
+  if (!headers.some(Boolean)) {
+    throw new Error('Import file has no header row');
+  }
+
+  if (dataRows.length > maxRows) {
+    throw new Error(`Import file has more than ${maxRows} rows`);
+  }
+
+  const rows = dataRows.map(({ row_number, cells }) => ({
+    row_number,
+    values: Object.fromEntries(
+      headers
+        .map((header, index) => [header, (cells[index] || '').trim()])
+        .filter(([header]) => header)
+    )
+  }));
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * @private
+ */
+function readCsvRows(buffer) {
+  let records;
+
+  try {
+    records = parse(buffer, {
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      info: true
+    });
+  } catch (err) {
+    throw new Error(`Import file is not a valid CSV file: ${err.message}`);
+  }
+
+  return records.map(({ record, info }) => ({
+    row_number: info.lines,
+    cells: record.map((value) => String(value))
+  }));
+}
+
+/**
+ * First worksheet only; formulas use their cached result
+ *
+ * @private
+ */
+async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new Error(`Import file is not a valid XLSX file: ${err.message}`);
+  }
+
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+
+  if (!worksheet) {
+    return rows;
+  }
+
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = cellToString(cell.value);
+    });
+
+    if (cells.some((value) => value && value.trim())) {
+      rows.push({ row_number: rowNumber, cells: Array.from(cells, (value) => value || '') });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * @private
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    if ('result' in value) {
+      return cellToString(value.result);
+    }
+    if ('text' in value) {
+      return cellToString(value.text);
+    }
+    return '';
+  }
+
+  return String(value);
+}
+
+module.exports = { parseSpreadsheet };
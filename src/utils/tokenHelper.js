@@ -0,0 +1,50 @@
+/**
+ * ============================================================================
+ * TOKEN HELPER - Opaque Token Utilities
+ * ============================================================================
+ * Random token generation, hashing and constant-time comparison
+ * Opaque tokens are never stored - only their SHA-256 hash
+ */
+
+const crypto = require('crypto');
+const { AUTH } = require('../config/constants');
+
+/**
+ * Generate URL-safe random token
+ *
+ * @param {number} bytes - Number of random bytes (optional)
+ * @returns {string} base64url encoded token
+ */
+function generateToken(bytes = AUTH.OPAQUE_TOKEN_BYTES) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash token for storage
+ *
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded SHA-256 hash (64 chars)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time string comparison
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if values are equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = { generateToken, hashToken, safeEqual };
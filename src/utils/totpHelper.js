@@ -0,0 +1,170 @@
+/**
+ * ============================================================================
+ * TOTP HELPER - Time-Based One-Time Passwords (RFC 6238)
+ * ============================================================================
+ * - Base32 secret generation (compatible with authenticator apps)
+ * - otpauth:// provisioning URI (rendered as QR code by the client)
+ * - Code verification with +/- MFA.TOTP_WINDOW steps of clock drift
+ * - Returns the matched time step so callers can block replays
+ */
+
+const crypto = require('crypto');
+const { MFA } = require('../config/constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode buffer as RFC 4648 base32 (no padding)
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 string (padding and case ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Raw bytes
+ * @throws {Error} If input contains invalid characters
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate new TOTP secret
+ *
+ * @returns {string} Base32 encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(MFA.TOTP_SECRET_BYTES));
+}
+
+/**
+ * Current TOTP time step
+ *
+ * @param {number} now - Unix time in ms (optional)
+ * @returns {number} Time step counter
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / MFA.TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate code for a given time step (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** MFA.TOTP_DIGITS).padStart(MFA.TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify code against secret
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by user
+ * @returns {number|null} Matched time step, or null if no match
+ */
+function verify(secret, code) {
+  const normalized = String(code).replace(/\s+/g, '');
+
+  if (!new RegExp(`^\\d{${MFA.TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep();
+
+  for (let drift = -MFA.TOTP_WINDOW; drift <= MFA.TOTP_WINDOW; drift++) {
+    const candidate = generateCode(secret, step + drift);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build otpauth:// provisioning URI
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the authenticator app (email)
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${MFA.TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA.TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(MFA.TOTP_DIGITS),
+    period: String(MFA.TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verify,
+  buildOtpauthUri
+};
@@ -0,0 +1,31 @@
+/**
+ * ============================================================================
+ * URL HELPER - College Portal Links
+ * ============================================================================
+ * Builds links into a college's portal (https://<subdomain>.pcrm.in)
+ * APP_BASE_URL overrides the host for local development
+ */
+
+const config = require('../config/env');
+const { APP } = require('../config/constants');
+
+/**
+ * Build absolute portal URL
+ * 
+ * @param {string} subdomain - College subdomain
+ * @param {string} pathname - Path starting with '/'
+ * @param {Object} query - Query string parameters (optional)
+ * @returns {string} Absolute URL
+ */
+function buildPortalUrl(subdomain, pathname = '/', query = {}) {
+  const base = config.appBaseUrl || `https://${subdomain}.${APP.DEFAULT_HOST_DOMAIN}`;
+  const url = new URL(pathname, base);
+
+  Object.entries(query).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+
+  return url.toString();
+}
+
+module.exports = { buildPortalUrl };
@@ -0,0 +1,67 @@
+/**
+ * ============================================================================
+ * API KEY VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for college API key endpoints
+ */
+
+const Joi = require('joi');
+const { VALIDATION, API_KEYS } = require('../config/constants');
+
+const API_KEY_SCOPES = Object.keys(API_KEYS.SCOPES);
+
+/**
+ * Create API key schema
+ * Validates key name, scopes, IP allow-list and optional expiry
+ */
+const createApiKeySchema = Joi.object({
+  key_name: Joi.string()
+    .trim()
+    .min(VALIDATION.NAME_MIN_LENGTH)
+    .max(VALIDATION.NAME_MAX_LENGTH)
+    .required()
+    .messages({
+      'string.empty': 'Key name is required',
+      'string.min': `Key name must be at least ${VALIDATION.NAME_MIN_LENGTH} characters`,
+      'string.max': `Key name cannot exceed ${VALIDATION.NAME_MAX_LENGTH} characters`,
+      'any.required': 'Key name is required'
+    }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Scopes must be from: ${API_KEY_SCOPES.join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'array.unique': 'Duplicate scope',
+      'any.required': 'Scopes are required'
+    }),
+
+  // Empty list = key usable from any IP
+  allowed_ips: Joi.array()
+    .items(Joi.string().ip({ cidr: 'optional' }))
+    .unique()
+    .max(API_KEYS.MAX_ALLOWED_IPS)
+    .optional()
+    .default([])
+    .messages({
+      'string.ip': 'Allowed IPs must be IPv4/IPv6 addresses or CIDR ranges',
+      'array.unique': 'Duplicate IP address',
+      'array.max': `Cannot exceed ${API_KEYS.MAX_ALLOWED_IPS} allowed IPs`
+    }),
+
+  expires_at: Joi.date()
+    .iso()
+    .greater('now')
+    .optional()
+    .messages({
+      'date.format': 'Expiry must be an ISO 8601 date',
+      'date.greater': 'Expiry must be in the future'
+    })
+});
+
+module.exports = {
+  createApiKeySchema
+};
@@ -0,0 +1,166 @@
+/**
+ * ============================================================================
+ * APPLICATION VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for drive application endpoints
+ */
+
+const Joi = require('joi');
+const { APPLICATIONS } = require('../config/constants');
+
+const note = Joi.string()
+  .trim()
+  .max(APPLICATIONS.NOTE_MAX_LENGTH)
+  .optional()
+  .messages({
+    'string.max': `Note cannot exceed ${APPLICATIONS.NOTE_MAX_LENGTH} characters`
+  });
+
+/**
+ * Target stage - one of the drive's stages, selected or rejected
+ * (checked against the drive's pipeline by the service)
+ */
+const toStage = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(APPLICATIONS.STAGE_REGEX)
+  .invalid(APPLICATIONS.OUTCOMES.WITHDRAWN)
+  .required()
+  .messages({
+    'string.empty': 'Target stage is required',
+    'string.pattern.base': 'Invalid stage',
+    'any.invalid': 'Only the student can withdraw an application',
+    'any.required': 'Target stage is required'
+  });
+
+/**
+ * Apply to drive schema (student)
+ */
+const applySchema = Joi.object({
+  drive_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid drive ID format',
+      'any.required': 'Drive ID is required'
+    })
+});
+
+/**
+ * Withdraw application schema (student)
+ */
+const withdrawApplicationSchema = Joi.object({
+  note
+});
+
+/**
+ * Move one application schema
+ */
+const moveStageSchema = Joi.object({
+  to_stage: toStage,
+  note
+});
+
+/**
+ * Bulk stage move schema
+ * Default: every application that can move is moved; atomic moves none
+ * unless all of them can
+ */
+const bulkMoveStageSchema = Joi.object({
+  drive_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid drive ID format',
+      'any.required': 'Drive ID is required'
+    }),
+
+  application_ids: Joi.array()
+    .items(
+      Joi.string()
+        .uuid()
+        .messages({
+          'string.guid': 'Invalid application ID format'
+        })
+    )
+    .unique()
+    .min(1)
+    .max(APPLICATIONS.BULK_MAX)
+    .required()
+    .messages({
+      'array.base': 'Application IDs must be a list',
+      'array.unique': 'Duplicate application ID',
+      'array.min': 'At least one application is required',
+      'array.max': `Cannot move more than ${APPLICATIONS.BULK_MAX} applications at once`,
+      'any.required': 'Application IDs are required'
+    }),
+
+  to_stage: toStage,
+
+  note,
+
+  atomic: Joi.boolean()
+    .optional()
+    .default(false)
+    .messages({
+      'boolean.base': 'atomic must be true or false'
+    })
+});
+
+/**
+ * List applications schema (staff)
+ */
+const listApplicationsSchema = Joi.object({
+  drive_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid drive ID format'
+    }),
+
+  stage: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(APPLICATIONS.STAGE_REGEX)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid stage'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .min(1)
+    .max(APPLICATIONS.SEARCH_MAX_LENGTH)
+    .optional()
+    .messages({
+      'string.max': `Search cannot exceed ${APPLICATIONS.SEARCH_MAX_LENGTH} characters`
+    }),
+
+  page: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+module.exports = {
+  applySchema,
+  withdrawApplicationSchema,
+  moveStageSchema,
+  bulkMoveStageSchema,
+  listApplicationsSchema
+};
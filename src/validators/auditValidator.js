@@ -0,0 +1,94 @@
+/**
+ * ============================================================================
+ * AUDIT VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for audit log endpoints
+ */
+
+const Joi = require('joi');
+const { AUDIT } = require('../config/constants');
+
+const ENTITY_TYPES = Object.values(AUDIT.ENTITY_TYPES);
+const ACTIONS = Object.values(AUDIT.ACTIONS);
+
+const uuidFilter = (label) => Joi.string()
+  .uuid()
+  .optional()
+  .messages({
+    'string.guid': `Invalid ${label} format`
+  });
+
+/**
+ * List audit events schema
+ * Validates query parameters (filters + pagination)
+ * college_id is only honoured for sysadmins
+ */
+const listAuditEventsSchema = Joi.object({
+  college_id: uuidFilter('college ID'),
+
+  actor_id: uuidFilter('actor ID'),
+
+  entity_type: Joi.string()
+    .valid(...ENTITY_TYPES)
+    .optional()
+    .messages({
+      'any.only': `Entity type must be one of: ${ENTITY_TYPES.join(', ')}`
+    }),
+
+  entity_id: uuidFilter('entity ID'),
+
+  action: Joi.string()
+    .valid(...ACTIONS)
+    .optional()
+    .messages({
+      'any.only': `Action must be one of: ${ACTIONS.join(', ')}`
+    }),
+
+  request_id: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'from must be an ISO 8601 date'
+    }),
+
+  to: Joi.date()
+    .iso()
+    .optional()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('from'))
+    })
+    .messages({
+      'date.format': 'to must be an ISO 8601 date',
+      'date.greater': 'to must be after from'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+module.exports = {
+  listAuditEventsSchema
+};
@@ -6,7 +6,7 @@
  */
 
 const Joi = require('joi');
-const { VALIDATION } = require('../config/constants');
+const { VALIDATION, ACCOUNT_TYPES, IMPERSONATION } = require('../config/constants');
 
 /**
  * Login schema
@@ -34,6 +34,165 @@ const loginSchema = Joi.object({
     })
 });
 
+/**
+ * Refresh token schema
+ * Validates token refresh request body
+ */
+const refreshTokenSchema = Joi.object({
+  refresh_token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Refresh token is required',
+      'any.required': 'Refresh token is required'
+    })
+});
+
+/**
+ * Forgot password schema
+ * Validates password reset request body
+ * college_id is required for students (same email may exist in several colleges)
+ * and narrows the lookup for users; on a college subdomain it is filled in
+ */
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Invalid email format',
+      'any.required': 'Email is required'
+    }),
+
+  account_type: Joi.string()
+    .valid(...Object.values(ACCOUNT_TYPES))
+    .default(ACCOUNT_TYPES.USER)
+    .messages({
+      'any.only': `Account type must be one of: ${Object.values(ACCOUNT_TYPES).join(', ')}`
+    }),
+
+  college_id: Joi.string()
+    .uuid()
+    .when('account_type', {
+      is: ACCOUNT_TYPES.STUDENT,
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'string.guid': 'Invalid college ID format',
+      'any.required': 'College ID is required for student accounts (or call the API on the college subdomain)'
+    })
+});
+
+/**
+ * Reset password schema
+ * Validates password reset confirmation body
+ */
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Reset token is required',
+      'any.required': 'Reset token is required'
+    }),
+
+  new_password: Joi.string()
+    .min(VALIDATION.PASSWORD_MIN_LENGTH)
+    .max(VALIDATION.PASSWORD_MAX_LENGTH)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.empty': 'New password is required',
+      'string.min': `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`,
+      'string.max': `Password cannot exceed ${VALIDATION.PASSWORD_MAX_LENGTH} characters`,
+      'string.pattern.base': 'Password must contain uppercase, lowercase, and numeric characters',
+      'any.required': 'New password is required'
+    })
+});
+
+/**
+ * MFA code schema
+ * TOTP code or recovery code
+ */
+const mfaCode = Joi.string()
+  .trim()
+  .min(6)
+  .max(20)
+  .required()
+  .messages({
+    'string.empty': 'Verification code is required',
+    'string.min': 'Invalid verification code',
+    'string.max': 'Invalid verification code',
+    'any.required': 'Verification code is required'
+  });
+
+const mfaToken = Joi.string()
+  .required()
+  .messages({
+    'string.empty': 'MFA token is required',
+    'any.required': 'MFA token is required'
+  });
+
+/**
+ * MFA code schema
+ * Validates enrollment verify, disable and recovery code regeneration
+ */
+const mfaCodeSchema = Joi.object({
+  code: mfaCode
+});
+
+/**
+ * MFA login schema
+ * Validates second login step body
+ */
+const mfaLoginSchema = Joi.object({
+  mfa_token: mfaToken,
+  code: mfaCode
+});
+
+/**
+ * MFA token schema
+ * Validates mandatory enrollment during login
+ */
+const mfaTokenSchema = Joi.object({
+  mfa_token: mfaToken
+});
+
+/**
+ * Impersonation schema
+ * Validates sysadmin impersonation request body
+ */
+const impersonateSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(5)
+    .max(500)
+    .required()
+    .messages({
+      'string.empty': 'Reason is required',
+      'string.min': 'Reason must be at least 5 characters',
+      'string.max': 'Reason cannot exceed 500 characters',
+      'any.required': 'Reason is required'
+    }),
+
+  duration_minutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(IMPERSONATION.MAX_MINUTES)
+    .optional()
+    .default(IMPERSONATION.DEFAULT_MINUTES)
+    .messages({
+      'number.min': 'Duration must be at least 1 minute',
+      'number.max': `Duration cannot exceed ${IMPERSONATION.MAX_MINUTES} minutes`
+    })
+});
+
 module.exports = {
-  loginSchema
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  mfaCodeSchema,
+  mfaLoginSchema,
+  mfaTokenSchema,
+  impersonateSchema
 };
\ No newline at end of file
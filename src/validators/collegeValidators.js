@@ -93,6 +93,24 @@ const updateCollegeSchema = Joi.object({
     .optional()
     .messages({
       'any.only': `Status must be one of: ${Object.values(STATUS).join(', ')}`
+    }),
+
+  admin_mfa_required: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'admin_mfa_required must be true or false'
+    }),
+
+  allowed_email_domains: Joi.array()
+    .items(Joi.string().lowercase().domain())
+    .unique()
+    .max(VALIDATION.MAX_EMAIL_DOMAINS)
+    .optional()
+    .messages({
+      'array.base': 'allowed_email_domains must be an array of domains',
+      'string.domain': 'Each allowed email domain must be a valid domain (e.g. mit.edu)',
+      'array.unique': 'Allowed email domains must be unique',
+      'array.max': `Cannot allow more than ${VALIDATION.MAX_EMAIL_DOMAINS} email domains`
     })
 }).min(1).messages({
   'object.min': 'At least one field must be updated'
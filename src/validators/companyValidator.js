@@ -0,0 +1,269 @@
+/**
+ * ============================================================================
+ * COMPANY VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for company and recruiter contact endpoints
+ */
+
+const Joi = require('joi');
+const {
+  VALIDATION,
+  STATUS,
+  COMPANIES,
+  STUDENT_PROFILE
+} = require('../config/constants');
+
+/**
+ * Optional free-text column (null clears it on update)
+ *
+ * @private
+ */
+const optionalText = (label, max) => Joi.string()
+  .trim()
+  .max(max)
+  .allow(null)
+  .optional()
+  .messages({
+    'string.max': `${label} cannot exceed ${max} characters`
+  });
+
+const companyName = Joi.string()
+  .trim()
+  // Collapse inner whitespace so "Acme  Corp" dedups with "Acme Corp"
+  .replace(/\s+/g, ' ')
+  .min(VALIDATION.STRING_MIN_LENGTH)
+  .max(VALIDATION.STRING_MAX_LENGTH)
+  .messages({
+    'string.empty': 'Company name is required',
+    'string.min': `Company name must be at least ${VALIDATION.STRING_MIN_LENGTH} characters`,
+    'string.max': `Company name cannot exceed ${VALIDATION.STRING_MAX_LENGTH} characters`,
+    'any.required': 'Company name is required'
+  });
+
+const companyFields = {
+  company_domain: Joi.string()
+    .trim()
+    .lowercase()
+    .replace(/^www\./, '')
+    .pattern(COMPANIES.DOMAIN_REGEX)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Company domain must be a host name such as example.com'
+    }),
+
+  industry: optionalText('Industry', 100),
+
+  website: Joi.string()
+    .trim()
+    .max(VALIDATION.URL_MAX_LENGTH)
+    .uri({ scheme: ['http', 'https'] })
+    .allow(null)
+    .optional()
+    .messages({
+      'string.uri': 'Website must be a valid http(s) URL',
+      'string.uriCustomScheme': 'Website must be a valid http(s) URL',
+      'string.max': `Website cannot exceed ${VALIDATION.URL_MAX_LENGTH} characters`
+    }),
+
+  hq_location: optionalText('HQ location', VALIDATION.STRING_MAX_LENGTH),
+
+  company_tier: Joi.string()
+    .valid(...COMPANIES.TIERS)
+    .allow(null)
+    .optional()
+    .messages({
+      'any.only': `Company tier must be one of: ${COMPANIES.TIERS.join(', ')}`
+    }),
+
+  notes: optionalText('Notes', COMPANIES.NOTES_MAX_LENGTH)
+};
+
+const contactFields = {
+  contact_name: Joi.string()
+    .trim()
+    .min(VALIDATION.NAME_MIN_LENGTH)
+    .max(VALIDATION.NAME_MAX_LENGTH)
+    .messages({
+      'string.empty': 'Contact name is required',
+      'string.min': `Contact name must be at least ${VALIDATION.NAME_MIN_LENGTH} characters`,
+      'string.max': `Contact name cannot exceed ${VALIDATION.NAME_MAX_LENGTH} characters`,
+      'any.required': 'Contact name is required'
+    }),
+
+  contact_email: Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .max(VALIDATION.EMAIL_MAX_LENGTH)
+    .messages({
+      'string.empty': 'Contact email is required',
+      'string.email': 'Invalid contact email format',
+      'any.required': 'Contact email is required'
+    }),
+
+  contact_phone: Joi.string()
+    .trim()
+    .pattern(STUDENT_PROFILE.PHONE_REGEX)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Phone number must contain 8-20 digits (optional leading +, spaces or dashes)'
+    }),
+
+  designation: optionalText('Designation', 100),
+
+  is_primary: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'is_primary must be true or false'
+    })
+};
+
+/**
+ * Add contact schema
+ * Also used for each entry of contacts when creating a company
+ */
+const createContactSchema = Joi.object({
+  ...contactFields,
+  contact_name: contactFields.contact_name.required(),
+  contact_email: contactFields.contact_email.required()
+});
+
+/**
+ * Create company schema
+ * Validates company creation request body (contacts optional)
+ */
+const createCompanySchema = Joi.object({
+  company_name: companyName.required(),
+
+  ...companyFields,
+
+  contacts: Joi.array()
+    .items(createContactSchema)
+    .max(COMPANIES.MAX_CONTACTS)
+    .unique('contact_email')
+    .custom((contacts, helpers) => (
+      contacts.filter((contact) => contact.is_primary).length > 1
+        ? helpers.error('array.onePrimary')
+        : contacts
+    ))
+    .optional()
+    .messages({
+      'array.base': 'Contacts must be a list',
+      'array.max': `Cannot exceed ${COMPANIES.MAX_CONTACTS} contacts`,
+      'array.unique': 'Duplicate contact email',
+      'array.onePrimary': 'Only one contact can be primary'
+    })
+});
+
+/**
+ * Update company schema
+ * company_status: active reactivates a deleted company
+ */
+const updateCompanySchema = Joi.object({
+  company_name: companyName.optional(),
+
+  ...companyFields,
+
+  company_status: Joi.string()
+    .valid(STATUS.ACTIVE, STATUS.INACTIVE)
+    .optional()
+    .messages({
+      'any.only': `Company status must be one of: ${STATUS.ACTIVE}, ${STATUS.INACTIVE}`
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be updated'
+});
+
+/**
+ * Update contact schema
+ */
+const updateContactSchema = Joi.object({
+  ...contactFields
+}).min(1).messages({
+  'object.min': 'At least one field must be updated'
+});
+
+/**
+ * List companies schema
+ * Validates query parameters (filters, search, sorting, pagination)
+ */
+const listCompaniesSchema = Joi.object({
+  status: Joi.string()
+    .valid(STATUS.ACTIVE, STATUS.INACTIVE)
+    .optional()
+    .default(STATUS.ACTIVE)
+    .messages({
+      'any.only': `Status must be one of: ${STATUS.ACTIVE}, ${STATUS.INACTIVE}`
+    }),
+
+  industry: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Industry cannot exceed 100 characters'
+    }),
+
+  tier: Joi.string()
+    .valid(...COMPANIES.TIERS)
+    .optional()
+    .messages({
+      'any.only': `Tier must be one of: ${COMPANIES.TIERS.join(', ')}`
+    }),
+
+  search: Joi.string()
+    .trim()
+    .min(1)
+    .max(COMPANIES.SEARCH_MAX_LENGTH)
+    .optional()
+    .messages({
+      'string.max': `Search cannot exceed ${COMPANIES.SEARCH_MAX_LENGTH} characters`
+    }),
+
+  sort_by: Joi.string()
+    .valid(...COMPANIES.SORT_FIELDS)
+    .optional()
+    .default(COMPANIES.DEFAULT_SORT_BY)
+    .messages({
+      'any.only': `Sort field must be one of: ${COMPANIES.SORT_FIELDS.join(', ')}`
+    }),
+
+  sort_order: Joi.string()
+    .lowercase()
+    .valid('asc', 'desc')
+    .optional()
+    .default(COMPANIES.DEFAULT_SORT_ORDER)
+    .messages({
+      'any.only': 'Sort order must be asc or desc'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+module.exports = {
+  createCompanySchema,
+  updateCompanySchema,
+  listCompaniesSchema,
+  createContactSchema,
+  updateContactSchema
+};
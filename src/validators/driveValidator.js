@@ -0,0 +1,489 @@
+/**
+ * ============================================================================
+ * DRIVE VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for placement drive endpoints
+ */
+
+const Joi = require('joi');
+const {
+  DRIVES,
+  ELIGIBILITY,
+  APPLICATIONS,
+  STUDENT_PROFILE
+} = require('../config/constants');
+
+const JOB_TYPES = Object.values(DRIVES.JOB_TYPES);
+const STATUSES = Object.values(DRIVES.STATUS);
+const OUTCOMES = Object.values(APPLICATIONS.OUTCOMES);
+
+/**
+ * Money amount (annual unless named per month)
+ *
+ * @private
+ */
+const amount = (label) => Joi.number()
+  .min(0)
+  .precision(2)
+  .optional()
+  .messages({
+    'number.base': `${label} must be a number`,
+    'number.min': `${label} cannot be negative`
+  });
+
+/**
+ * CTC / stipend breakdown
+ * Components (base, variable, joining bonus, other) cannot add up to more than ctc
+ */
+const compensationSchema = Joi.object({
+  currency: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .default(DRIVES.DEFAULT_CURRENCY)
+    .messages({
+      'string.pattern.base': 'Currency must be a 3-letter code such as INR'
+    }),
+  ctc: amount('CTC'),
+  base_salary: amount('Base salary'),
+  variable_pay: amount('Variable pay'),
+  joining_bonus: amount('Joining bonus'),
+  other_benefits: amount('Other benefits'),
+  stipend_per_month: amount('Stipend'),
+  notes: Joi.string()
+    .trim()
+    .max(500)
+    .optional()
+    .messages({
+      'string.max': 'Compensation notes cannot exceed 500 characters'
+    })
+})
+  .custom((value, helpers) => {
+    const components = ['base_salary', 'variable_pay', 'joining_bonus', 'other_benefits']
+      .reduce((sum, key) => sum + (value[key] || 0), 0);
+
+    return value.ctc !== undefined && components > value.ctc
+      ? helpers.error('compensation.exceedsCtc')
+      : value;
+  })
+  .messages({
+    'object.base': 'Compensation must be an object',
+    'compensation.exceedsCtc': 'Salary components cannot add up to more than the CTC'
+  });
+
+/**
+ * Service bond terms (null = no bond)
+ */
+const bondSchema = Joi.object({
+  duration_months: Joi.number()
+    .integer()
+    .min(1)
+    .max(DRIVES.MAX_BOND_MONTHS)
+    .required()
+    .messages({
+      'number.base': 'Bond duration must be a number of months',
+      'number.min': 'Bond duration must be at least 1 month',
+      'number.max': `Bond duration cannot exceed ${DRIVES.MAX_BOND_MONTHS} months`,
+      'any.required': 'Bond duration is required'
+    }),
+  penalty_amount: amount('Bond penalty'),
+  details: Joi.string()
+    .trim()
+    .max(1000)
+    .optional()
+    .messages({
+      'string.max': 'Bond details cannot exceed 1000 characters'
+    })
+})
+  .allow(null)
+  .optional()
+  .messages({
+    'object.base': 'Bond must be an object or null'
+  });
+
+/**
+ * Minimum percentage rule
+ *
+ * @private
+ */
+const minPercentage = (label) => Joi.number()
+  .min(0)
+  .max(100)
+  .precision(2)
+  .optional()
+  .messages({
+    'number.base': `Minimum ${label} percentage must be a number`,
+    'number.min': `Minimum ${label} percentage cannot be negative`,
+    'number.max': `Minimum ${label} percentage cannot exceed 100`
+  });
+
+/**
+ * Maximum backlogs rule
+ *
+ * @private
+ */
+const maxBacklogs = (label) => Joi.number()
+  .integer()
+  .min(0)
+  .optional()
+  .messages({
+    'number.base': `Maximum ${label} backlogs must be a number`,
+    'number.min': `Maximum ${label} backlogs cannot be negative`
+  });
+
+/**
+ * Eligibility criteria (ELIGIBILITY.RULES) - every rule optional, {} = everyone
+ * Unknown rules are rejected so a typo cannot silently widen eligibility
+ */
+const eligibilityCriteriaSchema = Joi.object({
+  min_cgpa: Joi.number()
+    .min(0)
+    .max(STUDENT_PROFILE.CGPA_MAX)
+    .precision(2)
+    .optional()
+    .messages({
+      'number.base': 'Minimum CGPA must be a number',
+      'number.min': 'Minimum CGPA cannot be negative',
+      'number.max': `Minimum CGPA cannot exceed ${STUDENT_PROFILE.CGPA_MAX}`
+    }),
+
+  max_active_backlogs: maxBacklogs('active'),
+
+  max_historic_backlogs: maxBacklogs('historic'),
+
+  departments: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .min(1)
+        .max(50)
+        .messages({
+          'string.empty': 'Departments cannot contain empty values',
+          'string.max': 'Each department cannot exceed 50 characters'
+        })
+    )
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .max(ELIGIBILITY.MAX_DEPARTMENTS)
+    .optional()
+    .messages({
+      'array.base': 'Departments must be a list',
+      'array.unique': 'Duplicate department',
+      'array.max': `Cannot exceed ${ELIGIBILITY.MAX_DEPARTMENTS} departments`
+    }),
+
+  years: Joi.array()
+    .items(Joi.number().integer().min(1).max(4))
+    .unique()
+    .optional()
+    .messages({
+      'array.base': 'Years must be a list',
+      'array.unique': 'Duplicate year',
+      'number.base': 'Each year must be a number from 1 to 4',
+      'number.min': 'Each year must be a number from 1 to 4',
+      'number.max': 'Each year must be a number from 1 to 4'
+    }),
+
+  graduation_years: Joi.array()
+    .items(
+      Joi.number()
+        .integer()
+        .min(STUDENT_PROFILE.MIN_GRADUATION_YEAR)
+        .max(new Date().getFullYear() + STUDENT_PROFILE.GRADUATION_YEAR_LOOKAHEAD)
+    )
+    .unique()
+    .optional()
+    .messages({
+      'array.base': 'Graduation years must be a list',
+      'array.unique': 'Duplicate graduation year',
+      'number.base': 'Each graduation year must be a number',
+      'number.min': `Graduation years cannot be before ${STUDENT_PROFILE.MIN_GRADUATION_YEAR}`,
+      'number.max': 'Graduation year is too far in the future'
+    }),
+
+  genders: Joi.array()
+    .items(Joi.string().lowercase().valid(...STUDENT_PROFILE.GENDERS))
+    .unique()
+    .optional()
+    .messages({
+      'array.base': 'Genders must be a list',
+      'array.unique': 'Duplicate gender',
+      'any.only': `Genders must be from: ${STUDENT_PROFILE.GENDERS.join(', ')}`
+    }),
+
+  min_tenth_percentage: minPercentage('10th'),
+
+  min_twelfth_percentage: minPercentage('12th'),
+
+  min_diploma_percentage: minPercentage('diploma'),
+
+  accept_diploma_for_twelfth: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'accept_diploma_for_twelfth must be true or false'
+    }),
+
+  require_verified: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'require_verified must be true or false'
+    })
+})
+  .unknown(false)
+  .messages({
+    'object.base': 'Eligibility criteria must be an object',
+    'object.unknown': `Unknown eligibility rule {#key} (allowed: ${ELIGIBILITY.RULES.join(', ')})`
+  });
+
+/**
+ * Application pipeline - ordered stage keys starting with "applied"
+ * Outcomes (selected / rejected / withdrawn) are shared and not listed
+ */
+const applicationStagesSchema = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(APPLICATIONS.STAGE_REGEX)
+      .invalid(...OUTCOMES)
+      .messages({
+        'string.pattern.base': 'Stages must be 2-40 characters of lowercase letters, digits and underscores, starting with a letter',
+        'any.invalid': `Outcomes (${OUTCOMES.join(', ')}) are not stages`
+      })
+  )
+  .unique()
+  .min(1)
+  .max(APPLICATIONS.MAX_STAGES)
+  .custom((value, helpers) => (
+    value[0] === APPLICATIONS.FIRST_STAGE ? value : helpers.error('stages.first')
+  ))
+  .messages({
+    'array.base': 'Application stages must be a list',
+    'array.unique': 'Duplicate stage',
+    'array.min': 'At least one stage is required',
+    'array.max': `Cannot exceed ${APPLICATIONS.MAX_STAGES} stages`,
+    'stages.first': `The first stage must be "${APPLICATIONS.FIRST_STAGE}"`
+  });
+
+const driveFields = {
+  company_id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'Invalid company ID format',
+      'any.required': 'Company ID is required'
+    }),
+
+  role_title: Joi.string()
+    .trim()
+    .min(2)
+    .max(DRIVES.ROLE_TITLE_MAX_LENGTH)
+    .messages({
+      'string.empty': 'Role title is required',
+      'string.min': 'Role title must be at least 2 characters',
+      'string.max': `Role title cannot exceed ${DRIVES.ROLE_TITLE_MAX_LENGTH} characters`,
+      'any.required': 'Role title is required'
+    }),
+
+  job_type: Joi.string()
+    .valid(...JOB_TYPES)
+    .messages({
+      'any.only': `Job type must be one of: ${JOB_TYPES.join(', ')}`,
+      'any.required': 'Job type is required'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(DRIVES.DESCRIPTION_MAX_LENGTH)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.max': `Description cannot exceed ${DRIVES.DESCRIPTION_MAX_LENGTH} characters`
+    }),
+
+  compensation: compensationSchema.optional(),
+
+  locations: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .min(1)
+        .max(STUDENT_PROFILE.LIST_ITEM_MAX_LENGTH)
+        .messages({
+          'string.empty': 'Locations cannot contain empty values',
+          'string.max': `Each location cannot exceed ${STUDENT_PROFILE.LIST_ITEM_MAX_LENGTH} characters`
+        })
+    )
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .max(DRIVES.MAX_LOCATIONS)
+    .optional()
+    .messages({
+      'array.base': 'Locations must be a list',
+      'array.unique': 'Duplicate location',
+      'array.max': `Cannot exceed ${DRIVES.MAX_LOCATIONS} locations`
+    }),
+
+  bond: bondSchema,
+
+  application_deadline: Joi.date()
+    .iso()
+    .greater('now')
+    .allow(null)
+    .optional()
+    .messages({
+      'date.base': 'Application deadline must be an ISO date-time',
+      'date.format': 'Application deadline must be an ISO date-time',
+      'date.greater': 'Application deadline must be in the future'
+    }),
+
+  eligibility_criteria: eligibilityCriteriaSchema.optional(),
+
+  application_stages: applicationStagesSchema.optional()
+};
+
+/**
+ * Create drive schema
+ * Drives start as draft - completeness is checked when publishing
+ */
+const createDriveSchema = Joi.object({
+  ...driveFields,
+  company_id: driveFields.company_id.required(),
+  role_title: driveFields.role_title.required(),
+  job_type: driveFields.job_type.required()
+});
+
+/**
+ * Update drive schema
+ */
+const updateDriveSchema = Joi.object({
+  ...driveFields
+}).min(1).messages({
+  'object.min': 'At least one field must be updated'
+});
+
+/**
+ * Drive status schema (publish / close / complete)
+ */
+const driveStatusSchema = Joi.object({
+  drive_status: Joi.string()
+    .valid(...STATUSES.filter((status) => status !== DRIVES.STATUS.DRAFT))
+    .required()
+    .messages({
+      'any.only': `Drive status must be one of: ${STATUSES.filter((status) => status !== DRIVES.STATUS.DRAFT).join(', ')}`,
+      'any.required': 'Drive status is required'
+    })
+});
+
+/**
+ * Filters shared by the staff and student listings
+ *
+ * @private
+ */
+const listFields = {
+  job_type: Joi.string()
+    .valid(...JOB_TYPES)
+    .optional()
+    .messages({
+      'any.only': `Job type must be one of: ${JOB_TYPES.join(', ')}`
+    }),
+
+  company_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid company ID format'
+    }),
+
+  search: Joi.string()
+    .trim()
+    .min(1)
+    .max(DRIVES.SEARCH_MAX_LENGTH)
+    .optional()
+    .messages({
+      'string.max': `Search cannot exceed ${DRIVES.SEARCH_MAX_LENGTH} characters`
+    }),
+
+  sort_by: Joi.string()
+    .valid(...DRIVES.SORT_FIELDS)
+    .optional()
+    .messages({
+      'any.only': `Sort field must be one of: ${DRIVES.SORT_FIELDS.join(', ')}`
+    }),
+
+  sort_order: Joi.string()
+    .lowercase()
+    .valid('asc', 'desc')
+    .optional()
+    .messages({
+      'any.only': 'Sort order must be asc or desc'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+};
+
+/**
+ * List drives schema (staff)
+ */
+const listDrivesSchema = Joi.object({
+  ...listFields,
+
+  status: Joi.string()
+    .valid(...STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${STATUSES.join(', ')}`
+    }),
+
+  sort_by: listFields.sort_by.default(DRIVES.DEFAULT_SORT_BY),
+  sort_order: listFields.sort_order.default(DRIVES.DEFAULT_SORT_ORDER)
+});
+
+/**
+ * Eligibility preview schema (query)
+ * result narrows the student list; the counts always cover everyone
+ */
+const eligibilityPreviewSchema = Joi.object({
+  result: Joi.string()
+    .valid(...Object.values(ELIGIBILITY.RESULTS))
+    .optional()
+    .messages({
+      'any.only': `Result must be one of: ${Object.values(ELIGIBILITY.RESULTS).join(', ')}`
+    }),
+
+  page: listFields.page,
+  limit: listFields.limit
+});
+
+/**
+ * List published drives schema (students)
+ * Closest deadline first by default
+ */
+const listPublishedDrivesSchema = Joi.object({
+  ...listFields,
+  sort_by: listFields.sort_by.default('application_deadline'),
+  sort_order: listFields.sort_order.default('asc')
+});
+
+module.exports = {
+  createDriveSchema,
+  updateDriveSchema,
+  driveStatusSchema,
+  listDrivesSchema,
+  listPublishedDrivesSchema,
+  eligibilityPreviewSchema
+};
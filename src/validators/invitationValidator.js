@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * INVITATION VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for user invitation API endpoints
+ */
+
+const Joi = require('joi');
+const { VALIDATION, ROLES, RBAC, INVITATION_STATUS } = require('../config/constants');
+
+/**
+ * Create invitation schema
+ * Validates invitation request body (no password - invitee sets it)
+ */
+const createInvitationSchema = Joi.object({
+  user_name: Joi.string()
+    .min(VALIDATION.STRING_MIN_LENGTH)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'User name is required',
+      'string.min': `Minimum ${VALIDATION.STRING_MIN_LENGTH} characters`,
+      'string.max': 'User name cannot exceed 100 characters',
+      'any.required': 'User name is required'
+    }),
+
+  user_email: Joi.string()
+    .email()
+    .max(VALIDATION.EMAIL_MAX_LENGTH)
+    .required()
+    .messages({
+      'string.empty': 'User email is required',
+      'string.email': 'Invalid email format',
+      'any.required': 'User email is required'
+    }),
+
+  // Built-in (admin, teacher, ...) or custom college role key
+  user_role: Joi.string()
+    .pattern(RBAC.ROLE_KEY_REGEX)
+    .invalid(ROLES.SYSADMIN)
+    .required()
+    .messages({
+      'string.pattern.base': 'User role must be a valid role key',
+      'any.invalid': `User role cannot be ${ROLES.SYSADMIN}`,
+      'any.required': 'User role is required'
+    })
+});
+
+/**
+ * List invitation schema
+ * Validates status filter and pagination query parameters
+ */
+const listInvitationSchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(INVITATION_STATUS))
+    .optional()
+    .default(INVITATION_STATUS.PENDING)
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(INVITATION_STATUS).join(', ')}`
+    }),
+
+  page: Joi.number()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * Accept invitation schema
+ * Validates password chosen by the invitee
+ */
+const acceptInvitationSchema = Joi.object({
+  user_password: Joi.string()
+    .min(VALIDATION.PASSWORD_MIN_LENGTH)
+    .max(VALIDATION.PASSWORD_MAX_LENGTH)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.empty': 'User password is required',
+      'string.min': `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`,
+      'string.max': `Password cannot exceed ${VALIDATION.PASSWORD_MAX_LENGTH} characters`,
+      'string.pattern.base': 'Password must contain uppercase, lowercase, and numeric characters',
+      'any.required': 'User password is required'
+    })
+});
+
+module.exports = {
+  createInvitationSchema,
+  listInvitationSchema,
+  acceptInvitationSchema
+};
@@ -0,0 +1,82 @@
+/**
+ * ============================================================================
+ * LOGIN SECURITY VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for login history and account unlock endpoints
+ */
+
+const Joi = require('joi');
+const { ACCOUNT_TYPES } = require('../config/constants');
+
+const accountType = Joi.string()
+  .valid(...Object.values(ACCOUNT_TYPES))
+  .messages({
+    'any.only': `Account type must be one of: ${Object.values(ACCOUNT_TYPES).join(', ')}`
+  });
+
+/**
+ * List login history schema
+ * Validates query parameters (filters + pagination)
+ */
+const listLoginHistorySchema = Joi.object({
+  account_type: accountType.optional(),
+
+  account_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Invalid account ID format'
+    }),
+
+  succeeded: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'succeeded must be true or false'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * Unlock account schema
+ * Validates unlock request body
+ */
+const unlockAccountSchema = Joi.object({
+  account_type: accountType
+    .required()
+    .messages({
+      'any.required': 'Account type is required'
+    }),
+
+  account_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.empty': 'Account ID is required',
+      'string.guid': 'Invalid account ID format',
+      'any.required': 'Account ID is required'
+    })
+});
+
+module.exports = {
+  listLoginHistorySchema,
+  unlockAccountSchema
+};
@@ -0,0 +1,114 @@
+/**
+ * ============================================================================
+ * PLATFORM ADMIN VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for sysadmin account management endpoints
+ */
+
+const Joi = require('joi');
+const { VALIDATION, STATUS } = require('../config/constants');
+
+/**
+ * Create platform admin schema
+ * Validates sysadmin creation request body
+ */
+const createPlatformAdminSchema = Joi.object({
+  admin_name: Joi.string()
+    .min(VALIDATION.NAME_MIN_LENGTH)
+    .max(VALIDATION.NAME_MAX_LENGTH)
+    .required()
+    .messages({
+      'string.empty': 'Admin name is required',
+      'string.min': `Minimum ${VALIDATION.NAME_MIN_LENGTH} characters`,
+      'string.max': `Admin name cannot exceed ${VALIDATION.NAME_MAX_LENGTH} characters`,
+      'any.required': 'Admin name is required'
+    }),
+
+  admin_email: Joi.string()
+    .email()
+    .max(VALIDATION.EMAIL_MAX_LENGTH)
+    .required()
+    .messages({
+      'string.empty': 'Admin email is required',
+      'string.email': 'Invalid email format',
+      'any.required': 'Admin email is required'
+    }),
+
+  admin_password: Joi.string()
+    .min(VALIDATION.PASSWORD_MIN_LENGTH)
+    .max(VALIDATION.PASSWORD_MAX_LENGTH)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .required()
+    .messages({
+      'string.empty': 'Admin password is required',
+      'string.min': `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`,
+      'string.max': `Password cannot exceed ${VALIDATION.PASSWORD_MAX_LENGTH} characters`,
+      'string.pattern.base': 'Password must contain uppercase, lowercase, and numeric characters',
+      'any.required': 'Admin password is required'
+    })
+});
+
+/**
+ * Update platform admin schema
+ * Validates sysadmin update request body
+ */
+const updatePlatformAdminSchema = Joi.object({
+  admin_name: Joi.string()
+    .min(VALIDATION.NAME_MIN_LENGTH)
+    .max(VALIDATION.NAME_MAX_LENGTH)
+    .optional()
+    .messages({
+      'string.min': `Minimum ${VALIDATION.NAME_MIN_LENGTH} characters`,
+      'string.max': `Admin name cannot exceed ${VALIDATION.NAME_MAX_LENGTH} characters`
+    }),
+
+  admin_password: Joi.string()
+    .min(VALIDATION.PASSWORD_MIN_LENGTH)
+    .max(VALIDATION.PASSWORD_MAX_LENGTH)
+    .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .optional()
+    .messages({
+      'string.min': `Password must be at least ${VALIDATION.PASSWORD_MIN_LENGTH} characters`,
+      'string.max': `Password cannot exceed ${VALIDATION.PASSWORD_MAX_LENGTH} characters`,
+      'string.pattern.base': 'Password must contain uppercase, lowercase, and numeric characters'
+    }),
+
+  admin_status: Joi.string()
+    .valid(STATUS.ACTIVE, STATUS.INACTIVE)
+    .optional()
+    .messages({
+      'any.only': `Admin status must be one of: ${STATUS.ACTIVE}, ${STATUS.INACTIVE}`
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be updated'
+});
+
+/**
+ * List platform admins schema
+ * Validates pagination query parameters
+ */
+const listPlatformAdminsSchema = Joi.object({
+  page: Joi.number()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+module.exports = {
+  createPlatformAdminSchema,
+  updatePlatformAdminSchema,
+  listPlatformAdminsSchema
+};
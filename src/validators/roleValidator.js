@@ -0,0 +1,52 @@
+/**
+ * ============================================================================
+ * ROLE VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for college role & permission endpoints
+ */
+
+const Joi = require('joi');
+const { VALIDATION, COLLEGE_PERMISSIONS, RBAC } = require('../config/constants');
+
+/**
+ * Save role schema
+ * Validates custom role / teacher override request body
+ */
+const saveRoleSchema = Joi.object({
+  role_name: Joi.string()
+    .trim()
+    .min(VALIDATION.NAME_MIN_LENGTH)
+    .max(VALIDATION.NAME_MAX_LENGTH)
+    .required()
+    .messages({
+      'string.empty': 'Role name is required',
+      'string.min': `Role name must be at least ${VALIDATION.NAME_MIN_LENGTH} characters`,
+      'string.max': `Role name cannot exceed ${VALIDATION.NAME_MAX_LENGTH} characters`,
+      'any.required': 'Role name is required'
+    }),
+
+  role_level: Joi.number()
+    .integer()
+    .min(RBAC.MIN_CUSTOM_LEVEL)
+    .max(RBAC.MAX_CUSTOM_LEVEL)
+    .optional()
+    .default(RBAC.DEFAULT_CUSTOM_LEVEL)
+    .messages({
+      'number.min': `Role level must be at least ${RBAC.MIN_CUSTOM_LEVEL}`,
+      'number.max': `Role level cannot exceed ${RBAC.MAX_CUSTOM_LEVEL}`
+    }),
+
+  permissions: Joi.array()
+    .items(Joi.string().valid(...COLLEGE_PERMISSIONS))
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Permissions must be from: ${COLLEGE_PERMISSIONS.join(', ')}`,
+      'array.unique': 'Duplicate permission',
+      'any.required': 'Permissions are required'
+    })
+});
+
+module.exports = {
+  saveRoleSchema
+};
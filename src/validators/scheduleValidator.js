@@ -0,0 +1,275 @@
+/**
+ * ============================================================================
+ * SCHEDULE VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for interview / test scheduling endpoints
+ */
+
+const Joi = require('joi');
+const { APPLICATIONS, SCHEDULING } = require('../config/constants');
+
+const MODES = Object.values(SCHEDULING.MODES);
+
+const uuid = (label) => Joi.string()
+  .uuid()
+  .messages({
+    'string.guid': `Invalid ${label} ID format`,
+    'any.required': `${label.charAt(0).toUpperCase()}${label.slice(1)} ID is required`
+  });
+
+const venue = Joi.string()
+  .trim()
+  .max(SCHEDULING.VENUE_MAX_LENGTH)
+  .allow(null)
+  .optional()
+  .messages({
+    'string.max': `Venue cannot exceed ${SCHEDULING.VENUE_MAX_LENGTH} characters`
+  });
+
+const meetingLink = Joi.string()
+  .trim()
+  .uri({ scheme: ['https', 'http'] })
+  .allow(null)
+  .optional()
+  .messages({
+    'string.uri': 'Meeting link must be an http(s) URL',
+    'string.uriCustomScheme': 'Meeting link must be an http(s) URL'
+  });
+
+const roundFields = {
+  round_name: Joi.string()
+    .trim()
+    .min(2)
+    .max(SCHEDULING.ROUND_NAME_MAX_LENGTH)
+    .messages({
+      'string.empty': 'Round name is required',
+      'string.min': 'Round name must be at least 2 characters',
+      'string.max': `Round name cannot exceed ${SCHEDULING.ROUND_NAME_MAX_LENGTH} characters`,
+      'any.required': 'Round name is required'
+    }),
+
+  round_type: Joi.string()
+    .valid(...SCHEDULING.ROUND_TYPES)
+    .messages({
+      'any.only': `Round type must be one of: ${SCHEDULING.ROUND_TYPES.join(', ')}`,
+      'any.required': 'Round type is required'
+    }),
+
+  mode: Joi.string()
+    .valid(...MODES)
+    .messages({
+      'any.only': `Mode must be one of: ${MODES.join(', ')}`,
+      'any.required': 'Mode is required'
+    }),
+
+  venue,
+
+  meeting_link: meetingLink,
+
+  instructions: Joi.string()
+    .trim()
+    .max(SCHEDULING.INSTRUCTIONS_MAX_LENGTH)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.max': `Instructions cannot exceed ${SCHEDULING.INSTRUCTIONS_MAX_LENGTH} characters`
+    })
+};
+
+/**
+ * Create round schema - one round per stage of the drive's pipeline
+ */
+const createRoundSchema = Joi.object({
+  drive_id: uuid('drive').required(),
+
+  stage: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(APPLICATIONS.STAGE_REGEX)
+    .invalid(APPLICATIONS.FIRST_STAGE)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid stage',
+      'any.invalid': `Rounds are scheduled for stages after "${APPLICATIONS.FIRST_STAGE}"`,
+      'any.required': 'Stage is required'
+    }),
+
+  ...roundFields,
+  round_name: roundFields.round_name.required(),
+  round_type: roundFields.round_type.required(),
+  mode: roundFields.mode.required()
+});
+
+/**
+ * Update round schema (stage is fixed)
+ */
+const updateRoundSchema = Joi.object({
+  ...roundFields
+}).min(1).messages({
+  'object.min': 'At least one field must be updated'
+});
+
+/**
+ * List rounds schema (query)
+ */
+const listRoundsSchema = Joi.object({
+  drive_id: uuid('drive').required()
+});
+
+const slotFields = {
+  starts_at: Joi.date()
+    .iso()
+    .greater('now')
+    .messages({
+      'date.base': 'Start time must be an ISO date-time',
+      'date.format': 'Start time must be an ISO date-time',
+      'date.greater': 'Start time must be in the future',
+      'any.required': 'Start time is required'
+    }),
+
+  ends_at: Joi.date()
+    .iso()
+    .messages({
+      'date.base': 'End time must be an ISO date-time',
+      'date.format': 'End time must be an ISO date-time',
+      'any.required': 'End time is required'
+    }),
+
+  capacity: Joi.number()
+    .integer()
+    .min(1)
+    .max(SCHEDULING.MAX_SLOT_CAPACITY)
+    .messages({
+      'number.base': 'Capacity must be a number',
+      'number.min': 'Capacity must be at least 1',
+      'number.max': `Capacity cannot exceed ${SCHEDULING.MAX_SLOT_CAPACITY}`,
+      'any.required': 'Capacity is required'
+    }),
+
+  panel_name: Joi.string()
+    .trim()
+    .max(100)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.max': 'Panel name cannot exceed 100 characters'
+    }),
+
+  panel_members: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .messages({
+          'string.empty': 'Panel members cannot contain empty values',
+          'string.max': 'Each panel member cannot exceed 100 characters'
+        })
+    )
+    .max(SCHEDULING.MAX_PANEL_MEMBERS)
+    .optional()
+    .messages({
+      'array.base': 'Panel members must be a list',
+      'array.max': `Cannot exceed ${SCHEDULING.MAX_PANEL_MEMBERS} panel members`
+    }),
+
+  venue,
+
+  meeting_link: meetingLink
+};
+
+/**
+ * New slot - ends after it starts, no longer than SCHEDULING.MAX_SLOT_MINUTES
+ */
+const slotSchema = Joi.object({
+  ...slotFields,
+  starts_at: slotFields.starts_at.required(),
+  ends_at: slotFields.ends_at.greater(Joi.ref('starts_at')).required().messages({
+    'date.greater': 'End time must be after the start time'
+  }),
+  capacity: slotFields.capacity.required()
+})
+  .custom((value, helpers) => (
+    value.ends_at - value.starts_at > SCHEDULING.MAX_SLOT_MINUTES * 60000
+      ? helpers.error('slot.tooLong')
+      : value
+  ))
+  .messages({
+    'slot.tooLong': `A slot cannot be longer than ${SCHEDULING.MAX_SLOT_MINUTES} minutes`
+  });
+
+/**
+ * Create slots schema (one or many slots of a round)
+ */
+const createSlotsSchema = Joi.object({
+  slots: Joi.array()
+    .items(slotSchema)
+    .min(1)
+    .max(SCHEDULING.MAX_SLOTS_PER_REQUEST)
+    .required()
+    .messages({
+      'array.base': 'Slots must be a list',
+      'array.min': 'At least one slot is required',
+      'array.max': `Cannot create more than ${SCHEDULING.MAX_SLOTS_PER_REQUEST} slots at once`,
+      'any.required': 'Slots are required'
+    })
+});
+
+/**
+ * Update slot schema - the merged times are checked by the service
+ */
+const updateSlotSchema = Joi.object({
+  ...slotFields
+}).min(1).messages({
+  'object.min': 'At least one field must be updated'
+});
+
+/**
+ * Automatic allocation schema
+ */
+const autoAllocateSchema = Joi.object({
+  dry_run: Joi.boolean()
+    .optional()
+    .default(false)
+    .messages({
+      'boolean.base': 'dry_run must be true or false'
+    })
+});
+
+/**
+ * Manual allocation schema
+ */
+const allocateSchema = Joi.object({
+  application_id: uuid('application').required()
+});
+
+/**
+ * Reschedule schema
+ */
+const rescheduleSchema = Joi.object({
+  slot_id: uuid('slot').required()
+});
+
+/**
+ * Student's own schedule schema (query)
+ */
+const myScheduleSchema = Joi.object({
+  include_past: Joi.boolean()
+    .optional()
+    .default(false)
+    .messages({
+      'boolean.base': 'include_past must be true or false'
+    })
+});
+
+module.exports = {
+  createRoundSchema,
+  updateRoundSchema,
+  listRoundsSchema,
+  createSlotsSchema,
+  updateSlotSchema,
+  autoAllocateSchema,
+  allocateSchema,
+  rescheduleSchema,
+  myScheduleSchema
+};
@@ -0,0 +1,159 @@
+/**
+ * ============================================================================
+ * SSO VALIDATORS - Request Validation Schemas
+ * ============================================================================
+ * Joi schemas for OpenID Connect configuration and login endpoints
+ */
+
+const Joi = require('joi');
+const oidcHelper = require('../utils/oidcHelper');
+const { VALIDATION, ROLES, RBAC, ACCOUNT_TYPES } = require('../config/constants');
+
+const ACCOUNT_TYPE_VALUES = Object.values(ACCOUNT_TYPES);
+
+// Claim names: standard (`email`) or provider specific (`preferred_username`, urls)
+const claimName = Joi.string().trim().min(1).max(200);
+
+/**
+ * Save SSO configuration schema
+ * client_secret may be omitted to keep the stored one
+ */
+const saveSsoConfigSchema = Joi.object({
+  enabled: Joi.boolean()
+    .optional()
+    .default(true),
+
+  // http only for issuers in SSO_ALLOW_HTTP_ISSUERS (local mock issuer)
+  issuer: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .max(VALIDATION.URL_MAX_LENGTH)
+    .required()
+    .custom((value, helpers) => (
+      oidcHelper.isAllowedProviderUrl(value) ? value : helpers.error('issuer.https')
+    ))
+    .messages({
+      'string.uri': 'Issuer must be an HTTPS URL',
+      'string.uriCustomScheme': 'Issuer must be an HTTPS URL',
+      'issuer.https': 'Issuer must be an HTTPS URL',
+      'any.required': 'Issuer is required'
+    }),
+
+  client_id: Joi.string()
+    .trim()
+    .max(255)
+    .required()
+    .messages({
+      'string.empty': 'Client ID is required',
+      'any.required': 'Client ID is required'
+    }),
+
+  client_secret: Joi.string()
+    .max(1000)
+    .optional(),
+
+  // Requested in addition to openid, email, profile
+  scopes: Joi.array()
+    .items(Joi.string().pattern(/^[\x21\x23-\x5B\x5D-\x7E]+$/))
+    .unique()
+    .max(10)
+    .optional()
+    .default([])
+    .messages({
+      'string.pattern.base': 'Scopes must not contain spaces or quotes'
+    }),
+
+  claim_mappings: Joi.object({
+    email: claimName.optional(),
+    name: claimName.optional(),
+    department: claimName.optional(),
+    year: claimName.optional()
+  })
+    .optional()
+    .default({}),
+
+  account_types: Joi.array()
+    .items(Joi.string().valid(...ACCOUNT_TYPE_VALUES))
+    .min(1)
+    .unique()
+    .optional()
+    .default(ACCOUNT_TYPE_VALUES)
+    .messages({
+      'any.only': `Account types must be from: ${ACCOUNT_TYPE_VALUES.join(', ')}`
+    }),
+
+  provision_users: Joi.boolean()
+    .optional()
+    .default(false),
+
+  // Role of users created on their first SSO login
+  default_user_role: Joi.string()
+    .pattern(RBAC.ROLE_KEY_REGEX)
+    .invalid(ROLES.SYSADMIN, ROLES.STUDENT)
+    .when('provision_users', {
+      is: true,
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+    .messages({
+      'string.pattern.base': 'Default user role must be a valid role key',
+      'any.invalid': 'Default user role must be a college staff role',
+      'any.required': 'Default user role is required when provision_users is on'
+    }),
+
+  provision_students: Joi.boolean()
+    .optional()
+    .default(false)
+});
+
+/**
+ * Start SSO login schema
+ * college_id is filled in on a college subdomain
+ */
+const startSsoLoginSchema = Joi.object({
+  college_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid college ID format',
+      'any.required': 'College ID is required'
+    }),
+
+  account_type: Joi.string()
+    .valid(...ACCOUNT_TYPE_VALUES)
+    .optional()
+    .default(ACCOUNT_TYPES.USER)
+    .messages({
+      'any.only': `Account type must be one of: ${ACCOUNT_TYPE_VALUES.join(', ')}`
+    }),
+
+  login_hint: Joi.string()
+    .email()
+    .max(VALIDATION.EMAIL_MAX_LENGTH)
+    .optional()
+});
+
+/**
+ * SSO callback schema
+ * code and state as received on the portal callback page
+ */
+const ssoCallbackSchema = Joi.object({
+  state: Joi.string()
+    .max(200)
+    .required()
+    .messages({
+      'any.required': 'State is required'
+    }),
+
+  code: Joi.string()
+    .max(2000)
+    .required()
+    .messages({
+      'any.required': 'Authorization code is required'
+    })
+});
+
+module.exports = {
+  saveSsoConfigSchema,
+  startSsoLoginSchema,
+  ssoCallbackSchema
+};
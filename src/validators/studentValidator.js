@@ -6,7 +6,110 @@
  */
 
 const Joi = require('joi');
-const { VALIDATION, STATUS } = require('../config/constants');
+const {
+  VALIDATION,
+  STATUS,
+  STUDENT_STATUS,
+  STUDENT_DIRECTORY,
+  STUDENT_PROFILE,
+  STUDENT_IMPORT,
+  BULK_REGISTRATION
+} = require('../config/constants');
+
+/**
+ * Percentage (10th / 12th / diploma marks)
+ *
+ * @private
+ */
+const percentage = (label) => Joi.number()
+  .min(0)
+  .max(100)
+  .precision(2)
+  .allow(null)
+  .optional()
+  .messages({
+    'number.base': `${label} percentage must be a number`,
+    'number.min': `${label} percentage cannot be negative`,
+    'number.max': `${label} percentage cannot exceed 100`
+  });
+
+/**
+ * Backlog count
+ *
+ * @private
+ */
+const backlogCount = (label) => Joi.number()
+  .integer()
+  .min(0)
+  .allow(null)
+  .optional()
+  .messages({
+    'number.base': `${label} backlogs must be a number`,
+    'number.min': `${label} backlogs cannot be negative`
+  });
+
+/**
+ * Academic record fields (STUDENT_PROFILE.ACADEMIC_FIELDS)
+ * Shared by the admin profile update and student self-service update;
+ * null clears a value
+ */
+const academicFields = {
+  gender: Joi.string()
+    .lowercase()
+    .valid(...STUDENT_PROFILE.GENDERS)
+    .allow(null)
+    .optional()
+    .messages({
+      'any.only': `Gender must be one of: ${STUDENT_PROFILE.GENDERS.join(', ')}`
+    }),
+
+  date_of_birth: Joi.date()
+    .iso()
+    .min('1950-01-01')
+    .max('now')
+    .raw()
+    .allow(null)
+    .optional()
+    .messages({
+      'date.format': 'Date of birth must be an ISO 8601 date (YYYY-MM-DD)',
+      'date.min': 'Date of birth is too far in the past',
+      'date.max': 'Date of birth cannot be in the future'
+    }),
+
+  graduation_year: Joi.number()
+    .integer()
+    .min(STUDENT_PROFILE.MIN_GRADUATION_YEAR)
+    .max(new Date().getFullYear() + STUDENT_PROFILE.GRADUATION_YEAR_LOOKAHEAD)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Graduation year must be a number',
+      'number.min': `Graduation year cannot be before ${STUDENT_PROFILE.MIN_GRADUATION_YEAR}`,
+      'number.max': 'Graduation year is too far in the future'
+    }),
+
+  cgpa: Joi.number()
+    .min(0)
+    .max(STUDENT_PROFILE.CGPA_MAX)
+    .precision(2)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'CGPA must be a number',
+      'number.min': 'CGPA cannot be negative',
+      'number.max': `CGPA cannot exceed ${STUDENT_PROFILE.CGPA_MAX}`
+    }),
+
+  tenth_percentage: percentage('10th'),
+
+  twelfth_percentage: percentage('12th'),
+
+  diploma_percentage: percentage('Diploma'),
+
+  active_backlogs: backlogCount('Active'),
+
+  historic_backlogs: backlogCount('Historic')
+};
 
 /**
  * Register student schema
@@ -14,10 +117,12 @@ const { VALIDATION, STATUS } = require('../config/constants');
  */
 const registerStudentSchema = Joi.object({
   college_id: Joi.string()
+    .uuid()
     .required()
     .messages({
       'string.empty': 'College ID is required',
-      'any.required': 'College ID is required'
+      'string.guid': 'Invalid college ID format',
+      'any.required': 'College ID is required (or call the API on the college subdomain)'
     }),
 
   student_name: Joi.string()
@@ -77,6 +182,29 @@ const registerStudentSchema = Joi.object({
     })
 });
 
+/**
+ * Roster row fields shared by bulk registration and file import
+ * (imported rows get a generated password or invite link instead)
+ */
+const studentRowFields = {
+  student_name: Joi.string()
+    .min(VALIDATION.STRING_MIN_LENGTH)
+    .max(100)
+    .required(),
+  student_email: Joi.string()
+    .email()
+    .required(),
+  student_department: Joi.string()
+    .min(VALIDATION.STRING_MIN_LENGTH)
+    .max(50)
+    .required(),
+  student_year: Joi.number()
+    .integer()
+    .min(1)
+    .max(4)
+    .required()
+};
+
 /**
  * Bulk register students schema
  * Validates bulk registration request body
@@ -85,36 +213,85 @@ const bulkRegisterStudentsSchema = Joi.object({
   students: Joi.array()
     .items(
       Joi.object({
-        student_name: Joi.string()
-          .min(VALIDATION.STRING_MIN_LENGTH)
-          .max(100)
-          .required(),
-        student_email: Joi.string()
-          .email()
-          .required(),
+        ...studentRowFields,
         student_password: Joi.string()
           .min(VALIDATION.PASSWORD_MIN_LENGTH)
           .max(VALIDATION.PASSWORD_MAX_LENGTH)
           .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-          .required(),
-        student_department: Joi.string()
-          .min(VALIDATION.STRING_MIN_LENGTH)
-          .max(50)
-          .required(),
-        student_year: Joi.number()
-          .integer()
-          .min(1)
-          .max(4)
           .required()
       })
     )
     .min(1)
+    .max(BULK_REGISTRATION.MAX_STUDENTS)
     .required()
     .messages({
       'array.base': 'Students must be an array',
       'array.min': 'At least one student is required',
+      'array.max': `At most ${BULK_REGISTRATION.MAX_STUDENTS} students per request`,
       'any.required': 'Students array is required'
+    }),
+
+  // All-or-nothing: create no student unless every row can be created
+  atomic: Joi.boolean()
+    .default(false),
+
+  // Run as a background job: 202 with job_id, result via GET /jobs/:jobId
+  async: Joi.boolean()
+    .default(false)
+});
+
+/**
+ * Imported roster row schema
+ * Applied to every mapped spreadsheet row during the dry run
+ */
+const importStudentRowSchema = Joi.object(studentRowFields);
+
+/**
+ * Import students schema (multipart form fields)
+ * mapping: JSON object { student_field: "Column header" }; unmapped fields
+ * default to a header matching the field name (case and spaces ignored)
+ */
+const importStudentsSchema = Joi.object({
+  mapping: Joi.string()
+    .max(2000)
+    .custom((value, helpers) => {
+      let mapping;
+
+      try {
+        mapping = JSON.parse(value);
+      } catch (err) {
+        return helpers.error('any.invalid');
+      }
+
+      const { error, value: validated } = Joi.object(
+        Object.fromEntries(
+          STUDENT_IMPORT.FIELDS.map((field) => [field, Joi.string().trim().min(1).max(100)])
+        )
+      ).validate(mapping);
+
+      return error ? helpers.error('any.invalid') : validated;
     })
+    .optional()
+    .messages({
+      'any.invalid': `Mapping must be a JSON object of column headers for: ${STUDENT_IMPORT.FIELDS.join(', ')}`
+    })
+});
+
+/**
+ * Confirm student import schema
+ */
+const confirmStudentImportSchema = Joi.object({
+  password_mode: Joi.string()
+    .valid(...Object.values(STUDENT_IMPORT.PASSWORD_MODES))
+    .required()
+    .messages({
+      'any.only': `Password mode must be one of: ${Object.values(STUDENT_IMPORT.PASSWORD_MODES).join(', ')}`,
+      'any.required': 'Password mode is required'
+    }),
+
+  // Create the valid rows even though some rows failed validation
+  skip_invalid: Joi.boolean()
+    .default(false)
 });
 
 /**
@@ -123,10 +300,12 @@ const bulkRegisterStudentsSchema = Joi.object({
  */
 const loginStudentSchema = Joi.object({
   college_id: Joi.string()
+    .uuid()
     .required()
     .messages({
       'string.empty': 'College ID is required',
-      'any.required': 'College ID is required'
+      'string.guid': 'Invalid college ID format',
+      'any.required': 'College ID is required (or call the API on the college subdomain)'
     }),
 
   student_email: Joi.string()
@@ -150,6 +329,43 @@ const loginStudentSchema = Joi.object({
     })
 });
 
+/**
+ * Verify email schema
+ * Validates token from the verification link
+ */
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Verification token is required',
+      'any.required': 'Verification token is required'
+    })
+});
+
+/**
+ * Resend verification schema
+ * Validates verification link resend request body
+ */
+const resendVerificationSchema = Joi.object({
+  college_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.empty': 'College ID is required',
+      'string.guid': 'Invalid college ID format',
+      'any.required': 'College ID is required (or call the API on the college subdomain)'
+    }),
+
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Invalid email format',
+      'any.required': 'Email is required'
+    })
+});
+
 /**
  * Update password schema
  * Validates password change request body
@@ -180,7 +396,7 @@ const updatePasswordSchema = Joi.object({
 
 /**
  * Update profile schema
- * Validates student profile update request body
+ * Validates student profile update request body (admin/teacher)
  */
 const updateProfileSchema = Joi.object({
   student_name: Joi.string()
@@ -217,15 +433,226 @@ const updateProfileSchema = Joi.object({
     .optional()
     .messages({
       'any.only': `Student status must be one of: ${STATUS.ACTIVE}, inactive`
-    })
+    }),
+
+  roll_number: Joi.string()
+    .trim()
+    .min(1)
+    .max(STUDENT_PROFILE.ROLL_NUMBER_MAX_LENGTH)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.empty': 'Roll number cannot be empty',
+      'string.max': `Roll number cannot exceed ${STUDENT_PROFILE.ROLL_NUMBER_MAX_LENGTH} characters`
+    }),
+
+  ...academicFields
 }).min(1).messages({
   'object.min': 'At least one field must be updated'
 });
 
+/**
+ * List students schema
+ * Validates query parameters (filters, search, sorting + pagination)
+ */
+const listStudentsSchema = Joi.object({
+  department: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .messages({
+      'string.max': 'Department cannot exceed 50 characters'
+    }),
+
+  year: Joi.number()
+    .integer()
+    .min(1)
+    .max(4)
+    .optional()
+    .messages({
+      'number.base': 'Year must be a number',
+      'number.min': 'Year must be at least 1',
+      'number.max': 'Year cannot exceed 4'
+    }),
+
+  status: Joi.string()
+    .valid(...Object.values(STUDENT_STATUS))
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(STUDENT_STATUS).join(', ')}`
+    }),
+
+  search: Joi.string()
+    .trim()
+    .min(1)
+    .max(STUDENT_DIRECTORY.SEARCH_MAX_LENGTH)
+    .optional()
+    .messages({
+      'string.max': `Search cannot exceed ${STUDENT_DIRECTORY.SEARCH_MAX_LENGTH} characters`
+    }),
+
+  sort_by: Joi.string()
+    .valid(...STUDENT_DIRECTORY.SORT_FIELDS)
+    .optional()
+    .default(STUDENT_DIRECTORY.DEFAULT_SORT_BY)
+    .messages({
+      'any.only': `Sort field must be one of: ${STUDENT_DIRECTORY.SORT_FIELDS.join(', ')}`
+    }),
+
+  sort_order: Joi.string()
+    .lowercase()
+    .valid('asc', 'desc')
+    .optional()
+    .default(STUDENT_DIRECTORY.DEFAULT_SORT_ORDER)
+    .messages({
+      'any.only': 'Sort order must be asc or desc'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .default(1)
+    .messages({
+      'number.positive': 'Page must be a positive number'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .positive()
+    .max(100)
+    .optional()
+    .default(20)
+    .messages({
+      'number.positive': 'Limit must be a positive number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * Profile URL on one of the given hosts (https only)
+ *
+ * @private
+ */
+const profileUrl = (label, hosts) => Joi.string()
+  .trim()
+  .max(VALIDATION.URL_MAX_LENGTH)
+  .uri({ scheme: ['https'] })
+  .custom((value, helpers) => {
+    // Malformed URLs are already reported by uri()
+    if (!URL.canParse(value)) {
+      return value;
+    }
+    return hosts.includes(new URL(value).hostname.toLowerCase())
+      ? value
+      : helpers.error('any.invalid');
+  })
+  .allow(null)
+  .optional()
+  .messages({
+    'string.uri': `${label} URL must be a valid https URL`,
+    'string.uriCustomScheme': `${label} URL must be a valid https URL`,
+    'string.max': `${label} URL cannot exceed ${VALIDATION.URL_MAX_LENGTH} characters`,
+    'any.invalid': `${label} URL must be on ${hosts[0]}`
+  });
+
+/**
+ * Free-text list (skills, locations) - trimmed, case-insensitive unique
+ *
+ * @private
+ */
+const textList = (label, max) => Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .min(1)
+      .max(STUDENT_PROFILE.LIST_ITEM_MAX_LENGTH)
+      .messages({
+        'string.empty': `${label} cannot contain empty values`,
+        'string.max': `Each ${label.toLowerCase()} entry cannot exceed ${STUDENT_PROFILE.LIST_ITEM_MAX_LENGTH} characters`
+      })
+  )
+  .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+  .max(max)
+  .optional()
+  .messages({
+    'array.base': `${label} must be a list`,
+    'array.unique': `Duplicate ${label.toLowerCase()} entry`,
+    'array.max': `Cannot exceed ${max} ${label.toLowerCase()} entries`
+  });
+
+/**
+ * Update own profile schema (student self-service)
+ * Only self-editable fields - department, year and status are admin-controlled
+ */
+const updateMyProfileSchema = Joi.object({
+  student_phone: Joi.string()
+    .trim()
+    .pattern(STUDENT_PROFILE.PHONE_REGEX)
+    .allow(null)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Phone number must contain 8-20 digits (optional leading +, spaces or dashes)'
+    }),
+
+  linkedin_url: profileUrl('LinkedIn', STUDENT_PROFILE.LINKEDIN_HOSTS),
+
+  github_url: profileUrl('GitHub', STUDENT_PROFILE.GITHUB_HOSTS),
+
+  skills: textList('Skills', STUDENT_PROFILE.MAX_SKILLS),
+
+  preferred_locations: textList('Preferred locations', STUDENT_PROFILE.MAX_PREFERRED_LOCATIONS),
+
+  // Self-reported until the college verifies them
+  ...academicFields,
+
+  // Admin-controlled (PUT /students/:studentId/profile)
+  roll_number: Joi.any().forbidden(),
+  student_department: Joi.any().forbidden(),
+  student_year: Joi.any().forbidden(),
+  student_status: Joi.any().forbidden()
+}).min(1).messages({
+  'object.min': 'At least one field must be updated',
+  'any.unknown': '{#label} can only be changed by the college'
+});
+
+/**
+ * Academic verification schema
+ * Marks fields as verified (default) or removes their verification
+ */
+const academicVerificationSchema = Joi.object({
+  fields: Joi.array()
+    .items(Joi.string().valid(...STUDENT_PROFILE.VERIFIABLE_FIELDS))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Fields must be from: ${STUDENT_PROFILE.VERIFIABLE_FIELDS.join(', ')}`,
+      'array.min': 'At least one field is required',
+      'array.unique': 'Duplicate field',
+      'any.required': 'Fields are required'
+    }),
+
+  verified: Joi.boolean()
+    .optional()
+    .default(true)
+    .messages({
+      'boolean.base': 'verified must be true or false'
+    })
+});
+
 module.exports = {
   registerStudentSchema,
   bulkRegisterStudentsSchema,
+  importStudentRowSchema,
+  importStudentsSchema,
+  confirmStudentImportSchema,
   loginStudentSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
   updatePasswordSchema,
-  updateProfileSchema
+  updateProfileSchema,
+  listStudentsSchema,
+  updateMyProfileSchema,
+  academicVerificationSchema
 };
\ No newline at end of file
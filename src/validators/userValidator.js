@@ -6,7 +6,7 @@
  */
 
 const Joi = require('joi');
-const { VALIDATION, STATUS, ROLES } = require('../config/constants');
+const { VALIDATION, STATUS, ROLES, RBAC } = require('../config/constants');
 
 /**
  * Create user schema
@@ -46,11 +46,14 @@ const createUserSchema = Joi.object({
       'any.required': 'User password is required'
     }),
 
+  // Built-in (admin, teacher, ...) or custom college role key
   user_role: Joi.string()
-    .valid(ROLES.ADMIN, ROLES.TEACHER, 'student', 'other')
+    .pattern(RBAC.ROLE_KEY_REGEX)
+    .invalid(ROLES.SYSADMIN)
     .required()
     .messages({
-      'any.only': `User role must be one of: ${ROLES.ADMIN}, ${ROLES.TEACHER}, student, other`,
+      'string.pattern.base': 'User role must be a valid role key',
+      'any.invalid': `User role cannot be ${ROLES.SYSADMIN}`,
       'any.required': 'User role is required'
     })
 });
@@ -70,10 +73,12 @@ const updateUserSchema = Joi.object({
     }),
 
   user_role: Joi.string()
-    .valid(ROLES.ADMIN, ROLES.TEACHER, 'student', 'other')
+    .pattern(RBAC.ROLE_KEY_REGEX)
+    .invalid(ROLES.SYSADMIN)
     .optional()
     .messages({
-      'any.only': `User role must be one of: ${ROLES.ADMIN}, ${ROLES.TEACHER}, student, other`
+      'string.pattern.base': 'User role must be a valid role key',
+      'any.invalid': `User role cannot be ${ROLES.SYSADMIN}`
     }),
 
   user_status: Joi.string()